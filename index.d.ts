@@ -1,4 +1,4 @@
-import type { ESLint, Rule } from 'eslint'
+import type { ESLint, Linter, Rule } from 'eslint'
 
 export interface LaststanceRuleModules {
   'no-jsx-without-return': Rule.RuleModule
@@ -22,13 +22,40 @@ export interface LaststanceRuleModules {
   'prefer-usecallback-for-memoized-component': Rule.RuleModule
   'prefer-usememo-for-memoized-component': Rule.RuleModule
   'prefer-usememo-might-work': Rule.RuleModule
+  'require-use-client-directive': Rule.RuleModule
+  'valid-server-actions': Rule.RuleModule
+  'no-sync-params-access': Rule.RuleModule
+  'valid-error-boundary-file': Rule.RuleModule
+  'valid-route-handler-exports': Rule.RuleModule
+  'valid-route-segment-config': Rule.RuleModule
+  'no-pages-router-apis': Rule.RuleModule
+  'no-non-serializable-client-props': Rule.RuleModule
+  'no-server-only-in-client': Rule.RuleModule
+  'no-navigation-in-try-catch': Rule.RuleModule
+  'valid-next-font-loader': Rule.RuleModule
+  'valid-next-dynamic': Rule.RuleModule
+  'prefer-next-image': Rule.RuleModule
+  'prefer-next-link': Rule.RuleModule
+  'valid-metadata-exports': Rule.RuleModule
+  'valid-middleware-config': Rule.RuleModule
 }
 
 export type LaststanceRuleName = keyof LaststanceRuleModules
 export type LaststanceConfigName = `laststance/${LaststanceRuleName}`
 
+export type LaststancePresetName =
+  | 'recommended'
+  | 'strict'
+  | 'react19'
+  | 'performance'
+  | 'next'
+  | 'all'
+
+export type LaststanceConfigs = Record<LaststancePresetName, Linter.Config>
+
 export type LaststancePlugin = ESLint.Plugin & {
   rules: LaststanceRuleModules
+  configs: LaststanceConfigs
 }
 
 declare const plugin: LaststancePlugin
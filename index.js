@@ -32,6 +32,23 @@ import usecallbackForMemoizedComponent from './lib/rules/prefer-usecallback-for-
 import usecallbackMightWork from './lib/rules/prefer-usecallback-might-work.js'
 import usememoForMemoizedComponent from './lib/rules/prefer-usememo-for-memoized-component.js'
 import usememoMightWork from './lib/rules/prefer-usememo-might-work.js'
+import requireUseClientDirective from './lib/rules/require-use-client-directive.js'
+import validServerActions from './lib/rules/valid-server-actions.js'
+import noSyncParamsAccess from './lib/rules/no-sync-params-access.js'
+import validErrorBoundaryFile from './lib/rules/valid-error-boundary-file.js'
+import validRouteHandlerExports from './lib/rules/valid-route-handler-exports.js'
+import validRouteSegmentConfig from './lib/rules/valid-route-segment-config.js'
+import noPagesRouterApis from './lib/rules/no-pages-router-apis.js'
+import noNonSerializableClientProps from './lib/rules/no-non-serializable-client-props.js'
+import noServerOnlyInClient from './lib/rules/no-server-only-in-client.js'
+import noNavigationInTryCatch from './lib/rules/no-navigation-in-try-catch.js'
+import validNextFontLoader from './lib/rules/valid-next-font-loader.js'
+import validNextDynamic from './lib/rules/valid-next-dynamic.js'
+import preferNextImage from './lib/rules/prefer-next-image.js'
+import preferNextLink from './lib/rules/prefer-next-link.js'
+import validMetadataExports from './lib/rules/valid-metadata-exports.js'
+import validMiddlewareConfig from './lib/rules/valid-middleware-config.js'
+import { createConfigs } from './lib/configs/presets.js'
 
 const plugin = {
   meta: {
@@ -62,7 +79,26 @@ const plugin = {
       usecallbackForMemoizedComponent,
     'prefer-usememo-for-memoized-component': usememoForMemoizedComponent,
     'prefer-usememo-might-work': usememoMightWork,
+    'require-use-client-directive': requireUseClientDirective,
+    'valid-server-actions': validServerActions,
+    'no-sync-params-access': noSyncParamsAccess,
+    'valid-error-boundary-file': validErrorBoundaryFile,
+    'valid-route-handler-exports': validRouteHandlerExports,
+    'valid-route-segment-config': validRouteSegmentConfig,
+    'no-pages-router-apis': noPagesRouterApis,
+    'no-non-serializable-client-props': noNonSerializableClientProps,
+    'no-server-only-in-client': noServerOnlyInClient,
+    'no-navigation-in-try-catch': noNavigationInTryCatch,
+    'valid-next-font-loader': validNextFontLoader,
+    'valid-next-dynamic': validNextDynamic,
+    'prefer-next-image': preferNextImage,
+    'prefer-next-link': preferNextLink,
+    'valid-metadata-exports': validMetadataExports,
+    'valid-middleware-config': validMiddlewareConfig,
   },
 }
 
+// Presets reference the plugin object itself, so they are attached after creation
+plugin.configs = createConfigs(plugin)
+
 export default plugin
@@ -0,0 +1,153 @@
+/**
+ * Shareable flat-config presets exposed as `plugin.configs`.
+ */
+
+const PLUGIN_NAMESPACE = 'laststance'
+const SEVERITY_ERROR = 'error'
+const SEVERITY_WARN = 'warn'
+
+/**
+ * Correctness rules that catch bugs regardless of coding style.
+ * @type {Record<string, 'error' | 'warn'>}
+ */
+const RECOMMENDED_RULES = {
+  'no-jsx-without-return': SEVERITY_ERROR,
+  'no-missing-key': SEVERITY_ERROR,
+  'no-duplicate-key': SEVERITY_ERROR,
+  'no-nested-component-definitions': SEVERITY_ERROR,
+  'no-missing-button-type': SEVERITY_WARN,
+  'jsx-no-useless-fragment': SEVERITY_WARN,
+  'no-jsx-iife': SEVERITY_WARN,
+}
+
+/**
+ * React 19 API migrations. Both rules stay silent below React 19.
+ * @type {Record<string, 'error' | 'warn'>}
+ */
+const REACT19_RULES = {
+  'no-forward-ref': SEVERITY_WARN,
+  'no-context-provider': SEVERITY_WARN,
+}
+
+/**
+ * Referential-stability and memoization rules.
+ * @type {Record<string, 'error' | 'warn'>}
+ */
+const PERFORMANCE_RULES = {
+  'no-deopt-use-callback': SEVERITY_WARN,
+  'no-deopt-use-memo': SEVERITY_WARN,
+  'prefer-stable-context-value': SEVERITY_WARN,
+  'prefer-usecallback-for-memoized-component': SEVERITY_WARN,
+  'prefer-usememo-for-memoized-component': SEVERITY_WARN,
+  'prefer-usecallback-might-work': SEVERITY_WARN,
+  'prefer-usememo-might-work': SEVERITY_WARN,
+}
+
+/**
+ * Next.js specific rules layered on top of `recommended`.
+ * @type {Record<string, 'error' | 'warn'>}
+ */
+const NEXT_RULES = {
+  'require-use-client-directive': SEVERITY_ERROR,
+  'valid-server-actions': SEVERITY_ERROR,
+  'no-sync-params-access': SEVERITY_ERROR,
+  'valid-error-boundary-file': SEVERITY_ERROR,
+  'valid-route-handler-exports': SEVERITY_ERROR,
+  'valid-route-segment-config': SEVERITY_ERROR,
+  'no-pages-router-apis': SEVERITY_ERROR,
+  'no-non-serializable-client-props': SEVERITY_ERROR,
+  'no-server-only-in-client': SEVERITY_ERROR,
+  'no-navigation-in-try-catch': SEVERITY_ERROR,
+  'valid-next-font-loader': SEVERITY_ERROR,
+  'valid-next-dynamic': SEVERITY_ERROR,
+  'valid-metadata-exports': SEVERITY_ERROR,
+  'valid-middleware-config': SEVERITY_ERROR,
+  'prefer-next-image': SEVERITY_WARN,
+  'prefer-next-link': SEVERITY_WARN,
+}
+
+/**
+ * Opinionated architecture rules that only `strict` and `all` enable.
+ * @type {Record<string, 'error' | 'warn'>}
+ */
+const OPINIONATED_RULES = {
+  'all-memo': SEVERITY_ERROR,
+  'no-use-reducer': SEVERITY_ERROR,
+  'no-set-state-prop-drilling': SEVERITY_ERROR,
+  'no-direct-use-effect': SEVERITY_ERROR,
+  'no-missing-component-display-name': SEVERITY_ERROR,
+}
+
+/**
+ * Prefixes rule names with the plugin namespace.
+ * @param {Record<string, 'error' | 'warn'>} rules - Rule map keyed by bare rule name.
+ * @param {'error' | 'warn' | null} [severityOverride] - Severity applied to every rule instead of the preset value.
+ * @returns {Record<string, 'error' | 'warn'>} Rule map keyed by `laststance/<rule>`.
+ * @example
+ * namespaceRules({ 'no-missing-key': 'error' }) // => { 'laststance/no-missing-key': 'error' }
+ */
+function namespaceRules(rules, severityOverride = null) {
+  return Object.fromEntries(
+    Object.entries(rules).map(([name, severity]) => [
+      `${PLUGIN_NAMESPACE}/${name}`,
+      severityOverride ?? severity,
+    ]),
+  )
+}
+
+/**
+ * Creates a flat-config object that registers the plugin under its namespace.
+ * @param {import('eslint').ESLint.Plugin} plugin - The plugin object itself.
+ * @param {string} presetName - Preset name used for the config `name`.
+ * @param {Record<string, 'error' | 'warn'>} rules - Namespaced rule map.
+ * @returns {import('eslint').Linter.Config} Flat config object.
+ */
+function createFlatConfig(plugin, presetName, rules) {
+  return {
+    name: `${PLUGIN_NAMESPACE}/${presetName}`,
+    plugins: {
+      [PLUGIN_NAMESPACE]: plugin,
+    },
+    rules,
+  }
+}
+
+/**
+ * Builds every shareable preset for the plugin.
+ * The plugin object is passed in so that each config can register it under `plugins`.
+ * @param {import('eslint').ESLint.Plugin & { rules: Record<string, import('eslint').Rule.RuleModule> }} plugin - The plugin object.
+ * @returns {Record<'recommended' | 'strict' | 'react19' | 'performance' | 'next' | 'all', import('eslint').Linter.Config>}
+ * @example
+ * plugin.configs = createConfigs(plugin)
+ * // eslint.config.js: export default [plugin.configs.recommended]
+ */
+export function createConfigs(plugin) {
+  const allRules = Object.fromEntries(
+    Object.keys(plugin.rules).map((name) => [name, SEVERITY_ERROR]),
+  )
+
+  return {
+    recommended: createFlatConfig(
+      plugin,
+      'recommended',
+      namespaceRules(RECOMMENDED_RULES),
+    ),
+    react19: createFlatConfig(plugin, 'react19', namespaceRules(REACT19_RULES)),
+    performance: createFlatConfig(
+      plugin,
+      'performance',
+      namespaceRules(PERFORMANCE_RULES),
+    ),
+    next: createFlatConfig(plugin, 'next', {
+      ...namespaceRules(RECOMMENDED_RULES),
+      ...namespaceRules(NEXT_RULES),
+    }),
+    strict: createFlatConfig(plugin, 'strict', {
+      ...namespaceRules(RECOMMENDED_RULES, SEVERITY_ERROR),
+      ...namespaceRules(REACT19_RULES, SEVERITY_ERROR),
+      ...namespaceRules(PERFORMANCE_RULES, SEVERITY_ERROR),
+      ...namespaceRules(OPINIONATED_RULES),
+    }),
+    all: createFlatConfig(plugin, 'all', namespaceRules(allRules)),
+  }
+}
@@ -1,6 +1,15 @@
 import { isPascalCase } from '../utils/naming.js'
 import { isJSX } from '../utils/jsx.js'
 import { getRuleFilename } from '../utils/eslint-context.js'
+import { createReactImportTracker } from '../utils/react-imports.js'
+import { getReactSettings } from '../utils/react-settings.js'
+import {
+  REACT_API_IMPORT_FIX_MODES,
+  createReactApiImportFix,
+  resolveReactApiFixStrategy,
+} from '../utils/import-fixes.js'
+import { getNextFileInfo, isNextProjectFile } from '../utils/next-files.js'
+import { isTopLevelVariableDeclarator } from '../utils/ast.js'
 
 /**
  * @fileoverview Enforce wrapping all React function components with React.memo.
@@ -11,238 +20,34 @@ const VIRTUAL_FILENAME = '<input>'
 const SERVER_COMPONENT_LAYOUT_FILENAME = 'layout.tsx'
 const STORYBOOK_FILENAME_SEGMENT = '.stories.'
 const PATH_SEPARATOR_PATTERN = /[\\/]/g
-const REACT_MODULE_NAME = 'react'
-const IMPORT_FIX_MODE_NONE = 'none'
-const IMPORT_FIX_MODE_ADD_REACT_IMPORT = 'add-react-import'
-const IMPORT_FIX_MODE_AUGMENT_REACT_IMPORT = 'augment-react-import'
 
 /**
  * Determines whether the current file should be excluded from this rule.
- * @param {string} filename The filename reported by ESLint.
+ * @param {import('eslint').Rule.RuleContext} context The ESLint rule context.
  * @returns
- * - true: when the file is a Next.js layout.tsx or a Storybook story file
+ * - true: when the file is a layout.tsx, a Next.js convention file (page, loading, route, ...)
+ *   of a Next.js project or a Storybook story file
  * - false: when the file should be linted by this rule
  * @example
- * shouldIgnoreFile('/app/layout.tsx') // => true
+ * shouldIgnoreFile(context) // for /app/layout.tsx => true
  */
-function shouldIgnoreFile(filename) {
+function shouldIgnoreFile(context) {
+  const filename = getRuleFilename(context)
   if (!filename || filename === VIRTUAL_FILENAME) {
     return false
   }
 
   const normalizedFilename = filename.replace(PATH_SEPARATOR_PATTERN, '/')
   const baseName = normalizedFilename.split('/').pop() || ''
-
-  return (
+  if (
     baseName === SERVER_COMPONENT_LAYOUT_FILENAME ||
     normalizedFilename.includes(STORYBOOK_FILENAME_SEGMENT)
-  )
-}
-
-/**
- * Determines whether a variable declarator is defined at the top-level scope.
- * @param {import('estree').VariableDeclarator} node The variable declarator to inspect.
- * @returns {boolean} True when the declaration is directly under Program or ExportNamedDeclaration.
- */
-function isTopLevelVariableDeclarator(node) {
-  const declaration = node.parent
-  if (!declaration || declaration.type !== 'VariableDeclaration') {
-    return false
-  }
-
-  const parent = declaration.parent
-  return (
-    !!parent &&
-    (parent.type === 'Program' || parent.type === 'ExportNamedDeclaration')
-  )
-}
-
-/**
- * Determines whether a statement is a directive prologue statement.
- * @param {import('estree').Statement} statement The statement to inspect.
- * @returns {boolean} True when the statement is a string literal expression.
- */
-function isDirectivePrologueStatement(statement) {
-  return (
-    statement.type === 'ExpressionStatement' &&
-    statement.expression.type === 'Literal' &&
-    typeof statement.expression.value === 'string'
-  )
-}
-
-/**
- * Finds the node after which a newly inserted import should be appended.
- * @param {import('estree').Program} programNode The AST program node.
- * @returns {import('estree').Statement | null} The insertion anchor node, if available.
- */
-function findImportInsertionAnchor(programNode) {
-  let lastImportNode = null
-  let lastDirectiveNode = null
-
-  for (const statement of programNode.body) {
-    if (statement.type === 'ImportDeclaration') {
-      lastImportNode = statement
-      continue
-    }
-
-    if (isDirectivePrologueStatement(statement) && !lastImportNode) {
-      lastDirectiveNode = statement
-      continue
-    }
-
-    if (!isDirectivePrologueStatement(statement)) {
-      break
-    }
-  }
-
-  return lastImportNode || lastDirectiveNode
-}
-
-/**
- * Collects import information related to React.
- * @param {import('estree').Program} programNode The AST program node.
- * @returns {{
- *   memoImportLocalName: string | null
- *   reactObjectName: string | null
- *   firstReactNamedImportSpecifier: import('estree').ImportSpecifier | null
- * }}
- */
-function collectReactImportInfo(programNode) {
-  const reactImportInfo = {
-    memoImportLocalName: null,
-    reactObjectName: null,
-    firstReactNamedImportSpecifier: null,
-  }
-
-  for (const statement of programNode.body) {
-    if (
-      statement.type !== 'ImportDeclaration' ||
-      statement.source.type !== 'Literal' ||
-      statement.source.value !== REACT_MODULE_NAME ||
-      statement.importKind === 'type'
-    ) {
-      continue
-    }
-
-    for (const specifier of statement.specifiers) {
-      if (
-        specifier.type === 'ImportDefaultSpecifier' ||
-        specifier.type === 'ImportNamespaceSpecifier'
-      ) {
-        if (!reactImportInfo.reactObjectName) {
-          reactImportInfo.reactObjectName = specifier.local.name
-        }
-        continue
-      }
-
-      if (
-        specifier.type !== 'ImportSpecifier' ||
-        specifier.importKind === 'type'
-      ) {
-        continue
-      }
-
-      if (!reactImportInfo.firstReactNamedImportSpecifier) {
-        reactImportInfo.firstReactNamedImportSpecifier = specifier
-      }
-
-      const imported =
-        specifier.imported.type === 'Identifier'
-          ? specifier.imported.name
-          : String(specifier.imported.value)
-      if (imported === 'memo' && !reactImportInfo.memoImportLocalName) {
-        reactImportInfo.memoImportLocalName = specifier.local.name
-      }
-    }
-  }
-
-  return reactImportInfo
-}
-
-/**
- * Resolves the autofix strategy for wrapping components with `memo`.
- * @param {{
- *   memoImportLocalName: string | null
- *   reactObjectName: string | null
- *   firstReactNamedImportSpecifier: import('estree').ImportSpecifier | null
- * }} reactImportInfo React import information.
- * @returns {{
- *   memoCalleeText: string
- *   importFixMode: 'none' | 'add-react-import' | 'augment-react-import'
- *   reactNamedImportSpecifier: import('estree').ImportSpecifier | null
- * }}
- */
-function resolveMemoFixStrategy(reactImportInfo) {
-  if (reactImportInfo.memoImportLocalName) {
-    return {
-      memoCalleeText: reactImportInfo.memoImportLocalName,
-      importFixMode: IMPORT_FIX_MODE_NONE,
-      reactNamedImportSpecifier: null,
-    }
-  }
-
-  if (reactImportInfo.reactObjectName) {
-    return {
-      memoCalleeText: `${reactImportInfo.reactObjectName}.memo`,
-      importFixMode: IMPORT_FIX_MODE_NONE,
-      reactNamedImportSpecifier: null,
-    }
-  }
-
-  if (reactImportInfo.firstReactNamedImportSpecifier) {
-    return {
-      memoCalleeText: 'memo',
-      importFixMode: IMPORT_FIX_MODE_AUGMENT_REACT_IMPORT,
-      reactNamedImportSpecifier: reactImportInfo.firstReactNamedImportSpecifier,
-    }
-  }
-
-  return {
-    memoCalleeText: 'memo',
-    importFixMode: IMPORT_FIX_MODE_ADD_REACT_IMPORT,
-    reactNamedImportSpecifier: null,
-  }
-}
-
-/**
- * Builds fixer operations that insert `memo` import when needed.
- * @param {import('eslint').Rule.RuleFixer} fixer ESLint fixer object.
- * @param {import('eslint').SourceCode} sourceCode Source code object.
- * @param {{
- *   importFixMode: 'none' | 'add-react-import' | 'augment-react-import'
- *   reactNamedImportSpecifier: import('estree').ImportSpecifier | null
- * }} memoFixStrategy Resolved memo fix strategy.
- * @returns {import('eslint').Rule.Fix | null} Import-related fix operation.
- */
-function createMemoImportFix(fixer, sourceCode, memoFixStrategy) {
-  if (memoFixStrategy.importFixMode === IMPORT_FIX_MODE_NONE) {
-    return null
-  }
-
-  if (
-    memoFixStrategy.importFixMode === IMPORT_FIX_MODE_AUGMENT_REACT_IMPORT &&
-    memoFixStrategy.reactNamedImportSpecifier
   ) {
-    return fixer.insertTextBefore(
-      memoFixStrategy.reactNamedImportSpecifier,
-      'memo, ',
-    )
+    return true
   }
 
-  const programNode = sourceCode.ast
-  const importDeclaration = `import { memo } from '${REACT_MODULE_NAME}'`
-  const anchor = findImportInsertionAnchor(programNode)
-
-  if (anchor) {
-    return fixer.insertTextAfter(anchor, `\n${importDeclaration}`)
-  }
-
-  const firstStatement = programNode.body[0]
-  if (firstStatement) {
-    return fixer.insertTextBefore(firstStatement, `${importDeclaration}\n`)
-  }
-
-  return fixer.insertTextBeforeRange([0, 0], `${importDeclaration}\n`)
+  // Next.js renders convention files itself, so memoizing their exports never saves a render
+  return isNextProjectFile(context) && getNextFileInfo(context).role !== null
 }
 
 /**
@@ -276,18 +81,20 @@ export default {
    * @returns {import('eslint').Rule.NodeListener} A visitor object for AST nodes.
    */
   create(context) {
-    const filename = getRuleFilename(context)
-    if (shouldIgnoreFile(filename)) {
+    if (shouldIgnoreFile(context)) {
       return {}
     }
 
     const sourceCode = context.sourceCode
-    const reactImportInfo = collectReactImportInfo(sourceCode.ast)
-    const memoFixStrategy = resolveMemoFixStrategy(reactImportInfo)
+    const reactImports = createReactImportTracker(context)
+    const { importSource } = getReactSettings(context)
+    const memoFixStrategy = resolveReactApiFixStrategy(
+      sourceCode.ast,
+      reactImports.importSources,
+      'memo',
+    )
+    // Bare `memo` stays recognized even without an import (e.g. globals in tests or demos).
     const memoCallIdentifierNames = new Set(['memo'])
-    if (reactImportInfo.memoImportLocalName) {
-      memoCallIdentifierNames.add(reactImportInfo.memoImportLocalName)
-    }
 
     // Stores potential React function components that need to be checked for memoization.
     // Map: componentName (string) -> candidate descriptor
@@ -361,7 +168,13 @@ export default {
         return true
       }
 
-      // Case 2: Member expression call (e.g., `React.memo(MyComponent)`).
+      // Case 2: Alias resolved from the configured React import sources
+      // (e.g., `import { memo as m } from '@acme/react'` or `const { memo } = require('react')`).
+      if (reactImports.isApiCallee(callee, 'memo')) {
+        return true
+      }
+
+      // Case 3: Member expression call (e.g., `React.memo(MyComponent)`).
       if (
         callee.type === 'MemberExpression' &&
         !callee.computed && // Ensures it's `React.memo` not `React['memo']`
@@ -411,6 +224,7 @@ export default {
        * @returns {void}
        */
       VariableDeclarator(node) {
+        reactImports.trackVariableDeclarator(node)
         // Ensure the variable is declared with an identifier name (e.g., `const Comp = ...`).
         if (node.id && node.id.type === 'Identifier') {
           const name = node.id.name
@@ -523,7 +337,7 @@ export default {
        */
       'Program:exit'() {
         let shouldAttachImportFix =
-          memoFixStrategy.importFixMode !== IMPORT_FIX_MODE_NONE
+          memoFixStrategy.importFixMode !== REACT_API_IMPORT_FIX_MODES.NONE
 
         // Iterate over all collected component candidates.
         for (const [name, candidate] of componentCandidates.entries()) {
@@ -546,15 +360,17 @@ export default {
                 const fixes = [
                   fixer.replaceText(
                     candidate.initNode,
-                    `${memoFixStrategy.memoCalleeText}(${sourceCode.getText(candidate.initNode)})`,
+                    `${memoFixStrategy.calleeText}(${sourceCode.getText(candidate.initNode)})`,
                   ),
                 ]
 
                 if (shouldApplyImportFix) {
-                  const importFix = createMemoImportFix(
+                  const importFix = createReactApiImportFix(
                     fixer,
-                    sourceCode,
+                    sourceCode.ast,
                     memoFixStrategy,
+                    'memo',
+                    importSource,
                   )
                   if (importFix) {
                     fixes.unshift(importFix)
@@ -258,7 +258,7 @@ export default {
     docs: {
       description: 'Disallows useless fragment elements.',
       category: 'Stylistic Issues',
-      recommended: false,
+      recommended: true,
       url: 'https://github.com/laststance/react-next-eslint-plugin/blob/main/docs/rules/jsx-no-useless-fragment.md',
     },
     fixable: 'code',
@@ -1,4 +1,4 @@
-import { isUseCallbackCallee } from '../utils/hooks.js'
+import { createReactImportTracker } from '../utils/react-imports.js'
 
 /**
  * @fileoverview Detects meaningless use of useCallback: passed to intrinsic elements or immediately called inside inline handlers.
@@ -34,6 +34,7 @@ export default {
     // A set to store the names of variables declared with useCallback.
     // This allows quick lookup to identify functions stabilized by useCallback.
     const callbackNames = new Set()
+    const reactImports = createReactImportTracker(context)
 
     /**
      * Checks if a JSX name node refers to an intrinsic HTML element.
@@ -63,7 +64,7 @@ export default {
         node.id.type === 'Identifier' &&
         node.init &&
         node.init.type === 'CallExpression' &&
-        isUseCallbackCallee(node.init.callee)
+        reactImports.isApiCalleeLoose(node.init.callee, 'useCallback')
       ) {
         callbackNames.add(node.id.name)
       }
@@ -183,6 +184,7 @@ export default {
 
     return {
       VariableDeclarator(node) {
+        reactImports.trackVariableDeclarator(node)
         collectUseCallbackDeclarator(node)
       },
 
@@ -228,12 +230,11 @@ export default {
       CallExpression(node) {
         const callee = node.callee
 
-        // Identify calls to `createElement` or `React.createElement`.
-        const isCreateElement =
-          (callee.type === 'Identifier' && callee.name === 'createElement') ||
-          (callee.type === 'MemberExpression' &&
-            callee.property.type === 'Identifier' &&
-            callee.property.name === 'createElement')
+        // Identify calls to `createElement` or `React.createElement`, including aliases.
+        const isCreateElement = reactImports.isApiCalleeLoose(
+          callee,
+          'createElement',
+        )
 
         if (!isCreateElement || node.arguments.length < 2) {
           return
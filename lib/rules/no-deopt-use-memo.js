@@ -1,4 +1,4 @@
-import { isUseMemoCallee } from '../utils/hooks.js'
+import { createReactImportTracker } from '../utils/react-imports.js'
 
 /**
  * @fileoverview Detects meaningless useMemo usage similar to no-deopt-use-callback but for memoized values.
@@ -30,6 +30,7 @@ export default {
 
   create(context) {
     const memoNames = new Set()
+    const reactImports = createReactImportTracker(context)
 
     function collectUseMemoDeclarator(node) {
       if (
@@ -37,7 +38,7 @@ export default {
         node.id.type === 'Identifier' &&
         node.init &&
         node.init.type === 'CallExpression' &&
-        isUseMemoCallee(node.init.callee)
+        reactImports.isApiCalleeLoose(node.init.callee, 'useMemo')
       ) {
         memoNames.add(node.id.name)
       }
@@ -223,6 +224,7 @@ export default {
 
     return {
       VariableDeclarator(node) {
+        reactImports.trackVariableDeclarator(node)
         collectUseMemoDeclarator(node)
       },
       JSXOpeningElement(node) {
@@ -233,12 +235,7 @@ export default {
       },
       CallExpression(node) {
         const callee = node.callee
-        const isCreateElement =
-          (callee.type === 'Identifier' && callee.name === 'createElement') ||
-          (callee.type === 'MemberExpression' &&
-            callee.property.type === 'Identifier' &&
-            callee.property.name === 'createElement')
-        if (!isCreateElement) return
+        if (!reactImports.isApiCalleeLoose(callee, 'createElement')) return
         handleCreateElement(node)
       },
     }
@@ -86,7 +86,7 @@ export default {
       description:
         "Prevents duplicate 'key' props on sibling elements when rendering lists.",
       category: 'Possible Errors',
-      recommended: false,
+      recommended: true,
       url: 'https://github.com/laststance/react-next-eslint-plugin/blob/main/docs/rules/no-duplicate-key.md',
     },
     fixable: null,
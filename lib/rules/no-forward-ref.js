@@ -4,27 +4,39 @@
 
 import { getReactSettings, isVersionAtLeastMajor } from '../utils/react-settings.js'
 import { getFunctionId } from '../utils/ast.js'
+import { getRuleScope } from '../utils/eslint-context.js'
+import { removeImportSpecifiers } from '../utils/import-fixes.js'
+import {
+  createReactImportTracker,
+  isReactImportDeclaration,
+} from '../utils/react-imports.js'
 
 const REACT_VERSION_MAJOR = 19
+const FORWARD_REF_NAME = 'forwardRef'
+const REF_PROP_NAME = 'ref'
+const REF_TYPE_NAME = 'Ref'
+// Types a forwardRef render function may use for its `ref` parameter
+const REF_PARAMETER_TYPE_NAMES = new Set(['ForwardedRef', 'Ref'])
+const RENDER_FUNCTION_TYPES = new Set([
+  'ArrowFunctionExpression',
+  'FunctionExpression',
+])
+// Types that need parentheses on the left of `&`
+const LOOSE_BINDING_TYPE_NODE_TYPES = new Set([
+  'TSUnionType',
+  'TSFunctionType',
+  'TSConstructorType',
+  'TSConditionalType',
+])
 
 /**
  * Determines whether a CallExpression represents a forwardRef call.
+ * @param {ReturnType<typeof createReactImportTracker>} reactImports - React import tracker.
  * @param {import('estree').CallExpression} node - CallExpression node.
  * @returns {boolean} True if the call is to forwardRef.
  */
-function isForwardRefCall(node) {
-  const callee = unwrapChainExpression(node.callee)
-  if (!callee) return false
-  if (callee.type === 'Identifier') {
-    return callee.name === 'forwardRef'
-  }
-  if (callee.type === 'MemberExpression') {
-    if (callee.computed) return false
-    return callee.property.type === 'Identifier'
-      ? callee.property.name === 'forwardRef'
-      : false
-  }
-  return false
+function isForwardRefCall(reactImports, node) {
+  return reactImports.isApiCalleeLoose(node.callee, FORWARD_REF_NAME)
 }
 
 /**
@@ -39,6 +51,80 @@ function unwrapChainExpression(node) {
   return node
 }
 
+/**
+ * Returns the type arguments of a call or type reference (`typeParameters` in older parsers).
+ * @param {import('estree').Node} node - CallExpression or TSTypeReference node.
+ * @returns {import('estree').Node[]} Type argument nodes.
+ */
+function getTypeArguments(node) {
+  return (node.typeArguments ?? node.typeParameters)?.params ?? []
+}
+
+/**
+ * Reads `T` from a `ForwardedRef<T>` or `Ref<T>` annotation, optionally namespaced.
+ * @param {import('estree').Node} typeNode - Annotation type node.
+ * @returns {import('estree').Node | null} Referenced element type, or null for other types.
+ */
+function getRefTypeArgument(typeNode) {
+  if (typeNode.type !== 'TSTypeReference') return null
+  const typeName =
+    typeNode.typeName.type === 'TSQualifiedName'
+      ? typeNode.typeName.right
+      : typeNode.typeName
+  const typeArguments = getTypeArguments(typeNode)
+  return REF_PARAMETER_TYPE_NAMES.has(typeName.name) &&
+    typeArguments.length === 1
+    ? typeArguments[0]
+    : null
+}
+
+/**
+ * Returns the source of a parameter without its type annotation.
+ * @param {import('eslint').SourceCode} sourceCode - ESLint SourceCode instance.
+ * @param {import('estree').Pattern} param - Parameter node.
+ * @returns {string} Parameter source.
+ */
+function getParamTextWithoutType(sourceCode, param) {
+  const end = param.typeAnnotation
+    ? param.typeAnnotation.range[0]
+    : param.range[1]
+  return sourceCode.text.slice(param.range[0], end).trimEnd()
+}
+
+/**
+ * Adds a `ref` entry to an object pattern, before its rest element if there is one.
+ * @param {import('eslint').SourceCode} sourceCode - ESLint SourceCode instance.
+ * @param {import('estree').ObjectPattern} pattern - Props pattern.
+ * @param {string} refEntry - Entry such as "ref" or "ref: inputRef".
+ * @returns {string | null} Pattern source without its type annotation, or null when it already reads `ref`.
+ */
+function addRefToObjectPattern(sourceCode, pattern, refEntry) {
+  const { properties } = pattern
+  if (
+    properties.some(
+      (property) =>
+        property.type === 'Property' &&
+        !property.computed &&
+        property.key.type === 'Identifier' &&
+        property.key.name === REF_PROP_NAME,
+    )
+  ) {
+    return null
+  }
+  const start = pattern.range[0]
+  const text = getParamTextWithoutType(sourceCode, pattern)
+  const restElement = properties.find(
+    (property) => property.type === 'RestElement',
+  )
+  if (restElement) {
+    const offset = restElement.range[0] - start
+    return `${text.slice(0, offset)}${refEntry}, ${text.slice(offset)}`
+  }
+  if (properties.length === 0) return `{ ${refEntry} }`
+  const offset = properties.at(-1).range[1] - start
+  return `${text.slice(0, offset)}, ${refEntry}${text.slice(offset)}`
+}
+
 /**
  * Determines if the rule should apply based on React settings.
  * @param {import('eslint').Rule.RuleContext} context - ESLint rule context.
@@ -58,7 +144,7 @@ export default {
       recommended: false,
       url: 'https://github.com/laststance/react-next-eslint-plugin/blob/main/docs/rules/no-forward-ref.md',
     },
-    fixable: null,
+    fixable: 'code',
     hasSuggestions: false,
     schema: [],
     messages: {
@@ -73,21 +159,309 @@ export default {
    * @returns {import('eslint').Rule.RuleListener} Rule listener map.
    */
   create(context) {
-    if (!context.sourceCode.text.includes('forwardRef')) {
+    if (!context.sourceCode.text.includes(FORWARD_REF_NAME)) {
       return {}
     }
     if (!shouldCheck(context)) {
       return {}
     }
+    const sourceCode = context.sourceCode
+    const reactImports = createReactImportTracker(context)
+    // forwardRef call -> render function changes, or null when it cannot be fixed
+    const renderFunctionParts = new Map()
+
+    /**
+     * Finds the variable a name refers to at a node.
+     * @param {import('estree').Node} node - Node to start the lookup from.
+     * @param {string} name - Variable name.
+     * @returns {import('eslint').Scope.Variable | null} Variable or null.
+     */
+    function findVariable(node, name) {
+      let scope = getRuleScope(context, node)
+      while (scope) {
+        const variable = scope.set?.get(name)
+        if (variable) return variable
+        scope = scope.upper
+      }
+      return null
+    }
+
+    /**
+     * Reads how the render function of a forwardRef call changes when it takes `ref` as a prop.
+     * TypeScript types come from the parameter annotations or the call's type arguments.
+     * @param {import('estree').CallExpression} call - forwardRef call.
+     * @returns {{ render: import('estree').Function, patternText: string, propsTypeText: string | null, refTypeText: string | null } | null}
+     * Render function changes, or null for calls that cannot be fixed.
+     */
+    function readRenderFunctionParts(call) {
+      const [render] = call.arguments
+      if (
+        call.arguments.length !== 1 ||
+        !RENDER_FUNCTION_TYPES.has(render.type) ||
+        render.params.length > 2
+      ) {
+        return null
+      }
+      const [propsParam, refParam] = render.params
+      const [refTypeArgument, propsTypeArgument] = getTypeArguments(call)
+      let refTypeNode = null
+      let refEntry = null
+      if (refParam) {
+        if (refParam.type !== 'Identifier') return null
+        refTypeNode = refTypeArgument ?? null
+        if (refParam.typeAnnotation) {
+          const annotatedType = getRefTypeArgument(
+            refParam.typeAnnotation.typeAnnotation,
+          )
+          if (!annotatedType) return null
+          refTypeNode ??= annotatedType
+        }
+        refEntry =
+          refParam.name === REF_PROP_NAME
+            ? REF_PROP_NAME
+            : `${REF_PROP_NAME}: ${refParam.name}`
+      }
+
+      let patternText = ''
+      if (propsParam?.type === 'Identifier') {
+        patternText = refEntry
+          ? `{ ${refEntry}, ...${propsParam.name} }`
+          : propsParam.name
+      } else if (propsParam?.type === 'ObjectPattern') {
+        patternText = refEntry
+          ? addRefToObjectPattern(sourceCode, propsParam, refEntry)
+          : getParamTextWithoutType(sourceCode, propsParam)
+        if (patternText === null) return null
+      } else if (propsParam) {
+        return null
+      }
+
+      const propsTypeNode =
+        propsParam?.typeAnnotation?.typeAnnotation ?? propsTypeArgument ?? null
+      let propsTypeText = propsTypeNode
+        ? sourceCode.getText(propsTypeNode)
+        : null
+      if (
+        propsTypeText &&
+        refTypeNode &&
+        LOOSE_BINDING_TYPE_NODE_TYPES.has(propsTypeNode.type)
+      ) {
+        propsTypeText = `(${propsTypeText})`
+      }
+      return {
+        render,
+        patternText,
+        propsTypeText,
+        refTypeText: refTypeNode ? sourceCode.getText(refTypeNode) : null,
+      }
+    }
+
+    /**
+     * Memoized {@link readRenderFunctionParts}.
+     * @param {import('estree').CallExpression} call - forwardRef call.
+     * @returns {ReturnType<typeof readRenderFunctionParts>} Render function changes or null.
+     */
+    function getRenderFunctionParts(call) {
+      if (!renderFunctionParts.has(call)) {
+        renderFunctionParts.set(call, readRenderFunctionParts(call))
+      }
+      return renderFunctionParts.get(call)
+    }
+
+    /**
+     * Builds the render function source that replaces the forwardRef call, e.g.
+     * `({ ref, ...props }: Props & { ref?: Ref<HTMLButtonElement> }) => ...`.
+     * @param {NonNullable<ReturnType<typeof readRenderFunctionParts>>} parts - Render function changes.
+     * @param {string} refTypeName - Name of React's `Ref` type in this module.
+     * @returns {string} Render function source.
+     */
+    function buildRenderFunctionText(parts, refTypeName) {
+      const { render, patternText, propsTypeText, refTypeText } = parts
+      const { params } = render
+      if (params.length === 0) return sourceCode.getText(render)
+      const refPropType = refTypeText
+        ? `{ ${REF_PROP_NAME}?: ${refTypeName}<${refTypeText}> }`
+        : null
+      const typeText =
+        propsTypeText && refPropType
+          ? `${propsTypeText} & ${refPropType}`
+          : (propsTypeText ?? refPropType)
+      const text = sourceCode.text
+      const start = params[0].range[0]
+      const end = params.at(-1).range[1]
+      let paramsText = typeText ? `${patternText}: ${typeText}` : patternText
+      // `props => ...` needs parentheses once the parameter is a pattern or typed
+      if (
+        paramsText !== text.slice(start, end) &&
+        sourceCode.getTokenAfter(params.at(-1)).value === '=>'
+      ) {
+        paramsText = `(${paramsText})`
+      }
+      return `${text.slice(render.range[0], start)}${paramsText}${text.slice(end, render.range[1])}`
+    }
+
+    /**
+     * Lists the forwardRef calls made through an import that can be fixed, in source order.
+     * @param {import('eslint').Scope.Variable} variable - forwardRef import variable.
+     * @returns {import('estree').CallExpression[]} Fixable calls.
+     */
+    function getFixableCalls(variable) {
+      return variable.references
+        .map(({ identifier }) => identifier)
+        .filter(
+          (identifier) =>
+            identifier.parent.type === 'CallExpression' &&
+            identifier.parent.callee === identifier &&
+            getRenderFunctionParts(identifier.parent) !== null,
+        )
+        .sort((a, b) => a.range[0] - b.range[0])
+        .map((identifier) => identifier.parent)
+    }
+
+    /**
+     * Finds the named imports of ref parameter types such as `ForwardedRef` that are only
+     * used to annotate the `ref` parameters of the given calls.
+     * @param {import('estree').CallExpression[]} calls - forwardRef calls that are fixed.
+     * @returns {import('estree').ImportSpecifier[]} Specifiers unused after the fix.
+     */
+    function getUnusedRefTypeSpecifiers(calls) {
+      const annotations = calls
+        .map(({ arguments: [render] }) => render.params[1]?.typeAnnotation)
+        .filter(Boolean)
+      const specifiers = new Set()
+      for (const annotation of annotations) {
+        const { typeName } = annotation.typeAnnotation
+        if (typeName.type !== 'Identifier' || typeName.name === REF_TYPE_NAME) {
+          continue
+        }
+        const variable = findVariable(annotation, typeName.name)
+        const definition = variable?.defs[0]
+        if (
+          definition?.type === 'ImportBinding' &&
+          definition.node.type === 'ImportSpecifier' &&
+          variable.references.every(({ identifier }) =>
+            annotations.some(
+              ({ range }) =>
+                identifier.range[0] >= range[0] &&
+                identifier.range[1] <= range[1],
+            ),
+          )
+        ) {
+          specifiers.add(definition.node)
+        }
+      }
+      return [...specifiers]
+    }
+
+    /**
+     * Creates the fix that unwraps a forwardRef call. The first fixable call of an import also
+     * updates the imports: it adds React's `Ref` type when any call needs it, and removes
+     * `forwardRef` once every call is fixed and `ForwardedRef` once no annotation uses it, so
+     * all fixes apply in a single pass.
+     * @param {import('estree').CallExpression} call - forwardRef call.
+     * @returns {import('eslint').Rule.ReportFixer | null} Fix or null.
+     */
+    function createFix(call) {
+      const parts = getRenderFunctionParts(call)
+      // A forwardRef that is not React's, e.g. a local helper, only gets the report
+      if (!parts || !reactImports.isApiCallee(call.callee, FORWARD_REF_NAME)) {
+        return null
+      }
+      const callee = unwrapChainExpression(call.callee)
+      if (callee.type === 'MemberExpression') {
+        // `React.forwardRef` keeps using the namespace, e.g. `React.Ref<T>`
+        const refTypeName = `${sourceCode.getText(callee.object)}.${REF_TYPE_NAME}`
+        return (fixer) =>
+          fixer.replaceText(call, buildRenderFunctionText(parts, refTypeName))
+      }
+
+      const variable = findVariable(call, callee.name)
+      const definition = variable?.defs[0]
+      const specifier =
+        definition?.type === 'ImportBinding' &&
+        definition.node.type === 'ImportSpecifier'
+          ? definition.node
+          : null
+      const fixableCalls = specifier ? getFixableCalls(variable) : [call]
+      const needsRefImport =
+        !findVariable(call, REF_TYPE_NAME) &&
+        fixableCalls.some(
+          (fixableCall) =>
+            getRenderFunctionParts(fixableCall).refTypeText !== null,
+        )
+      const canImportRef = Boolean(
+        specifier &&
+        isReactImportDeclaration(specifier.parent, reactImports.importSources),
+      )
+      if (parts.refTypeText !== null && needsRefImport && !canImportRef) {
+        return null
+      }
+      const ownsImport = Boolean(specifier) && fixableCalls[0] === call
+      const addsRefImport = ownsImport && needsRefImport && canImportRef
+      const removesImport =
+        ownsImport && fixableCalls.length === variable.references.length
+      const removedSpecifiers = ownsImport
+        ? [
+            ...(removesImport ? [specifier] : []),
+            ...getUnusedRefTypeSpecifiers(fixableCalls),
+          ]
+        : []
+      // `Ref` takes the place of a removed specifier of a React import when there is one
+      const refSpecifier = addsRefImport
+        ? (removedSpecifiers.find((removedSpecifier) =>
+            reactImports.importSources.has(
+              removedSpecifier.parent.source.value,
+            ),
+          ) ?? null)
+        : null
+
+      return (fixer) => {
+        const fixes = [
+          fixer.replaceText(
+            call,
+            buildRenderFunctionText(parts, REF_TYPE_NAME),
+          ),
+        ]
+        if (refSpecifier) {
+          fixes.push(
+            fixer.replaceText(
+              refSpecifier,
+              refSpecifier.parent.importKind === 'type'
+                ? REF_TYPE_NAME
+                : `type ${REF_TYPE_NAME}`,
+            ),
+          )
+        } else if (addsRefImport) {
+          fixes.push(
+            fixer.insertTextBefore(specifier, `type ${REF_TYPE_NAME}, `),
+          )
+        }
+        fixes.push(
+          ...removeImportSpecifiers(
+            fixer,
+            sourceCode,
+            removedSpecifiers.filter(
+              (removedSpecifier) => removedSpecifier !== refSpecifier,
+            ),
+          ),
+        )
+        return fixes
+      }
+    }
+
     return {
       CallExpression(node) {
-        if (!isForwardRefCall(node)) return
+        if (!isForwardRefCall(reactImports, node)) return
         const id = getFunctionId(node)
         context.report({
           node: id || node,
           messageId: 'noForwardRef',
+          fix: createFix(node),
         })
       },
+      VariableDeclarator(node) {
+        reactImports.trackVariableDeclarator(node)
+      },
     }
   },
 }
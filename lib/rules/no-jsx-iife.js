@@ -1,3 +1,38 @@
+import {
+  collectReturnStatements,
+  findParentNode,
+  getFunctionId,
+  isClassNode,
+  isFunctionNode,
+} from '../utils/ast.js'
+import { getRuleSourceCode } from '../utils/eslint-context.js'
+import {
+  collectCapturedVariables,
+  getLeadingNode,
+  getLineIndent,
+  getModuleInsertionPoint,
+  isDeclaredAtModuleScope,
+  isWithin,
+  reindentText,
+} from '../utils/hoist-fixes.js'
+import { getStatementTerminator, isNameAvailable } from '../utils/hook-fixes.js'
+import { isJSX } from '../utils/jsx.js'
+import { isComponentNameLoose } from '../utils/naming.js'
+
+const IDENTIFIER_NAME_PATTERN = /^[A-Za-z_$][\w$]*$/
+const WHITESPACE_PATTERN = /^\s*$/
+const CHILD_CONTENT_NAME = 'content'
+const CHILD_COMPONENT_SUFFIX = 'Content'
+// Props React consumes itself, which a component never receives
+const RESERVED_PROP_NAMES = new Set(['key', 'ref'])
+const LOOP_STATEMENT_TYPES = new Set([
+  'ForStatement',
+  'ForInStatement',
+  'ForOfStatement',
+  'WhileStatement',
+  'DoWhileStatement',
+])
+
 /**
  * Determines whether an expression is a directly invoked function expression inside JSX.
  * @param {import('estree').Expression | import('estree').JSXEmptyExpression | null | undefined} expression - Expression to inspect.
@@ -25,6 +60,315 @@ function isImmediatelyInvokedFunctionExpression(expression) {
   )
 }
 
+/**
+ * Returns the function of an IIFE whose body can be moved: it takes no arguments, is neither
+ * async nor a generator, and does not read its own `this` or `arguments`.
+ * @param {import('eslint').SourceCode} sourceCode - ESLint SourceCode instance.
+ * @param {import('estree').Expression} expression - Reported IIFE.
+ * @returns
+ * - `Function`: the invoked function expression
+ * - `null`: the IIFE cannot be extracted
+ * @example
+ * getExtractableFunction(sourceCode, iife) // => ArrowFunctionExpression
+ */
+function getExtractableFunction(sourceCode, expression) {
+  const call =
+    expression.type === 'ChainExpression' ? expression.expression : expression
+  const { callee } = call
+  if (
+    call.arguments.length > 0 ||
+    callee.params.length > 0 ||
+    callee.async ||
+    callee.generator ||
+    sourceCode
+      .getTokens(callee.body)
+      .some(
+        (token) =>
+          (token.type === 'Keyword' &&
+            (token.value === 'this' || token.value === 'super')) ||
+          (token.type === 'Identifier' && token.value === 'arguments'),
+      )
+  ) {
+    return null
+  }
+  return callee
+}
+
+/**
+ * Finds the statement before which the value of an IIFE can be computed: the statement of the
+ * enclosing block that contains it, as long as the IIFE runs whenever that statement does.
+ * @param {import('estree').Node} node - Reported IIFE.
+ * @returns
+ * - `Statement`: statement to declare the value before
+ * - `null`: the IIFE is inside a callback, a loop or a conditional branch
+ * @example
+ * findExtractionStatement(iife) // => ReturnStatement
+ */
+function findExtractionStatement(node) {
+  let child = node
+  for (let parent = node.parent; parent; parent = parent.parent) {
+    if (parent.type === 'BlockStatement' || parent.type === 'Program') {
+      return child
+    }
+    if (
+      isFunctionNode(parent) ||
+      isClassNode(parent) ||
+      LOOP_STATEMENT_TYPES.has(parent.type) ||
+      parent.type === 'SwitchCase' ||
+      parent.type === 'ChainExpression' ||
+      (parent.type === 'LogicalExpression' && parent.right === child) ||
+      ((parent.type === 'ConditionalExpression' ||
+        parent.type === 'IfStatement') &&
+        parent.test !== child)
+    ) {
+      return null
+    }
+    child = parent
+  }
+  return null
+}
+
+/**
+ * Returns the source of an expression that initializes a variable, keeping its parentheses.
+ * @param {import('eslint').SourceCode} sourceCode - ESLint SourceCode instance.
+ * @param {import('estree').Expression} node - Expression.
+ * @returns
+ * - `{ text, startNode }`: the source and the token or node it starts at
+ * @example
+ * getInitializerText(sourceCode, node) // => { text: "(\n  <li />\n)", startNode: Token }
+ */
+function getInitializerText(sourceCode, node) {
+  const tokenBefore = sourceCode.getTokenBefore(node)
+  const tokenAfter = sourceCode.getTokenAfter(node)
+  if (tokenBefore?.value === '(' && tokenAfter?.value === ')') {
+    return {
+      text: sourceCode.text.slice(tokenBefore.range[0], tokenAfter.range[1]),
+      startNode: tokenBefore,
+    }
+  }
+  const text = sourceCode.getText(node)
+  return {
+    text: node.type === 'SequenceExpression' ? `(${text})` : text,
+    startNode: node,
+  }
+}
+
+/**
+ * Prepares a suggestion that computes the value of an IIFE in a `const` declared before the
+ * statement rendering it. Statements before the final `return` are moved along.
+ * @param {import('eslint').Rule.RuleContext} context - ESLint rule context.
+ * @param {import('estree').Expression} expression - Reported IIFE.
+ * @param {import('estree').Function} callee - Invoked function.
+ * @param {string} baseName - Preferred variable name.
+ * @returns
+ * - `{ name, fix }`: the variable name and the suggestion fixer
+ * - `null`: the body has several returns, or its value cannot be computed earlier
+ * @example
+ * createVariableExtraction(context, iife, callee, 'label') // => { name: 'label', fix }
+ */
+function createVariableExtraction(context, expression, callee, baseName) {
+  const sourceCode = getRuleSourceCode(context)
+  const statement = findExtractionStatement(expression)
+  if (!statement) return null
+  let valueNode = callee.body
+  let leadingStatements = []
+  if (callee.body.type === 'BlockStatement') {
+    const returns = collectReturnStatements(callee, sourceCode)
+    const lastStatement = callee.body.body.at(-1)
+    if (
+      returns.length !== 1 ||
+      returns[0] !== lastStatement ||
+      !lastStatement.argument
+    ) {
+      return null
+    }
+    valueNode = lastStatement.argument
+    leadingStatements = callee.body.body.slice(0, -1)
+  }
+
+  // Variables the IIFE reads must already be initialized before the statement
+  const calleeScope = sourceCode.scopeManager.acquire(callee)
+  if (
+    calleeScope.through.some(({ resolved }) => {
+      const definition = resolved?.defs[0]
+      return (
+        definition &&
+        isWithin(definition.name, statement) &&
+        !isWithin(definition.name, callee)
+      )
+    })
+  ) {
+    return null
+  }
+  const declaredNames = calleeScope.variables
+    .filter((variable) => variable.defs.length > 0)
+    .map((variable) => variable.name)
+  if (
+    declaredNames.some(
+      (declaredName) => !isNameAvailable(context, statement, declaredName),
+    )
+  ) {
+    return null
+  }
+  let name = baseName
+  for (
+    let suffix = 2;
+    !isNameAvailable(context, statement, name) || declaredNames.includes(name);
+    suffix += 1
+  ) {
+    name = `${baseName}${suffix}`
+  }
+
+  const indent = getLineIndent(sourceCode, statement)
+  const startsLine = WHITESPACE_PATTERN.test(
+    sourceCode.lines[statement.loc.start.line - 1].slice(
+      0,
+      statement.loc.start.column,
+    ),
+  )
+  const terminator = startsLine
+    ? getStatementTerminator(sourceCode, statement.parent.body)
+    : ';'
+  const separator = startsLine ? `\n${indent}` : ' '
+  const initializer = getInitializerText(sourceCode, valueNode)
+  let declarations = `const ${name} = ${reindentText(
+    sourceCode,
+    valueNode,
+    initializer.text,
+    getLineIndent(sourceCode, initializer.startNode),
+    indent,
+  )}${terminator}`
+  if (leadingStatements.length > 0) {
+    const leadingNode = getLeadingNode(sourceCode, leadingStatements[0])
+    const leadingText = sourceCode.text
+      .slice(leadingNode.range[0], valueNode.parent.range[0])
+      .trimEnd()
+    declarations = `${reindentText(
+      sourceCode,
+      callee.body,
+      leadingText,
+      getLineIndent(sourceCode, leadingNode),
+      indent,
+    )}${separator}${declarations}`
+  }
+
+  return {
+    name,
+    fix: (fixer) => [
+      fixer.insertTextBefore(statement, `${declarations}${separator}`),
+      fixer.replaceText(expression, name),
+    ],
+  }
+}
+
+/**
+ * Finds the name of the component an IIFE is rendered in.
+ * @param {import('estree').Node} node - Reported IIFE.
+ * @returns
+ * - `string`: the nearest enclosing function or class with a component name
+ * - `null`: no enclosing component was found
+ * @example
+ * findComponentName(iife) // => "UserCard"
+ */
+function findComponentName(node) {
+  for (
+    let current = findParentNode(node, isFunctionNode);
+    current;
+    current = findParentNode(current, isFunctionNode)
+  ) {
+    const id = getFunctionId(current)
+    if (id?.type === 'Identifier' && isComponentNameLoose(id.name)) {
+      return id.name
+    }
+  }
+  const classNode = findParentNode(node, isClassNode)
+  return classNode?.id && isComponentNameLoose(classNode.id.name)
+    ? classNode.id.name
+    : null
+}
+
+/**
+ * Prepares a suggestion that moves an IIFE picking JSX with early returns into a new component
+ * declared next to the current one, passing the values it captures as props.
+ * @param {import('eslint').Rule.RuleContext} context - ESLint rule context.
+ * @param {import('estree').JSXExpressionContainer} container - Container of the IIFE.
+ * @param {import('estree').Function} callee - Invoked function.
+ * @returns
+ * - `{ name, props, fix }`: the component name, its props and the suggestion fixer
+ * - `null`: the body does not return JSX early, or a captured value cannot be passed as a prop
+ * @example
+ * createComponentExtraction(context, container, callee) // => { name: 'UserCardContent', props: ['user'], fix }
+ */
+function createComponentExtraction(context, container, callee) {
+  const sourceCode = getRuleSourceCode(context)
+  if (callee.body.type !== 'BlockStatement') return null
+  const returns = collectReturnStatements(callee, sourceCode)
+  if (
+    returns.length < 2 ||
+    !returns.some((statement) => isJSX(statement.argument))
+  ) {
+    return null
+  }
+  const captured = collectCapturedVariables(
+    sourceCode.scopeManager.acquire(callee),
+    callee,
+    callee,
+  )
+  if (
+    !captured ||
+    captured.some((variable) => RESERVED_PROP_NAMES.has(variable.name))
+  ) {
+    return null
+  }
+  const props = captured.map((variable) => variable.name)
+
+  const attribute =
+    container.parent.type === 'JSXAttribute' ? container.parent : null
+  const attributeName = attribute?.name.name
+  const suffix =
+    typeof attributeName === 'string' &&
+    IDENTIFIER_NAME_PATTERN.test(attributeName)
+      ? `${attributeName[0].toUpperCase()}${attributeName.slice(1)}`
+      : CHILD_COMPONENT_SUFFIX
+  const baseName = `${findComponentName(container) ?? ''}${suffix}`
+  let name = baseName
+  for (
+    let index = 2;
+    isDeclaredAtModuleScope(sourceCode, name) ||
+    !isNameAvailable(context, container, name);
+    index += 1
+  ) {
+    name = `${baseName}${index}`
+  }
+
+  const insertion = getModuleInsertionPoint(sourceCode, container)
+  const bodyText = reindentText(
+    sourceCode,
+    callee.body,
+    sourceCode.getText(callee.body),
+    getLineIndent(sourceCode, callee.body),
+    insertion.indent,
+  )
+  const params = props.length > 0 ? `{ ${props.join(', ')} }` : ''
+  const element = `<${name}${props
+    .map((prop) => ` ${prop}={${prop}}`)
+    .join('')} />`
+
+  return {
+    name,
+    props,
+    fix: (fixer) => [
+      fixer.insertTextBeforeRange(
+        insertion.node.range,
+        `function ${name}(${params}) ${bodyText}\n\n${insertion.indent}`,
+      ),
+      attribute
+        ? fixer.replaceText(container.expression, element)
+        : fixer.replaceText(container, element),
+    ],
+  }
+}
+
 export default {
   meta: {
     type: 'suggestion',
@@ -32,13 +376,19 @@ export default {
       description:
         'Disallow immediately invoked function expressions inside JSX.',
       category: 'Best Practices',
-      recommended: false,
+      recommended: true,
       url: 'https://github.com/laststance/react-next-eslint-plugin/blob/main/docs/rules/no-jsx-iife.md',
     },
+    hasSuggestions: true,
     schema: [],
     messages: {
       noJsxIife:
         'Do not use immediately invoked function expressions inside JSX. Move the logic outside JSX and reference the computed value instead.',
+      extractToVariable:
+        "Compute the value in 'const {{name}}' before this statement.",
+      extractToComponent: "Move the function into a new '{{name}}' component.",
+      extractToComponentWithProps:
+        "Move the function into a new '{{name}}' component that receives {{props}} as props.",
     },
   },
 
@@ -57,9 +407,48 @@ export default {
           return
         }
 
+        const sourceCode = getRuleSourceCode(context)
+        const callee = getExtractableFunction(sourceCode, node.expression)
+        const suggestions = []
+        if (callee) {
+          const attributeName =
+            node.parent.type === 'JSXAttribute' ? node.parent.name.name : null
+          const variable = createVariableExtraction(
+            context,
+            node.expression,
+            callee,
+            typeof attributeName === 'string' &&
+              IDENTIFIER_NAME_PATTERN.test(attributeName)
+              ? attributeName
+              : CHILD_CONTENT_NAME,
+          )
+          if (variable) {
+            suggestions.push({
+              messageId: 'extractToVariable',
+              data: { name: variable.name },
+              fix: variable.fix,
+            })
+          }
+          const component = createComponentExtraction(context, node, callee)
+          if (component) {
+            suggestions.push({
+              messageId:
+                component.props.length > 0
+                  ? 'extractToComponentWithProps'
+                  : 'extractToComponent',
+              data: {
+                name: component.name,
+                props: component.props.map((prop) => `'${prop}'`).join(', '),
+              },
+              fix: component.fix,
+            })
+          }
+        }
+
         context.report({
           node: node.expression,
           messageId: 'noJsxIife',
+          suggest: suggestions,
         })
       },
     }
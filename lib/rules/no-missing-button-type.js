@@ -4,44 +4,18 @@
 
 import {
   getJsxAttribute,
-  getStaticJsxAttributeStringValue,
+  resolveDomElementType,
 } from '../utils/jsx-attributes.js'
-import { getJsxElementType } from '../utils/jsx.js'
-import { getReactSettings } from '../utils/react-settings.js'
 
 const BUTTON_TYPES = ['button', 'submit', 'reset']
 
-/**
- * Resolves the DOM element type for a JSX element.
- * @param {import('eslint').Rule.RuleContext} context - ESLint rule context.
- * @param {import('estree').JSXElement} node - JSX element node.
- * @returns {string} DOM element type.
- */
-function resolveDomElementType(context, node) {
-  const elementName = getJsxElementType(node)
-  if (!elementName) return ''
-  if (elementName === elementName.toLowerCase()) {
-    return elementName
-  }
-  const { polymorphicPropName } = getReactSettings(context)
-  if (!polymorphicPropName) {
-    return elementName
-  }
-  const polymorphicAttribute = getJsxAttribute(context, node)(polymorphicPropName)
-  const staticValue = getStaticJsxAttributeStringValue(polymorphicAttribute)
-  if (typeof staticValue === 'string') {
-    return staticValue
-  }
-  return elementName
-}
-
 export default {
   meta: {
     type: 'problem',
     docs: {
       description: "Enforces an explicit 'type' attribute for 'button' elements.",
       category: 'Possible Errors',
-      recommended: false,
+      recommended: true,
       url: 'https://github.com/laststance/react-next-eslint-plugin/blob/main/docs/rules/no-missing-button-type.md',
     },
     hasSuggestions: true,
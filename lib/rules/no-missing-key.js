@@ -4,6 +4,10 @@
 
 import { getJsxAttribute } from '../utils/jsx-attributes.js'
 import { collectReturnStatements, isFunctionNode } from '../utils/ast.js'
+import {
+  createReactImportTracker,
+  getMemberPropertyName,
+} from '../utils/react-imports.js'
 
 const MAP_CALLBACK_INDEX = 0
 const ARRAY_FROM_CALLBACK_INDEX = 1
@@ -12,7 +16,6 @@ const DEPTH_DECREMENT = 1
 const MIN_CHILDREN_TO_ARRAY_DEPTH = 0
 const CHILDREN_TO_ARRAY_METHOD = 'toArray'
 const CHILDREN_NAMESPACE = 'Children'
-const REACT_NAMESPACE = 'React'
 
 /**
  * Determines whether a node is a JSX element.
@@ -46,31 +49,15 @@ function unwrapChainExpression(node) {
 
 /**
  * Checks if a CallExpression is React.Children.toArray or Children.toArray.
+ * @param {ReturnType<typeof createReactImportTracker>} reactImports - React import tracker.
  * @param {import('estree').CallExpression} node - CallExpression node.
  * @returns {boolean} True if it is a Children.toArray call.
  */
-function isChildrenToArrayCall(node) {
+function isChildrenToArrayCall(reactImports, node) {
   const callee = unwrapChainExpression(node.callee)
   if (!callee || callee.type !== 'MemberExpression') return false
-  if (callee.computed) return false
-  if (callee.property.type !== 'Identifier') return false
-  if (callee.property.name !== CHILDREN_TO_ARRAY_METHOD) return false
-  const object = callee.object
-  if (object.type === 'Identifier') {
-    return object.name === CHILDREN_NAMESPACE
-  }
-  if (
-    object.type === 'MemberExpression' &&
-    !object.computed &&
-    object.property.type === 'Identifier'
-  ) {
-    return (
-      object.property.name === CHILDREN_NAMESPACE &&
-      object.object.type === 'Identifier' &&
-      object.object.name === REACT_NAMESPACE
-    )
-  }
-  return false
+  if (getMemberPropertyName(callee) !== CHILDREN_TO_ARRAY_METHOD) return false
+  return reactImports.isApiCalleeLoose(callee.object, CHILDREN_NAMESPACE)
 }
 
 /**
@@ -174,7 +161,7 @@ export default {
     docs: {
       description: "Disallows missing 'key' on items in list rendering.",
       category: 'Possible Errors',
-      recommended: false,
+      recommended: true,
       url: 'https://github.com/laststance/react-next-eslint-plugin/blob/main/docs/rules/no-missing-key.md',
     },
     fixable: null,
@@ -194,6 +181,7 @@ export default {
    */
   create(context) {
     let childrenToArrayDepth = MIN_CHILDREN_TO_ARRAY_DEPTH
+    const reactImports = createReactImportTracker(context)
 
     return {
       ArrayExpression(node) {
@@ -212,7 +200,7 @@ export default {
         }
       },
       CallExpression(node) {
-        if (isChildrenToArrayCall(node)) {
+        if (isChildrenToArrayCall(reactImports, node)) {
           childrenToArrayDepth += DEPTH_INCREMENT
           return
         }
@@ -237,7 +225,7 @@ export default {
         }
       },
       'CallExpression:exit'(node) {
-        if (isChildrenToArrayCall(node)) {
+        if (isChildrenToArrayCall(reactImports, node)) {
           childrenToArrayDepth = Math.max(
             childrenToArrayDepth - DEPTH_DECREMENT,
             MIN_CHILDREN_TO_ARRAY_DEPTH,
@@ -253,6 +241,9 @@ export default {
           })
         }
       },
+      VariableDeclarator(node) {
+        reactImports.trackVariableDeclarator(node)
+      },
     }
   },
 }
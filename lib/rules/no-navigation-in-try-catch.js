@@ -0,0 +1,256 @@
+import { getStaticKeyName, isFunctionNode } from '../utils/ast.js'
+import { getRuleScope, getRuleSourceCode } from '../utils/eslint-context.js'
+import { getLineIndent, reindentText } from '../utils/hoist-fixes.js'
+import { getImportedName } from '../utils/react-imports.js'
+
+/**
+ * @fileoverview Disallow calling `redirect()`, `notFound()` and other throwing navigation
+ * helpers inside a try block whose catch clause swallows the error.
+ * @author laststance
+ */
+
+const NEXT_NAVIGATION_SOURCE = 'next/navigation'
+// Helpers implemented by throwing an error that Next.js catches to render the response
+const THROWING_NAVIGATION_NAMES = new Set([
+  'redirect',
+  'permanentRedirect',
+  'notFound',
+  'forbidden',
+  'unauthorized',
+])
+const RETHROW_HELPER_NAME = 'unstable_rethrow'
+
+/**
+ * Checks whether a node is the catch parameter identifier.
+ * @param {import('estree').Node | null | undefined} node - Node to inspect.
+ * @param {import('estree').CatchClause} handler - Catch clause.
+ * @returns {boolean} True when the node refers to the caught error.
+ */
+function isCaughtError(node, handler) {
+  return Boolean(
+    node &&
+    node.type === 'Identifier' &&
+    handler.param?.type === 'Identifier' &&
+    node.name === handler.param.name,
+  )
+}
+
+/**
+ * Checks whether a catch clause passes the caught error on, either with `throw error` or with
+ * `unstable_rethrow(error)`. Nested functions are not searched.
+ * @param {import('eslint').SourceCode} sourceCode - Source code with visitor keys.
+ * @param {import('estree').CatchClause} handler - Catch clause.
+ * @returns {boolean} True when the error is rethrown.
+ */
+function rethrowsCaughtError(sourceCode, handler) {
+  const pending = [handler.body]
+  while (pending.length > 0) {
+    const node = pending.pop()
+    if (
+      node.type === 'ThrowStatement' &&
+      isCaughtError(node.argument, handler)
+    ) {
+      return true
+    }
+    if (
+      node.type === 'CallExpression' &&
+      node.callee.type === 'Identifier' &&
+      node.callee.name === RETHROW_HELPER_NAME &&
+      isCaughtError(node.arguments[0], handler)
+    ) {
+      return true
+    }
+    for (const key of sourceCode.visitorKeys[node.type] ?? []) {
+      const value = node[key]
+      for (const child of Array.isArray(value) ? value : [value]) {
+        if (child && typeof child.type === 'string' && !isFunctionNode(child)) {
+          pending.push(child)
+        }
+      }
+    }
+  }
+  return false
+}
+
+/**
+ * Returns the member read from a namespace import, e.g. "redirect" for `navigation.redirect`.
+ * @param {import('estree').Identifier} identifier - Namespace reference.
+ * @returns {string | null} Member name or null.
+ */
+function getNamespaceMemberName(identifier) {
+  const parent = identifier.parent
+  return parent.type === 'MemberExpression' && parent.object === identifier
+    ? getStaticKeyName(parent)
+    : null
+}
+
+/**
+ * Finds the innermost try statement that swallows errors thrown by a node, without crossing
+ * function boundaries.
+ * @param {import('eslint').SourceCode} sourceCode - Source code with visitor keys.
+ * @param {import('estree').Node} node - Call expression.
+ * @returns {import('estree').TryStatement | null} Swallowing try statement or null.
+ */
+function findSwallowingTryStatement(sourceCode, node) {
+  let child = node
+  let current = node.parent
+  while (current && !isFunctionNode(current)) {
+    if (
+      current.type === 'TryStatement' &&
+      current.block === child &&
+      current.handler &&
+      !rethrowsCaughtError(sourceCode, current.handler)
+    ) {
+      return current
+    }
+    child = current
+    current = current.parent
+  }
+  return null
+}
+
+export default {
+  meta: {
+    type: 'problem',
+    docs: {
+      description:
+        'Disallow calling redirect(), notFound() and other throwing next/navigation helpers inside a try block whose catch swallows the error',
+      category: 'Possible Errors',
+      recommended: false,
+      url: 'https://github.com/laststance/react-next-eslint-plugin/blob/main/docs/rules/no-navigation-in-try-catch.md',
+    },
+    fixable: null,
+    hasSuggestions: true,
+    schema: [],
+    messages: {
+      navigationInTryCatch:
+        "'{{name}}()' navigates by throwing an error, which this catch block swallows. Call it after the try statement, or rethrow with unstable_rethrow().",
+      moveAfterTryStatement: "Move '{{name}}()' after the try statement.",
+    },
+  },
+
+  /**
+   * Creates rule listeners.
+   * @param {import('eslint').Rule.RuleContext} context - ESLint rule context.
+   * @returns {import('eslint').Rule.RuleListener} Rule listener map.
+   */
+  create(context) {
+    const sourceCode = getRuleSourceCode(context)
+
+    /**
+     * Checks whether a statement uses a binding declared at the top level of the try block,
+     * which would go out of scope once the statement is moved.
+     * @param {import('estree').BlockStatement} block - Try block.
+     * @param {import('estree').Statement} statement - Statement to move.
+     * @returns {boolean} True when the statement depends on a block-scoped binding.
+     */
+    function usesTryBlockBinding(block, statement) {
+      const scope = getRuleScope(context, block)
+      if (!scope || scope.block !== block) return false
+      return scope.variables.some((variable) =>
+        variable.references.some(
+          ({ identifier }) =>
+            identifier.range[0] >= statement.range[0] &&
+            identifier.range[1] <= statement.range[1],
+        ),
+      )
+    }
+
+    /**
+     * Builds the suggestion that moves the call after the try statement. It is only offered
+     * when the call is the last statement of the try block, so no other statement changes
+     * whether it runs.
+     * @param {import('estree').CallExpression} call - Navigation call.
+     * @param {import('estree').TryStatement} tryStatement - Swallowing try statement.
+     * @param {string} name - Helper name.
+     * @returns {import('eslint').Rule.SuggestionReportDescriptor[]} Suggestions.
+     */
+    function getSuggestions(call, tryStatement, name) {
+      const statement = call.parent
+      const block = tryStatement.block
+      if (
+        !['ExpressionStatement', 'ReturnStatement'].includes(statement.type) ||
+        statement.parent !== block ||
+        block.body.at(-1) !== statement ||
+        usesTryBlockBinding(block, statement)
+      ) {
+        return []
+      }
+      const previousToken = sourceCode.getTokenBefore(statement)
+      const indent = getLineIndent(sourceCode, tryStatement)
+      const text = reindentText(
+        sourceCode,
+        statement,
+        sourceCode.getText(statement),
+        getLineIndent(sourceCode, statement),
+        indent,
+      )
+      return [
+        {
+          messageId: 'moveAfterTryStatement',
+          data: { name },
+          fix: (fixer) => [
+            fixer.removeRange([previousToken.range[1], statement.range[1]]),
+            fixer.insertTextAfter(
+              tryStatement,
+              `\n${indent}${text}`,
+            ),
+          ],
+        },
+      ]
+    }
+
+    /**
+     * Reports a navigation call when a surrounding catch clause swallows it.
+     * @param {import('estree').CallExpression} call - Call expression.
+     * @param {string} name - Helper name.
+     */
+    function checkCall(call, name) {
+      const tryStatement = findSwallowingTryStatement(sourceCode, call)
+      if (!tryStatement) return
+      context.report({
+        node: call,
+        messageId: 'navigationInTryCatch',
+        data: { name },
+        suggest: getSuggestions(call, tryStatement, name),
+      })
+    }
+
+    return {
+      ImportDeclaration(node) {
+        if (
+          node.source.value !== NEXT_NAVIGATION_SOURCE ||
+          node.importKind === 'type'
+        ) {
+          return
+        }
+        for (const specifier of node.specifiers) {
+          const isNamespace = specifier.type === 'ImportNamespaceSpecifier'
+          const importedName =
+            specifier.type === 'ImportSpecifier'
+              ? getImportedName(specifier)
+              : null
+          if (!isNamespace && !THROWING_NAVIGATION_NAMES.has(importedName)) {
+            continue
+          }
+          const [variable] = sourceCode.getDeclaredVariables(specifier)
+          for (const { identifier } of variable.references) {
+            // `redirect(...)`, or `navigation.redirect(...)` for namespace imports
+            const callee = isNamespace ? identifier.parent : identifier
+            const name = isNamespace
+              ? getNamespaceMemberName(identifier)
+              : importedName
+            const call = callee.parent
+            if (
+              THROWING_NAVIGATION_NAMES.has(name) &&
+              call.type === 'CallExpression' &&
+              call.callee === callee
+            ) {
+              checkCall(call, name)
+            }
+          }
+        }
+      },
+    }
+  },
+}
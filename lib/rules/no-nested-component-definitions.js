@@ -3,64 +3,59 @@
  */
 
 import { isComponentNameLoose } from '../utils/naming.js'
+import { createReactImportTracker } from '../utils/react-imports.js'
 import {
   collectReturnStatements,
   findParentNode,
   getFunctionId,
+  getStaticKeyName,
   isClassNode,
   isFunctionNode,
 } from '../utils/ast.js'
+import {
+  collectCapturedVariables,
+  findVariable,
+  getLeadingNode,
+  getLineIndent,
+  getModuleInsertionPoint,
+  isDeclaredAtModuleScope,
+  reindentText,
+  usesEnclosingThis,
+} from '../utils/hoist-fixes.js'
 
-const REACT_NAMESPACE = 'React'
 const CREATE_ELEMENT_METHOD = 'createElement'
 const MEMO_METHOD = 'memo'
 const FORWARD_REF_METHOD = 'forwardRef'
 const USE_CALLBACK_METHOD = 'useCallback'
 const FIRST_ARGUMENT_INDEX = 0
+const COMPONENT_WRAPPER_METHODS = [
+  MEMO_METHOD,
+  FORWARD_REF_METHOD,
+  USE_CALLBACK_METHOD,
+]
+const COMPONENT_BASE_CLASSES = ['Component', 'PureComponent']
 
 /**
- * Unwraps a ChainExpression to its underlying expression.
- * @param {import('estree').Node} node - Node to unwrap.
- * @returns {import('estree').Node} Unwrapped node.
- */
-function unwrapChainExpression(node) {
-  if (node.type === 'ChainExpression') {
-    return node.expression
-  }
-  return node
-}
-
-/**
- * Determines if a call expression is React.createElement or createElement.
+ * Determines if a call expression is createElement from React or a configured import source.
+ * @param {ReturnType<typeof createReactImportTracker>} reactImports - React import tracker.
  * @param {import('estree').CallExpression} node - CallExpression node.
  * @returns {boolean} True if createElement call.
  */
-function isCreateElementCall(node) {
-  const callee = unwrapChainExpression(node.callee)
-  if (callee.type === 'Identifier') {
-    return callee.name === CREATE_ELEMENT_METHOD
-  }
-  if (callee.type === 'MemberExpression' && !callee.computed) {
-    return (
-      callee.object.type === 'Identifier' &&
-      callee.object.name === REACT_NAMESPACE &&
-      callee.property.type === 'Identifier' &&
-      callee.property.name === CREATE_ELEMENT_METHOD
-    )
-  }
-  return false
+function isCreateElementCall(reactImports, node) {
+  return reactImports.isApiCalleeLoose(node.callee, CREATE_ELEMENT_METHOD)
 }
 
 /**
  * Determines if an expression represents JSX or createElement output.
+ * @param {ReturnType<typeof createReactImportTracker>} reactImports - React import tracker.
  * @param {import('estree').Node | null | undefined} node - Expression node.
  * @returns {boolean} True if JSX-like.
  */
-function isJsxLikeExpression(node) {
+function isJsxLikeExpression(reactImports, node) {
   if (!node) return false
   if (node.type === 'JSXElement' || node.type === 'JSXFragment') return true
   if (node.type === 'CallExpression') {
-    return isCreateElementCall(node)
+    return isCreateElementCall(reactImports, node)
   }
   return false
 }
@@ -68,48 +63,46 @@ function isJsxLikeExpression(node) {
 /**
  * Checks whether a function returns JSX-like expressions.
  * @param {import('eslint').Rule.RuleContext} context - ESLint rule context.
+ * @param {ReturnType<typeof createReactImportTracker>} reactImports - React import tracker.
  * @param {import('estree').Node} node - Function node.
  * @returns {boolean} True if function returns JSX-like output.
  */
-function functionReturnsJsx(context, node) {
+function functionReturnsJsx(context, reactImports, node) {
   if (!isFunctionNode(node)) return false
   if (node.body.type !== 'BlockStatement') {
-    return isJsxLikeExpression(node.body)
+    return isJsxLikeExpression(reactImports, node.body)
   }
   const returns = collectReturnStatements(node, context.sourceCode)
-  return returns.some((statement) => isJsxLikeExpression(statement.argument))
+  return returns.some((statement) =>
+    isJsxLikeExpression(reactImports, statement.argument),
+  )
 }
 
 /**
- * Determines if a node is a component wrapper call.
+ * Returns the component wrapper a call expression invokes, e.g. `memo` for `memo(...)`,
+ * `React.memo(...)` and aliases imported from a configured import source.
+ * @param {ReturnType<typeof createReactImportTracker>} reactImports - React import tracker.
  * @param {import('estree').CallExpression} node - CallExpression node.
- * @returns {boolean} True if it is memo/forwardRef/useCallback.
+ * @returns {string | null} memo/forwardRef/useCallback, or null for other calls.
  */
-function isComponentWrapperCall(node) {
-  const callee = unwrapChainExpression(node.callee)
-  if (callee.type === 'Identifier') {
-    return [MEMO_METHOD, FORWARD_REF_METHOD, USE_CALLBACK_METHOD].includes(
-      callee.name,
-    )
-  }
-  if (callee.type === 'MemberExpression' && !callee.computed) {
-    if (callee.property.type !== 'Identifier') return false
-    return [MEMO_METHOD, FORWARD_REF_METHOD, USE_CALLBACK_METHOD].includes(
-      callee.property.name,
-    )
-  }
-  return false
+function getComponentWrapperMethod(reactImports, node) {
+  return (
+    COMPONENT_WRAPPER_METHODS.find((method) =>
+      reactImports.isApiCalleeLoose(node.callee, method),
+    ) ?? null
+  )
 }
 
 /**
  * Checks whether a function node is the first argument to a wrapper call.
+ * @param {ReturnType<typeof createReactImportTracker>} reactImports - React import tracker.
  * @param {import('estree').Node} node - Function node.
  * @returns {boolean} True if wrapped by memo/forwardRef/useCallback.
  */
-function isWrapperArgument(node) {
+function isWrapperArgument(reactImports, node) {
   const parent = node.parent
   if (!parent || parent.type !== 'CallExpression') return false
-  if (!isComponentWrapperCall(parent)) return false
+  if (!getComponentWrapperMethod(reactImports, parent)) return false
   return parent.arguments[FIRST_ARGUMENT_INDEX] === node
 }
 
@@ -137,25 +130,250 @@ function getComponentName(node) {
 
 /**
  * Determines whether a class is a React component.
+ * @param {ReturnType<typeof createReactImportTracker>} reactImports - React import tracker.
  * @param {import('estree').Node} node - Class node.
- * @returns {boolean} True when class extends React.Component or Component.
+ * @returns {boolean} True when class extends Component or PureComponent from React.
  */
-function isClassComponent(node) {
+function isClassComponent(reactImports, node) {
   if (!isClassNode(node)) return false
   if (!node.superClass) return false
-  if (node.superClass.type === 'Identifier') {
-    return ['Component', 'PureComponent'].includes(node.superClass.name)
+  return COMPONENT_BASE_CLASSES.some((baseClass) =>
+    reactImports.isApiCalleeLoose(node.superClass, baseClass),
+  )
+}
+
+/**
+ * Finds the declaration that moves with a nested component: a function declaration, or a
+ * declaration of a single function or `memo`/`forwardRef` call.
+ * @param {ReturnType<typeof createReactImportTracker>} reactImports - React import tracker.
+ * @param {import('estree').Node} node - Reported component node.
+ * @returns {{ statement: import('estree').Statement, functionNode: import('estree').Function, name: string } | null} Declaration parts, or null when the component cannot be moved.
+ */
+function getHoistableDeclaration(reactImports, node) {
+  if (node.type === 'FunctionDeclaration') {
+    return node.parent.type === 'BlockStatement'
+      ? { statement: node, functionNode: node, name: node.id.name }
+      : null
+  }
+  const declarator = node.parent
+  if (
+    declarator.type !== 'VariableDeclarator' ||
+    declarator.init !== node ||
+    declarator.id.type !== 'Identifier' ||
+    declarator.parent.declarations.length !== 1 ||
+    declarator.parent.parent.type !== 'BlockStatement'
+  ) {
+    return null
   }
-  if (node.superClass.type === 'MemberExpression' && !node.superClass.computed) {
+  let functionNode = node
+  if (node.type === 'CallExpression') {
+    // A component created with useCallback is a hook result and must stay in the component
+    if (getComponentWrapperMethod(reactImports, node) === USE_CALLBACK_METHOD) {
+      return null
+    }
+    functionNode = node.arguments[FIRST_ARGUMENT_INDEX]
+  }
+  if (!isFunctionNode(functionNode)) return null
+  return {
+    statement: declarator.parent,
+    functionNode,
+    name: declarator.id.name,
+  }
+}
+
+/**
+ * Prepares the edits that pass captured variables to each `<Component />` usage, e.g.
+ * `<Child />` into `<Child count={count} />`.
+ * @param {import('eslint').SourceCode} sourceCode - ESLint SourceCode instance.
+ * @param {import('eslint').Scope.Variable} variable - Component binding.
+ * @param {import('eslint').Scope.Variable[]} captured - Captured variables.
+ * @returns {{ range: [number, number], text: string }[] | null} Edits, or null when a usage cannot receive the props.
+ */
+function collectUsageEdits(sourceCode, variable, captured) {
+  const names = captured.map((capturedVariable) => capturedVariable.name)
+  const edits = []
+  for (const reference of variable.references) {
+    if (reference.init || names.length === 0) continue
+    const { identifier } = reference
+    const element = identifier.parent
+    // Other usages, such as `items.map(Child)`, cannot pass props
+    if (element.type !== 'JSXOpeningElement' || element.name !== identifier) {
+      return null
+    }
+    const scope = sourceCode.getScope(element)
     if (
-      node.superClass.object.type === 'Identifier' &&
-      node.superClass.object.name === REACT_NAMESPACE &&
-      node.superClass.property.type === 'Identifier'
+      element.attributes.some(
+        (attribute) =>
+          attribute.type === 'JSXAttribute' &&
+          names.includes(attribute.name.name),
+      ) ||
+      captured.some(
+        (capturedVariable) =>
+          findVariable(scope, capturedVariable.name) !== capturedVariable ||
+          (capturedVariable.defs[0].type !== 'FunctionName' &&
+            capturedVariable.defs[0].name.range[0] > identifier.range[0]),
+      )
     ) {
-      return ['Component', 'PureComponent'].includes(node.superClass.property.name)
+      return null
     }
+    const anchor =
+      element.attributes.at(-1) ??
+      element.typeArguments ??
+      element.typeParameters ??
+      element.name
+    edits.push({
+      range: [anchor.range[1], anchor.range[1]],
+      text: names.map((name) => ` ${name}={${name}}`).join(''),
+    })
+  }
+  return edits
+}
+
+/**
+ * Prepares the edits that declare captured variables as props of the component function:
+ * `()` becomes `({ count })`, `({ title })` becomes `({ count, title })` and `(props)` becomes
+ * `({ count, ...props })`.
+ * @param {import('eslint').SourceCode} sourceCode - ESLint SourceCode instance.
+ * @param {import('estree').Function} functionNode - Component function.
+ * @param {string[]} names - Prop names.
+ * @returns {{ range: [number, number], text: string }[] | null} Edits, or null when the props parameter cannot be extended.
+ */
+function createPropsParamEdits(sourceCode, functionNode, names) {
+  const propsText = names.join(', ')
+  const [param] = functionNode.params
+  if (!param) {
+    const openParen = sourceCode.getFirstToken(
+      functionNode,
+      (token) => token.value === '(',
+    )
+    return [
+      {
+        range: [openParen.range[1], openParen.range[1]],
+        text: `{ ${propsText} }`,
+      },
+    ]
+  }
+  if (param.type === 'Identifier') {
+    const nameToken = sourceCode.getFirstToken(param)
+    const hasParens = sourceCode.getTokenBefore(nameToken).value === '('
+    return [
+      {
+        range: [nameToken.range[0], nameToken.range[0]],
+        text: `${hasParens ? '' : '('}{ ${propsText}, ...`,
+      },
+      {
+        range: [nameToken.range[1], nameToken.range[1]],
+        text: ` }${hasParens ? '' : ')'}`,
+      },
+    ]
+  }
+  if (param.type !== 'ObjectPattern') return null
+  if (
+    param.properties.some(
+      (property) =>
+        property.type === 'Property' &&
+        names.includes(getStaticKeyName(property)),
+    )
+  ) {
+    return null
+  }
+  // New props come first so that defaults of existing props can read them
+  const [firstProperty] = param.properties
+  if (firstProperty) {
+    return [
+      {
+        range: [firstProperty.range[0], firstProperty.range[0]],
+        text: `${propsText}, `,
+      },
+    ]
+  }
+  const openBrace = sourceCode.getFirstToken(param)
+  const closeBrace = sourceCode.getTokenAfter(openBrace)
+  return [
+    {
+      range: [openBrace.range[0], closeBrace.range[1]],
+      text: `{ ${propsText} }`,
+    },
+  ]
+}
+
+/**
+ * Prepares a suggestion that moves a nested component before the module statement that
+ * contains it, passing the variables it captures as props.
+ * @param {import('eslint').SourceCode} sourceCode - ESLint SourceCode instance.
+ * @param {ReturnType<typeof createReactImportTracker>} reactImports - React import tracker.
+ * @param {import('estree').Node} node - Reported component node.
+ * @returns {{ name: string, props: string[], fix: import('eslint').Rule.ReportFixer } | null} Suggestion parts, or null when the component cannot be moved.
+ */
+function createHoistSuggestion(sourceCode, reactImports, node) {
+  const declaration = getHoistableDeclaration(reactImports, node)
+  if (!declaration) return null
+  const { statement, functionNode, name } = declaration
+  const variable = findVariable(sourceCode.getScope(statement.parent), name)
+  if (
+    !variable ||
+    variable.references.some(
+      (reference) => reference.isWrite() && !reference.init,
+    ) ||
+    usesEnclosingThis(sourceCode, statement) ||
+    isDeclaredAtModuleScope(sourceCode, name)
+  ) {
+    return null
+  }
+  const captured = collectCapturedVariables(
+    variable.scope,
+    statement,
+    functionNode,
+  )
+  if (!captured) return null
+  const props = captured.map((capturedVariable) => capturedVariable.name)
+  const usageEdits = collectUsageEdits(sourceCode, variable, captured)
+  const paramEdits =
+    props.length > 0
+      ? createPropsParamEdits(sourceCode, functionNode, props)
+      : []
+  if (!usageEdits || !paramEdits) return null
+
+  const leadingNode = getLeadingNode(sourceCode, statement)
+  const start = leadingNode.range[0]
+  const end = statement.range[1]
+  const edits = [...paramEdits, ...usageEdits]
+  const movedEdits = edits.filter(
+    ({ range }) => start <= range[0] && range[1] <= end,
+  )
+  let text = sourceCode.text.slice(start, end)
+  for (const edit of [...movedEdits].sort((a, b) => b.range[0] - a.range[0])) {
+    text =
+      text.slice(0, edit.range[0] - start) +
+      edit.text +
+      text.slice(edit.range[1] - start)
+  }
+  const insertion = getModuleInsertionPoint(sourceCode, statement)
+  text = reindentText(
+    sourceCode,
+    statement,
+    text,
+    getLineIndent(sourceCode, leadingNode),
+    insertion.indent,
+  )
+  const removalStart = sourceCode.getTokenBefore(leadingNode, {
+    includeComments: true,
+  }).range[1]
+
+  return {
+    name,
+    props,
+    fix: (fixer) => [
+      fixer.insertTextBeforeRange(
+        insertion.node.range,
+        `${text}\n\n${insertion.indent}`,
+      ),
+      fixer.removeRange([removalStart, end]),
+      ...edits
+        .filter((edit) => !movedEdits.includes(edit))
+        .map((edit) => fixer.replaceTextRange(edit.range, edit.text)),
+    ],
   }
-  return false
 }
 
 export default {
@@ -164,15 +382,18 @@ export default {
     docs: {
       description: 'Disallows nesting component definitions inside other components.',
       category: 'Best Practices',
-      recommended: false,
+      recommended: true,
       url: 'https://github.com/laststance/react-next-eslint-plugin/blob/main/docs/rules/no-nested-component-definitions.md',
     },
     fixable: null,
-    hasSuggestions: false,
+    hasSuggestions: true,
     schema: [],
     messages: {
       noNestedComponentDefinitions:
         'Do not nest component definitions inside other components. Move it to the top level.',
+      hoistComponent: "Move '{{name}}' to module scope.",
+      hoistComponentWithProps:
+        "Move '{{name}}' to module scope and pass {{props}} as props.",
     },
   },
 
@@ -183,6 +404,7 @@ export default {
    */
   create(context) {
     const components = []
+    const reactImports = createReactImportTracker(context)
 
     /**
      * Registers a component candidate when it meets criteria.
@@ -191,7 +413,7 @@ export default {
     function registerComponent(node) {
       const name = getComponentName(node)
       if (!isComponentNameLoose(name)) return
-      if (isWrapperArgument(node)) return
+      if (isWrapperArgument(reactImports, node)) return
       components.push({ name, node })
     }
 
@@ -206,41 +428,42 @@ export default {
       const componentArg = callExpression.arguments[FIRST_ARGUMENT_INDEX]
       if (!componentArg) return
       if (!isFunctionNode(componentArg)) return
-      if (!functionReturnsJsx(context, componentArg)) return
+      if (!functionReturnsJsx(context, reactImports, componentArg)) return
       components.push({ name, node: callExpression })
     }
 
     return {
       FunctionDeclaration(node) {
-        if (!functionReturnsJsx(context, node)) return
+        if (!functionReturnsJsx(context, reactImports, node)) return
         registerComponent(node)
       },
       FunctionExpression(node) {
-        if (!functionReturnsJsx(context, node)) return
+        if (!functionReturnsJsx(context, reactImports, node)) return
         registerComponent(node)
       },
       ArrowFunctionExpression(node) {
-        if (!functionReturnsJsx(context, node)) return
+        if (!functionReturnsJsx(context, reactImports, node)) return
         registerComponent(node)
       },
       ClassDeclaration(node) {
-        if (!isClassComponent(node)) return
+        if (!isClassComponent(reactImports, node)) return
         registerComponent(node)
       },
       ClassExpression(node) {
-        if (!isClassComponent(node)) return
+        if (!isClassComponent(reactImports, node)) return
         registerComponent(node)
       },
       VariableDeclarator(node) {
+        reactImports.trackVariableDeclarator(node)
         if (!node.init) return
         if (node.init.type !== 'CallExpression') return
-        if (!isComponentWrapperCall(node.init)) return
+        if (!getComponentWrapperMethod(reactImports, node.init)) return
         registerWrapperComponent(node.id, node.init)
       },
       AssignmentExpression(node) {
         if (node.operator !== '=') return
         if (!node.right || node.right.type !== 'CallExpression') return
-        if (!isComponentWrapperCall(node.right)) return
+        if (!getComponentWrapperMethod(reactImports, node.right)) return
         registerWrapperComponent(node.left, node.right)
       },
       'Program:exit'() {
@@ -250,9 +473,29 @@ export default {
             return componentNodes.has(node)
           })
           if (!parentComponent) continue
+          const hoist = createHoistSuggestion(
+            context.sourceCode,
+            reactImports,
+            component.node,
+          )
           context.report({
             messageId: 'noNestedComponentDefinitions',
             node: component.node,
+            suggest: hoist
+              ? [
+                  {
+                    messageId:
+                      hoist.props.length > 0
+                        ? 'hoistComponentWithProps'
+                        : 'hoistComponent',
+                    data: {
+                      name: hoist.name,
+                      props: hoist.props.map((prop) => `'${prop}'`).join(', '),
+                    },
+                    fix: hoist.fix,
+                  },
+                ]
+              : [],
           })
         }
       },
@@ -0,0 +1,243 @@
+import { getUnderlyingExpression } from '../utils/ast.js'
+import { createImportedClientComponentLookup } from '../utils/client-modules.js'
+import {
+  USE_CLIENT_DIRECTIVE,
+  USE_SERVER_DIRECTIVE,
+  hasFunctionDirective,
+  hasModuleDirective,
+} from '../utils/directives.js'
+import { getRuleScope, getRuleSourceCode } from '../utils/eslint-context.js'
+import { literalKind } from '../utils/literal.js'
+import { NEXT_ROUTERS, getNextFileInfo } from '../utils/next-files.js'
+import {
+  getReactSettings,
+  isVersionAtLeastMajor,
+} from '../utils/react-settings.js'
+
+/**
+ * @fileoverview Disallow passing non-serializable values from Server Components to Client
+ * Components in the Next.js App Router.
+ * @author laststance
+ */
+
+const CHILDREN_PROP_NAME = 'children'
+const SYMBOL_CONSTRUCTOR_NAME = 'Symbol'
+// React 19 serializes these built-ins across the server-client boundary
+const REACT_19_SERIALIZABLE_CONSTRUCTORS = new Set([
+  'Date',
+  'Map',
+  'Set',
+  'Promise',
+  'ArrayBuffer',
+  'Int8Array',
+  'Uint8Array',
+  'Uint8ClampedArray',
+  'Int16Array',
+  'Uint16Array',
+  'Int32Array',
+  'Uint32Array',
+  'Float32Array',
+  'Float64Array',
+  'BigInt64Array',
+  'BigUint64Array',
+])
+const REACT_VERSION_MAJOR = 19
+
+export default {
+  meta: {
+    type: 'problem',
+    docs: {
+      description:
+        'Disallow passing functions, class instances and other non-serializable values from Server Components to Client Components',
+      category: 'Possible Errors',
+      recommended: false,
+      url: 'https://github.com/laststance/react-next-eslint-plugin/blob/main/docs/rules/no-non-serializable-client-props.md',
+    },
+    fixable: null,
+    hasSuggestions: false,
+    schema: [],
+    messages: {
+      nonSerializableProp:
+        "Prop '{{name}}' passes {{description}} to Client Component '{{component}}'. Only serializable values and Server Actions can be passed from a Server Component.",
+    },
+  },
+
+  /**
+   * Creates rule listeners.
+   * @param {import('eslint').Rule.RuleContext} context - ESLint rule context.
+   * @returns {import('eslint').Rule.RuleListener} Rule listener map.
+   */
+  create(context) {
+    if (getNextFileInfo(context).router !== NEXT_ROUTERS.APP) {
+      return {}
+    }
+    const sourceCode = getRuleSourceCode(context)
+    // Props passed between Client Components never cross the network
+    if (hasModuleDirective(sourceCode.ast, USE_CLIENT_DIRECTIVE)) {
+      return {}
+    }
+    const isClientComponent = createImportedClientComponentLookup(context)
+    const { version } = getReactSettings(context)
+    const serializableConstructors = isVersionAtLeastMajor(
+      version,
+      REACT_VERSION_MAJOR,
+    )
+      ? REACT_19_SERIALIZABLE_CONSTRUCTORS
+      : new Set()
+
+    /**
+     * Finds the variable an identifier refers to.
+     * @param {import('estree').Identifier} identifier - Identifier node.
+     * @returns {import('eslint').Scope.Variable | null} Variable or null.
+     */
+    function getVariable(identifier) {
+      let scope = getRuleScope(context, identifier)
+      while (scope) {
+        if (scope.set && scope.set.has(identifier.name)) {
+          return scope.set.get(identifier.name)
+        }
+        scope = scope.upper
+      }
+      return null
+    }
+
+    /**
+     * Describes a function value unless it is an inline Server Action.
+     * @param {import('estree').Function} fn - Function node.
+     * @returns {string | null} Description or null.
+     */
+    function describeFunction(fn) {
+      return hasFunctionDirective(fn, USE_SERVER_DIRECTIVE)
+        ? null
+        : 'a function'
+    }
+
+    /**
+     * Describes what a local binding holds when it is declared in this module.
+     * Only `const` bindings are followed, since other bindings may be reassigned.
+     * @param {import('estree').Identifier} identifier - Identifier used as a prop value.
+     * @param {Set<import('estree').Node>} seen - Initializers already visited.
+     * @returns {string | null} Description or null.
+     */
+    function describeBinding(identifier, seen) {
+      const definition = getVariable(identifier)?.defs[0]
+      if (!definition) return null
+      if (definition.type === 'FunctionName') {
+        return describeFunction(definition.node)
+      }
+      if (definition.type === 'ClassName') return 'a class'
+      if (
+        definition.type !== 'Variable' ||
+        definition.parent.kind !== 'const' ||
+        definition.node.id !== definition.name ||
+        !definition.node.init ||
+        seen.has(definition.node.init)
+      ) {
+        return null
+      }
+      seen.add(definition.node.init)
+      return describeNonSerializableValue(definition.node.init, seen)
+    }
+
+    /**
+     * Describes the first non-serializable value found in an expression, looking into object
+     * and array literals.
+     * @param {import('estree').Node} node - Prop value expression.
+     * @param {Set<import('estree').Node>} seen - Initializers already visited.
+     * @returns {string | null} Description such as "a function", or null when serializable or unknown.
+     */
+    function describeNonSerializableValue(node, seen) {
+      const expression = getUnderlyingExpression(node)
+      const kind = literalKind(expression)
+      if (kind === 'function') return describeFunction(expression)
+      if (kind === 'object' || kind === 'array') {
+        const children =
+          kind === 'object'
+            ? expression.properties.map((property) =>
+                property.type === 'SpreadElement'
+                  ? property.argument
+                  : property.value,
+              )
+            : expression.elements.filter(Boolean)
+        for (const child of children) {
+          const description = describeNonSerializableValue(
+            child.type === 'SpreadElement' ? child.argument : child,
+            seen,
+          )
+          if (description) return description
+        }
+        return null
+      }
+      switch (expression.type) {
+        case 'ClassExpression':
+          return 'a class'
+        case 'NewExpression': {
+          const name =
+            expression.callee.type === 'Identifier'
+              ? expression.callee.name
+              : null
+          if (name && serializableConstructors.has(name)) return null
+          return name ? `a ${name} instance` : 'a class instance'
+        }
+        case 'CallExpression':
+          // `Symbol.for()` symbols are registered globally and can be serialized
+          return expression.callee.type === 'Identifier' &&
+            expression.callee.name === SYMBOL_CONSTRUCTOR_NAME
+            ? 'a symbol'
+            : null
+        case 'Literal':
+          return expression.regex ? 'a regular expression' : null
+        case 'Identifier':
+          return describeBinding(expression, seen)
+        default:
+          return null
+      }
+    }
+
+    /**
+     * Reports a prop value when it cannot be serialized.
+     * @param {import('estree').Node} node - Prop value expression.
+     * @param {string} name - Prop name.
+     * @param {string} component - Client Component name.
+     */
+    function checkPropValue(node, name, component) {
+      if (node.type === 'JSXEmptyExpression') return
+      const description = describeNonSerializableValue(node, new Set())
+      if (!description) return
+      context.report({
+        node,
+        messageId: 'nonSerializableProp',
+        data: { name, description, component },
+      })
+    }
+
+    return {
+      JSXElement(node) {
+        const elementName = node.openingElement.name
+        if (
+          elementName.type !== 'JSXIdentifier' ||
+          !isClientComponent(elementName.name)
+        ) {
+          return
+        }
+        const component = elementName.name
+        for (const attribute of node.openingElement.attributes) {
+          if (attribute.type === 'JSXSpreadAttribute') {
+            checkPropValue(attribute.argument, '...', component)
+          } else if (attribute.value?.type === 'JSXExpressionContainer') {
+            const name =
+              attribute.name.type === 'JSXNamespacedName'
+                ? `${attribute.name.namespace.name}:${attribute.name.name.name}`
+                : attribute.name.name
+            checkPropValue(attribute.value.expression, name, component)
+          }
+        }
+        for (const child of node.children) {
+          if (child.type === 'JSXExpressionContainer') {
+            checkPropValue(child.expression, CHILDREN_PROP_NAME, component)
+          }
+        }
+      },
+    }
+  },
+}
@@ -0,0 +1,254 @@
+import { getStaticKeyName } from '../utils/ast.js'
+import { getRuleSourceCode } from '../utils/eslint-context.js'
+import { collectModuleExports } from '../utils/next-exports.js'
+import { NEXT_ROUTERS, getNextFileInfo } from '../utils/next-files.js'
+import { getImportedName } from '../utils/react-imports.js'
+
+/**
+ * @fileoverview Disallow Pages Router APIs (next/router, next/head, getServerSideProps, ...) in
+ * App Router files.
+ * @author laststance
+ */
+
+const NEXT_ROUTER_SOURCE = 'next/router'
+const NEXT_NAVIGATION_SOURCE = 'next/navigation'
+const USE_ROUTER_NAME = 'useRouter'
+// Router methods that exist with the same call shape on the App Router's `useRouter()`
+const NAVIGATION_ROUTER_METHOD_NAMES = new Set([
+  'push',
+  'replace',
+  'back',
+  'refresh',
+  'prefetch',
+])
+// Methods that navigate to a URL; the Pages Router also accepts URL objects, an `as` path and
+// options, and resolves a boolean, which the App Router does not
+const URL_ROUTER_METHOD_NAMES = new Set(['push', 'replace'])
+
+// Module -> what to use instead in the App Router
+const PAGES_ROUTER_MODULES = new Map([
+  [
+    NEXT_ROUTER_SOURCE,
+    "use the hooks from 'next/navigation' (useRouter, usePathname, useSearchParams)",
+  ],
+  [
+    'next/head',
+    'export `metadata` or `generateMetadata` from a page or layout',
+  ],
+  ['next/document', 'render <html> and <body> in the root layout'],
+])
+
+// Data fetching function -> what to use instead in the App Router
+const PAGES_DATA_FUNCTIONS = new Map([
+  ['getServerSideProps', 'fetch data directly in an async Server Component'],
+  ['getStaticProps', 'fetch data directly in an async Server Component'],
+  ['getStaticPaths', 'export `generateStaticParams` instead'],
+  ['getInitialProps', 'fetch data directly in an async Server Component'],
+])
+const GET_INITIAL_PROPS_NAME = 'getInitialProps'
+
+export default {
+  meta: {
+    type: 'problem',
+    docs: {
+      description:
+        'Disallow Pages Router APIs such as next/router, next/head and getServerSideProps in App Router files',
+      category: 'Possible Errors',
+      recommended: false,
+      url: 'https://github.com/laststance/react-next-eslint-plugin/blob/main/docs/rules/no-pages-router-apis.md',
+    },
+    fixable: 'code',
+    hasSuggestions: false,
+    schema: [],
+    messages: {
+      pagesRouterModule:
+        "'{{source}}' is a Pages Router API and does not work in the App Router; {{alternative}}.",
+      pagesDataFunction:
+        "'{{name}}' is a Pages Router API and is never called in the App Router; {{alternative}}.",
+    },
+  },
+
+  /**
+   * Creates rule listeners.
+   * @param {import('eslint').Rule.RuleContext} context - ESLint rule context.
+   * @returns {import('eslint').Rule.RuleListener} Rule listener map.
+   */
+  create(context) {
+    if (getNextFileInfo(context).router !== NEXT_ROUTERS.APP) {
+      return {}
+    }
+    const sourceCode = getRuleSourceCode(context)
+
+    /**
+     * Checks that a `push`/`replace` reference is called with a single string URL and that the
+     * result is unused, the only call shape that behaves the same with `next/navigation`.
+     * @param {import('estree').Node} callee - Method reference, e.g. `router.push` or `push`.
+     * @returns {boolean} True for a compatible call.
+     */
+    function isNavigationCompatibleUrlCall(callee) {
+      const call = callee.parent
+      if (call.type !== 'CallExpression' || call.callee !== callee) return false
+      if (call.arguments.length !== 1) return false
+      const [url] = call.arguments
+      const isStringUrl =
+        (url.type === 'Literal' && typeof url.value === 'string') ||
+        url.type === 'TemplateLiteral'
+      if (!isStringUrl) return false
+      return (
+        call.parent.type === 'ExpressionStatement' ||
+        (call.parent.type === 'ArrowFunctionExpression' &&
+          call.parent.body === call)
+      )
+    }
+
+    /**
+     * Checks that a destructured router method is only called in a compatible way.
+     * @param {import('estree').VariableDeclarator} declarator - `const { push } = useRouter()`.
+     * @param {import('estree').Property} property - Destructured property.
+     * @returns {boolean} True when the method exists on the App Router with the same call shape.
+     */
+    function isNavigationCompatibleProperty(declarator, property) {
+      const methodName = getStaticKeyName(property)
+      if (!NAVIGATION_ROUTER_METHOD_NAMES.has(methodName)) return false
+      if (!URL_ROUTER_METHOD_NAMES.has(methodName)) return true
+      if (property.value.type !== 'Identifier') return false
+      const variable = sourceCode
+        .getDeclaredVariables(declarator)
+        .find(({ name }) => name === property.value.name)
+      return Boolean(
+        variable?.references.every(
+          (reference) =>
+            reference.init ||
+            isNavigationCompatibleUrlCall(reference.identifier),
+        ),
+      )
+    }
+
+    /**
+     * Checks that a router object is only used through methods `next/navigation` also provides,
+     * called the same way.
+     * @param {import('estree').Node} routerExpression - Expression evaluating to the router.
+     * @returns {boolean} True when every use is a supported method.
+     */
+    function isNavigationCompatibleRouter(routerExpression) {
+      const parent = routerExpression.parent
+      if (
+        parent.type === 'MemberExpression' &&
+        parent.object === routerExpression
+      ) {
+        const methodName = getStaticKeyName(parent)
+        if (!NAVIGATION_ROUTER_METHOD_NAMES.has(methodName)) return false
+        return (
+          !URL_ROUTER_METHOD_NAMES.has(methodName) ||
+          isNavigationCompatibleUrlCall(parent)
+        )
+      }
+      if (
+        parent.type !== 'VariableDeclarator' ||
+        parent.init !== routerExpression
+      ) {
+        return false
+      }
+      if (parent.id.type === 'ObjectPattern') {
+        return parent.id.properties.every(
+          (property) =>
+            property.type === 'Property' &&
+            isNavigationCompatibleProperty(parent, property),
+        )
+      }
+      if (parent.id.type !== 'Identifier') return false
+      const [variable] = sourceCode.getDeclaredVariables(parent)
+      return variable.references.every(
+        (reference) =>
+          reference.init || isNavigationCompatibleRouter(reference.identifier),
+      )
+    }
+
+    /**
+     * Checks whether switching the import source to `next/navigation` keeps the code working:
+     * only `useRouter` is imported, and the router is only used to navigate.
+     * @param {import('estree').ImportDeclaration} node - `next/router` import.
+     * @returns {boolean} True when the import can be rewritten.
+     */
+    function canMigrateToNavigation(node) {
+      if (node.importKind === 'type' || node.specifiers.length === 0) {
+        return false
+      }
+      return node.specifiers.every((specifier) => {
+        if (
+          specifier.type !== 'ImportSpecifier' ||
+          specifier.importKind === 'type'
+        ) {
+          return false
+        }
+        if (getImportedName(specifier) !== USE_ROUTER_NAME) return false
+        const [variable] = sourceCode.getDeclaredVariables(specifier)
+        return variable.references.every(({ identifier }) => {
+          const call = identifier.parent
+          return (
+            call.type === 'CallExpression' &&
+            call.callee === identifier &&
+            call.arguments.length === 0 &&
+            isNavigationCompatibleRouter(call)
+          )
+        })
+      })
+    }
+
+    /**
+     * Reports a Pages Router data fetching function.
+     * @param {import('estree').Node} node - Node to report.
+     * @param {string} name - Function name.
+     */
+    function reportDataFunction(node, name) {
+      context.report({
+        node,
+        messageId: 'pagesDataFunction',
+        data: { name, alternative: PAGES_DATA_FUNCTIONS.get(name) },
+      })
+    }
+
+    return {
+      ImportDeclaration(node) {
+        const source = node.source.value
+        if (!PAGES_ROUTER_MODULES.has(source)) return
+        const fixable =
+          source === NEXT_ROUTER_SOURCE && canMigrateToNavigation(node)
+        context.report({
+          node,
+          messageId: 'pagesRouterModule',
+          data: { source, alternative: PAGES_ROUTER_MODULES.get(source) },
+          fix: fixable
+            ? (fixer) => {
+                const quote = node.source.raw?.[0] ?? "'"
+                return fixer.replaceText(
+                  node.source,
+                  `${quote}${NEXT_NAVIGATION_SOURCE}${quote}`,
+                )
+              }
+            : null,
+        })
+      },
+      // `Page.getInitialProps = async () => ...`
+      AssignmentExpression(node) {
+        if (
+          node.left.type === 'MemberExpression' &&
+          getStaticKeyName(node.left) === GET_INITIAL_PROPS_NAME
+        ) {
+          reportDataFunction(node.left, GET_INITIAL_PROPS_NAME)
+        }
+      },
+      // `static getInitialProps() {}` / `static getInitialProps = ...`
+      'MethodDefinition, PropertyDefinition'(node) {
+        if (node.static && getStaticKeyName(node) === GET_INITIAL_PROPS_NAME) {
+          reportDataFunction(node, GET_INITIAL_PROPS_NAME)
+        }
+      },
+      Program(program) {
+        for (const { name, node } of collectModuleExports(program)) {
+          if (PAGES_DATA_FUNCTIONS.has(name)) reportDataFunction(node, name)
+        }
+      },
+    }
+  },
+}
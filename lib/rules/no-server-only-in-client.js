@@ -0,0 +1,249 @@
+import path from 'path'
+import { getStaticKeyName } from '../utils/ast.js'
+import {
+  USE_CLIENT_DIRECTIVE,
+  USE_SERVER_DIRECTIVE,
+  hasModuleDirective,
+} from '../utils/directives.js'
+import { getRuleFilename, getRuleSourceCode } from '../utils/eslint-context.js'
+import { findClientBoundaryImporter } from '../utils/client-modules.js'
+import {
+  getRuntimeImportSources,
+  parseModuleFile,
+  resolveImportPath,
+} from '../utils/module-resolution.js'
+import { normalizeFilename } from '../utils/next-files.js'
+
+/**
+ * @fileoverview Disallow server-only environment variables and `server-only` modules in
+ * Client Components.
+ * @author laststance
+ */
+
+const PUBLIC_ENV_PREFIX = 'NEXT_PUBLIC_'
+// Next.js inlines these into client bundles as well
+const DEFAULT_ALLOWED_ENV_NAMES = ['NODE_ENV']
+const SERVER_ONLY_SOURCE = 'server-only'
+const PROCESS_NAME = 'process'
+const ENV_PROPERTY_NAME = 'env'
+
+/**
+ * Checks whether a module is marked with `import 'server-only'`.
+ * @param {import('estree').Program} program - Module AST.
+ * @returns {boolean} True for server-only modules.
+ */
+function isServerOnlyModule(program) {
+  return program.body.some(
+    (statement) =>
+      statement.type === 'ImportDeclaration' &&
+      statement.source.value === SERVER_ONLY_SOURCE,
+  )
+}
+
+/**
+ * Formats the path of a module relative to the linted file, as an import would spell it.
+ * @param {string} filename - Absolute path of the linted file.
+ * @param {string} filePath - Absolute path of the other module.
+ * @returns {string} Relative path such as "./db.js" or "../lib/db.js".
+ */
+function getRelativeModulePath(filename, filePath) {
+  const relativePath = normalizeFilename(
+    path.relative(path.dirname(filename), filePath),
+  )
+  return relativePath.startsWith('.') ? relativePath : `./${relativePath}`
+}
+
+/**
+ * Walks the local modules a Client Component pulls into the client bundle, starting at one of
+ * its imports, and finds the first one marked with `import 'server-only'`. `'use server'`
+ * modules are not followed: the client only receives references to their actions.
+ * @param {import('eslint').Rule.RuleContext} context - ESLint rule context (parser options).
+ * @param {string} entryPath - Absolute path of the imported module.
+ * @returns {string | null} Absolute path of the server-only module, or null.
+ */
+function findServerOnlyModule(context, entryPath) {
+  const visited = new Set([entryPath])
+  const pending = [entryPath]
+  while (pending.length > 0) {
+    const filePath = pending.shift()
+    const program = parseModuleFile(context, filePath)
+    if (!program || hasModuleDirective(program, USE_SERVER_DIRECTIVE)) continue
+    if (isServerOnlyModule(program)) return filePath
+    for (const source of getRuntimeImportSources(program)) {
+      const target = resolveImportPath(filePath, source)
+      if (target && !visited.has(target)) {
+        visited.add(target)
+        pending.push(target)
+      }
+    }
+  }
+  return null
+}
+
+/**
+ * Checks whether a node is `process.env`.
+ * @param {import('estree').Node} node - Node to inspect.
+ * @returns {boolean} True for `process.env`.
+ */
+function isProcessEnv(node) {
+  return (
+    node.type === 'MemberExpression' &&
+    node.object.type === 'Identifier' &&
+    node.object.name === PROCESS_NAME &&
+    getStaticKeyName(node) === ENV_PROPERTY_NAME
+  )
+}
+
+export default {
+  meta: {
+    type: 'problem',
+    docs: {
+      description:
+        "Disallow reading server-only environment variables and importing 'server-only' modules in Client Components",
+      category: 'Possible Errors',
+      recommended: false,
+      url: 'https://github.com/laststance/react-next-eslint-plugin/blob/main/docs/rules/no-server-only-in-client.md',
+    },
+    fixable: null,
+    hasSuggestions: false,
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          allow: {
+            type: 'array',
+            items: { type: 'string' },
+            uniqueItems: true,
+          },
+        },
+        additionalProperties: false,
+      },
+    ],
+    messages: {
+      serverEnvVar:
+        "'process.env.{{name}}' is undefined in Client Components. Only variables prefixed with NEXT_PUBLIC_ are exposed to the browser.",
+      serverEnvVarInClientModule:
+        "'process.env.{{name}}' is undefined in the browser: this module is only imported from Client Components such as '{{importer}}'. Only variables prefixed with NEXT_PUBLIC_ are exposed to the browser.",
+      serverOnlyImport:
+        "'{{source}}' is a server-only module and cannot be imported from a Client Component.",
+      serverOnlyDependency:
+        "'{{source}}' cannot be imported from a Client Component because it imports the server-only module '{{dependency}}'.",
+    },
+  },
+
+  /**
+   * Creates rule listeners.
+   * @param {import('eslint').Rule.RuleContext} context - ESLint rule context.
+   * @returns {import('eslint').Rule.RuleListener} Rule listener map.
+   */
+  create(context) {
+    const sourceCode = getRuleSourceCode(context)
+    const isClientModule = hasModuleDirective(
+      sourceCode.ast,
+      USE_CLIENT_DIRECTIVE,
+    )
+    if (
+      !isClientModule &&
+      (hasModuleDirective(sourceCode.ast, USE_SERVER_DIRECTIVE) ||
+        !sourceCode.text.includes(PROCESS_NAME))
+    ) {
+      return {}
+    }
+    const { allow = [] } = context.options[0] || {}
+    const allowedEnvNames = new Set([...DEFAULT_ALLOWED_ENV_NAMES, ...allow])
+    const filename = getRuleFilename(context)
+    // Client Component that pulls a module without the directive into the client bundle,
+    // looked up on its first server-only read since that walks the whole import graph
+    let clientImporter
+
+    /**
+     * Reports an environment variable that is not exposed to the browser.
+     * @param {import('estree').Node} node - Node to report.
+     * @param {string | null} name - Variable name, or null when it is not static.
+     */
+    function checkEnvName(node, name) {
+      if (
+        name === null ||
+        name.startsWith(PUBLIC_ENV_PREFIX) ||
+        allowedEnvNames.has(name)
+      ) {
+        return
+      }
+      if (isClientModule) {
+        context.report({ node, messageId: 'serverEnvVar', data: { name } })
+        return
+      }
+      if (clientImporter === undefined) {
+        clientImporter = findClientBoundaryImporter(context)
+      }
+      if (clientImporter) {
+        context.report({
+          node,
+          messageId: 'serverEnvVarInClientModule',
+          data: {
+            name,
+            importer: getRelativeModulePath(filename, clientImporter),
+          },
+        })
+      }
+    }
+
+    /**
+     * Reports an import or re-export that brings a server-only module into the client bundle.
+     * @param {import('estree').ImportDeclaration | import('estree').ExportNamedDeclaration | import('estree').ExportAllDeclaration} node - Module declaration.
+     */
+    function checkModuleSource(node) {
+      if (node.importKind === 'type' || node.exportKind === 'type') return
+      const source = node.source.value
+      if (source !== SERVER_ONLY_SOURCE) {
+        const target = resolveImportPath(filename, source)
+        const serverOnlyPath = target
+          ? findServerOnlyModule(context, target)
+          : null
+        if (!serverOnlyPath) return
+        if (serverOnlyPath !== target) {
+          context.report({
+            node,
+            messageId: 'serverOnlyDependency',
+            data: {
+              source,
+              dependency: getRelativeModulePath(filename, serverOnlyPath),
+            },
+          })
+          return
+        }
+      }
+      context.report({ node, messageId: 'serverOnlyImport', data: { source } })
+    }
+
+    const envListeners = {
+      MemberExpression(node) {
+        if (isProcessEnv(node.object)) {
+          checkEnvName(node, getStaticKeyName(node))
+        }
+      },
+      // `const { API_KEY } = process.env`
+      VariableDeclarator(node) {
+        if (
+          !node.init ||
+          node.id.type !== 'ObjectPattern' ||
+          !isProcessEnv(node.init)
+        ) {
+          return
+        }
+        for (const property of node.id.properties) {
+          if (property.type === 'Property') {
+            checkEnvName(property, getStaticKeyName(property))
+          }
+        }
+      },
+    }
+    if (!isClientModule) return envListeners
+
+    return {
+      ImportDeclaration: checkModuleSource,
+      'ExportNamedDeclaration[source], ExportAllDeclaration': checkModuleSource,
+      ...envListeners,
+    }
+  },
+}
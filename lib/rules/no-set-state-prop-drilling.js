@@ -1,6 +1,6 @@
-import { isUseStateCallee } from '../utils/hooks.js'
 import { isJSX } from '../utils/jsx.js'
 import { isPascalCase } from '../utils/naming.js'
+import { createReactImportTracker } from '../utils/react-imports.js'
 
 /**
  * @fileoverview Disallow passing React.useState setters through props.
@@ -58,6 +58,7 @@ export default {
     const FIRST_OPTION_INDEX = FIRST_INDEX
     const MIN_USE_STATE_TUPLE_LENGTH = 2
     const USE_STATE_SETTER_INDEX = 1
+    const reactImports = createReactImportTracker(context)
     const MIN_CREATE_ELEMENT_ARGS = 2
     const CREATE_ELEMENT_TARGET_INDEX = FIRST_INDEX
     const CREATE_ELEMENT_PROPS_INDEX = 1
@@ -93,7 +94,7 @@ export default {
     }
 
     /**
-     * Determines whether a call expression is React.createElement or createElement.
+     * Determines whether a call expression is createElement from React or a configured import source.
      * @param {import('estree').Node | null | undefined} node The node to inspect.
      * @returns
      * - True when the node is a createElement call
@@ -104,20 +105,7 @@ export default {
      */
     function isCreateElementCall(node) {
       if (!node || node.type !== 'CallExpression') return false
-      const callee = node.callee
-      if (callee.type === 'Identifier' && callee.name === 'createElement') {
-        return true
-      }
-      if (
-        callee.type === 'MemberExpression' &&
-        !callee.computed &&
-        callee.property &&
-        callee.property.type === 'Identifier' &&
-        callee.property.name === 'createElement'
-      ) {
-        return true
-      }
-      return false
+      return reactImports.isApiCalleeLoose(node.callee, 'createElement')
     }
 
     /**
@@ -159,7 +147,7 @@ export default {
     }
 
     /**
-     * Checks if a call expression represents memo() or React.memo().
+     * Checks if a call expression represents memo() from React or a configured import source.
      * @param {import('estree').CallExpression | null | undefined} node
      * @returns
      * - True when the call is memo(...) or React.memo(...)
@@ -170,18 +158,7 @@ export default {
      */
     function isMemoCall(node) {
       if (!node || node.type !== 'CallExpression') return false
-      const callee = node.callee
-      if (callee.type === 'Identifier' && callee.name === 'memo') return true
-      if (
-        callee.type === 'MemberExpression' &&
-        !callee.computed &&
-        callee.property &&
-        callee.property.type === 'Identifier' &&
-        callee.property.name === 'memo'
-      ) {
-        return true
-      }
-      return false
+      return reactImports.isApiCalleeLoose(node.callee, 'memo')
     }
 
     /**
@@ -432,7 +409,7 @@ export default {
         node.id.type === 'ArrayPattern' &&
         node.init &&
         node.init.type === 'CallExpression' &&
-        isUseStateCallee(node.init.callee)
+        reactImports.isApiCalleeLoose(node.init.callee, 'useState')
       ) {
         const elements = node.id.elements || []
         if (elements.length >= MIN_USE_STATE_TUPLE_LENGTH) {
@@ -928,6 +905,7 @@ export default {
        * VariableDeclarator(node) // => undefined
        */
       VariableDeclarator(node) {
+        reactImports.trackVariableDeclarator(node)
         collectSetterFromDeclarator(node)
       },
       /**
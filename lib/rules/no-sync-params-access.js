@@ -0,0 +1,342 @@
+import { getStaticKeyName, isFunctionNode } from '../utils/ast.js'
+import {
+  USE_CLIENT_DIRECTIVE,
+  hasModuleDirective,
+} from '../utils/directives.js'
+import { getRuleSourceCode } from '../utils/eslint-context.js'
+import { ROUTE_HANDLER_METHOD_NAMES } from '../utils/next-exports.js'
+import {
+  NEXT_FILE_ROLES,
+  NEXT_ROUTERS,
+  getNextFileInfo,
+} from '../utils/next-files.js'
+
+/**
+ * @fileoverview Disallow synchronous access to the Promise-based `params` and `searchParams`
+ * props introduced in Next.js 15.
+ * @author laststance
+ */
+
+const PROMISE_PROP_NAMES = new Set(['params', 'searchParams'])
+const PROMISE_METHOD_NAMES = new Set(['then', 'catch', 'finally'])
+const COMPONENT_FILE_ROLES = new Set([
+  NEXT_FILE_ROLES.PAGE,
+  NEXT_FILE_ROLES.LAYOUT,
+  NEXT_FILE_ROLES.TEMPLATE,
+  NEXT_FILE_ROLES.DEFAULT,
+])
+const ROUTE_FILE_ROLE = NEXT_FILE_ROLES.ROUTE
+// `generateStaticParams` is intentionally absent: its `params` argument is a plain object
+const METADATA_FUNCTION_NAMES = new Set([
+  'generateMetadata',
+  'generateViewport',
+])
+const PROPS_PARAMETER_INDEX = 0
+const ROUTE_CONTEXT_PARAMETER_INDEX = 1
+
+/**
+ * Returns the function node held by a declaration or initializer.
+ * @param {import('estree').Node | null | undefined} node - Candidate node.
+ * @returns {import('estree').Function | null} Function node or null.
+ */
+function asFunctionNode(node) {
+  return node && isFunctionNode(node) ? node : null
+}
+
+/**
+ * Finds a module-level function declared under a name.
+ * @param {import('estree').Program} program - Program node.
+ * @param {string} name - Binding name.
+ * @returns {import('estree').Function | null} Function node or null.
+ */
+function findTopLevelFunction(program, name) {
+  for (const statement of program.body) {
+    const declaration =
+      statement.type === 'ExportNamedDeclaration' && statement.declaration
+        ? statement.declaration
+        : statement
+    if (
+      declaration.type === 'FunctionDeclaration' &&
+      declaration.id?.name === name
+    ) {
+      return declaration
+    }
+    if (declaration.type === 'VariableDeclaration') {
+      for (const declarator of declaration.declarations) {
+        if (
+          declarator.id.type === 'Identifier' &&
+          declarator.id.name === name
+        ) {
+          return asFunctionNode(declarator.init)
+        }
+      }
+    }
+  }
+  return null
+}
+
+/**
+ * Collects exported functions that receive Promise-based props, with the index of the parameter
+ * that carries `params`/`searchParams`.
+ * @param {import('estree').Program} program - Program node.
+ * @param {string} role - App Router file role.
+ * @returns {Array<{ fn: import('estree').Function, parameterIndex: number }>} Target functions.
+ */
+function collectTargetFunctions(program, role) {
+  const targets = []
+  const isRoute = role === ROUTE_FILE_ROLE
+
+  /**
+   * Adds a named export when its name receives Promise-based props in this file role.
+   * @param {string} name - Exported name.
+   * @param {import('estree').Function | null} fn - Exported function.
+   */
+  function addNamedExport(name, fn) {
+    if (!fn) return
+    if (isRoute && ROUTE_HANDLER_METHOD_NAMES.has(name)) {
+      targets.push({ fn, parameterIndex: ROUTE_CONTEXT_PARAMETER_INDEX })
+    } else if (!isRoute && METADATA_FUNCTION_NAMES.has(name)) {
+      targets.push({ fn, parameterIndex: PROPS_PARAMETER_INDEX })
+    }
+  }
+
+  for (const statement of program.body) {
+    if (statement.type === 'ExportDefaultDeclaration' && !isRoute) {
+      const declaration = statement.declaration
+      const fn =
+        declaration.type === 'Identifier'
+          ? findTopLevelFunction(program, declaration.name)
+          : asFunctionNode(declaration)
+      if (fn) targets.push({ fn, parameterIndex: PROPS_PARAMETER_INDEX })
+      continue
+    }
+    if (statement.type !== 'ExportNamedDeclaration' || !statement.declaration) {
+      continue
+    }
+    const declaration = statement.declaration
+    if (declaration.type === 'FunctionDeclaration' && declaration.id) {
+      addNamedExport(declaration.id.name, declaration)
+    } else if (declaration.type === 'VariableDeclaration') {
+      for (const declarator of declaration.declarations) {
+        if (declarator.id.type !== 'Identifier') continue
+        addNamedExport(declarator.id.name, asFunctionNode(declarator.init))
+      }
+    }
+  }
+  return targets
+}
+
+/**
+ * Finds the closest function that contains a node.
+ * @param {import('estree').Node} node - Node to start from.
+ * @returns {import('estree').Node | null} Enclosing function or null.
+ */
+function getEnclosingFunction(node) {
+  let current = node.parent
+  while (current && !isFunctionNode(current)) {
+    current = current.parent
+  }
+  return current ?? null
+}
+
+export default {
+  meta: {
+    type: 'problem',
+    docs: {
+      description:
+        'Disallow synchronous access to the Promise-based params and searchParams props in Next.js 15 App Router files',
+      category: 'Possible Errors',
+      recommended: false,
+      url: 'https://github.com/laststance/react-next-eslint-plugin/blob/main/docs/rules/no-sync-params-access.md',
+    },
+    fixable: 'code',
+    hasSuggestions: false,
+    schema: [],
+    messages: {
+      syncParamsAccess:
+        "'{{name}}' is a Promise since Next.js 15. Await it (or unwrap it with use()) before reading its properties.",
+    },
+  },
+
+  /**
+   * Creates rule listeners.
+   * @param {import('eslint').Rule.RuleContext} context - ESLint rule context.
+   * @returns {import('eslint').Rule.RuleListener} Rule listener map.
+   */
+  create(context) {
+    const { router, role } = getNextFileInfo(context)
+    if (
+      router !== NEXT_ROUTERS.APP ||
+      (role !== ROUTE_FILE_ROLE && !COMPONENT_FILE_ROLES.has(role))
+    ) {
+      return {}
+    }
+    const sourceCode = getRuleSourceCode(context)
+    // Client Components cannot be async, so they must unwrap the prop with use() instead
+    const canAutofix = !hasModuleDirective(sourceCode.ast, USE_CLIENT_DIRECTIVE)
+
+    /**
+     * Reports a synchronous read of a Promise-based prop.
+     * @param {import('estree').Function} fn - Function receiving the prop.
+     * @param {import('estree').Node} node - Node to report.
+     * @param {string} name - Prop name.
+     * @param {import('estree').Expression | null} promiseExpression - Expression to await in the fix.
+     */
+    function report(fn, node, name, promiseExpression) {
+      const fixable =
+        canAutofix &&
+        promiseExpression !== null &&
+        !fn.generator &&
+        getEnclosingFunction(promiseExpression) === fn
+      context.report({
+        node,
+        messageId: 'syncParamsAccess',
+        data: { name },
+        fix: fixable
+          ? (fixer) => {
+              const fixes = []
+              if (!fn.async) {
+                fixes.push(fixer.insertTextBefore(fn, 'async '))
+              }
+              fixes.push(
+                fixer.replaceText(
+                  promiseExpression,
+                  `(await ${sourceCode.getText(promiseExpression)})`,
+                ),
+              )
+              return fixes
+            }
+          : null,
+      })
+    }
+
+    /**
+     * Checks how an expression evaluating to the Promise-based prop is used.
+     * @param {import('estree').Function} fn - Function receiving the prop.
+     * @param {import('estree').Expression} expression - Expression holding the prop.
+     * @param {string} name - Prop name.
+     */
+    function checkPromiseUsage(fn, expression, name) {
+      const parent = expression.parent
+      if (parent.type === 'MemberExpression' && parent.object === expression) {
+        if (PROMISE_METHOD_NAMES.has(getStaticKeyName(parent))) return
+        report(fn, parent, name, expression)
+        return
+      }
+      if (
+        parent.type === 'VariableDeclarator' &&
+        parent.init === expression &&
+        parent.id.type === 'ObjectPattern'
+      ) {
+        report(fn, parent.id, name, null)
+      }
+    }
+
+    /**
+     * Checks every read of a local binding that holds the Promise-based prop.
+     * @param {import('estree').Function} fn - Function receiving the prop.
+     * @param {import('estree').Identifier} identifier - Declaring identifier.
+     * @param {string} name - Prop name.
+     */
+    function checkPromiseBinding(fn, identifier, name) {
+      const variable = findVariable(fn, identifier)
+      if (!variable) return
+      for (const reference of variable.references) {
+        if (reference.init || !reference.isRead()) continue
+        checkPromiseUsage(fn, reference.identifier, name)
+      }
+    }
+
+    /**
+     * Checks a destructuring pattern applied to the props object.
+     * @param {import('estree').Function} fn - Function receiving the props.
+     * @param {import('estree').ObjectPattern} pattern - Destructuring pattern.
+     */
+    function checkPropsPattern(fn, pattern) {
+      for (const property of pattern.properties) {
+        if (property.type !== 'Property') continue
+        const name = getStaticKeyName(property)
+        if (!PROMISE_PROP_NAMES.has(name)) continue
+        const value =
+          property.value.type === 'AssignmentPattern'
+            ? property.value.left
+            : property.value
+        if (value.type === 'Identifier') {
+          checkPromiseBinding(fn, value, name)
+        } else if (
+          value.type === 'ObjectPattern' ||
+          value.type === 'ArrayPattern'
+        ) {
+          // `{ params: { slug } }` reads the Promise synchronously in the signature itself
+          report(fn, value, name, null)
+        }
+      }
+    }
+
+    /**
+     * Checks every read of the props object itself, e.g. `props.params.slug`.
+     * @param {import('estree').Function} fn - Function receiving the props.
+     * @param {import('estree').Identifier} identifier - Props parameter identifier.
+     */
+    function checkPropsBinding(fn, identifier) {
+      const variable = findVariable(fn, identifier)
+      if (!variable) return
+      for (const reference of variable.references) {
+        if (reference.init || !reference.isRead()) continue
+        const node = reference.identifier
+        const parent = node.parent
+        if (parent.type === 'MemberExpression' && parent.object === node) {
+          const name = getStaticKeyName(parent)
+          if (PROMISE_PROP_NAMES.has(name)) {
+            checkPromiseUsage(fn, parent, name)
+          }
+        } else if (
+          parent.type === 'VariableDeclarator' &&
+          parent.init === node &&
+          parent.id.type === 'ObjectPattern'
+        ) {
+          checkPropsPattern(fn, parent.id)
+        }
+      }
+    }
+
+    /**
+     * Finds the scope variable declared by an identifier inside a function.
+     * @param {import('estree').Function} fn - Function whose scope declares the identifier.
+     * @param {import('estree').Identifier} identifier - Declaring identifier.
+     * @returns {import('eslint').Scope.Variable | null} Variable or null.
+     */
+    function findVariable(fn, identifier) {
+      let declaringNode = identifier.parent
+      while (
+        declaringNode !== fn &&
+        declaringNode.type !== 'VariableDeclarator'
+      ) {
+        declaringNode = declaringNode.parent
+      }
+      return (
+        sourceCode
+          .getDeclaredVariables(declaringNode)
+          .find((variable) => variable.identifiers.includes(identifier)) ?? null
+      )
+    }
+
+    return {
+      'Program:exit'(program) {
+        for (const { fn, parameterIndex } of collectTargetFunctions(
+          program,
+          role,
+        )) {
+          let parameter = fn.params[parameterIndex]
+          if (!parameter) continue
+          if (parameter.type === 'AssignmentPattern') parameter = parameter.left
+          if (parameter.type === 'ObjectPattern') {
+            checkPropsPattern(fn, parameter)
+          } else if (parameter.type === 'Identifier') {
+            checkPropsBinding(fn, parameter)
+          }
+        }
+      },
+    }
+  },
+}
@@ -1,3 +1,11 @@
+import {
+  createReactImportTracker,
+  getImportedName,
+  isReactImportDeclaration,
+} from '../utils/react-imports.js'
+
+const USE_REDUCER_HOOK_NAME = 'useReducer'
+
 export default {
   meta: {
     type: 'suggestion',
@@ -18,6 +26,7 @@ export default {
 
   create(context) {
     const reportedNodes = new Set()
+    const reactImports = createReactImportTracker(context)
 
     /**
      * Reports a useReducer violation if not already reported
@@ -39,69 +48,56 @@ export default {
      * @returns {boolean} True if the node is a useReducer call
      */
     function isUseReducerCall(node) {
-      return (
-        node &&
-        node.type === 'CallExpression' &&
-        node.callee &&
+      if (!node || node.type !== 'CallExpression' || !node.callee) {
+        return false
+      }
+      // Bare `useReducer()` is reported even without a visible import
+      if (
         node.callee.type === 'Identifier' &&
-        node.callee.name === 'useReducer'
-      )
+        node.callee.name === USE_REDUCER_HOOK_NAME
+      ) {
+        return true
+      }
+      // Aliases and namespace calls such as `React.useReducer()` resolved from the import sources
+      return reactImports.isApiCallee(node.callee, USE_REDUCER_HOOK_NAME)
     }
 
     /**
-     * Checks if useReducer is imported from React
-     * @param {object} node - The AST node to check
-     * @returns {boolean} True if useReducer is imported from React
+     * Finds the useReducer specifier in an import from React or a configured import source
+     * @param {object} node - The ImportDeclaration node to check
+     * @returns {object | null} The useReducer import specifier, if any
      */
-    function isUseReducerImport(node) {
+    function findUseReducerImportSpecifier(node) {
+      if (!isReactImportDeclaration(node, reactImports.importSources)) {
+        return null
+      }
       return (
-        node &&
-        node.type === 'ImportDeclaration' &&
-        node.source &&
-        node.source.value === 'react' &&
-        node.specifiers &&
-        node.specifiers.some(
+        node.specifiers.find(
           (specifier) =>
             specifier.type === 'ImportSpecifier' &&
-            specifier.imported &&
-            specifier.imported.name === 'useReducer',
-        )
+            getImportedName(specifier) === USE_REDUCER_HOOK_NAME,
+        ) ?? null
       )
     }
 
     return {
-      // Check for direct useReducer calls and React.useReducer calls
+      // Track CommonJS requires and aliases of React
+      VariableDeclarator(node) {
+        reactImports.trackVariableDeclarator(node)
+      },
+
+      // Check for direct useReducer calls, aliases and React.useReducer calls
       CallExpression(node) {
         if (isUseReducerCall(node)) {
           reportUseReducer(node)
         }
-
-        // Check for React.useReducer calls
-        if (
-          node.callee &&
-          node.callee.type === 'MemberExpression' &&
-          node.callee.object &&
-          node.callee.object.name === 'React' &&
-          node.callee.property &&
-          node.callee.property.name === 'useReducer'
-        ) {
-          reportUseReducer(node)
-        }
       },
 
       // Check for useReducer imports
       ImportDeclaration(node) {
-        if (isUseReducerImport(node)) {
-          const useReducerSpecifier = node.specifiers.find(
-            (specifier) =>
-              specifier.type === 'ImportSpecifier' &&
-              specifier.imported &&
-              specifier.imported.name === 'useReducer',
-          )
-
-          if (useReducerSpecifier) {
-            reportUseReducer(useReducerSpecifier)
-          }
+        const useReducerSpecifier = findUseReducerImportSpecifier(node)
+        if (useReducerSpecifier) {
+          reportUseReducer(useReducerSpecifier)
         }
       },
     }
@@ -0,0 +1,137 @@
+import { getRuleSourceCode } from '../utils/eslint-context.js'
+import {
+  insertImportDeclaration,
+  resolveDefaultImportName,
+} from '../utils/import-fixes.js'
+import {
+  getJsxAttribute,
+  resolveDomElementType,
+} from '../utils/jsx-attributes.js'
+import { getJsxElementType } from '../utils/jsx.js'
+
+/**
+ * @fileoverview Prefer the `next/image` Image component over raw `<img>` elements.
+ * @author laststance
+ */
+
+const IMG_ELEMENT_TYPE = 'img'
+// `<img>` inside `<picture>` is used for art direction, which Image does not replace
+const PICTURE_ELEMENT_TYPE = 'picture'
+const NEXT_IMAGE_SOURCE = 'next/image'
+const DEFAULT_IMAGE_NAME = 'Image'
+const SIZE_ATTRIBUTE_NAMES = ['width', 'height']
+const NUMERIC_STRING_PATTERN = /^\d+(\.\d+)?$/
+
+/**
+ * Checks whether a size attribute is written directly on the element with a static number,
+ * e.g. `width={640}` or `width="640"`.
+ * @param {import('estree').JSXAttribute | import('estree').JSXSpreadAttribute | null} attribute - Size attribute.
+ * @returns {boolean} True when Image can reuse the attribute as is.
+ */
+function isStaticSizeAttribute(attribute) {
+  if (attribute?.type !== 'JSXAttribute' || !attribute.value) return false
+  const value =
+    attribute.value.type === 'JSXExpressionContainer'
+      ? attribute.value.expression
+      : attribute.value
+  if (value.type !== 'Literal') return false
+  return typeof value.value === 'number'
+    ? value.value > 0
+    : typeof value.value === 'string' &&
+        NUMERIC_STRING_PATTERN.test(value.value)
+}
+
+export default {
+  meta: {
+    type: 'suggestion',
+    docs: {
+      description:
+        "Prefer the Image component from 'next/image' over raw <img> elements",
+      category: 'Best Practices',
+      recommended: false,
+      url: 'https://github.com/laststance/react-next-eslint-plugin/blob/main/docs/rules/prefer-next-image.md',
+    },
+    fixable: null,
+    hasSuggestions: true,
+    schema: [],
+    messages: {
+      preferNextImage:
+        "Use the Image component from 'next/image' instead of <img> to get automatic resizing, lazy loading and optimized formats.",
+      replaceWithImage: "Replace <img> with <{{name}}> from 'next/image'.",
+    },
+  },
+
+  /**
+   * Creates rule listeners.
+   * @param {import('eslint').Rule.RuleContext} context - ESLint rule context.
+   * @returns {import('eslint').Rule.RuleListener} Rule listener map.
+   */
+  create(context) {
+    const sourceCode = getRuleSourceCode(context)
+
+    /**
+     * Builds the suggestion that swaps the element for Image. It is only offered for plain
+     * `<img>` elements with static width and height, which Image requires.
+     * @param {import('estree').JSXElement} node - Image element.
+     * @returns {import('eslint').Rule.SuggestionReportDescriptor[]} Suggestions.
+     */
+    function getSuggestions(node) {
+      if (getJsxElementType(node) !== IMG_ELEMENT_TYPE) return []
+      const findAttribute = getJsxAttribute(context, node)
+      if (
+        !SIZE_ATTRIBUTE_NAMES.every((name) =>
+          isStaticSizeAttribute(findAttribute(name)),
+        )
+      ) {
+        return []
+      }
+      const imageImport = resolveDefaultImportName(
+        context,
+        node,
+        NEXT_IMAGE_SOURCE,
+        DEFAULT_IMAGE_NAME,
+      )
+      if (!imageImport) return []
+      const { name, needsImport } = imageImport
+      return [
+        {
+          messageId: 'replaceWithImage',
+          data: { name },
+          fix: (fixer) => {
+            const fixes = [fixer.replaceText(node.openingElement.name, name)]
+            if (node.closingElement) {
+              fixes.push(fixer.replaceText(node.closingElement.name, name))
+            }
+            if (needsImport) {
+              fixes.push(
+                insertImportDeclaration(
+                  fixer,
+                  sourceCode.ast,
+                  `import ${name} from '${NEXT_IMAGE_SOURCE}'`,
+                ),
+              )
+            }
+            return fixes
+          },
+        },
+      ]
+    }
+
+    return {
+      JSXElement(node) {
+        if (resolveDomElementType(context, node) !== IMG_ELEMENT_TYPE) return
+        if (
+          node.parent.type === 'JSXElement' &&
+          resolveDomElementType(context, node.parent) === PICTURE_ELEMENT_TYPE
+        ) {
+          return
+        }
+        context.report({
+          node: node.openingElement,
+          messageId: 'preferNextImage',
+          suggest: getSuggestions(node),
+        })
+      },
+    }
+  },
+}
@@ -0,0 +1,166 @@
+import { getRuleSourceCode } from '../utils/eslint-context.js'
+import {
+  findDefaultImportName,
+  insertImportDeclaration,
+  resolveDefaultImportName,
+} from '../utils/import-fixes.js'
+import {
+  getJsxAttribute,
+  getStaticJsxAttributeStringValue,
+  resolveDomElementType,
+} from '../utils/jsx-attributes.js'
+import { getJsxElementType } from '../utils/jsx.js'
+
+/**
+ * @fileoverview Prefer the `next/link` Link component over `<a>` elements that navigate within
+ * the app.
+ * @author laststance
+ */
+
+const ANCHOR_ELEMENT_TYPE = 'a'
+const NEXT_LINK_SOURCE = 'next/link'
+const DEFAULT_LINK_NAME = 'Link'
+// `<a download>` must bypass client-side navigation to save the file
+const DOWNLOAD_ATTRIBUTE_NAME = 'download'
+// `target` and `rel="external"` ask for browser navigation, so those anchors are not rewritten
+const TARGET_ATTRIBUTE_NAME = 'target'
+const REL_ATTRIBUTE_NAME = 'rel'
+const EXTERNAL_REL_VALUE = 'external'
+const REL_SEPARATOR_PATTERN = /\s+/
+const URL_SUFFIX_PATTERN = /[?#].*$/
+// Paths such as "/report.pdf" point at static files rather than routes
+const FILE_EXTENSION_PATTERN = /\/[^/]*\.[a-z\d]+$/i
+// API routes return data rather than pages, so the client router cannot render them
+const API_ROUTE_PATTERN = /^\/api(?:\/|$)/
+
+/**
+ * Checks whether an href is an app-relative URL, e.g. "/dashboard" but not "//cdn.example.com"
+ * or "/api/export".
+ * @param {string} href - Static href value.
+ * @returns {boolean} True for paths handled by the Next.js router.
+ */
+function isInternalHref(href) {
+  if (!href.startsWith('/') || href.startsWith('//')) return false
+  const pathname = href.replace(URL_SUFFIX_PATTERN, '')
+  return (
+    !API_ROUTE_PATTERN.test(pathname) && !FILE_EXTENSION_PATTERN.test(pathname)
+  )
+}
+
+export default {
+  meta: {
+    type: 'suggestion',
+    docs: {
+      description:
+        "Prefer the Link component from 'next/link' over <a> elements that navigate within the app",
+      category: 'Best Practices',
+      recommended: false,
+      url: 'https://github.com/laststance/react-next-eslint-plugin/blob/main/docs/rules/prefer-next-link.md',
+    },
+    hasSuggestions: true,
+    schema: [],
+    messages: {
+      preferNextLink:
+        "Use the Link component from 'next/link' to navigate to '{{href}}'. A plain <a> reloads the whole page and skips prefetching.",
+      replaceWithLink: "Replace <a> with {{name}} from 'next/link'.",
+    },
+  },
+
+  /**
+   * Creates rule listeners.
+   * @param {import('eslint').Rule.RuleContext} context - ESLint rule context.
+   * @returns {import('eslint').Rule.RuleListener} Rule listener map.
+   */
+  create(context) {
+    const sourceCode = getRuleSourceCode(context)
+    let linkName
+
+    /**
+     * Checks whether an element is a child of Link, as required by the legacy
+     * `<Link><a>...</a></Link>` API.
+     * @param {import('estree').JSXElement} node - Anchor element.
+     * @returns {boolean} True when the parent element is Link.
+     */
+    function isLegacyLinkChild(node) {
+      if (linkName === undefined) {
+        linkName = findDefaultImportName(sourceCode.ast, NEXT_LINK_SOURCE)
+      }
+      return (
+        linkName !== null &&
+        node.parent.type === 'JSXElement' &&
+        getJsxElementType(node.parent) === linkName
+      )
+    }
+
+    /**
+     * Creates the suggestion that swaps the element for Link. Only plain `<a>` elements that do
+     * not ask for browser navigation through `target` or `rel="external"` are rewritten.
+     * @param {import('estree').JSXElement} node - Anchor element.
+     * @param {ReturnType<typeof getJsxAttribute>} findAttribute - Attribute lookup for the element.
+     * @returns {import('eslint').Rule.SuggestionReportDescriptor | null} Suggestion or null.
+     */
+    function getSuggestion(node, findAttribute) {
+      if (getJsxElementType(node) !== ANCHOR_ELEMENT_TYPE) return null
+      if (findAttribute(TARGET_ATTRIBUTE_NAME)) return null
+      const rel = getStaticJsxAttributeStringValue(
+        findAttribute(REL_ATTRIBUTE_NAME),
+      )
+      if (rel?.split(REL_SEPARATOR_PATTERN).includes(EXTERNAL_REL_VALUE)) {
+        return null
+      }
+      const linkImport = resolveDefaultImportName(
+        context,
+        node,
+        NEXT_LINK_SOURCE,
+        DEFAULT_LINK_NAME,
+      )
+      if (!linkImport) return null
+      const { name, needsImport } = linkImport
+      return {
+        messageId: 'replaceWithLink',
+        data: { name },
+        fix: (fixer) => {
+          const fixes = [fixer.replaceText(node.openingElement.name, name)]
+          if (node.closingElement) {
+            fixes.push(fixer.replaceText(node.closingElement.name, name))
+          }
+          if (needsImport) {
+            fixes.push(
+              insertImportDeclaration(
+                fixer,
+                sourceCode.ast,
+                `import ${name} from '${NEXT_LINK_SOURCE}'`,
+              ),
+            )
+          }
+          return fixes
+        },
+      }
+    }
+
+    return {
+      JSXElement(node) {
+        if (resolveDomElementType(context, node) !== ANCHOR_ELEMENT_TYPE) {
+          return
+        }
+        const findAttribute = getJsxAttribute(context, node)
+        const href = getStaticJsxAttributeStringValue(findAttribute('href'))
+        if (
+          href === null ||
+          !isInternalHref(href) ||
+          findAttribute(DOWNLOAD_ATTRIBUTE_NAME) ||
+          isLegacyLinkChild(node)
+        ) {
+          return
+        }
+        const suggestion = getSuggestion(node, findAttribute)
+        context.report({
+          node: node.openingElement,
+          messageId: 'preferNextLink',
+          data: { href },
+          suggest: suggestion ? [suggestion] : [],
+        })
+      },
+    }
+  },
+}
@@ -1,4 +1,8 @@
 import { literalKind } from '../utils/literal.js'
+import { createReactImportTracker } from '../utils/react-imports.js'
+import { createHookExtraction } from '../utils/hook-fixes.js'
+
+const CONTEXT_VALUE_NAME = 'contextValue'
 
 export default {
   meta: {
@@ -11,15 +15,21 @@ export default {
       url: 'https://github.com/laststance/react-next-eslint-plugin',
     },
     fixable: null,
-    hasSuggestions: false,
+    hasSuggestions: true,
     schema: [],
     messages: {
       preferStable:
         'Avoid passing a new {{kind}} literal to Context.Provider "value" on each render. Wrap it in useMemo/useCallback to provide a stable reference and prevent unnecessary context consumers re-rendering.',
+      extractToUseMemo:
+        "Move the value into 'const {{name}} = useMemo(() => ..., [{{dependencies}}])'.",
+      extractToUseCallback:
+        "Move the function into 'const {{name}} = useCallback(..., [{{dependencies}}])'.",
     },
   },
 
   create(context) {
+    const reactImports = createReactImportTracker(context)
+
     function isProviderElement(nameNode) {
       // Match Something.Provider
       if (!nameNode || nameNode.type !== 'JSXMemberExpression') return false
@@ -32,6 +42,9 @@ export default {
     }
 
     return {
+      VariableDeclarator(node) {
+        reactImports.trackVariableDeclarator(node)
+      },
       JSXOpeningElement(node) {
         if (!isProviderElement(node.name)) return
         for (const attr of node.attributes || []) {
@@ -47,10 +60,31 @@ export default {
           const expr = attr.value.expression
           const kind = literalKind(expr)
           if (kind && ['object', 'array', 'function'].includes(kind)) {
+            const hookName = kind === 'function' ? 'useCallback' : 'useMemo'
+            const extraction = createHookExtraction(context, reactImports, {
+              node: expr,
+              hookName,
+              baseName: CONTEXT_VALUE_NAME,
+            })
             context.report({
               node: attr,
               messageId: 'preferStable',
               data: { kind },
+              suggest: extraction
+                ? [
+                    {
+                      messageId:
+                        hookName === 'useMemo'
+                          ? 'extractToUseMemo'
+                          : 'extractToUseCallback',
+                      data: {
+                        name: extraction.name,
+                        dependencies: extraction.dependencies.join(', '),
+                      },
+                      fix: extraction.fix,
+                    },
+                  ]
+                : [],
             })
           }
         }
@@ -3,6 +3,12 @@
  */
 
 import { getRuleScope } from '../utils/eslint-context.js'
+import { createReactImportTracker } from '../utils/react-imports.js'
+import {
+  createHookExtraction,
+  createHookWrap,
+  getPropBindingName,
+} from '../utils/hook-fixes.js'
 
 const INLINE_FUNCTION_TYPES = new Set([
   'ArrowFunctionExpression',
@@ -23,20 +29,22 @@ export default {
       url: 'https://github.com/laststance/react-next-eslint-plugin',
     },
     fixable: null,
-    hasSuggestions: false,
+    hasSuggestions: true,
     schema: [],
     messages: {
       inlineFunction:
         'Component "{{componentName}}" receives a new inline function for prop "{{propName}}". Wrap it with useCallback to keep the reference stable.',
       unstableReference:
         'Function "{{functionName}}" passed to component "{{componentName}}" via prop "{{propName}}" is not wrapped in useCallback. Wrap it with useCallback to avoid unnecessary renders.',
+      extractToUseCallback:
+        "Move the function into 'const {{name}} = useCallback(..., [{{dependencies}}])'.",
+      wrapInUseCallback:
+        "Wrap '{{functionName}}' in useCallback(..., [{{dependencies}}]).",
     },
   },
 
   create(context) {
-    const reactNamespaceIdentifiers = new Set(['React'])
-    const useCallbackIdentifiers = new Set()
-    const createElementIdentifiers = new Set()
+    const reactImports = createReactImportTracker(context)
 
     function unwrapChain(node) {
       return node && node.type === 'ChainExpression' ? node.expression : node
@@ -60,150 +68,12 @@ export default {
       return current
     }
 
-    function isIdentifierNamed(node, names) {
-      return node && node.type === 'Identifier' && names.has(node.name)
-    }
-
-    function getMemberPropertyName(member) {
-      if (member.computed) {
-        return member.property.type === 'Literal' &&
-          typeof member.property.value === 'string'
-          ? member.property.value
-          : null
-      }
-      return member.property.type === 'Identifier' ? member.property.name : null
-    }
-
-    function isReactNamespaceMember(node, property) {
-      const target = unwrapChain(node)
-      return (
-        target &&
-        target.type === 'MemberExpression' &&
-        target.object.type === 'Identifier' &&
-        reactNamespaceIdentifiers.has(target.object.name) &&
-        getMemberPropertyName(target) === property
-      )
-    }
-
-    function isRequireOfReact(node) {
-      return (
-        node &&
-        node.type === 'CallExpression' &&
-        node.callee.type === 'Identifier' &&
-        node.callee.name === 'require' &&
-        node.arguments.length === 1 &&
-        node.arguments[0].type === 'Literal' &&
-        node.arguments[0].value === 'react'
-      )
-    }
-
-    function registerReactDestructuring(pattern) {
-      for (const prop of pattern.properties) {
-        if (prop.type !== 'Property') continue
-        if (prop.computed) continue
-        const key = prop.key
-        if (key.type !== 'Identifier') continue
-        let local = null
-        if (prop.value.type === 'Identifier') {
-          local = prop.value.name
-        } else if (
-          prop.value.type === 'AssignmentPattern' &&
-          prop.value.left.type === 'Identifier'
-        ) {
-          local = prop.value.left.name
-        }
-        if (!local) continue
-        if (key.name === 'useCallback') useCallbackIdentifiers.add(local)
-        if (key.name === 'createElement') createElementIdentifiers.add(local)
-      }
-    }
-
-    function trackReactAliasesFromDeclarator(node) {
-      if (!node.init) return
-      const init = normalizeExpression(node.init)
-      if (isRequireOfReact(init)) {
-        if (node.id.type === 'Identifier') {
-          reactNamespaceIdentifiers.add(node.id.name)
-        } else if (node.id.type === 'ObjectPattern') {
-          registerReactDestructuring(node.id)
-        }
-        return
-      }
-
-      if (
-        node.id.type === 'Identifier' &&
-        init &&
-        init.type === 'MemberExpression' &&
-        getMemberPropertyName(init) === 'default'
-      ) {
-        const object = init.object
-        if (
-          (object.type === 'Identifier' &&
-            reactNamespaceIdentifiers.has(object.name)) ||
-          isRequireOfReact(object)
-        ) {
-          reactNamespaceIdentifiers.add(node.id.name)
-          return
-        }
-      }
-
-      if (node.id.type === 'ObjectPattern') {
-        if (
-          init.type === 'Identifier' &&
-          reactNamespaceIdentifiers.has(init.name)
-        ) {
-          registerReactDestructuring(node.id)
-        }
-        return
-      }
-
-      if (node.id.type !== 'Identifier') return
-
-      if (
-        init.type === 'Identifier' &&
-        reactNamespaceIdentifiers.has(init.name)
-      ) {
-        reactNamespaceIdentifiers.add(node.id.name)
-        return
-      }
-
-      if (init.type === 'MemberExpression') {
-        const object = init.object
-        const propertyName = getMemberPropertyName(init)
-        if (!propertyName) return
-        if (
-          object.type === 'Identifier' &&
-          reactNamespaceIdentifiers.has(object.name)
-        ) {
-          if (propertyName === 'useCallback')
-            useCallbackIdentifiers.add(node.id.name)
-          if (propertyName === 'createElement')
-            createElementIdentifiers.add(node.id.name)
-          return
-        }
-        if (isRequireOfReact(object) && node.id.type === 'Identifier') {
-          if (propertyName === 'useCallback')
-            useCallbackIdentifiers.add(node.id.name)
-          if (propertyName === 'createElement')
-            createElementIdentifiers.add(node.id.name)
-        }
-      }
-    }
-
     function isUseCallbackCallee(callee) {
-      const target = unwrapChain(callee)
-      return (
-        isIdentifierNamed(target, useCallbackIdentifiers) ||
-        isReactNamespaceMember(target, 'useCallback')
-      )
+      return reactImports.isApiCallee(callee, 'useCallback')
     }
 
     function isCreateElementCallee(callee) {
-      const target = unwrapChain(callee)
-      return (
-        isIdentifierNamed(target, createElementIdentifiers) ||
-        isReactNamespaceMember(target, 'createElement')
-      )
+      return reactImports.isApiCallee(callee, 'createElement')
     }
 
     function getVariable(identifier) {
@@ -256,11 +126,28 @@ export default {
       return node && node.type === 'JSXIdentifier' && /^[A-Z]/.test(node.name)
     }
 
-    function reportInline(attributeNode, componentName, propName) {
+    function reportInline(attributeNode, componentName, propName, expression) {
+      const extraction = createHookExtraction(context, reactImports, {
+        node: expression,
+        hookName: 'useCallback',
+        baseName: getPropBindingName(propName, propName),
+      })
       context.report({
         node: attributeNode,
         messageId: 'inlineFunction',
         data: { componentName, propName },
+        suggest: extraction
+          ? [
+              {
+                messageId: 'extractToUseCallback',
+                data: {
+                  name: extraction.name,
+                  dependencies: extraction.dependencies.join(', '),
+                },
+                fix: extraction.fix,
+              },
+            ]
+          : [],
       })
     }
 
@@ -268,12 +155,26 @@ export default {
       attributeNode,
       componentName,
       propName,
-      functionName,
+      variable,
     ) {
+      const functionName = variable.name
+      const wrap = createHookWrap(context, reactImports, variable, 'useCallback')
       context.report({
         node: attributeNode,
         messageId: 'unstableReference',
         data: { componentName, propName, functionName },
+        suggest: wrap
+          ? [
+              {
+                messageId: 'wrapInUseCallback',
+                data: {
+                  functionName,
+                  dependencies: wrap.dependencies.join(', '),
+                },
+                fix: wrap.fix,
+              },
+            ]
+          : [],
       })
     }
 
@@ -285,7 +186,7 @@ export default {
     ) {
       const normalized = normalizeExpression(expression)
       if (normalized && INLINE_FUNCTION_TYPES.has(normalized.type)) {
-        reportInline(attributeNode, componentName, propName)
+        reportInline(attributeNode, componentName, propName, expression)
         return true
       }
       return false
@@ -301,7 +202,12 @@ export default {
       if (!normalized || normalized.type !== 'Identifier') return
       if (isUseCallbackVariable(normalized)) return
       if (!isLocalFunctionReference(normalized)) return
-      reportIdentifier(attributeNode, componentName, propName, normalized.name)
+      reportIdentifier(
+        attributeNode,
+        componentName,
+        propName,
+        getVariable(normalized),
+      )
     }
 
     function handleJsxAttribute(attribute, componentName) {
@@ -367,25 +273,8 @@ export default {
     }
 
     return {
-      ImportDeclaration(node) {
-        if (node.source.value !== 'react') return
-        for (const specifier of node.specifiers) {
-          if (
-            specifier.type === 'ImportDefaultSpecifier' ||
-            specifier.type === 'ImportNamespaceSpecifier'
-          ) {
-            reactNamespaceIdentifiers.add(specifier.local.name)
-          } else if (specifier.type === 'ImportSpecifier') {
-            const importedName = specifier.imported.name
-            if (importedName === 'useCallback')
-              useCallbackIdentifiers.add(specifier.local.name)
-            if (importedName === 'createElement')
-              createElementIdentifiers.add(specifier.local.name)
-          }
-        }
-      },
       VariableDeclarator(node) {
-        trackReactAliasesFromDeclarator(node)
+        reactImports.trackVariableDeclarator(node)
       },
       JSXOpeningElement(node) {
         if (!isCustomComponentName(node.name)) return
@@ -3,6 +3,9 @@
  */
 
 import { getRuleScope } from '../utils/eslint-context.js'
+import { createReactImportTracker } from '../utils/react-imports.js'
+import { createHookExtraction, createHookWrap } from '../utils/hook-fixes.js'
+import { createImportedMemoComponentLookup } from '../utils/memo-registry.js'
 
 const INLINE_VALUE_TYPES = new Set(['ObjectExpression', 'ArrayExpression'])
 
@@ -20,22 +23,43 @@ export default {
       url: 'https://github.com/laststance/react-next-eslint-plugin',
     },
     fixable: null,
-    hasSuggestions: false,
-    schema: [],
+    hasSuggestions: true,
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          followImports: { type: 'boolean' },
+        },
+        additionalProperties: false,
+      },
+    ],
     messages: {
       inlineValue:
         'Memoized component "{{componentName}}" receives a new object/array for prop "{{propName}}". Wrap it with useMemo to keep the value stable.',
       unstableReference:
         'Value "{{valueName}}" passed to memoized component "{{componentName}}" via prop "{{propName}}" is not wrapped in useMemo. Wrap it with useMemo to prevent breaking memoization.',
+      extractToUseMemo:
+        "Move the value into 'const {{name}} = useMemo(() => ..., [{{dependencies}}])'.",
+      wrapInUseMemo:
+        "Wrap '{{valueName}}' in useMemo(() => ..., [{{dependencies}}]).",
     },
   },
 
   create(context) {
+    const reactImports = createReactImportTracker(context)
     const memoizedComponents = new Set()
-    const reactNamespaceIdentifiers = new Set(['React'])
-    const memoIdentifiers = new Set()
-    const useMemoIdentifiers = new Set()
-    const createElementIdentifiers = new Set()
+    const { followImports = false } = context.options[0] || {}
+    // Opt-in: resolve imported components and check whether their module exports them via memo()
+    const isImportedMemoComponent = followImports
+      ? createImportedMemoComponentLookup(context)
+      : null
+
+    function isMemoizedComponent(componentName) {
+      if (memoizedComponents.has(componentName)) return true
+      return Boolean(
+        isImportedMemoComponent && isImportedMemoComponent(componentName),
+      )
+    }
 
     function unwrapChain(node) {
       return node && node.type === 'ChainExpression' ? node.expression : node
@@ -59,159 +83,16 @@ export default {
       return current
     }
 
-    function isIdentifierNamed(node, names) {
-      return node && node.type === 'Identifier' && names.has(node.name)
-    }
-
-    function getMemberPropertyName(member) {
-      if (member.computed) {
-        return member.property.type === 'Literal' &&
-          typeof member.property.value === 'string'
-          ? member.property.value
-          : null
-      }
-      return member.property.type === 'Identifier' ? member.property.name : null
-    }
-
-    function isReactNamespaceMember(node, property) {
-      const target = unwrapChain(node)
-      return (
-        target &&
-        target.type === 'MemberExpression' &&
-        target.object.type === 'Identifier' &&
-        reactNamespaceIdentifiers.has(target.object.name) &&
-        getMemberPropertyName(target) === property
-      )
-    }
-
-    function isRequireOfReact(node) {
-      return (
-        node &&
-        node.type === 'CallExpression' &&
-        node.callee.type === 'Identifier' &&
-        node.callee.name === 'require' &&
-        node.arguments.length === 1 &&
-        node.arguments[0].type === 'Literal' &&
-        node.arguments[0].value === 'react'
-      )
-    }
-
-    function registerReactDestructuring(pattern) {
-      for (const prop of pattern.properties) {
-        if (prop.type !== 'Property') continue
-        if (prop.computed) continue
-        const key = prop.key
-        if (key.type !== 'Identifier') continue
-        let local = null
-        if (prop.value.type === 'Identifier') {
-          local = prop.value.name
-        } else if (
-          prop.value.type === 'AssignmentPattern' &&
-          prop.value.left.type === 'Identifier'
-        ) {
-          local = prop.value.left.name
-        }
-        if (!local) continue
-        if (key.name === 'memo') memoIdentifiers.add(local)
-        if (key.name === 'useMemo') useMemoIdentifiers.add(local)
-        if (key.name === 'createElement') createElementIdentifiers.add(local)
-      }
-    }
-
-    function trackReactAliasesFromDeclarator(node) {
-      if (!node.init) return
-      const init = normalizeExpression(node.init)
-      if (isRequireOfReact(init)) {
-        if (node.id.type === 'Identifier') {
-          reactNamespaceIdentifiers.add(node.id.name)
-        } else if (node.id.type === 'ObjectPattern') {
-          registerReactDestructuring(node.id)
-        }
-        return
-      }
-
-      if (
-        node.id.type === 'Identifier' &&
-        init &&
-        init.type === 'MemberExpression' &&
-        getMemberPropertyName(init) === 'default'
-      ) {
-        const object = init.object
-        if (
-          (object.type === 'Identifier' &&
-            reactNamespaceIdentifiers.has(object.name)) ||
-          isRequireOfReact(object)
-        ) {
-          reactNamespaceIdentifiers.add(node.id.name)
-          return
-        }
-      }
-
-      if (node.id.type === 'ObjectPattern') {
-        if (
-          init.type === 'Identifier' &&
-          reactNamespaceIdentifiers.has(init.name)
-        ) {
-          registerReactDestructuring(node.id)
-        }
-        return
-      }
-
-      if (node.id.type !== 'Identifier') return
-
-      if (
-        init.type === 'Identifier' &&
-        reactNamespaceIdentifiers.has(init.name)
-      ) {
-        reactNamespaceIdentifiers.add(node.id.name)
-        return
-      }
-
-      if (init.type === 'MemberExpression') {
-        const object = init.object
-        const propertyName = getMemberPropertyName(init)
-        if (!propertyName) return
-        if (
-          object.type === 'Identifier' &&
-          reactNamespaceIdentifiers.has(object.name)
-        ) {
-          if (propertyName === 'memo') memoIdentifiers.add(node.id.name)
-          if (propertyName === 'useMemo') useMemoIdentifiers.add(node.id.name)
-          if (propertyName === 'createElement')
-            createElementIdentifiers.add(node.id.name)
-          return
-        }
-        if (isRequireOfReact(object) && node.id.type === 'Identifier') {
-          if (propertyName === 'memo') memoIdentifiers.add(node.id.name)
-          if (propertyName === 'useMemo') useMemoIdentifiers.add(node.id.name)
-          if (propertyName === 'createElement')
-            createElementIdentifiers.add(node.id.name)
-        }
-      }
-    }
-
     function isMemoCallee(callee) {
-      const target = unwrapChain(callee)
-      return (
-        isIdentifierNamed(target, memoIdentifiers) ||
-        isReactNamespaceMember(target, 'memo')
-      )
+      return reactImports.isApiCallee(callee, 'memo')
     }
 
     function isUseMemoCallee(callee) {
-      const target = unwrapChain(callee)
-      return (
-        isIdentifierNamed(target, useMemoIdentifiers) ||
-        isReactNamespaceMember(target, 'useMemo')
-      )
+      return reactImports.isApiCallee(callee, 'useMemo')
     }
 
     function isCreateElementCallee(callee) {
-      const target = unwrapChain(callee)
-      return (
-        isIdentifierNamed(target, createElementIdentifiers) ||
-        isReactNamespaceMember(target, 'createElement')
-      )
+      return reactImports.isApiCallee(callee, 'createElement')
     }
 
     function getVariable(identifier) {
@@ -255,11 +136,28 @@ export default {
       })
     }
 
-    function reportInline(attributeNode, componentName, propName) {
+    function reportInline(attributeNode, componentName, propName, expression) {
+      const extraction = createHookExtraction(context, reactImports, {
+        node: expression,
+        hookName: 'useMemo',
+        baseName: propName,
+      })
       context.report({
         node: attributeNode,
         messageId: 'inlineValue',
         data: { componentName, propName },
+        suggest: extraction
+          ? [
+              {
+                messageId: 'extractToUseMemo',
+                data: {
+                  name: extraction.name,
+                  dependencies: extraction.dependencies.join(', '),
+                },
+                fix: extraction.fix,
+              },
+            ]
+          : [],
       })
     }
 
@@ -267,12 +165,26 @@ export default {
       attributeNode,
       componentName,
       propName,
-      valueName,
+      variable,
     ) {
+      const valueName = variable.name
+      const wrap = createHookWrap(context, reactImports, variable, 'useMemo')
       context.report({
         node: attributeNode,
         messageId: 'unstableReference',
         data: { componentName, propName, valueName },
+        suggest: wrap
+          ? [
+              {
+                messageId: 'wrapInUseMemo',
+                data: {
+                  valueName,
+                  dependencies: wrap.dependencies.join(', '),
+                },
+                fix: wrap.fix,
+              },
+            ]
+          : [],
       })
     }
 
@@ -284,7 +196,7 @@ export default {
     ) {
       const normalized = normalizeExpression(expression)
       if (normalized && INLINE_VALUE_TYPES.has(normalized.type)) {
-        reportInline(attributeNode, componentName, propName)
+        reportInline(attributeNode, componentName, propName, expression)
         return true
       }
       return false
@@ -300,7 +212,12 @@ export default {
       if (!normalized || normalized.type !== 'Identifier') return
       if (isUseMemoVariable(normalized)) return
       if (!isLocalObjectReference(normalized)) return
-      reportIdentifier(attributeNode, componentName, propName, normalized.name)
+      reportIdentifier(
+        attributeNode,
+        componentName,
+        propName,
+        getVariable(normalized),
+      )
     }
 
     function handleJsxAttribute(attribute, componentName) {
@@ -365,27 +282,8 @@ export default {
     }
 
     return {
-      ImportDeclaration(node) {
-        if (node.source.value !== 'react') return
-        for (const specifier of node.specifiers) {
-          if (
-            specifier.type === 'ImportDefaultSpecifier' ||
-            specifier.type === 'ImportNamespaceSpecifier'
-          ) {
-            reactNamespaceIdentifiers.add(specifier.local.name)
-          } else if (specifier.type === 'ImportSpecifier') {
-            const importedName = specifier.imported.name
-            if (importedName === 'memo')
-              memoIdentifiers.add(specifier.local.name)
-            if (importedName === 'useMemo')
-              useMemoIdentifiers.add(specifier.local.name)
-            if (importedName === 'createElement')
-              createElementIdentifiers.add(specifier.local.name)
-          }
-        }
-      },
       VariableDeclarator(node) {
-        trackReactAliasesFromDeclarator(node)
+        reactImports.trackVariableDeclarator(node)
         const init = node.init && normalizeExpression(node.init)
         if (
           node.id.type === 'Identifier' &&
@@ -409,7 +307,7 @@ export default {
       JSXOpeningElement(node) {
         const componentName = extractComponentNameFromJsx(node)
         if (!componentName) return
-        if (!memoizedComponents.has(componentName)) return
+        if (!isMemoizedComponent(componentName)) return
         for (const attr of node.attributes || []) {
           handleJsxAttribute(attr, componentName)
         }
@@ -420,7 +318,7 @@ export default {
         const componentArg = node.arguments[0]
         const componentName =
           extractComponentNameFromCreateElementArg(componentArg)
-        if (!componentName || !memoizedComponents.has(componentName)) return
+        if (!componentName || !isMemoizedComponent(componentName)) return
         handleCreateElementProps(node.arguments[1], componentName)
       },
     }
@@ -3,6 +3,8 @@
  */
 
 import { getRuleScope } from '../utils/eslint-context.js'
+import { createReactImportTracker } from '../utils/react-imports.js'
+import { createHookExtraction, createHookWrap } from '../utils/hook-fixes.js'
 
 const INLINE_VALUE_TYPES = new Set(['ObjectExpression', 'ArrayExpression'])
 
@@ -20,20 +22,22 @@ export default {
       url: 'https://github.com/laststance/react-next-eslint-plugin',
     },
     fixable: null,
-    hasSuggestions: false,
+    hasSuggestions: true,
     schema: [],
     messages: {
       inlineValue:
         'Component "{{componentName}}" receives a new object/array for prop "{{propName}}". Wrap it with useMemo to keep the value stable.',
       unstableReference:
         'Value "{{valueName}}" passed to component "{{componentName}}" via prop "{{propName}}" is not wrapped in useMemo. Wrap it with useMemo to avoid unnecessary renders.',
+      extractToUseMemo:
+        "Move the value into 'const {{name}} = useMemo(() => ..., [{{dependencies}}])'.",
+      wrapInUseMemo:
+        "Wrap '{{valueName}}' in useMemo(() => ..., [{{dependencies}}]).",
     },
   },
 
   create(context) {
-    const reactNamespaceIdentifiers = new Set(['React'])
-    const useMemoIdentifiers = new Set()
-    const createElementIdentifiers = new Set()
+    const reactImports = createReactImportTracker(context)
 
     function unwrapChain(node) {
       return node && node.type === 'ChainExpression' ? node.expression : node
@@ -57,148 +61,12 @@ export default {
       return current
     }
 
-    function isIdentifierNamed(node, names) {
-      return node && node.type === 'Identifier' && names.has(node.name)
-    }
-
-    function getMemberPropertyName(member) {
-      if (member.computed) {
-        return member.property.type === 'Literal' &&
-          typeof member.property.value === 'string'
-          ? member.property.value
-          : null
-      }
-      return member.property.type === 'Identifier' ? member.property.name : null
-    }
-
-    function isReactNamespaceMember(node, property) {
-      const target = unwrapChain(node)
-      return (
-        target &&
-        target.type === 'MemberExpression' &&
-        target.object.type === 'Identifier' &&
-        reactNamespaceIdentifiers.has(target.object.name) &&
-        getMemberPropertyName(target) === property
-      )
-    }
-
-    function isRequireOfReact(node) {
-      return (
-        node &&
-        node.type === 'CallExpression' &&
-        node.callee.type === 'Identifier' &&
-        node.callee.name === 'require' &&
-        node.arguments.length === 1 &&
-        node.arguments[0].type === 'Literal' &&
-        node.arguments[0].value === 'react'
-      )
-    }
-
-    function registerReactDestructuring(pattern) {
-      for (const prop of pattern.properties) {
-        if (prop.type !== 'Property') continue
-        if (prop.computed) continue
-        const key = prop.key
-        if (key.type !== 'Identifier') continue
-        let local = null
-        if (prop.value.type === 'Identifier') {
-          local = prop.value.name
-        } else if (
-          prop.value.type === 'AssignmentPattern' &&
-          prop.value.left.type === 'Identifier'
-        ) {
-          local = prop.value.left.name
-        }
-        if (!local) continue
-        if (key.name === 'useMemo') useMemoIdentifiers.add(local)
-        if (key.name === 'createElement') createElementIdentifiers.add(local)
-      }
-    }
-
-    function trackReactAliasesFromDeclarator(node) {
-      if (!node.init) return
-      const init = normalizeExpression(node.init)
-      if (isRequireOfReact(init)) {
-        if (node.id.type === 'Identifier') {
-          reactNamespaceIdentifiers.add(node.id.name)
-        } else if (node.id.type === 'ObjectPattern') {
-          registerReactDestructuring(node.id)
-        }
-        return
-      }
-
-      if (
-        node.id.type === 'Identifier' &&
-        init &&
-        init.type === 'MemberExpression' &&
-        getMemberPropertyName(init) === 'default'
-      ) {
-        const object = init.object
-        if (
-          (object.type === 'Identifier' &&
-            reactNamespaceIdentifiers.has(object.name)) ||
-          isRequireOfReact(object)
-        ) {
-          reactNamespaceIdentifiers.add(node.id.name)
-          return
-        }
-      }
-
-      if (node.id.type === 'ObjectPattern') {
-        if (
-          init.type === 'Identifier' &&
-          reactNamespaceIdentifiers.has(init.name)
-        ) {
-          registerReactDestructuring(node.id)
-        }
-        return
-      }
-
-      if (node.id.type !== 'Identifier') return
-
-      if (
-        init.type === 'Identifier' &&
-        reactNamespaceIdentifiers.has(init.name)
-      ) {
-        reactNamespaceIdentifiers.add(node.id.name)
-        return
-      }
-
-      if (init.type === 'MemberExpression') {
-        const object = init.object
-        const propertyName = getMemberPropertyName(init)
-        if (!propertyName) return
-        if (
-          object.type === 'Identifier' &&
-          reactNamespaceIdentifiers.has(object.name)
-        ) {
-          if (propertyName === 'useMemo') useMemoIdentifiers.add(node.id.name)
-          if (propertyName === 'createElement')
-            createElementIdentifiers.add(node.id.name)
-          return
-        }
-        if (isRequireOfReact(object) && node.id.type === 'Identifier') {
-          if (propertyName === 'useMemo') useMemoIdentifiers.add(node.id.name)
-          if (propertyName === 'createElement')
-            createElementIdentifiers.add(node.id.name)
-        }
-      }
-    }
-
     function isUseMemoCallee(callee) {
-      const target = unwrapChain(callee)
-      return (
-        isIdentifierNamed(target, useMemoIdentifiers) ||
-        isReactNamespaceMember(target, 'useMemo')
-      )
+      return reactImports.isApiCallee(callee, 'useMemo')
     }
 
     function isCreateElementCallee(callee) {
-      const target = unwrapChain(callee)
-      return (
-        isIdentifierNamed(target, createElementIdentifiers) ||
-        isReactNamespaceMember(target, 'createElement')
-      )
+      return reactImports.isApiCallee(callee, 'createElement')
     }
 
     function getVariable(identifier) {
@@ -246,11 +114,28 @@ export default {
       return node && node.type === 'JSXIdentifier' && /^[A-Z]/.test(node.name)
     }
 
-    function reportInline(attributeNode, componentName, propName) {
+    function reportInline(attributeNode, componentName, propName, expression) {
+      const extraction = createHookExtraction(context, reactImports, {
+        node: expression,
+        hookName: 'useMemo',
+        baseName: propName,
+      })
       context.report({
         node: attributeNode,
         messageId: 'inlineValue',
         data: { componentName, propName },
+        suggest: extraction
+          ? [
+              {
+                messageId: 'extractToUseMemo',
+                data: {
+                  name: extraction.name,
+                  dependencies: extraction.dependencies.join(', '),
+                },
+                fix: extraction.fix,
+              },
+            ]
+          : [],
       })
     }
 
@@ -258,12 +143,26 @@ export default {
       attributeNode,
       componentName,
       propName,
-      valueName,
+      variable,
     ) {
+      const valueName = variable.name
+      const wrap = createHookWrap(context, reactImports, variable, 'useMemo')
       context.report({
         node: attributeNode,
         messageId: 'unstableReference',
         data: { componentName, propName, valueName },
+        suggest: wrap
+          ? [
+              {
+                messageId: 'wrapInUseMemo',
+                data: {
+                  valueName,
+                  dependencies: wrap.dependencies.join(', '),
+                },
+                fix: wrap.fix,
+              },
+            ]
+          : [],
       })
     }
 
@@ -275,7 +174,7 @@ export default {
     ) {
       const normalized = normalizeExpression(expression)
       if (normalized && INLINE_VALUE_TYPES.has(normalized.type)) {
-        reportInline(attributeNode, componentName, propName)
+        reportInline(attributeNode, componentName, propName, expression)
         return true
       }
       return false
@@ -291,7 +190,12 @@ export default {
       if (!normalized || normalized.type !== 'Identifier') return
       if (isUseMemoVariable(normalized)) return
       if (!isLocalObjectReference(normalized)) return
-      reportIdentifier(attributeNode, componentName, propName, normalized.name)
+      reportIdentifier(
+        attributeNode,
+        componentName,
+        propName,
+        getVariable(normalized),
+      )
     }
 
     function handleJsxAttribute(attribute, componentName) {
@@ -352,25 +256,8 @@ export default {
     }
 
     return {
-      ImportDeclaration(node) {
-        if (node.source.value !== 'react') return
-        for (const specifier of node.specifiers) {
-          if (
-            specifier.type === 'ImportDefaultSpecifier' ||
-            specifier.type === 'ImportNamespaceSpecifier'
-          ) {
-            reactNamespaceIdentifiers.add(specifier.local.name)
-          } else if (specifier.type === 'ImportSpecifier') {
-            const importedName = specifier.imported.name
-            if (importedName === 'useMemo')
-              useMemoIdentifiers.add(specifier.local.name)
-            if (importedName === 'createElement')
-              createElementIdentifiers.add(specifier.local.name)
-          }
-        }
-      },
       VariableDeclarator(node) {
-        trackReactAliasesFromDeclarator(node)
+        reactImports.trackVariableDeclarator(node)
       },
       JSXOpeningElement(node) {
         if (!isCustomComponentName(node.name)) return
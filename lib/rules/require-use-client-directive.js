@@ -0,0 +1,105 @@
+import { getRuleSourceCode } from '../utils/eslint-context.js'
+import {
+  USE_CLIENT_DIRECTIVE,
+  USE_SERVER_DIRECTIVE,
+  getPrologueDirectives,
+} from '../utils/directives.js'
+import { getClientOnlyHookName } from '../utils/hooks.js'
+import { getJsxElementType } from '../utils/jsx.js'
+import { NEXT_ROUTERS, getNextFileInfo } from '../utils/next-files.js'
+import { createReactImportTracker } from '../utils/react-imports.js'
+
+/**
+ * @fileoverview Require a 'use client' directive in App Router files that use client-only APIs.
+ * @author laststance
+ */
+
+const EVENT_HANDLER_PROP_PATTERN = /^on[A-Z]/
+const USE_CLIENT_DIRECTIVE_TEXT = `'${USE_CLIENT_DIRECTIVE}'\n\n`
+
+export default {
+  meta: {
+    type: 'problem',
+    docs: {
+      description:
+        "Require a 'use client' directive in Next.js App Router files that use client-only hooks or event handlers",
+      category: 'Possible Errors',
+      recommended: false,
+      url: 'https://github.com/laststance/react-next-eslint-plugin/blob/main/docs/rules/require-use-client-directive.md',
+    },
+    fixable: null,
+    hasSuggestions: true,
+    schema: [],
+    messages: {
+      clientOnlyHook:
+        "'{{name}}' only works in Client Components. Add a 'use client' directive to this file.",
+      clientOnlyEventHandler:
+        "Event handler '{{name}}' requires a Client Component. Add a 'use client' directive to this file.",
+      addUseClientDirective: "Add 'use client' at the top of the file.",
+    },
+  },
+
+  /**
+   * Creates rule listeners.
+   * @param {import('eslint').Rule.RuleContext} context - ESLint rule context.
+   * @returns {import('eslint').Rule.RuleListener} Rule listener map.
+   */
+  create(context) {
+    if (getNextFileInfo(context).router !== NEXT_ROUTERS.APP) {
+      return {}
+    }
+    const sourceCode = getRuleSourceCode(context)
+    const directives = getPrologueDirectives(sourceCode.ast.body)
+    // Client modules are fine as-is; server action modules are covered by a dedicated rule
+    if (
+      directives.has(USE_CLIENT_DIRECTIVE) ||
+      directives.has(USE_SERVER_DIRECTIVE)
+    ) {
+      return {}
+    }
+
+    const reactImports = createReactImportTracker(context)
+
+    /**
+     * Reports a node with a suggestion that inserts the directive.
+     * @param {import('estree').Node} node - Node to report.
+     * @param {'clientOnlyHook' | 'clientOnlyEventHandler'} messageId - Message identifier.
+     * @param {string} name - Hook or prop name.
+     */
+    function report(node, messageId, name) {
+      context.report({
+        node,
+        messageId,
+        data: { name },
+        suggest: [
+          {
+            messageId: 'addUseClientDirective',
+            fix: (fixer) =>
+              fixer.insertTextBeforeRange([0, 0], USE_CLIENT_DIRECTIVE_TEXT),
+          },
+        ],
+      })
+    }
+
+    return {
+      VariableDeclarator(node) {
+        reactImports.trackVariableDeclarator(node)
+      },
+      CallExpression(node) {
+        const hookName = getClientOnlyHookName(node.callee, reactImports)
+        if (hookName) {
+          report(node, 'clientOnlyHook', hookName)
+        }
+      },
+      JSXAttribute(node) {
+        if (node.name.type !== 'JSXIdentifier') return
+        if (!EVENT_HANDLER_PROP_PATTERN.test(node.name.name)) return
+        if (!node.value || node.value.type !== 'JSXExpressionContainer') return
+        // Only DOM elements; custom components may legitimately receive Server Actions
+        const elementType = getJsxElementType(node.parent.parent)
+        if (!elementType || elementType !== elementType.toLowerCase()) return
+        report(node, 'clientOnlyEventHandler', node.name.name)
+      },
+    }
+  },
+}
@@ -0,0 +1,214 @@
+import { isFunctionNode } from '../utils/ast.js'
+import {
+  USE_CLIENT_DIRECTIVE,
+  hasModuleDirective,
+} from '../utils/directives.js'
+import { getRuleSourceCode } from '../utils/eslint-context.js'
+import { getJsxElementType } from '../utils/jsx.js'
+import {
+  NEXT_FILE_ROLES,
+  NEXT_ROUTERS,
+  getNextFileInfo,
+} from '../utils/next-files.js'
+
+/**
+ * @fileoverview Validate App Router `error` and `global-error` files.
+ * @author laststance
+ */
+
+const ERROR_BOUNDARY_ROLES = new Set([
+  NEXT_FILE_ROLES.ERROR,
+  NEXT_FILE_ROLES.GLOBAL_ERROR,
+])
+const ERROR_BOUNDARY_PROP_NAMES = new Set(['error', 'reset'])
+// global-error replaces the root layout, so it must render the document itself
+const GLOBAL_ERROR_DOCUMENT_ELEMENTS = ['html', 'body']
+const UNINSPECTABLE_EXPORT_TYPES = new Set([
+  'Identifier',
+  'CallExpression',
+  'ClassDeclaration',
+  'ClassExpression',
+])
+const USE_CLIENT_DIRECTIVE_TEXT = `'${USE_CLIENT_DIRECTIVE}'\n\n`
+
+/**
+ * Resolves the function behind the default export, following a local identifier.
+ * @param {import('estree').Program} program - Program node.
+ * @param {import('estree').ExportDefaultDeclaration} exportNode - Default export.
+ * @returns {import('estree').Function | null} Component function or null.
+ */
+function resolveDefaultExportFunction(program, exportNode) {
+  const declaration = exportNode.declaration
+  if (isFunctionNode(declaration)) return declaration
+  if (declaration.type !== 'Identifier') return null
+  for (const statement of program.body) {
+    if (
+      statement.type === 'FunctionDeclaration' &&
+      statement.id?.name === declaration.name
+    ) {
+      return statement
+    }
+    if (statement.type !== 'VariableDeclaration') continue
+    for (const declarator of statement.declarations) {
+      if (
+        declarator.id.type === 'Identifier' &&
+        declarator.id.name === declaration.name &&
+        declarator.init &&
+        isFunctionNode(declarator.init)
+      ) {
+        return declarator.init
+      }
+    }
+  }
+  return null
+}
+
+/**
+ * Collects the intrinsic element names rendered anywhere inside a node.
+ * @param {import('eslint').SourceCode} sourceCode - Source code with visitor keys.
+ * @param {import('estree').Node} root - Node to search.
+ * @returns {Set<string>} Element names such as "html".
+ */
+function collectRenderedElementNames(sourceCode, root) {
+  const names = new Set()
+  const stack = [root]
+  while (stack.length > 0) {
+    const node = stack.pop()
+    if (node.type === 'JSXElement') {
+      names.add(getJsxElementType(node))
+    }
+    for (const key of sourceCode.visitorKeys[node.type] ?? []) {
+      const child = node[key]
+      if (Array.isArray(child)) {
+        stack.push(...child.filter(Boolean))
+      } else if (child && typeof child.type === 'string') {
+        stack.push(child)
+      }
+    }
+  }
+  return names
+}
+
+export default {
+  meta: {
+    type: 'problem',
+    docs: {
+      description:
+        'Require App Router error and global-error files to be Client Components with the expected props and document structure',
+      category: 'Possible Errors',
+      recommended: false,
+      url: 'https://github.com/laststance/react-next-eslint-plugin/blob/main/docs/rules/valid-error-boundary-file.md',
+    },
+    fixable: 'code',
+    hasSuggestions: false,
+    schema: [],
+    messages: {
+      missingUseClient:
+        "'{{role}}' files are error boundaries and must start with a 'use client' directive.",
+      missingDefaultExport:
+        "'{{role}}' files must default export a React component.",
+      invalidDefaultExport:
+        "The default export of '{{role}}' files must be a synchronous function component.",
+      unknownErrorBoundaryProp:
+        "Error boundaries only receive 'error' and 'reset' props, not '{{name}}'.",
+      missingDocumentElement:
+        "'global-error' replaces the root layout and must render its own <{{element}}> element.",
+    },
+  },
+
+  /**
+   * Creates rule listeners.
+   * @param {import('eslint').Rule.RuleContext} context - ESLint rule context.
+   * @returns {import('eslint').Rule.RuleListener} Rule listener map.
+   */
+  create(context) {
+    const { router, role } = getNextFileInfo(context)
+    if (router !== NEXT_ROUTERS.APP || !ERROR_BOUNDARY_ROLES.has(role)) {
+      return {}
+    }
+    const sourceCode = getRuleSourceCode(context)
+
+    /**
+     * Reports destructured props other than `error` and `reset`.
+     * @param {import('estree').Function} component - Error boundary component.
+     */
+    function checkProps(component) {
+      let propsParam = component.params[0]
+      if (propsParam && propsParam.type === 'AssignmentPattern') {
+        propsParam = propsParam.left
+      }
+      if (!propsParam || propsParam.type !== 'ObjectPattern') return
+      for (const property of propsParam.properties) {
+        if (property.type !== 'Property' || property.computed) continue
+        if (property.key.type !== 'Identifier') continue
+        if (ERROR_BOUNDARY_PROP_NAMES.has(property.key.name)) continue
+        context.report({
+          node: property,
+          messageId: 'unknownErrorBoundaryProp',
+          data: { name: property.key.name },
+        })
+      }
+    }
+
+    return {
+      Program(program) {
+        if (!hasModuleDirective(program, USE_CLIENT_DIRECTIVE)) {
+          context.report({
+            loc: { line: 1, column: 0 },
+            messageId: 'missingUseClient',
+            data: { role },
+            fix: (fixer) =>
+              fixer.insertTextBeforeRange([0, 0], USE_CLIENT_DIRECTIVE_TEXT),
+          })
+        }
+
+        const exportNode = program.body.find(
+          (statement) => statement.type === 'ExportDefaultDeclaration',
+        )
+        if (!exportNode) {
+          context.report({
+            loc: { line: 1, column: 0 },
+            messageId: 'missingDefaultExport',
+            data: { role },
+          })
+          return
+        }
+
+        const component = resolveDefaultExportFunction(program, exportNode)
+        if (!component) {
+          // Wrapped, imported and class components cannot be inspected, so only obvious non-components are reported
+          if (!UNINSPECTABLE_EXPORT_TYPES.has(exportNode.declaration.type)) {
+            context.report({
+              node: exportNode.declaration,
+              messageId: 'invalidDefaultExport',
+              data: { role },
+            })
+          }
+          return
+        }
+        if (component.async || component.generator) {
+          context.report({
+            node: component,
+            messageId: 'invalidDefaultExport',
+            data: { role },
+          })
+        }
+        checkProps(component)
+
+        if (role !== NEXT_FILE_ROLES.GLOBAL_ERROR) return
+        const renderedElements = collectRenderedElementNames(
+          sourceCode,
+          component.body,
+        )
+        for (const element of GLOBAL_ERROR_DOCUMENT_ELEMENTS) {
+          if (renderedElements.has(element)) continue
+          context.report({
+            node: component,
+            messageId: 'missingDocumentElement',
+            data: { element },
+          })
+        }
+      },
+    }
+  },
+}
@@ -0,0 +1,230 @@
+import {
+  collectReturnStatements,
+  getStaticKeyName,
+  getUnderlyingExpression,
+  isFunctionNode,
+} from '../utils/ast.js'
+import {
+  USE_CLIENT_DIRECTIVE,
+  hasModuleDirective,
+} from '../utils/directives.js'
+import { getRuleSourceCode } from '../utils/eslint-context.js'
+import { findMisspelledName } from '../utils/naming.js'
+import { collectModuleExports } from '../utils/next-exports.js'
+import {
+  NEXT_FILE_ROLES,
+  NEXT_ROUTERS,
+  getNextFileInfo,
+} from '../utils/next-files.js'
+
+/**
+ * @fileoverview Validate `metadata` and `generateMetadata` exports in App Router pages and
+ * layouts.
+ * @author laststance
+ */
+
+const METADATA_FILE_ROLES = new Set([
+  NEXT_FILE_ROLES.PAGE,
+  NEXT_FILE_ROLES.LAYOUT,
+])
+const METADATA_EXPORT_NAME = 'metadata'
+const GENERATE_METADATA_EXPORT_NAME = 'generateMetadata'
+// Top-level fields of the Metadata object
+const METADATA_KEYS = new Set([
+  'metadataBase',
+  'title',
+  'description',
+  'applicationName',
+  'authors',
+  'generator',
+  'keywords',
+  'referrer',
+  'creator',
+  'publisher',
+  'robots',
+  'alternates',
+  'icons',
+  'manifest',
+  'openGraph',
+  'twitter',
+  'facebook',
+  'pinterest',
+  'verification',
+  'appleWebApp',
+  'formatDetection',
+  'itunes',
+  'abstract',
+  'appLinks',
+  'archives',
+  'assets',
+  'bookmarks',
+  'category',
+  'classification',
+  'other',
+])
+// Moved to the `viewport` export in Next.js 14
+const VIEWPORT_KEYS = new Set(['viewport', 'themeColor', 'colorScheme'])
+// Expressions that can never evaluate to a Promise
+const NON_PROMISE_EXPRESSION_TYPES = new Set([
+  'ObjectExpression',
+  'ArrayExpression',
+  'Literal',
+  'TemplateLiteral',
+  'ArrowFunctionExpression',
+  'FunctionExpression',
+  'ClassExpression',
+])
+
+/**
+ * Checks whether a returned expression may be a Promise. Calls, identifiers and other
+ * dynamic values are given the benefit of the doubt.
+ * @param {import('estree').Node | null | undefined} node - Returned expression.
+ * @returns {boolean} True unless the value is certainly not a Promise.
+ */
+function mayReturnPromise(node) {
+  if (!node) return false
+  return !NON_PROMISE_EXPRESSION_TYPES.has(getUnderlyingExpression(node).type)
+}
+
+/**
+ * Checks whether a non-async function returns a value that Next.js cannot await as a Promise.
+ * @param {import('estree').Function} fn - generateMetadata function.
+ * @param {import('eslint').SourceCode} sourceCode - Source code with visitor keys.
+ * @returns {boolean} True when the function is synchronous.
+ */
+function isSynchronousFunction(fn, sourceCode) {
+  if (fn.async) return false
+  if (fn.body.type !== 'BlockStatement') return !mayReturnPromise(fn.body)
+  const returns = collectReturnStatements(fn, sourceCode)
+  return (
+    returns.length === 0 ||
+    returns.some((statement) => !mayReturnPromise(statement.argument))
+  )
+}
+
+export default {
+  meta: {
+    type: 'problem',
+    docs: {
+      description:
+        'Validate metadata and generateMetadata exports in App Router pages and layouts',
+      category: 'Possible Errors',
+      recommended: false,
+      url: 'https://github.com/laststance/react-next-eslint-plugin/blob/main/docs/rules/valid-metadata-exports.md',
+    },
+    fixable: null,
+    hasSuggestions: false,
+    schema: [],
+    messages: {
+      conflictingMetadataExports:
+        "A page or layout cannot export both 'metadata' and 'generateMetadata'. Keep only one of them.",
+      clientModuleMetadata:
+        "'{{name}}' is not supported in 'use client' files. Export it from a Server Component page or layout.",
+      syncGenerateMetadata:
+        "'generateMetadata' must be async or return a Promise of the metadata object.",
+      unknownMetadataKey: "'{{key}}' is not a known metadata field.",
+      misspelledMetadataKey:
+        "'{{key}}' is not a known metadata field. Did you mean '{{intended}}'?",
+      viewportKeyInMetadata:
+        "'{{key}}' is no longer supported in metadata. Move it to the viewport export.",
+    },
+  },
+
+  /**
+   * Creates rule listeners.
+   * @param {import('eslint').Rule.RuleContext} context - ESLint rule context.
+   * @returns {import('eslint').Rule.RuleListener} Rule listener map.
+   */
+  create(context) {
+    const { router, role } = getNextFileInfo(context)
+    if (router !== NEXT_ROUTERS.APP || !METADATA_FILE_ROLES.has(role)) {
+      return {}
+    }
+    const sourceCode = getRuleSourceCode(context)
+
+    /**
+     * Reports unknown top-level fields of a metadata object literal.
+     * @param {import('estree').Node | null} value - metadata initializer.
+     */
+    function checkMetadataKeys(value) {
+      const object = value ? getUnderlyingExpression(value) : null
+      if (object?.type !== 'ObjectExpression') return
+      for (const property of object.properties) {
+        if (property.type !== 'Property') continue
+        const key = getStaticKeyName(property)
+        if (key === null || METADATA_KEYS.has(key)) continue
+        if (VIEWPORT_KEYS.has(key)) {
+          context.report({
+            node: property.key,
+            messageId: 'viewportKeyInMetadata',
+            data: { key },
+          })
+          continue
+        }
+        const intended = findMisspelledName(key, METADATA_KEYS)
+        context.report({
+          node: property.key,
+          messageId: intended ? 'misspelledMetadataKey' : 'unknownMetadataKey',
+          data: { key, intended },
+        })
+      }
+    }
+
+    /**
+     * Reports a generateMetadata function that is neither async nor returns a Promise.
+     * @param {import('estree').Node} node - Export name node.
+     * @param {import('estree').Node | null} value - Exported function.
+     */
+    function checkGenerateMetadata(node, value) {
+      const fn = value ? getUnderlyingExpression(value) : null
+      if (
+        !fn ||
+        !isFunctionNode(fn) ||
+        !isSynchronousFunction(fn, sourceCode)
+      ) {
+        return
+      }
+      context.report({ node, messageId: 'syncGenerateMetadata' })
+    }
+
+    return {
+      Program(program) {
+        const metadataExports = collectModuleExports(program).filter(
+          ({ name }) =>
+            name === METADATA_EXPORT_NAME ||
+            name === GENERATE_METADATA_EXPORT_NAME,
+        )
+        if (hasModuleDirective(program, USE_CLIENT_DIRECTIVE)) {
+          for (const { name, node } of metadataExports) {
+            context.report({
+              node,
+              messageId: 'clientModuleMetadata',
+              data: { name },
+            })
+          }
+          return
+        }
+
+        for (const { name, node, value } of metadataExports) {
+          if (name === METADATA_EXPORT_NAME) {
+            checkMetadataKeys(value)
+          } else {
+            checkGenerateMetadata(node, value)
+          }
+        }
+        const generateMetadataExport = metadataExports.find(
+          ({ name }) => name === GENERATE_METADATA_EXPORT_NAME,
+        )
+        if (
+          generateMetadataExport &&
+          metadataExports.some(({ name }) => name === METADATA_EXPORT_NAME)
+        ) {
+          context.report({
+            node: generateMetadataExport.node,
+            messageId: 'conflictingMetadataExports',
+          })
+        }
+      },
+    }
+  },
+}
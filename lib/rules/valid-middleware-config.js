@@ -0,0 +1,315 @@
+import path from 'path'
+import { getStaticKeyName, getUnderlyingExpression } from '../utils/ast.js'
+import { getRuleCwd, getRuleFilename } from '../utils/eslint-context.js'
+import { getStaticValue } from '../utils/literal.js'
+import { collectModuleExports } from '../utils/next-exports.js'
+import {
+  NEXT_FILE_ROLES,
+  getNextFileInfo,
+  getRootFileDirectories,
+  normalizeFilename,
+} from '../utils/next-files.js'
+
+/**
+ * @fileoverview Validate the exports, `config.matcher` and location of the Next.js middleware
+ * (`middleware` or `proxy`) file.
+ * @author laststance
+ */
+
+// `proxy` is the Next.js 16 name of middleware; the handler export follows the file name
+const MIDDLEWARE_FILE_PATTERN =
+  /^(middleware|proxy)\.(?:tsx|ts|jsx|js|mjs|cjs)$/
+const DEFAULT_EXPORT_NAME = 'default'
+const CONFIG_EXPORT_NAME = 'config'
+const MATCHER_PROPERTY_NAME = 'matcher'
+const MATCHER_OBJECT_KEYS = new Set(['source', 'locale', 'has', 'missing'])
+const PARAMETER_NAME_PATTERN = /^\w+/
+// `/:path*` and `/(.*)`-style sources run for every request
+const CATCH_ALL_PARAMETER_PATTERN = /^\/:\w+[*+]$/
+const CATCH_ALL_GROUP_PATTERN = /^\/\(.*\.[*+].*\)[*+?]?$/
+const STATIC_ASSETS_LOOKAHEAD_PATTERN = /\(\?!.*_next/
+
+/**
+ * Finds what is wrong with a path-to-regexp matcher source, following the syntax Next.js
+ * accepts: named parameters, `{}` groups and custom regular expression groups.
+ * @param {string} source - Matcher source.
+ * @returns {string | null} Reason, or null for a well-formed source.
+ * @example
+ * getMatcherPatternError('/dashboard/:path*') // => null
+ * getMatcherPatternError('/((?!api).*') // => "its parentheses are unbalanced"
+ */
+function getMatcherPatternError(source) {
+  if (!source.startsWith('/')) return "it must start with '/'"
+  let groupDepth = 0
+  let groupStart = -1
+  let braceDepth = 0
+  for (let index = 0; index < source.length; index += 1) {
+    const char = source[index]
+    if (char === '\\') {
+      index += 1
+      continue
+    }
+    if (char === '(') {
+      const isNonCapturing = source[index + 1] === '?'
+      if (groupDepth === 0) {
+        if (isNonCapturing) return "a pattern group cannot start with '?'"
+        groupStart = index
+      } else if (!isNonCapturing) {
+        return 'capturing groups are not allowed inside a pattern group'
+      }
+      groupDepth += 1
+      continue
+    }
+    if (char === ')') {
+      groupDepth -= 1
+      if (groupDepth < 0) return 'its parentheses are unbalanced'
+      if (groupDepth > 0) continue
+      const pattern = source.slice(groupStart + 1, index)
+      if (!pattern) return 'it contains an empty pattern group'
+      try {
+        new RegExp(pattern)
+      } catch {
+        return `'(${pattern})' is not a valid regular expression`
+      }
+      continue
+    }
+    if (groupDepth > 0) continue
+    if (char === ':' && !PARAMETER_NAME_PATTERN.test(source.slice(index + 1))) {
+      return "':' must be followed by a parameter name"
+    }
+    if (char === '{') braceDepth += 1
+    if (char === '}') {
+      braceDepth -= 1
+      if (braceDepth < 0) return 'its braces are unbalanced'
+    }
+  }
+  if (groupDepth !== 0) return 'its parentheses are unbalanced'
+  if (braceDepth !== 0) return 'its braces are unbalanced'
+  return null
+}
+
+/**
+ * Checks whether a matcher source runs middleware for static assets under `/_next/static`.
+ * @param {string} source - Well-formed matcher source.
+ * @returns {boolean} True for catch-all sources without a `(?!_next...)` lookahead.
+ */
+function matchesStaticAssets(source) {
+  return (
+    (CATCH_ALL_PARAMETER_PATTERN.test(source) ||
+      CATCH_ALL_GROUP_PATTERN.test(source)) &&
+    !STATIC_ASSETS_LOOKAHEAD_PATTERN.test(source)
+  )
+}
+
+/**
+ * Reads the source of a matcher entry: a string, or a `{ source, has, missing, locale }` object.
+ * @param {unknown} value - Static matcher entry.
+ * @returns {string | null} Matcher source, or null when the entry is malformed.
+ */
+function getMatcherEntrySource(value) {
+  if (typeof value === 'string') return value
+  if (
+    value &&
+    typeof value === 'object' &&
+    !Array.isArray(value) &&
+    typeof value.source === 'string' &&
+    Object.keys(value).every((key) => MATCHER_OBJECT_KEYS.has(key))
+  ) {
+    return value.source
+  }
+  return null
+}
+
+export default {
+  meta: {
+    type: 'problem',
+    docs: {
+      description:
+        'Validate the Next.js middleware file: its handler export, a static config.matcher and its location next to the app or pages directory',
+      category: 'Possible Errors',
+      recommended: false,
+      url: 'https://github.com/laststance/react-next-eslint-plugin/blob/main/docs/rules/valid-middleware-config.md',
+    },
+    fixable: null,
+    hasSuggestions: false,
+    schema: [],
+    messages: {
+      missingMiddlewareExport:
+        "The {{name}} file must export a '{{name}}' function or a default function.",
+      nonLiteralMatcher:
+        "'config.matcher' must be a literal string or array so Next.js can read it at build time.",
+      invalidMatcher:
+        "Invalid matcher. Use a path string, or an array of path strings and '{ source, has, missing, locale }' objects.",
+      malformedMatcher: "Invalid matcher '{{source}}': {{reason}}.",
+      missingStaticAssetsExclusion:
+        "Matcher '{{source}}' also runs {{name}} for static assets under /_next/static. Exclude them with a negative lookahead such as '/((?!_next/static|_next/image|favicon.ico).*)'.",
+      misplacedMiddleware:
+        "Next.js ignores this {{name}} file. Move it to '{{directory}}', next to the app or pages directory.",
+    },
+  },
+
+  /**
+   * Creates rule listeners.
+   * @param {import('eslint').Rule.RuleContext} context - ESLint rule context.
+   * @returns {import('eslint').Rule.RuleListener} Rule listener map.
+   */
+  create(context) {
+    const filename = normalizeFilename(getRuleFilename(context))
+    const fileMatch = MIDDLEWARE_FILE_PATTERN.exec(
+      path.posix.basename(filename),
+    )
+    if (!fileMatch) return {}
+    const name = fileMatch[1]
+    const { role, routerDirectory } = getNextFileInfo(context)
+
+    /**
+     * Finds where the middleware file belongs when it is not read from its current location.
+     * Files outside the project roots and router directories are not treated as middleware.
+     * @param {import('estree').Program} program - Module AST.
+     * @returns {string | null} Expected directory, or null when the file is in place.
+     */
+    function findExpectedDirectory(program) {
+      const directory = path.posix.dirname(filename)
+      let expectedDirectories = getRootFileDirectories(context)
+      if (expectedDirectories.length === 0 && routerDirectory) {
+        expectedDirectories = [path.posix.dirname(routerDirectory)]
+      }
+      if (
+        expectedDirectories.length === 0 ||
+        expectedDirectories.includes(directory)
+      ) {
+        return null
+      }
+      // A `middleware` module colocated in a router directory may be an unrelated helper
+      if (role !== NEXT_FILE_ROLES.MIDDLEWARE) {
+        if (!routerDirectory) return null
+        const exportNames = collectModuleExports(program).map(
+          (moduleExport) => moduleExport.name,
+        )
+        if (
+          !exportNames.includes(name) &&
+          !exportNames.includes(CONFIG_EXPORT_NAME)
+        ) {
+          return null
+        }
+      }
+      return (
+        expectedDirectories
+          .filter((candidate) => filename.startsWith(`${candidate}/`))
+          .sort((a, b) => b.length - a.length)[0] ?? expectedDirectories[0]
+      )
+    }
+
+    /**
+     * Formats a directory relative to ESLint's working directory, e.g. "./src/".
+     * @param {string} directory - Absolute directory.
+     * @returns {string} Relative directory.
+     */
+    function formatDirectory(directory) {
+      const relativePath = normalizeFilename(
+        path.relative(getRuleCwd(context), directory),
+      )
+      return relativePath ? `./${relativePath}/` : './'
+    }
+
+    /**
+     * Validates a single matcher source.
+     * @param {import('estree').Node} node - Node to report.
+     * @param {string} source - Matcher source.
+     */
+    function checkMatcherSource(node, source) {
+      const reason = getMatcherPatternError(source)
+      if (reason) {
+        context.report({
+          node,
+          messageId: 'malformedMatcher',
+          data: { source, reason },
+        })
+        return
+      }
+      if (matchesStaticAssets(source)) {
+        context.report({
+          node,
+          messageId: 'missingStaticAssetsExclusion',
+          data: { source, name },
+        })
+      }
+    }
+
+    /**
+     * Validates `config.matcher`.
+     * @param {import('estree').Node} config - Exported config node.
+     * @param {import('estree').Node | null} value - Config initializer.
+     */
+    function checkConfig(config, value) {
+      const object = value ? getUnderlyingExpression(value) : null
+      if (object?.type !== 'ObjectExpression') {
+        context.report({ node: config, messageId: 'nonLiteralMatcher' })
+        return
+      }
+      const matcherProperty = object.properties.find(
+        (property) =>
+          property.type === 'Property' &&
+          getStaticKeyName(property) === MATCHER_PROPERTY_NAME,
+      )
+      if (!matcherProperty) return
+      const matcher = getUnderlyingExpression(matcherProperty.value)
+      if (!getStaticValue(matcher)) {
+        context.report({ node: matcher, messageId: 'nonLiteralMatcher' })
+        return
+      }
+      if (matcher.type !== 'ArrayExpression') {
+        const { value: source } = getStaticValue(matcher)
+        if (typeof source === 'string') {
+          checkMatcherSource(matcher, source)
+        } else {
+          context.report({ node: matcher, messageId: 'invalidMatcher' })
+        }
+        return
+      }
+      for (const entry of matcher.elements) {
+        if (!entry) continue
+        const source = getMatcherEntrySource(getStaticValue(entry).value)
+        if (source === null) {
+          context.report({ node: entry, messageId: 'invalidMatcher' })
+        } else {
+          checkMatcherSource(entry, source)
+        }
+      }
+    }
+
+    return {
+      Program(program) {
+        const expectedDirectory = findExpectedDirectory(program)
+        if (expectedDirectory) {
+          context.report({
+            loc: { line: 1, column: 0 },
+            messageId: 'misplacedMiddleware',
+            data: { name, directory: formatDirectory(expectedDirectory) },
+          })
+          return
+        }
+        if (role !== NEXT_FILE_ROLES.MIDDLEWARE) return
+
+        const moduleExports = collectModuleExports(program)
+        if (
+          !moduleExports.some(
+            (moduleExport) =>
+              moduleExport.name === name ||
+              moduleExport.name === DEFAULT_EXPORT_NAME,
+          )
+        ) {
+          context.report({
+            loc: { line: 1, column: 0 },
+            messageId: 'missingMiddlewareExport',
+            data: { name },
+          })
+        }
+        const config = moduleExports.find(
+          (moduleExport) => moduleExport.name === CONFIG_EXPORT_NAME,
+        )
+        if (config) checkConfig(config.node, config.value)
+      },
+    }
+  },
+}
@@ -0,0 +1,164 @@
+import { getStaticKeyName, getUnderlyingExpression } from '../utils/ast.js'
+import {
+  USE_CLIENT_DIRECTIVE,
+  hasModuleDirective,
+} from '../utils/directives.js'
+import { getRuleSourceCode } from '../utils/eslint-context.js'
+import { getStaticValue } from '../utils/literal.js'
+import { NEXT_ROUTERS, getNextFileInfo } from '../utils/next-files.js'
+
+/**
+ * @fileoverview Validate next/dynamic calls and disallow `ssr: false` in Server Components.
+ * @author laststance
+ */
+
+const NEXT_DYNAMIC_SOURCE = 'next/dynamic'
+const LOADER_ARGUMENT_INDEX = 0
+const OPTIONS_ARGUMENT_INDEX = 1
+const SSR_OPTION_NAME = 'ssr'
+const THEN_METHOD_NAME = 'then'
+
+/**
+ * Returns the expression a loader function evaluates to: the arrow body, or the argument of
+ * the only statement when it is a `return`.
+ * @param {import('estree').Node} loader - Loader argument.
+ * @returns {import('estree').Node | null} Returned expression or null.
+ */
+function getLoaderResult(loader) {
+  if (
+    loader.type !== 'ArrowFunctionExpression' &&
+    loader.type !== 'FunctionExpression'
+  ) {
+    return null
+  }
+  if (loader.body.type !== 'BlockStatement') return loader.body
+  const [statement] = loader.body.body
+  return loader.body.body.length === 1 && statement.type === 'ReturnStatement'
+    ? statement.argument
+    : null
+}
+
+/**
+ * Checks whether a loader returns `import('literal')`, optionally followed by
+ * `.then((mod) => mod.Named)`.
+ * @param {import('estree').Node} loader - Loader argument.
+ * @returns {boolean} True when Next.js can resolve the module at build time.
+ */
+function isStaticImportLoader(loader) {
+  let result = getLoaderResult(loader)
+  if (!result) return false
+  result = getUnderlyingExpression(result)
+  if (
+    result.type === 'CallExpression' &&
+    result.callee.type === 'MemberExpression' &&
+    getStaticKeyName(result.callee) === THEN_METHOD_NAME
+  ) {
+    result = result.callee.object
+  }
+  return (
+    result.type === 'ImportExpression' &&
+    typeof getStaticValue(result.source)?.value === 'string'
+  )
+}
+
+/**
+ * Finds the `ssr: false` property of an options object.
+ * @param {import('estree').ObjectExpression} options - Options object.
+ * @returns {import('estree').Property | null} Property node or null.
+ */
+function findSsrFalseProperty(options) {
+  return (
+    options.properties.find(
+      (property) =>
+        property.type === 'Property' &&
+        getStaticKeyName(property) === SSR_OPTION_NAME &&
+        getStaticValue(property.value)?.value === false,
+    ) ?? null
+  )
+}
+
+export default {
+  meta: {
+    type: 'problem',
+    docs: {
+      description:
+        'Validate next/dynamic loaders and options, and disallow `ssr: false` in Server Components',
+      category: 'Possible Errors',
+      recommended: false,
+      url: 'https://github.com/laststance/react-next-eslint-plugin/blob/main/docs/rules/valid-next-dynamic.md',
+    },
+    fixable: null,
+    hasSuggestions: false,
+    schema: [],
+    messages: {
+      invalidLoader:
+        "The first argument of '{{name}}()' must be a function that returns import() with a literal module path, e.g. () => import('./Chart').",
+      nonLiteralOptions:
+        "The options of '{{name}}()' must be an object literal so Next.js can read them at build time.",
+      ssrFalseInServerComponent:
+        "'ssr: false' is not allowed with '{{name}}()' in Server Components. Move this call to a Client Component.",
+    },
+  },
+
+  /**
+   * Creates rule listeners.
+   * @param {import('eslint').Rule.RuleContext} context - ESLint rule context.
+   * @returns {import('eslint').Rule.RuleListener} Rule listener map.
+   */
+  create(context) {
+    const sourceCode = getRuleSourceCode(context)
+    const isServerComponentModule =
+      getNextFileInfo(context).router === NEXT_ROUTERS.APP &&
+      !hasModuleDirective(sourceCode.ast, USE_CLIENT_DIRECTIVE)
+
+    /**
+     * Checks one call of the next/dynamic default export.
+     * @param {import('estree').CallExpression} call - Call expression.
+     * @param {string} name - Local name of the dynamic function.
+     */
+    function checkDynamicCall(call, name) {
+      const loader = call.arguments[LOADER_ARGUMENT_INDEX]
+      if (!loader || !isStaticImportLoader(loader)) {
+        context.report({
+          node: loader ?? call,
+          messageId: 'invalidLoader',
+          data: { name },
+        })
+      }
+      const options = call.arguments[OPTIONS_ARGUMENT_INDEX]
+      if (!options) return
+      if (options.type !== 'ObjectExpression') {
+        context.report({
+          node: options,
+          messageId: 'nonLiteralOptions',
+          data: { name },
+        })
+        return
+      }
+      const ssrFalseProperty = findSsrFalseProperty(options)
+      if (ssrFalseProperty && isServerComponentModule) {
+        context.report({
+          node: ssrFalseProperty,
+          messageId: 'ssrFalseInServerComponent',
+          data: { name },
+        })
+      }
+    }
+
+    return {
+      ImportDeclaration(node) {
+        if (node.source.value !== NEXT_DYNAMIC_SOURCE) return
+        for (const specifier of node.specifiers) {
+          if (specifier.type !== 'ImportDefaultSpecifier') continue
+          const [variable] = sourceCode.getDeclaredVariables(specifier)
+          for (const { identifier } of variable.references) {
+            const call = identifier.parent
+            if (call.type === 'CallExpression' && call.callee === identifier) {
+              checkDynamicCall(call, identifier.name)
+            }
+          }
+        }
+      },
+    }
+  },
+}
@@ -0,0 +1,167 @@
+import { isFunctionNode, isTopLevelVariableDeclarator } from '../utils/ast.js'
+import { getRuleSourceCode } from '../utils/eslint-context.js'
+import { getStaticValue } from '../utils/literal.js'
+import { getImportedName } from '../utils/react-imports.js'
+
+/**
+ * @fileoverview Require next/font loaders to be called at module scope with literal options.
+ * @author laststance
+ */
+
+const GOOGLE_FONT_SOURCES = new Set(['next/font/google', '@next/font/google'])
+const LOCAL_FONT_SOURCES = new Set(['next/font/local', '@next/font/local'])
+const OPTIONS_ARGUMENT_INDEX = 0
+
+/**
+ * Checks whether a node is nested in a function.
+ * @param {import('estree').Node} node - Node to inspect.
+ * @returns {boolean} True when a function encloses the node.
+ */
+function isInsideFunction(node) {
+  let current = node.parent
+  while (current) {
+    if (isFunctionNode(current)) return true
+    current = current.parent
+  }
+  return false
+}
+
+/**
+ * Checks whether an import specifier binds a font loader. Google fonts are named exports, and
+ * the local font loader is the default export.
+ * @param {import('estree').ImportDeclaration['specifiers'][number]} specifier - Import specifier.
+ * @param {boolean} isGoogleFont - True for next/font/google imports.
+ * @returns {boolean} True for font loader bindings.
+ */
+function isFontLoaderSpecifier(specifier, isGoogleFont) {
+  if (!isGoogleFont) return specifier.type === 'ImportDefaultSpecifier'
+  return specifier.type === 'ImportSpecifier' && specifier.importKind !== 'type'
+}
+
+export default {
+  meta: {
+    type: 'problem',
+    docs: {
+      description:
+        'Require next/font loaders to be called at module scope, assigned to a const, with statically analyzable options',
+      category: 'Possible Errors',
+      recommended: false,
+      url: 'https://github.com/laststance/react-next-eslint-plugin/blob/main/docs/rules/valid-next-font-loader.md',
+    },
+    fixable: null,
+    hasSuggestions: false,
+    schema: [],
+    messages: {
+      loaderInFunction:
+        "Font loader '{{name}}' must be called at module scope, not inside a function or component.",
+      loaderNotAssignedToConst:
+        "Assign the result of font loader '{{name}}' to a const at module scope.",
+      nonLiteralOptions:
+        "Font loader '{{name}}' must receive an object literal with literal values so Next.js can read it at build time.",
+      missingSubsets:
+        "Google font '{{name}}' needs 'subsets' to be preloaded. Add subsets such as ['latin'], or set 'preload: false'.",
+    },
+  },
+
+  /**
+   * Creates rule listeners.
+   * @param {import('eslint').Rule.RuleContext} context - ESLint rule context.
+   * @returns {import('eslint').Rule.RuleListener} Rule listener map.
+   */
+  create(context) {
+    const sourceCode = getRuleSourceCode(context)
+
+    /**
+     * Checks one call of a font loader.
+     * @param {import('estree').CallExpression} call - Loader call.
+     * @param {string} name - Loader name used in messages.
+     * @param {boolean} isGoogleFont - True for next/font/google loaders.
+     */
+    function checkLoaderCall(call, name, isGoogleFont) {
+      const declarator = call.parent
+      if (isInsideFunction(call)) {
+        context.report({
+          node: call,
+          messageId: 'loaderInFunction',
+          data: { name },
+        })
+        return
+      }
+      if (
+        declarator.type !== 'VariableDeclarator' ||
+        declarator.init !== call ||
+        declarator.id.type !== 'Identifier' ||
+        declarator.parent.kind !== 'const' ||
+        !isTopLevelVariableDeclarator(declarator)
+      ) {
+        context.report({
+          node: call,
+          messageId: 'loaderNotAssignedToConst',
+          data: { name },
+        })
+        return
+      }
+
+      const optionsNode = call.arguments[OPTIONS_ARGUMENT_INDEX]
+      if (!optionsNode && isGoogleFont) {
+        context.report({
+          node: call,
+          messageId: 'missingSubsets',
+          data: { name },
+        })
+        return
+      }
+      const options = getStaticValue(optionsNode)?.value
+      if (
+        !options ||
+        typeof options !== 'object' ||
+        Array.isArray(options) ||
+        call.arguments.length > OPTIONS_ARGUMENT_INDEX + 1
+      ) {
+        context.report({
+          node: optionsNode ?? call,
+          messageId: 'nonLiteralOptions',
+          data: { name },
+        })
+        return
+      }
+      if (
+        isGoogleFont &&
+        options.preload !== false &&
+        !('subsets' in options)
+      ) {
+        context.report({
+          node: optionsNode,
+          messageId: 'missingSubsets',
+          data: { name },
+        })
+      }
+    }
+
+    return {
+      ImportDeclaration(node) {
+        const source = node.source.value
+        const isGoogleFont = GOOGLE_FONT_SOURCES.has(source)
+        if (
+          (!isGoogleFont && !LOCAL_FONT_SOURCES.has(source)) ||
+          node.importKind === 'type'
+        ) {
+          return
+        }
+        for (const specifier of node.specifiers) {
+          if (!isFontLoaderSpecifier(specifier, isGoogleFont)) continue
+          const name = isGoogleFont
+            ? getImportedName(specifier)
+            : specifier.local.name
+          const [variable] = sourceCode.getDeclaredVariables(specifier)
+          for (const { identifier } of variable.references) {
+            const call = identifier.parent
+            if (call.type === 'CallExpression' && call.callee === identifier) {
+              checkLoaderCall(call, name, isGoogleFont)
+            }
+          }
+        }
+      },
+    }
+  },
+}
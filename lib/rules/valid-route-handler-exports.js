@@ -0,0 +1,123 @@
+import path from 'path'
+import { getRuleFilename } from '../utils/eslint-context.js'
+import {
+  ROUTE_HANDLER_METHOD_NAMES,
+  ROUTE_SEGMENT_CONFIG_NAMES,
+  collectModuleExports,
+} from '../utils/next-exports.js'
+import {
+  NEXT_FILE_ROLES,
+  NEXT_ROUTERS,
+  findSiblingConventionFile,
+  getNextFileInfo,
+} from '../utils/next-files.js'
+
+/**
+ * @fileoverview Validate the exports of App Router Route Handlers.
+ * @author laststance
+ */
+
+const DEFAULT_EXPORT_NAME = 'default'
+// Route Handlers can be statically generated for dynamic segments
+const ROUTE_HANDLER_EXTRA_EXPORT_NAMES = new Set(['generateStaticParams'])
+const METHOD_LIST = [...ROUTE_HANDLER_METHOD_NAMES].join(', ')
+
+export default {
+  meta: {
+    type: 'problem',
+    docs: {
+      description:
+        'Validate Route Handler exports and disallow a route file next to a page in the same segment',
+      category: 'Possible Errors',
+      recommended: false,
+      url: 'https://github.com/laststance/react-next-eslint-plugin/blob/main/docs/rules/valid-route-handler-exports.md',
+    },
+    fixable: null,
+    hasSuggestions: false,
+    schema: [],
+    messages: {
+      invalidExport:
+        "'{{name}}' is not a valid Route Handler export. Export HTTP methods ({{methods}}) or route segment config only.",
+      lowercaseMethod:
+        "Route Handler methods are case-sensitive; rename '{{name}}' to '{{method}}'.",
+      defaultExport:
+        'Route Handlers ignore default exports. Export a named HTTP method such as GET instead.',
+      conflictingSegmentFile:
+        "A route segment cannot contain both a route and a page file; '{{file}}' conflicts with this file.",
+    },
+  },
+
+  /**
+   * Creates rule listeners.
+   * @param {import('eslint').Rule.RuleContext} context - ESLint rule context.
+   * @returns {import('eslint').Rule.RuleListener} Rule listener map.
+   */
+  create(context) {
+    const { router, role } = getNextFileInfo(context)
+    const isRoute = role === NEXT_FILE_ROLES.ROUTE
+    if (
+      router !== NEXT_ROUTERS.APP ||
+      (!isRoute && role !== NEXT_FILE_ROLES.PAGE)
+    ) {
+      return {}
+    }
+    const filename = getRuleFilename(context)
+
+    /**
+     * Reports a page/route pair in the same segment, from whichever file is linted.
+     */
+    function checkConflictingSegmentFile() {
+      const sibling = findSiblingConventionFile(
+        filename,
+        isRoute ? NEXT_FILE_ROLES.PAGE : NEXT_FILE_ROLES.ROUTE,
+      )
+      if (!sibling) return
+      context.report({
+        loc: { line: 1, column: 0 },
+        messageId: 'conflictingSegmentFile',
+        data: { file: path.basename(sibling) },
+      })
+    }
+
+    /**
+     * Reports exports Next.js does not read from Route Handlers.
+     * @param {import('estree').Program} program - Program node.
+     */
+    function checkRouteExports(program) {
+      for (const { name, node } of collectModuleExports(program)) {
+        if (
+          ROUTE_HANDLER_METHOD_NAMES.has(name) ||
+          ROUTE_SEGMENT_CONFIG_NAMES.has(name) ||
+          ROUTE_HANDLER_EXTRA_EXPORT_NAMES.has(name)
+        ) {
+          continue
+        }
+        if (name === DEFAULT_EXPORT_NAME) {
+          context.report({ node, messageId: 'defaultExport' })
+          continue
+        }
+        const method = name.toUpperCase()
+        if (ROUTE_HANDLER_METHOD_NAMES.has(method)) {
+          context.report({
+            node,
+            messageId: 'lowercaseMethod',
+            data: { name, method },
+          })
+          continue
+        }
+        context.report({
+          node,
+          messageId: 'invalidExport',
+          data: { name, methods: METHOD_LIST },
+        })
+      }
+    }
+
+    return {
+      Program(program) {
+        checkConflictingSegmentFile()
+        if (isRoute) checkRouteExports(program)
+      },
+    }
+  },
+}
@@ -0,0 +1,186 @@
+import {
+  USE_CLIENT_DIRECTIVE,
+  hasModuleDirective,
+} from '../utils/directives.js'
+import { getStaticValue } from '../utils/literal.js'
+import { findMisspelledName } from '../utils/naming.js'
+import {
+  ROUTE_SEGMENT_CONFIG_NAMES,
+  collectModuleExports,
+} from '../utils/next-exports.js'
+import {
+  NEXT_FILE_ROLES,
+  NEXT_ROUTERS,
+  getNextFileInfo,
+} from '../utils/next-files.js'
+
+/**
+ * @fileoverview Validate route segment config exports in App Router files.
+ * @author laststance
+ */
+
+const SEGMENT_CONFIG_FILE_ROLES = new Set([
+  NEXT_FILE_ROLES.PAGE,
+  NEXT_FILE_ROLES.LAYOUT,
+  NEXT_FILE_ROLES.ROUTE,
+])
+
+/**
+ * Checks a string against a fixed set of options.
+ * @param {readonly string[]} options - Allowed values.
+ * @returns {(value: unknown) => boolean} Validator.
+ */
+const oneOf = (options) => (value) => options.includes(value)
+
+/**
+ * Accepts non-negative finite numbers.
+ * @param {unknown} value - Static value.
+ * @returns {boolean} True when valid.
+ */
+const isNonNegativeNumber = (value) =>
+  typeof value === 'number' && Number.isFinite(value) && value >= 0
+
+// Option name -> validator and the expected value shown in messages
+const SEGMENT_CONFIG_VALIDATORS = {
+  dynamic: {
+    isValid: oneOf(['auto', 'force-dynamic', 'error', 'force-static']),
+    expected: "'auto' | 'force-dynamic' | 'error' | 'force-static'",
+  },
+  dynamicParams: {
+    isValid: (value) => typeof value === 'boolean',
+    expected: 'true | false',
+  },
+  revalidate: {
+    isValid: (value) => value === false || isNonNegativeNumber(value),
+    expected: 'false | a non-negative number of seconds',
+  },
+  fetchCache: {
+    isValid: oneOf([
+      'auto',
+      'default-cache',
+      'only-cache',
+      'force-cache',
+      'force-no-store',
+      'default-no-store',
+      'only-no-store',
+    ]),
+    expected:
+      "'auto' | 'default-cache' | 'only-cache' | 'force-cache' | 'force-no-store' | 'default-no-store' | 'only-no-store'",
+  },
+  runtime: {
+    isValid: oneOf(['nodejs', 'edge']),
+    expected: "'nodejs' | 'edge'",
+  },
+  preferredRegion: {
+    isValid: (value) =>
+      typeof value === 'string' ||
+      (Array.isArray(value) &&
+        value.length > 0 &&
+        value.every((region) => typeof region === 'string')),
+    expected: "'auto' | 'global' | 'home' | a region id | a list of region ids",
+  },
+  maxDuration: {
+    isValid: isNonNegativeNumber,
+    expected: 'a non-negative number of seconds',
+  },
+}
+
+/**
+ * Checks whether an export is written as `export const name = ...`.
+ * @param {import('estree').Node} exportNameNode - Node returned by collectModuleExports.
+ * @returns {boolean} True for a `const` declaration.
+ */
+function isExportedConst(exportNameNode) {
+  const declaration = exportNameNode.parent?.parent
+  return (
+    exportNameNode.parent?.type === 'VariableDeclarator' &&
+    declaration?.type === 'VariableDeclaration' &&
+    declaration.kind === 'const'
+  )
+}
+
+export default {
+  meta: {
+    type: 'problem',
+    docs: {
+      description:
+        'Validate route segment config exports (dynamic, revalidate, runtime, fetchCache, preferredRegion, ...) in App Router files',
+      category: 'Possible Errors',
+      recommended: false,
+      url: 'https://github.com/laststance/react-next-eslint-plugin/blob/main/docs/rules/valid-route-segment-config.md',
+    },
+    fixable: null,
+    hasSuggestions: false,
+    schema: [],
+    messages: {
+      invalidValue: "Invalid '{{name}}' value. Expected {{expected}}.",
+      nonStaticValue:
+        "'{{name}}' must be exported as a const with a literal value so Next.js can read it at build time.",
+      clientModuleConfig:
+        "Route segment config '{{name}}' is ignored in 'use client' files. Move it to a Server Component page or layout.",
+      misspelledConfig:
+        "'{{name}}' is not a route segment config option. Did you mean '{{intended}}'?",
+    },
+  },
+
+  /**
+   * Creates rule listeners.
+   * @param {import('eslint').Rule.RuleContext} context - ESLint rule context.
+   * @returns {import('eslint').Rule.RuleListener} Rule listener map.
+   */
+  create(context) {
+    const { router, role } = getNextFileInfo(context)
+    if (router !== NEXT_ROUTERS.APP || !SEGMENT_CONFIG_FILE_ROLES.has(role)) {
+      return {}
+    }
+
+    return {
+      Program(program) {
+        const isClientModule = hasModuleDirective(program, USE_CLIENT_DIRECTIVE)
+        for (const { name, node, value } of collectModuleExports(program)) {
+          if (!ROUTE_SEGMENT_CONFIG_NAMES.has(name)) {
+            const intended = findMisspelledName(
+              name,
+              ROUTE_SEGMENT_CONFIG_NAMES,
+            )
+            if (intended) {
+              context.report({
+                node,
+                messageId: 'misspelledConfig',
+                data: { name, intended },
+              })
+            }
+            continue
+          }
+          if (isClientModule) {
+            context.report({
+              node,
+              messageId: 'clientModuleConfig',
+              data: { name },
+            })
+            continue
+          }
+          const staticValue = isExportedConst(node)
+            ? getStaticValue(value)
+            : null
+          if (!staticValue) {
+            context.report({
+              node,
+              messageId: 'nonStaticValue',
+              data: { name },
+            })
+            continue
+          }
+          const validator = SEGMENT_CONFIG_VALIDATORS[name]
+          if (!validator.isValid(staticValue.value)) {
+            context.report({
+              node: value,
+              messageId: 'invalidValue',
+              data: { name, expected: validator.expected },
+            })
+          }
+        }
+      },
+    }
+  },
+}
@@ -0,0 +1,320 @@
+import { getRuleScope, getRuleSourceCode } from '../utils/eslint-context.js'
+import {
+  USE_CLIENT_DIRECTIVE,
+  USE_SERVER_DIRECTIVE,
+  getPrologueDirectives,
+  hasFunctionDirective,
+} from '../utils/directives.js'
+import { getClientOnlyHookName } from '../utils/hooks.js'
+import { createReactImportTracker } from '../utils/react-imports.js'
+
+/**
+ * @fileoverview Validate Server Actions declared with the 'use server' directive.
+ * @author laststance
+ */
+
+const DEFAULT_EXPORT_NAME = 'default'
+const EXPORT_VALUE_ASYNC = 'async'
+const EXPORT_VALUE_SYNC = 'sync'
+const EXPORT_VALUE_NON_FUNCTION = 'non-function'
+const EXPORT_VALUE_UNKNOWN = 'unknown'
+// Expressions that can never evaluate to a function
+const NON_FUNCTION_EXPRESSION_TYPES = new Set([
+  'Literal',
+  'TemplateLiteral',
+  'ObjectExpression',
+  'ArrayExpression',
+  'ClassExpression',
+  'ClassDeclaration',
+  'NewExpression',
+  'UnaryExpression',
+  'BinaryExpression',
+  'UpdateExpression',
+  'JSXElement',
+  'JSXFragment',
+  'TSEnumDeclaration',
+])
+const TYPE_ONLY_DECLARATION_TYPES = new Set([
+  'TSTypeAliasDeclaration',
+  'TSInterfaceDeclaration',
+  'TSDeclareFunction',
+  'TSModuleDeclaration',
+])
+const BROWSER_GLOBAL_NAMES = new Set([
+  'window',
+  'document',
+  'navigator',
+  'localStorage',
+  'sessionStorage',
+])
+const FUNCTION_NODE_SELECTOR =
+  'FunctionDeclaration, FunctionExpression, ArrowFunctionExpression'
+
+/**
+ * Classifies what kind of value an exported declaration or expression holds.
+ * @param {import('estree').Node | null | undefined} node - Declaration or initializer.
+ * @param {Map<string, import('estree').Node | null>} topLevelBindings - Module-level name -> value node.
+ * @param {Set<string>} [visited] - Identifiers already followed, to stop cycles.
+ * @returns {'async' | 'sync' | 'non-function' | 'unknown'} Export value kind.
+ */
+function classifyExportValue(node, topLevelBindings, visited = new Set()) {
+  if (!node) return EXPORT_VALUE_NON_FUNCTION
+  if (
+    node.type === 'FunctionDeclaration' ||
+    node.type === 'FunctionExpression' ||
+    node.type === 'ArrowFunctionExpression'
+  ) {
+    return node.async ? EXPORT_VALUE_ASYNC : EXPORT_VALUE_SYNC
+  }
+  if (NON_FUNCTION_EXPRESSION_TYPES.has(node.type)) {
+    return EXPORT_VALUE_NON_FUNCTION
+  }
+  if (node.type === 'Identifier' && topLevelBindings.has(node.name)) {
+    if (visited.has(node.name)) return EXPORT_VALUE_UNKNOWN
+    visited.add(node.name)
+    return classifyExportValue(
+      topLevelBindings.get(node.name),
+      topLevelBindings,
+      visited,
+    )
+  }
+  // Imports, calls (e.g. higher-order wrappers) and other expressions cannot be verified statically
+  return EXPORT_VALUE_UNKNOWN
+}
+
+/**
+ * Collects module-level bindings and the node holding each binding's value.
+ * Uninitialized variables map to null.
+ * @param {import('estree').Program} program - Program node.
+ * @returns {Map<string, import('estree').Node | null>} Binding name -> value node.
+ */
+function collectTopLevelBindings(program) {
+  const bindings = new Map()
+  for (const statement of program.body) {
+    const declaration =
+      statement.type === 'ExportNamedDeclaration' && statement.declaration
+        ? statement.declaration
+        : statement
+    if (
+      (declaration.type === 'FunctionDeclaration' ||
+        declaration.type === 'ClassDeclaration' ||
+        declaration.type === 'TSEnumDeclaration') &&
+      declaration.id
+    ) {
+      bindings.set(declaration.id.name, declaration)
+    } else if (declaration.type === 'VariableDeclaration') {
+      for (const declarator of declaration.declarations) {
+        if (declarator.id.type === 'Identifier') {
+          bindings.set(declarator.id.name, declarator.init)
+        }
+      }
+    }
+  }
+  return bindings
+}
+
+/**
+ * Returns the name an export specifier is exported as.
+ * @param {import('estree').ExportSpecifier} specifier - Export specifier node.
+ * @returns {string} Exported name.
+ */
+function getExportedName(specifier) {
+  return specifier.exported.type === 'Identifier'
+    ? specifier.exported.name
+    : String(specifier.exported.value)
+}
+
+/**
+ * Checks whether a variable is a browser global that does not exist on the server.
+ * @param {import('eslint').Scope.Reference} reference - Reference leaving the action scope.
+ * @returns {boolean} True for unresolved or implicit globals such as `window`.
+ */
+function isBrowserGlobalReference(reference) {
+  if (!BROWSER_GLOBAL_NAMES.has(reference.identifier.name)) return false
+  const variable = reference.resolved
+  return (
+    !variable ||
+    (variable.scope.type === 'global' && variable.defs.length === 0)
+  )
+}
+
+export default {
+  meta: {
+    type: 'problem',
+    docs: {
+      description:
+        "Validate Server Actions: 'use server' modules may only export async functions and inline actions must be async server-safe closures",
+      category: 'Possible Errors',
+      recommended: false,
+      url: 'https://github.com/laststance/react-next-eslint-plugin/blob/main/docs/rules/valid-server-actions.md',
+    },
+    fixable: null,
+    hasSuggestions: false,
+    schema: [],
+    messages: {
+      nonAsyncExport:
+        "'{{name}}' is exported from a 'use server' file and must be an async function.",
+      nonFunctionExport:
+        "'use server' files may only export async functions, but '{{name}}' is not a function.",
+      nonAsyncInlineAction: 'Inline Server Actions must be async functions.',
+      inlineActionInClientModule:
+        "Inline Server Actions cannot be defined in a 'use client' file. Move the action to a separate 'use server' file.",
+      clientValueInAction:
+        "Server Action closes over client-only value '{{name}}', which does not exist on the server.",
+    },
+  },
+
+  /**
+   * Creates rule listeners.
+   * @param {import('eslint').Rule.RuleContext} context - ESLint rule context.
+   * @returns {import('eslint').Rule.RuleListener} Rule listener map.
+   */
+  create(context) {
+    const program = getRuleSourceCode(context).ast
+    const moduleDirectives = getPrologueDirectives(program.body)
+    const isServerModule = moduleDirectives.has(USE_SERVER_DIRECTIVE)
+    const isClientModule = moduleDirectives.has(USE_CLIENT_DIRECTIVE)
+    const reactImports = createReactImportTracker(context)
+    // Variables initialized from client-only hooks, e.g. both names in `const [a, setA] = useState()`
+    const clientOnlyVariables = new Set()
+
+    /**
+     * Reports an exported value that is not an async function.
+     * @param {import('estree').Node} node - Node to report.
+     * @param {string} name - Exported name.
+     * @param {import('estree').Node | null | undefined} valueNode - Declaration or initializer.
+     * @param {Map<string, import('estree').Node | null>} topLevelBindings - Module-level bindings.
+     */
+    function checkExportedValue(node, name, valueNode, topLevelBindings) {
+      const kind = classifyExportValue(valueNode, topLevelBindings)
+      if (kind === EXPORT_VALUE_SYNC) {
+        context.report({ node, messageId: 'nonAsyncExport', data: { name } })
+      } else if (kind === EXPORT_VALUE_NON_FUNCTION) {
+        context.report({ node, messageId: 'nonFunctionExport', data: { name } })
+      }
+    }
+
+    /**
+     * Validates every export of a 'use server' module.
+     */
+    function checkServerModuleExports() {
+      const topLevelBindings = collectTopLevelBindings(program)
+      for (const statement of program.body) {
+        if (statement.type === 'ExportDefaultDeclaration') {
+          checkExportedValue(
+            statement.declaration,
+            DEFAULT_EXPORT_NAME,
+            statement.declaration,
+            topLevelBindings,
+          )
+          continue
+        }
+        if (
+          statement.type !== 'ExportNamedDeclaration' ||
+          statement.exportKind === 'type'
+        ) {
+          continue
+        }
+        const declaration = statement.declaration
+        if (declaration) {
+          if (TYPE_ONLY_DECLARATION_TYPES.has(declaration.type)) continue
+          if (declaration.type === 'VariableDeclaration') {
+            for (const declarator of declaration.declarations) {
+              const name =
+                declarator.id.type === 'Identifier' ? declarator.id.name : null
+              if (!name) {
+                // Destructured exports are never plain function declarations
+                context.report({
+                  node: declarator,
+                  messageId: 'nonFunctionExport',
+                  data: {
+                    name: getRuleSourceCode(context).getText(declarator.id),
+                  },
+                })
+                continue
+              }
+              checkExportedValue(
+                declarator,
+                name,
+                declarator.init,
+                topLevelBindings,
+              )
+            }
+            continue
+          }
+          checkExportedValue(
+            declaration,
+            declaration.id ? declaration.id.name : DEFAULT_EXPORT_NAME,
+            declaration,
+            topLevelBindings,
+          )
+          continue
+        }
+        // Re-exports from other modules are validated in their own 'use server' file
+        if (statement.source) continue
+        for (const specifier of statement.specifiers) {
+          if (specifier.exportKind === 'type') continue
+          checkExportedValue(
+            specifier,
+            getExportedName(specifier),
+            specifier.local,
+            topLevelBindings,
+          )
+        }
+      }
+    }
+
+    /**
+     * Reports references from an inline action to client-only values in enclosing scopes.
+     * @param {import('estree').Node} functionNode - Inline Server Action.
+     */
+    function checkClosedOverValues(functionNode) {
+      const scope = getRuleScope(context, functionNode)
+      if (!scope) return
+      const reported = new Set()
+      for (const reference of scope.through) {
+        const name = reference.identifier.name
+        if (reported.has(name)) continue
+        const variable = reference.resolved
+        if (
+          isBrowserGlobalReference(reference) ||
+          (variable && clientOnlyVariables.has(variable))
+        ) {
+          reported.add(name)
+          context.report({
+            node: reference.identifier,
+            messageId: 'clientValueInAction',
+            data: { name },
+          })
+        }
+      }
+    }
+
+    return {
+      Program() {
+        if (isServerModule) checkServerModuleExports()
+      },
+      VariableDeclarator(node) {
+        reactImports.trackVariableDeclarator(node)
+        if (!node.init || node.init.type !== 'CallExpression') return
+        if (!getClientOnlyHookName(node.init.callee, reactImports)) return
+        for (const variable of getRuleSourceCode(context).getDeclaredVariables(
+          node,
+        )) {
+          clientOnlyVariables.add(variable)
+        }
+      },
+      [`:matches(${FUNCTION_NODE_SELECTOR}):exit`](node) {
+        if (!hasFunctionDirective(node, USE_SERVER_DIRECTIVE)) return
+        if (isClientModule) {
+          context.report({ node, messageId: 'inlineActionInClientModule' })
+          return
+        }
+        if (!node.async) {
+          context.report({ node, messageId: 'nonAsyncInlineAction' })
+        }
+        checkClosedOverValues(node)
+      },
+    }
+  },
+}
@@ -50,6 +50,44 @@ export function getUnderlyingExpression(node) {
   return node
 }
 
+/**
+ * Reads a static property key name: an identifier, or a string literal when computed.
+ * @param {import('estree').Property | import('estree').MemberExpression} node - Property or member node.
+ * @returns {string | null} Key name or null.
+ * @example
+ * getStaticKeyName(parse('router.push').expression) // => "push"
+ */
+export function getStaticKeyName(node) {
+  const key = node.type === 'MemberExpression' ? node.property : node.key
+  if (node.computed) {
+    return key.type === 'Literal' && typeof key.value === 'string'
+      ? key.value
+      : null
+  }
+  return key.type === 'Identifier' ? key.name : null
+}
+
+/**
+ * Determines whether a variable declarator is defined at the top-level scope.
+ * @param {import('estree').VariableDeclarator} node - Variable declarator to inspect.
+ * @returns {boolean} True when the declaration is directly under Program or ExportNamedDeclaration.
+ * @example
+ * // export const inter = Inter({ subsets: ['latin'] })
+ * isTopLevelVariableDeclarator(interDeclarator) // => true
+ */
+export function isTopLevelVariableDeclarator(node) {
+  const declaration = node.parent
+  if (!declaration || declaration.type !== 'VariableDeclaration') {
+    return false
+  }
+
+  const parent = declaration.parent
+  return (
+    !!parent &&
+    (parent.type === 'Program' || parent.type === 'ExportNamedDeclaration')
+  )
+}
+
 /**
  * Walks up the parent chain to find the first node matching the predicate.
  * @param {import('estree').Node | null | undefined} node - Starting node.
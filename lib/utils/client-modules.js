@@ -0,0 +1,210 @@
+/**
+ * Cross-file lookup of components exported from `'use client'` modules, and of modules that
+ * only end up in client bundles.
+ */
+
+import path from 'path'
+import {
+  USE_CLIENT_DIRECTIVE,
+  USE_SERVER_DIRECTIVE,
+  hasModuleDirective,
+} from './directives.js'
+import {
+  getRuleCwd,
+  getRuleFilename,
+  getRuleSourceCode,
+} from './eslint-context.js'
+import {
+  collectImportBindings,
+  getModuleExportName,
+  getRuntimeImportSources,
+  listSourceFiles,
+  parseModuleFile,
+  resolveImportPath,
+} from './module-resolution.js'
+import { collectModuleExports } from './next-exports.js'
+
+const DEFAULT_EXPORT_NAME = 'default'
+
+// Module AST -> import graph node; parsed modules are cached until their mtime changes
+const moduleGraphNodeCache = new WeakMap()
+
+/**
+ * Checks whether a module may export a name. `export *` is assumed to provide any named export.
+ * @param {import('estree').Program} program - Module AST.
+ * @param {string} exportName - Export name ("default" for the default export).
+ * @returns {boolean} True when the name is (or may be) exported.
+ */
+function hasExport(program, exportName) {
+  return (
+    collectModuleExports(program).some(({ name }) => name === exportName) ||
+    (exportName !== DEFAULT_EXPORT_NAME &&
+      program.body.some(
+        (statement) =>
+          statement.type === 'ExportAllDeclaration' && !statement.exported,
+      ))
+  )
+}
+
+/**
+ * Checks whether an export of a module comes from a `'use client'` module, following
+ * `export ... from` and `export *` through barrel files.
+ * @param {import('eslint').Rule.RuleContext} context - ESLint rule context (parser options).
+ * @param {string} filePath - Absolute path of the module.
+ * @param {string} exportName - Export name ("default" for the default export).
+ * @param {Set<string>} seen - Files on the current resolution path, to stop cycles.
+ * @returns {boolean} True when the export is defined in a client module.
+ */
+function isClientModuleExport(context, filePath, exportName, seen) {
+  if (seen.has(filePath)) return false
+  const program = parseModuleFile(context, filePath)
+  if (!program) return false
+  if (hasModuleDirective(program, USE_CLIENT_DIRECTIVE)) {
+    return hasExport(program, exportName)
+  }
+
+  seen.add(filePath)
+  try {
+    for (const statement of program.body) {
+      if (!statement.source) continue
+      let importedName = null
+      if (statement.type === 'ExportNamedDeclaration') {
+        const specifier = statement.specifiers.find(
+          ({ exported }) => getModuleExportName(exported) === exportName,
+        )
+        importedName = specifier ? getModuleExportName(specifier.local) : null
+      } else if (
+        statement.type === 'ExportAllDeclaration' &&
+        !statement.exported &&
+        exportName !== DEFAULT_EXPORT_NAME
+      ) {
+        importedName = exportName
+      }
+      if (!importedName) continue
+      const target = resolveImportPath(filePath, statement.source.value)
+      if (target && isClientModuleExport(context, target, importedName, seen)) {
+        return true
+      }
+    }
+    return false
+  } finally {
+    seen.delete(filePath)
+  }
+}
+
+/**
+ * Creates a lookup that tells whether a local JSX component name is imported from a
+ * `'use client'` module, i.e. renders a Client Component when used from a Server Component.
+ * @param {import('eslint').Rule.RuleContext} context - ESLint rule context.
+ * @returns {(localName: string) => boolean} Lookup function; results are memoized per name.
+ * @example
+ * const isClientComponent = createImportedClientComponentLookup(context)
+ * isClientComponent('LikeButton') // => true when './LikeButton' starts with 'use client'
+ */
+export function createImportedClientComponentLookup(context) {
+  const filename = getRuleFilename(context)
+  const results = new Map()
+  let importBindings = null
+
+  return (localName) => {
+    if (results.has(localName)) return results.get(localName)
+    importBindings ??= collectImportBindings(getRuleSourceCode(context).ast)
+    const binding = importBindings.get(localName)
+    const target = binding ? resolveImportPath(filename, binding.source) : null
+    const isClient = Boolean(
+      target &&
+      isClientModuleExport(context, target, binding.importedName, new Set()),
+    )
+    results.set(localName, isClient)
+    return isClient
+  }
+}
+
+/**
+ * Reads the directives of a module and the local modules it loads at runtime.
+ * @param {import('estree').Program} program - Module AST.
+ * @param {string} filePath - Absolute path of the module.
+ * @returns {{ isClient: boolean, isServer: boolean, targets: string[] }} Import graph node.
+ */
+function getModuleGraphNode(program, filePath) {
+  if (!moduleGraphNodeCache.has(program)) {
+    moduleGraphNodeCache.set(program, {
+      isClient: hasModuleDirective(program, USE_CLIENT_DIRECTIVE),
+      isServer: hasModuleDirective(program, USE_SERVER_DIRECTIVE),
+      targets: getRuntimeImportSources(program)
+        .map((source) => resolveImportPath(filePath, source))
+        .filter(Boolean),
+    })
+  }
+  return moduleGraphNodeCache.get(program)
+}
+
+/**
+ * Walks the import graph from a set of modules.
+ * @param {Map<string, ReturnType<typeof getModuleGraphNode>>} modules - Import graph.
+ * @param {string[]} entries - Modules to start from.
+ * @param {(node: ReturnType<typeof getModuleGraphNode>) => boolean} canEnter - Whether an imported module is followed.
+ * @returns {Map<string, string>} Reached module -> entry it was first reached from.
+ */
+function collectReachableModules(modules, entries, canEnter) {
+  const reached = new Map(entries.map((entry) => [entry, entry]))
+  const pending = [...entries]
+  while (pending.length > 0) {
+    const filePath = pending.shift()
+    for (const target of modules.get(filePath).targets) {
+      if (reached.has(target) || !modules.has(target)) continue
+      if (!canEnter(modules.get(target))) continue
+      reached.set(target, reached.get(filePath))
+      pending.push(target)
+    }
+  }
+  return reached
+}
+
+/**
+ * Finds the `'use client'` module that pulls the linted file into a client bundle, when no
+ * server code imports it. Every source file below ESLint's cwd is part of the import graph:
+ * modules that nothing imports (routes, tests, config files, ...) run on the server, and so
+ * does everything they import up to a `'use client'` boundary. `'use server'` modules are not
+ * followed from the client, since it only receives references to their actions.
+ * @param {import('eslint').Rule.RuleContext} context - ESLint rule context.
+ * @returns {string | null} Absolute path of a Client Component module importing the file,
+ * directly or through other client-only modules, or null when the file also runs on the server.
+ * @example
+ * findClientBoundaryImporter(context) // for lib/analytics.js imported only by 'use client' modules => "/repo/app/ui/Tracker.jsx"
+ */
+export function findClientBoundaryImporter(context) {
+  const filename = getRuleFilename(context)
+  const cwd = getRuleCwd(context)
+  if (
+    !path.isAbsolute(filename) ||
+    !filename.startsWith(`${path.resolve(cwd)}${path.sep}`)
+  ) {
+    return null
+  }
+
+  const modules = new Map()
+  for (const filePath of listSourceFiles(path.resolve(cwd))) {
+    const program = parseModuleFile(context, filePath)
+    if (program) modules.set(filePath, getModuleGraphNode(program, filePath))
+  }
+  const importedFiles = new Set(
+    [...modules.values()].flatMap(({ targets }) => targets),
+  )
+  const serverModules = collectReachableModules(
+    modules,
+    [...modules.keys()].filter(
+      (filePath) =>
+        !importedFiles.has(filePath) && !modules.get(filePath).isClient,
+    ),
+    ({ isClient }) => !isClient,
+  )
+  if (!modules.has(filename) || serverModules.has(filename)) return null
+
+  const clientModules = collectReachableModules(
+    modules,
+    [...modules.keys()].filter((filePath) => modules.get(filePath).isClient),
+    ({ isServer }) => !isServer,
+  )
+  return clientModules.get(filename) ?? null
+}
@@ -0,0 +1,60 @@
+/**
+ * Helpers for reading directive prologues such as `'use client'` and `'use server'`.
+ */
+
+export const USE_CLIENT_DIRECTIVE = 'use client'
+export const USE_SERVER_DIRECTIVE = 'use server'
+
+/**
+ * Determines whether a statement is a directive prologue statement.
+ * @param {import('estree').Statement | import('estree').ModuleDeclaration} statement - The statement to inspect.
+ * @returns {boolean} True when the statement is a string literal expression.
+ */
+export function isDirectivePrologueStatement(statement) {
+  return (
+    statement.type === 'ExpressionStatement' &&
+    statement.expression.type === 'Literal' &&
+    typeof statement.expression.value === 'string'
+  )
+}
+
+/**
+ * Collects the directive values from the prologue of a statement list.
+ * @param {Array<import('estree').Statement | import('estree').ModuleDeclaration>} statements - Program or function body statements.
+ * @returns {Set<string>} Directive values, e.g. `use client`.
+ * @example
+ * getPrologueDirectives(program.body) // => Set { "use client" }
+ */
+export function getPrologueDirectives(statements) {
+  const directives = new Set()
+  for (const statement of statements) {
+    if (!isDirectivePrologueStatement(statement)) break
+    directives.add(statement.expression.value)
+  }
+  return directives
+}
+
+/**
+ * Checks whether a module starts with the given directive.
+ * @param {import('estree').Program} program - Program node.
+ * @param {string} directive - Directive value such as `use client`.
+ * @returns {boolean} True when the directive appears in the module prologue.
+ */
+export function hasModuleDirective(program, directive) {
+  return getPrologueDirectives(program.body).has(directive)
+}
+
+/**
+ * Checks whether a function body starts with the given directive.
+ * Arrow functions with expression bodies cannot carry directives.
+ * @param {import('estree').Node} functionNode - Function node.
+ * @param {string} directive - Directive value such as `use server`.
+ * @returns {boolean} True when the directive appears in the function prologue.
+ */
+export function hasFunctionDirective(functionNode, directive) {
+  return Boolean(
+    functionNode.body &&
+    functionNode.body.type === 'BlockStatement' &&
+    getPrologueDirectives(functionNode.body.body).has(directive),
+  )
+}
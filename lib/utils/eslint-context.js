@@ -1,3 +1,5 @@
+import process from 'process'
+
 const DEFAULT_VIRTUAL_FILENAME = '<input>'
 
 /**
@@ -17,6 +19,23 @@ export function getRuleFilename(context) {
   return DEFAULT_VIRTUAL_FILENAME
 }
 
+/**
+ * Returns the working directory ESLint was started from.
+ * @param {import('eslint').Rule.RuleContext} context - ESLint rule context.
+ * @returns {string} Absolute working directory.
+ * @example
+ * getRuleCwd(context) // => "/repo"
+ */
+export function getRuleCwd(context) {
+  if (typeof context.cwd === 'string' && context.cwd.length > 0) {
+    return context.cwd
+  }
+  if (typeof context.getCwd === 'function') {
+    return context.getCwd()
+  }
+  return process.cwd()
+}
+
 /**
  * Returns a SourceCode instance in both ESLint v9 and v10.
  * @param {import('eslint').Rule.RuleContext} context - ESLint rule context.
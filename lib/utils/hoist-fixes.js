@@ -0,0 +1,206 @@
+/**
+ * Helpers for suggestions that move code out of the place it is written: variables captured
+ * from enclosing functions and re-indented declarations at module scope.
+ */
+
+import { findParentNode } from './ast.js'
+
+// Variables declared here stay visible after code is moved to module scope
+const MODULE_SCOPE_TYPES = new Set(['global', 'module'])
+const LEADING_WHITESPACE_PATTERN = /^\s*/
+
+/**
+ * Checks whether a node lies within the range of another node.
+ * @param {import('estree').Node} node - Inner node.
+ * @param {import('estree').Node} container - Outer node.
+ * @returns {boolean} True when the node is inside the container.
+ */
+export function isWithin(node, container) {
+  return (
+    container.range[0] <= node.range[0] && node.range[1] <= container.range[1]
+  )
+}
+
+/**
+ * Resolves a name from a scope through its upper scopes.
+ * @param {import('eslint').Scope.Scope} scope - Scope to start from.
+ * @param {string} name - Variable name.
+ * @returns {import('eslint').Scope.Variable | null} Variable, or null for globals.
+ */
+export function findVariable(scope, name) {
+  for (let current = scope; current; current = current.upper) {
+    const variable = current.set.get(name)
+    if (variable) return variable
+  }
+  return null
+}
+
+/**
+ * Checks whether a name is declared at module scope or read as an implicit global, so that a
+ * module-level declaration with this name would clash.
+ * @param {import('eslint').SourceCode} sourceCode - ESLint SourceCode instance.
+ * @param {string} name - Candidate name.
+ * @returns {boolean} True when the name is taken at module scope.
+ */
+export function isDeclaredAtModuleScope(sourceCode, name) {
+  const { globalScope } = sourceCode.scopeManager
+  return (
+    globalScope.through.some(({ identifier }) => identifier.name === name) ||
+    [globalScope, ...globalScope.childScopes].some(
+      (scope) =>
+        MODULE_SCOPE_TYPES.has(scope.type) &&
+        scope.set.get(name)?.defs.length > 0,
+    )
+  )
+}
+
+/**
+ * Checks whether code reads `this` or `super` of an enclosing function, which arrow functions
+ * in it no longer see once the code is moved.
+ * @param {import('eslint').SourceCode} sourceCode - ESLint SourceCode instance.
+ * @param {import('estree').Node} node - Code to move.
+ * @returns {boolean} True when the code depends on an outer `this`.
+ */
+export function usesEnclosingThis(sourceCode, node) {
+  return sourceCode.getTokens(node).some((token) => {
+    if (token.type !== 'Keyword' || !['this', 'super'].includes(token.value)) {
+      return false
+    }
+    const owner = findParentNode(
+      sourceCode.getNodeByRangeIndex(token.range[0]),
+      (candidate) =>
+        candidate.type === 'FunctionDeclaration' ||
+        candidate.type === 'FunctionExpression',
+    )
+    return !owner || !isWithin(owner, node)
+  })
+}
+
+/**
+ * Collects the variables of enclosing functions that moved code reads, in order of first use.
+ * They become props once the code is moved to a component at module scope.
+ * @param {import('eslint').Scope.Scope} scope - Scope containing all of the code.
+ * @param {import('estree').Node} node - Code to move.
+ * @param {import('estree').Function} functionNode - Function in the code that receives the props.
+ * @returns {import('eslint').Scope.Variable[] | null} Captured variables, or null when one cannot be passed as a prop.
+ */
+export function collectCapturedVariables(scope, node, functionNode) {
+  const references = []
+  const pendingScopes = [scope]
+  while (pendingScopes.length > 0) {
+    const current = pendingScopes.pop()
+    pendingScopes.push(...current.childScopes)
+    references.push(
+      ...current.references.filter(({ identifier }) =>
+        isWithin(identifier, node),
+      ),
+    )
+  }
+  references.sort((a, b) => a.identifier.range[0] - b.identifier.range[0])
+
+  const captured = []
+  for (const reference of references) {
+    const variable = reference.resolved
+    if (!variable || MODULE_SCOPE_TYPES.has(variable.scope.type)) continue
+    const [definition] = variable.defs
+    if (definition && isWithin(definition.name, node)) continue
+    // `arguments`, assignments, type references and reads outside the function cannot be
+    // replaced by a prop
+    if (
+      !definition ||
+      reference.isWrite() ||
+      reference.isValueReference === false ||
+      !isWithin(reference.identifier, functionNode)
+    ) {
+      return null
+    }
+    if (!captured.includes(variable)) captured.push(variable)
+  }
+  return captured
+}
+
+/**
+ * Finds where a statement starts together with the comments on the lines directly above it.
+ * @param {import('eslint').SourceCode} sourceCode - ESLint SourceCode instance.
+ * @param {import('estree').Node} node - Statement.
+ * @returns {import('estree').Node | import('estree').Comment} First comment or the statement.
+ */
+export function getLeadingNode(sourceCode, node) {
+  let leadingNode = node
+  for (const comment of sourceCode.getCommentsBefore(node).reverse()) {
+    if (comment.loc.end.line < leadingNode.loc.start.line - 1) break
+    leadingNode = comment
+  }
+  return leadingNode
+}
+
+/**
+ * Returns the indentation of the line a node starts on.
+ * @param {import('eslint').SourceCode} sourceCode - ESLint SourceCode instance.
+ * @param {import('estree').Node | import('estree').Comment} node - Node or comment.
+ * @returns {string} Leading whitespace.
+ */
+export function getLineIndent(sourceCode, node) {
+  return LEADING_WHITESPACE_PATTERN.exec(
+    sourceCode.lines[node.loc.start.line - 1],
+  )[0]
+}
+
+/**
+ * Re-indents the lines after the first one of a moved piece of code from one indentation to
+ * another. Code with multi-line template literals is left as is, since re-indenting would
+ * change their content.
+ * @param {import('eslint').SourceCode} sourceCode - ESLint SourceCode instance.
+ * @param {import('estree').Node} node - Node the text was taken from.
+ * @param {string} text - Text to re-indent.
+ * @param {string} sourceIndent - Indentation of the text at its original place.
+ * @param {string} targetIndent - Indentation at its new place.
+ * @returns {string} Re-indented text.
+ */
+export function reindentText(
+  sourceCode,
+  node,
+  text,
+  sourceIndent,
+  targetIndent,
+) {
+  if (
+    sourceCode
+      .getTokens(node)
+      .some(
+        (token) =>
+          token.type === 'Template' &&
+          token.loc.start.line !== token.loc.end.line,
+      )
+  ) {
+    return text
+  }
+  return text
+    .split('\n')
+    .map((line, index) => {
+      if (index === 0) return line
+      const indent = LEADING_WHITESPACE_PATTERN.exec(line)[0]
+      if (indent.length === line.length) return ''
+      return (
+        targetIndent + line.slice(Math.min(indent.length, sourceIndent.length))
+      )
+    })
+    .join('\n')
+}
+
+/**
+ * Finds where a declaration can be added at module scope for code inside a node: before the
+ * top-level statement containing the node and the comments directly above it.
+ * @param {import('eslint').SourceCode} sourceCode - ESLint SourceCode instance.
+ * @param {import('estree').Node} node - Node inside a top-level statement.
+ * @returns {{ node: import('estree').Node | import('estree').Comment, indent: string }} Node to insert before and its indentation.
+ */
+export function getModuleInsertionPoint(sourceCode, node) {
+  let statement = node
+  while (statement.parent.type !== 'Program') statement = statement.parent
+  const insertionNode = getLeadingNode(sourceCode, statement)
+  return {
+    node: insertionNode,
+    indent: getLineIndent(sourceCode, insertionNode),
+  }
+}
@@ -0,0 +1,503 @@
+/**
+ * Helpers for suggestions that move a value into a `useCallback` or `useMemo` hook declared in
+ * the component body.
+ */
+
+import {
+  findParentNode,
+  getFunctionId,
+  getUnderlyingExpression,
+  isClassNode,
+  isFunctionNode,
+} from './ast.js'
+import { getRuleScope, getRuleSourceCode } from './eslint-context.js'
+import {
+  REACT_API_IMPORT_FIX_MODES,
+  createReactApiImportFix,
+  resolveReactApiFixStrategy,
+} from './import-fixes.js'
+import { isComponentNameLoose } from './naming.js'
+import { getReactSettings } from './react-settings.js'
+
+const CUSTOM_HOOK_NAME_PATTERN = /^use[A-Z0-9]/
+const COMPONENT_WRAPPER_API_NAMES = ['memo', 'forwardRef']
+// Hook results React keeps stable across renders: hook name -> array index, or null for the value itself
+const STABLE_HOOK_RESULT_INDEXES = new Map([
+  ['useState', 1],
+  ['useReducer', 1],
+  ['useRef', null],
+])
+const EVENT_HANDLER_PROP_PATTERN = /^on([A-Z].*)$/
+const WHITESPACE_PATTERN = /^\s*$/
+const IDENTIFIER_NAME_PATTERN = /^[A-Za-z_$][\w$]*$/
+
+/**
+ * Finds the component or custom hook function a node is directly rendered in. Nodes inside
+ * nested callbacks, such as `items.map((item) => ...)`, have no host because hooks cannot be
+ * called there.
+ * @param {import('estree').Node} node - Node inside the function.
+ * @param {{ isApiCallee: (callee: import('estree').Node, apiName: string) => boolean }} reactImports - Tracker from `createReactImportTracker`.
+ * @returns {import('estree').Function | null} Component or hook function, or null.
+ */
+export function findHookHostFunction(node, reactImports) {
+  const host = findParentNode(
+    node,
+    (candidate) => isFunctionNode(candidate) || isClassNode(candidate),
+  )
+  if (!isFunctionNode(host)) return null
+  const id = getFunctionId(host)
+  if (id) {
+    return id.type === 'Identifier' &&
+      (isComponentNameLoose(id.name) || CUSTOM_HOOK_NAME_PATTERN.test(id.name))
+      ? host
+      : null
+  }
+  // `memo((props) => ...)` and `forwardRef((props, ref) => ...)`
+  const { parent } = host
+  return parent.type === 'CallExpression' &&
+    parent.arguments[0] === host &&
+    COMPONENT_WRAPPER_API_NAMES.some((apiName) =>
+      reactImports.isApiCallee(parent.callee, apiName),
+    )
+    ? host
+    : null
+}
+
+/**
+ * Finds the statement of a component body before which a hook for a node can be declared: the
+ * top-level statement containing the node, unless an earlier statement may return early.
+ * @param {import('eslint').SourceCode} sourceCode - ESLint SourceCode instance.
+ * @param {import('estree').Function} hostFunction - Component or hook function.
+ * @param {import('estree').Node} node - Node inside the function body.
+ * @returns {import('estree').Statement | null} Statement, or null when no hook can be added.
+ */
+function findHookInsertionStatement(sourceCode, hostFunction, node) {
+  if (hostFunction.body.type !== 'BlockStatement') return null
+  const statements = hostFunction.body.body
+  const index = statements.findIndex(
+    (statement) =>
+      statement.range[0] <= node.range[0] &&
+      node.range[1] <= statement.range[1],
+  )
+  if (index === -1) return null
+  const hasEarlyReturn = statements
+    .slice(0, index)
+    .some((statement) =>
+      sourceCode
+        .getTokens(statement)
+        .some(
+          (token) =>
+            token.type === 'Keyword' &&
+            token.value === 'return' &&
+            findParentNode(
+              sourceCode.getNodeByRangeIndex(token.range[0]),
+              isFunctionNode,
+            ) === hostFunction,
+        ),
+    )
+  return hasEarlyReturn ? null : statements[index]
+}
+
+/**
+ * Returns the statement terminator used in a block: `;` when any of its statements ends with one.
+ * @param {import('eslint').SourceCode} sourceCode - ESLint SourceCode instance.
+ * @param {import('estree').Statement[]} statements - Block statements.
+ * @returns {string} ";" or an empty string.
+ */
+export function getStatementTerminator(sourceCode, statements) {
+  return statements.some(
+    (statement) => sourceCode.getLastToken(statement).value === ';',
+  )
+    ? ';'
+    : ''
+}
+
+/**
+ * Checks whether a variable holds a hook result that keeps its identity across renders, such
+ * as a `useState` setter, a `useReducer` dispatch or a `useRef` object, including hooks called
+ * through a namespace or an alias from a configured import source.
+ * @param {ReturnType<typeof import('./react-imports.js').createReactImportTracker>} reactImports - React import tracker.
+ * @param {import('eslint').Scope.Variable} variable - Variable to inspect.
+ * @returns {boolean} True for stable hook results.
+ */
+function isStableHookResult(reactImports, variable) {
+  const [definition] = variable.defs
+  if (definition?.type !== 'Variable' || !definition.node.init) return false
+  const init = getUnderlyingExpression(definition.node.init)
+  if (init.type !== 'CallExpression') return false
+  for (const [hookName, index] of STABLE_HOOK_RESULT_INDEXES) {
+    if (!reactImports.isApiCalleeLoose(init.callee, hookName)) continue
+    const { id } = definition.node
+    return index === null
+      ? id === definition.name
+      : id.type === 'ArrayPattern' && id.elements[index] === definition.name
+  }
+  return false
+}
+
+/**
+ * Collects the dependencies of a value moved into a hook: component-scoped variables it reads,
+ * in order of first use, without stable hook results.
+ * @param {import('eslint').SourceCode} sourceCode - ESLint SourceCode instance.
+ * @param {ReturnType<typeof import('./react-imports.js').createReactImportTracker>} reactImports - React import tracker.
+ * @param {import('estree').Function} hostFunction - Component or hook function.
+ * @param {import('estree').Node} valueNode - Value moved into the hook.
+ * @param {number} insertionIndex - Source index where the hook is declared.
+ * @param {import('eslint').Scope.Variable | null} [boundVariable] - Variable the hook result is assigned to.
+ * @returns {string[] | null} Dependency names, or null when a dependency is declared after the hook.
+ */
+function collectHookDependencies(
+  sourceCode,
+  reactImports,
+  hostFunction,
+  valueNode,
+  insertionIndex,
+  boundVariable = null,
+) {
+  const hostScope = sourceCode.scopeManager.acquire(hostFunction)
+  const dependencies = []
+  const pendingScopes = [hostScope]
+  const references = []
+  while (pendingScopes.length > 0) {
+    const scope = pendingScopes.pop()
+    pendingScopes.push(...scope.childScopes)
+    references.push(
+      ...scope.references.filter(
+        ({ identifier }) =>
+          valueNode.range[0] <= identifier.range[0] &&
+          identifier.range[1] <= valueNode.range[1],
+      ),
+    )
+  }
+  references.sort((a, b) => a.identifier.range[0] - b.identifier.range[0])
+
+  for (const reference of references) {
+    const variable = reference.resolved
+    if (
+      !variable ||
+      variable === boundVariable ||
+      reference.isValueReference === false
+    ) {
+      continue
+    }
+    let scope = variable.scope
+    while (scope && scope !== hostScope) scope = scope.upper
+    const [definition] = variable.defs
+    if (
+      !scope ||
+      !definition ||
+      (valueNode.range[0] <= definition.name.range[0] &&
+        definition.name.range[1] <= valueNode.range[1]) ||
+      isStableHookResult(reactImports, variable) ||
+      dependencies.includes(variable.name)
+    ) {
+      continue
+    }
+    if (
+      definition.name.range[0] >= insertionIndex &&
+      definition.type !== 'FunctionName'
+    ) {
+      return null
+    }
+    dependencies.push(variable.name)
+  }
+  return dependencies
+}
+
+/**
+ * Checks whether a name is free at a node: not declared in its scope chain and not used as an
+ * implicit global.
+ * @param {import('eslint').Rule.RuleContext} context - ESLint rule context.
+ * @param {import('estree').Node} node - Node where the name is declared and read.
+ * @param {string} name - Candidate name.
+ * @returns {boolean} True when the name can be declared.
+ */
+export function isNameAvailable(context, node, name) {
+  let scope = getRuleScope(context, node)
+  while (scope) {
+    if (scope.set.has(name)) return false
+    if (
+      !scope.upper &&
+      scope.through.some(({ identifier }) => identifier.name === name)
+    ) {
+      return false
+    }
+    scope = scope.upper
+  }
+  return true
+}
+
+/**
+ * Derives the name of a binding for a prop value: `handleX` for an `onX` event handler prop,
+ * otherwise the given fallback.
+ * @param {string} propName - Prop name.
+ * @param {string} fallbackName - Name for other props.
+ * @returns {string} Binding name.
+ * @example
+ * getPropBindingName('onSelect', 'onSelect') // => "handleSelect"
+ * getPropBindingName('style', 'memoizedStyle') // => "memoizedStyle"
+ */
+export function getPropBindingName(propName, fallbackName) {
+  const match = EVENT_HANDLER_PROP_PATTERN.exec(propName)
+  return match ? `handle${match[1]}` : fallbackName
+}
+
+/**
+ * Builds the hook call that holds a value, e.g. `useCallback(() => save(id), [id])` or
+ * `useMemo(() => ({ id }), [id])`.
+ * @param {import('eslint').SourceCode} sourceCode - ESLint SourceCode instance.
+ * @param {'useCallback' | 'useMemo'} hookName - Hook to call.
+ * @param {string} calleeText - Local callee, e.g. "React.useMemo".
+ * @param {import('estree').Node} valueNode - Function or value moved into the hook.
+ * @param {string[]} dependencies - Dependency names.
+ * @returns {string} Hook call source.
+ */
+function buildHookCallText(
+  sourceCode,
+  hookName,
+  calleeText,
+  valueNode,
+  dependencies,
+) {
+  let valueText = sourceCode.getText(valueNode)
+  if (hookName === 'useMemo') {
+    const isObject =
+      getUnderlyingExpression(valueNode).type === 'ObjectExpression'
+    valueText = `() => ${isObject ? `(${valueText})` : valueText}`
+  }
+  return `${calleeText}(${valueText}, [${dependencies.join(', ')}])`
+}
+
+/**
+ * Checks whether a name is declared in the scope chain of a node.
+ * @param {import('eslint').Rule.RuleContext} context - ESLint rule context.
+ * @param {import('estree').Node} node - Node to start the lookup from.
+ * @param {string} name - Variable name.
+ * @returns {boolean} True for declared bindings; implicit globals are not bindings.
+ */
+function hasBinding(context, node, name) {
+  for (let scope = getRuleScope(context, node); scope; scope = scope.upper) {
+    const variable = scope.set.get(name)
+    if (variable) return variable.defs.length > 0
+  }
+  return false
+}
+
+/**
+ * Resolves the hook callee and the import fix that makes it available. Modules without a React
+ * import reuse CommonJS bindings such as `const React = require('react')` instead of adding one.
+ * @param {import('eslint').Rule.RuleContext} context - ESLint rule context.
+ * @param {ReturnType<typeof import('./react-imports.js').createReactImportTracker>} reactImports - React import tracker.
+ * @param {import('estree').Node} node - Node where the hook is called.
+ * @param {'useCallback' | 'useMemo'} hookName - Hook to call.
+ * @returns {{ calleeText: string, createImportFix: (fixer: import('eslint').Rule.RuleFixer) => import('eslint').Rule.Fix | null }}
+ */
+function resolveHookCallee(context, reactImports, node, hookName) {
+  const sourceCode = getRuleSourceCode(context)
+  const { importSource } = getReactSettings(context)
+  const strategy = resolveReactApiFixStrategy(
+    sourceCode.ast,
+    reactImports.importSources,
+    hookName,
+  )
+  if (strategy.importFixMode === REACT_API_IMPORT_FIX_MODES.NONE) {
+    return {
+      calleeText: strategy.calleeText,
+      createImportFix: () => null,
+    }
+  }
+
+  const localName = [...reactImports.getLocalNames(hookName)].find((name) =>
+    hasBinding(context, node, name),
+  )
+  const namespaceName = [...reactImports.namespaceNames].find((name) =>
+    hasBinding(context, node, name),
+  )
+  if (localName || namespaceName) {
+    return {
+      calleeText: localName ?? `${namespaceName}.${hookName}`,
+      createImportFix: () => null,
+    }
+  }
+  return {
+    calleeText: strategy.calleeText,
+    createImportFix: (fixer) =>
+      createReactApiImportFix(
+        fixer,
+        sourceCode.ast,
+        strategy,
+        hookName,
+        importSource,
+      ),
+  }
+}
+
+/**
+ * Prepares a suggestion that moves an inline value into a new hook binding declared before the
+ * statement that renders it, e.g. `<Row onSelect={() => select(id)} />` into
+ * `const handleSelect = useCallback(() => select(id), [id])` and `<Row onSelect={handleSelect} />`.
+ * @param {import('eslint').Rule.RuleContext} context - ESLint rule context.
+ * @param {ReturnType<typeof import('./react-imports.js').createReactImportTracker>} reactImports - React import tracker.
+ * @param {{ node: import('estree').Expression, hookName: 'useCallback' | 'useMemo', baseName: string }} options - Inline value, hook and preferred binding name.
+ * @returns {{ name: string, dependencies: string[], fix: import('eslint').Rule.ReportFixer } | null} Suggestion parts, or null when the value cannot be moved.
+ */
+export function createHookExtraction(context, reactImports, options) {
+  const { node, hookName, baseName } = options
+  // Props such as `data-handler` do not yield a binding name
+  if (!IDENTIFIER_NAME_PATTERN.test(baseName)) return null
+  const sourceCode = getRuleSourceCode(context)
+  const hostFunction = findHookHostFunction(node, reactImports)
+  if (!hostFunction) return null
+  const statement = findHookInsertionStatement(sourceCode, hostFunction, node)
+  if (!statement) return null
+  const dependencies = collectHookDependencies(
+    sourceCode,
+    reactImports,
+    hostFunction,
+    node,
+    statement.range[0],
+  )
+  if (!dependencies) return null
+
+  let name = baseName
+  for (let suffix = 2; !isNameAvailable(context, node, name); suffix += 1) {
+    name = `${baseName}${suffix}`
+  }
+  const { calleeText, createImportFix } = resolveHookCallee(
+    context,
+    reactImports,
+    node,
+    hookName,
+  )
+  const declaration = `const ${name} = ${buildHookCallText(sourceCode, hookName, calleeText, node, dependencies)}`
+  const indent = sourceCode.lines[statement.loc.start.line - 1].slice(
+    0,
+    statement.loc.start.column,
+  )
+  const startsLine = WHITESPACE_PATTERN.test(indent)
+  const terminator = startsLine
+    ? getStatementTerminator(sourceCode, hostFunction.body.body)
+    : ';'
+
+  return {
+    name,
+    dependencies,
+    fix: (fixer) => {
+      const fixes = [
+        fixer.insertTextBefore(
+          statement,
+          `${declaration}${terminator}${startsLine ? `\n${indent}` : ' '}`,
+        ),
+        fixer.replaceText(node, name),
+      ]
+      const importFix = createImportFix(fixer)
+      if (importFix) fixes.push(importFix)
+      return fixes
+    },
+  }
+}
+
+/**
+ * Finds the value and declaration statement of a binding that can be wrapped in a hook: a
+ * `const`/`let` initializer that is never reassigned, or a function declaration that is not
+ * used before its definition.
+ * @param {import('eslint').Scope.Variable} variable - Local binding.
+ * @returns {{ definition: import('eslint').Scope.Definition, valueNode: import('estree').Node, statement: import('estree').Statement } | null} Binding parts, or null.
+ */
+function getWrappableBinding(variable) {
+  if (variable.defs.length !== 1) return null
+  const [definition] = variable.defs
+  if (definition.type === 'FunctionName') {
+    const { node } = definition
+    if (
+      node.type !== 'FunctionDeclaration' ||
+      variable.references.some(
+        ({ identifier }) => identifier.range[0] < node.range[1],
+      )
+    ) {
+      return null
+    }
+    return { definition, valueNode: node, statement: node }
+  }
+  if (
+    definition.type !== 'Variable' ||
+    definition.node.id !== definition.name ||
+    !definition.node.init ||
+    variable.references.some(
+      (reference) => reference.isWrite() && !reference.init,
+    )
+  ) {
+    return null
+  }
+  return {
+    definition,
+    valueNode: definition.node.init,
+    statement: definition.parent,
+  }
+}
+
+/**
+ * Prepares a suggestion that wraps the value of a local binding in a hook, e.g.
+ * `const handleSave = () => save(id)` into `const handleSave = useCallback(() => save(id), [id])`.
+ * Function declarations become `const` declarations when they are not used before their
+ * definition.
+ * @param {import('eslint').Rule.RuleContext} context - ESLint rule context.
+ * @param {ReturnType<typeof import('./react-imports.js').createReactImportTracker>} reactImports - React import tracker.
+ * @param {import('eslint').Scope.Variable} variable - Local binding passed as a prop.
+ * @param {'useCallback' | 'useMemo'} hookName - Hook to wrap the value in.
+ * @returns {{ dependencies: string[], fix: import('eslint').Rule.ReportFixer } | null} Suggestion parts, or null when the binding cannot be wrapped.
+ */
+export function createHookWrap(context, reactImports, variable, hookName) {
+  const binding = getWrappableBinding(variable)
+  if (!binding) return null
+  const { definition, valueNode, statement } = binding
+  const sourceCode = getRuleSourceCode(context)
+  const hostFunction = findHookHostFunction(statement, reactImports)
+  if (
+    !hostFunction ||
+    statement.parent !== hostFunction.body ||
+    findHookInsertionStatement(sourceCode, hostFunction, statement) !==
+      statement
+  ) {
+    return null
+  }
+  const dependencies = collectHookDependencies(
+    sourceCode,
+    reactImports,
+    hostFunction,
+    valueNode,
+    statement.range[0],
+    variable,
+  )
+  if (!dependencies) return null
+
+  const { calleeText, createImportFix } = resolveHookCallee(
+    context,
+    reactImports,
+    statement,
+    hookName,
+  )
+  const hookCallText = buildHookCallText(
+    sourceCode,
+    hookName,
+    calleeText,
+    valueNode,
+    dependencies,
+  )
+  return {
+    dependencies,
+    fix: (fixer) => {
+      const fixes = [
+        definition.type === 'FunctionName'
+          ? fixer.replaceText(
+              valueNode,
+              `const ${variable.name} = ${hookCallText}${getStatementTerminator(sourceCode, hostFunction.body.body)}`,
+            )
+          : fixer.replaceText(valueNode, hookCallText),
+      ]
+      const importFix = createImportFix(fixer)
+      if (importFix) fixes.push(importFix)
+      return fixes
+    },
+  }
+}
@@ -60,3 +60,44 @@ export const isUseReducerCallee = (callee) => isHookCallee(callee, 'useReducer')
  * @returns {boolean} True when the call target is useEffect.
  */
 export const isUseEffectCallee = (callee) => isHookCallee(callee, 'useEffect')
+
+/**
+ * Hooks that need state, effects or the browser and therefore only run in Client Components.
+ * @type {ReadonlySet<string>}
+ */
+export const CLIENT_ONLY_HOOK_NAMES = new Set([
+  'useState',
+  'useReducer',
+  'useEffect',
+  'useLayoutEffect',
+  'useInsertionEffect',
+  'useEffectEvent',
+  'useRef',
+  'useImperativeHandle',
+  'useSyncExternalStore',
+  'useTransition',
+  'useDeferredValue',
+  'useOptimistic',
+  'useActionState',
+  'useFormStatus',
+])
+
+/**
+ * Resolves the client-only hook invoked by a callee.
+ * Bare hook names are matched even without a visible import (e.g. react-dom's `useFormStatus`);
+ * aliases and namespace calls are resolved through the React import tracker.
+ * @param {import('estree').Node} callee - Callee node.
+ * @param {{ isApiCallee: (callee: import('estree').Node, apiName: string) => boolean }} reactImports - Tracker from `createReactImportTracker`.
+ * @returns {string | null} Hook name or null when the call is not client-only.
+ * @example
+ * getClientOnlyHookName(parse('React.useState'), reactImports) // => "useState"
+ */
+export function getClientOnlyHookName(callee, reactImports) {
+  if (callee.type === 'Identifier' && CLIENT_ONLY_HOOK_NAMES.has(callee.name)) {
+    return callee.name
+  }
+  for (const hookName of CLIENT_ONLY_HOOK_NAMES) {
+    if (reactImports.isApiCallee(callee, hookName)) return hookName
+  }
+  return null
+}
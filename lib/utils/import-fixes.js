@@ -0,0 +1,298 @@
+/**
+ * Helpers for fixes that add an import declaration to a module.
+ */
+
+import { isDirectivePrologueStatement } from './directives.js'
+import { getRuleScope, getRuleSourceCode } from './eslint-context.js'
+import { getImportedName, isReactImportDeclaration } from './react-imports.js'
+
+/**
+ * How a fix makes a React API available: as is, by adding an import declaration, or by adding a
+ * specifier to the first React import.
+ */
+export const REACT_API_IMPORT_FIX_MODES = Object.freeze({
+  NONE: 'none',
+  ADD_REACT_IMPORT: 'add-react-import',
+  AUGMENT_REACT_IMPORT: 'augment-react-import',
+})
+
+/**
+ * Finds the node after which a newly inserted import should be appended.
+ * @param {import('estree').Program} programNode The AST program node.
+ * @returns {import('estree').Statement | null} The insertion anchor node, if available.
+ */
+export function findImportInsertionAnchor(programNode) {
+  let lastImportNode = null
+  let lastDirectiveNode = null
+
+  for (const statement of programNode.body) {
+    if (statement.type === 'ImportDeclaration') {
+      lastImportNode = statement
+      continue
+    }
+
+    if (isDirectivePrologueStatement(statement) && !lastImportNode) {
+      lastDirectiveNode = statement
+      continue
+    }
+
+    if (!isDirectivePrologueStatement(statement)) {
+      break
+    }
+  }
+
+  return lastImportNode || lastDirectiveNode
+}
+
+/**
+ * Creates a fix that inserts an import declaration after the existing imports, or after the
+ * directive prologue when the module has no imports.
+ * @param {import('eslint').Rule.RuleFixer} fixer - ESLint fixer.
+ * @param {import('estree').Program} programNode The AST program node.
+ * @param {string} importDeclaration Import declaration source text.
+ * @returns {import('eslint').Rule.Fix} Insertion fix.
+ * @example
+ * insertImportDeclaration(fixer, sourceCode.ast, "import Link from 'next/link'")
+ */
+export function insertImportDeclaration(fixer, programNode, importDeclaration) {
+  const anchor = findImportInsertionAnchor(programNode)
+
+  if (anchor) {
+    return fixer.insertTextAfter(anchor, `\n${importDeclaration}`)
+  }
+
+  const firstStatement = programNode.body[0]
+  if (firstStatement) {
+    return fixer.insertTextBefore(firstStatement, `${importDeclaration}\n`)
+  }
+
+  return fixer.insertTextBeforeRange([0, 0], `${importDeclaration}\n`)
+}
+
+/**
+ * Resolves how a fix calls a React API such as `memo` or `useCallback`: through an existing named
+ * import, through the default or namespace import, or through a new named import added to the
+ * first React import declaration (or a new declaration when there is none).
+ * @param {import('estree').Program} programNode The AST program node.
+ * @param {Set<string>} importSources Module specifiers treated as React.
+ * @param {string} apiName React export to call.
+ * @returns {{
+ *   calleeText: string
+ *   importFixMode: 'none' | 'add-react-import' | 'augment-react-import'
+ *   reactNamedImportSpecifier: import('estree').ImportSpecifier | null
+ * }}
+ * @example
+ * // import React from 'react'
+ * resolveReactApiFixStrategy(sourceCode.ast, importSources, 'memo').calleeText // => "React.memo"
+ */
+export function resolveReactApiFixStrategy(programNode, importSources, apiName) {
+  let apiLocalName = null
+  let reactObjectName = null
+  let firstReactNamedImportSpecifier = null
+
+  for (const statement of programNode.body) {
+    if (!isReactImportDeclaration(statement, importSources)) {
+      continue
+    }
+
+    for (const specifier of statement.specifiers) {
+      if (
+        specifier.type === 'ImportDefaultSpecifier' ||
+        specifier.type === 'ImportNamespaceSpecifier'
+      ) {
+        reactObjectName ??= specifier.local.name
+        continue
+      }
+
+      if (
+        specifier.type !== 'ImportSpecifier' ||
+        specifier.importKind === 'type'
+      ) {
+        continue
+      }
+
+      firstReactNamedImportSpecifier ??= specifier
+      if (getImportedName(specifier) === apiName) {
+        apiLocalName ??= specifier.local.name
+      }
+    }
+  }
+
+  if (apiLocalName || reactObjectName) {
+    return {
+      calleeText: apiLocalName ?? `${reactObjectName}.${apiName}`,
+      importFixMode: REACT_API_IMPORT_FIX_MODES.NONE,
+      reactNamedImportSpecifier: null,
+    }
+  }
+
+  return {
+    calleeText: apiName,
+    importFixMode: firstReactNamedImportSpecifier
+      ? REACT_API_IMPORT_FIX_MODES.AUGMENT_REACT_IMPORT
+      : REACT_API_IMPORT_FIX_MODES.ADD_REACT_IMPORT,
+    reactNamedImportSpecifier: firstReactNamedImportSpecifier,
+  }
+}
+
+/**
+ * Creates the import fix for a strategy from {@link resolveReactApiFixStrategy}.
+ * @param {import('eslint').Rule.RuleFixer} fixer ESLint fixer.
+ * @param {import('estree').Program} programNode The AST program node.
+ * @param {ReturnType<typeof resolveReactApiFixStrategy>} strategy Resolved fix strategy.
+ * @param {string} apiName React export to import.
+ * @param {string} importSource Module specifier used for a newly inserted import.
+ * @returns {import('eslint').Rule.Fix | null} Import fix, or null when the API is already available.
+ */
+export function createReactApiImportFix(
+  fixer,
+  programNode,
+  strategy,
+  apiName,
+  importSource,
+) {
+  if (strategy.importFixMode === REACT_API_IMPORT_FIX_MODES.NONE) {
+    return null
+  }
+
+  if (
+    strategy.importFixMode === REACT_API_IMPORT_FIX_MODES.AUGMENT_REACT_IMPORT
+  ) {
+    return fixer.insertTextBefore(
+      strategy.reactNamedImportSpecifier,
+      `${apiName}, `,
+    )
+  }
+
+  return insertImportDeclaration(
+    fixer,
+    programNode,
+    `import { ${apiName} } from '${importSource}'`,
+  )
+}
+
+/**
+ * Finds the local name of a value default import from a module.
+ * @param {import('estree').Program} programNode The AST program node.
+ * @param {string} source Module specifier.
+ * @returns {string | null} Local name, or null when the module has no default import.
+ * @example
+ * findDefaultImportName(sourceCode.ast, 'next/link') // "import NextLink from 'next/link'" => 'NextLink'
+ */
+export function findDefaultImportName(programNode, source) {
+  for (const statement of programNode.body) {
+    if (
+      statement.type !== 'ImportDeclaration' ||
+      statement.source.value !== source ||
+      statement.importKind === 'type'
+    ) {
+      continue
+    }
+    const specifier = statement.specifiers.find(
+      ({ type }) => type === 'ImportDefaultSpecifier',
+    )
+    if (specifier) return specifier.local.name
+  }
+  return null
+}
+
+/**
+ * Resolves the local name to use for a default import at a node: the existing import from the
+ * module, or the default name when a new import can be added without shadowing a binding.
+ * Implicit globals such as the browser `Image` constructor may be shadowed.
+ * @param {import('eslint').Rule.RuleContext} context - ESLint rule context.
+ * @param {import('estree').Node} node - Node where the name is used.
+ * @param {string} source Module specifier.
+ * @param {string} defaultName Local name for a newly inserted import.
+ * @returns {{ name: string, needsImport: boolean } | null} Local name, or null when the default name is taken.
+ * @example
+ * resolveDefaultImportName(context, node, 'next/link', 'Link') // => { name: 'Link', needsImport: true }
+ */
+export function resolveDefaultImportName(context, node, source, defaultName) {
+  const existingName = findDefaultImportName(
+    getRuleSourceCode(context).ast,
+    source,
+  )
+  if (existingName) return { name: existingName, needsImport: false }
+
+  let scope = getRuleScope(context, node)
+  while (scope) {
+    const variable = scope.set?.get(defaultName)
+    if (variable) {
+      return variable.defs.length > 0
+        ? null
+        : { name: defaultName, needsImport: true }
+    }
+    scope = scope.upper
+  }
+  return { name: defaultName, needsImport: true }
+}
+
+/**
+ * Creates fixes that remove import specifiers, dropping a whole declaration once none of its
+ * specifiers is left. Adjacent specifiers are removed together so the fixes never overlap.
+ * @param {import('eslint').Rule.RuleFixer} fixer - ESLint fixer.
+ * @param {import('eslint').SourceCode} sourceCode - ESLint SourceCode instance.
+ * @param {import('estree').ImportSpecifier[]} specifiers - Named import specifiers to remove.
+ * @returns {import('eslint').Rule.Fix[]} Removal fixes.
+ * @example
+ * // import React, { forwardRef } from 'react' => import React from 'react'
+ * removeImportSpecifiers(fixer, sourceCode, [forwardRefSpecifier])
+ */
+export function removeImportSpecifiers(fixer, sourceCode, specifiers) {
+  const removed = new Set(specifiers)
+  const declarations = new Set(specifiers.map(({ parent }) => parent))
+  const fixes = []
+  for (const declaration of declarations) {
+    if (declaration.specifiers.every((specifier) => removed.has(specifier))) {
+      const end = declaration.range[1]
+      fixes.push(
+        fixer.removeRange([
+          declaration.range[0],
+          sourceCode.text[end] === '\n' ? end + 1 : end,
+        ]),
+      )
+      continue
+    }
+
+    const namedSpecifiers = declaration.specifiers.filter(
+      ({ type }) => type === 'ImportSpecifier',
+    )
+    if (namedSpecifiers.every((specifier) => removed.has(specifier))) {
+      // `import React, { forwardRef } from 'react'`: drop the braces and the comma before them
+      const openingBrace = sourceCode.getTokenBefore(namedSpecifiers[0])
+      const closingBrace = sourceCode.getTokenAfter(namedSpecifiers.at(-1), {
+        filter: (token) => token.value === '}',
+      })
+      fixes.push(
+        fixer.removeRange([
+          sourceCode.getTokenBefore(openingBrace).range[0],
+          closingBrace.range[1],
+        ]),
+      )
+      continue
+    }
+
+    // Each run of adjacent removed specifiers goes with the comma after it, or the comma
+    // before it at the end of the list
+    for (let index = 0; index < namedSpecifiers.length; index += 1) {
+      if (!removed.has(namedSpecifiers[index])) continue
+      const first = namedSpecifiers[index]
+      while (removed.has(namedSpecifiers[index + 1])) index += 1
+      const last = namedSpecifiers[index]
+      const nextToken = sourceCode.getTokenAfter(last)
+      fixes.push(
+        nextToken.value === ','
+          ? fixer.removeRange([
+              first.range[0],
+              sourceCode.getTokenAfter(nextToken).range[0],
+            ])
+          : fixer.removeRange([
+              sourceCode.getTokenBefore(first).range[0],
+              last.range[1],
+            ]),
+      )
+    }
+  }
+  return fixes
+}
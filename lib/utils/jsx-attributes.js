@@ -3,6 +3,8 @@
  */
 
 import { getRuleScope } from './eslint-context.js'
+import { getJsxElementType } from './jsx.js'
+import { getReactSettings } from './react-settings.js'
 
 const PROPERTY_NODE_TYPES = new Set(['Property'])
 const FIRST_DEFINITION_INDEX = 0
@@ -180,3 +182,30 @@ export function getStaticJsxAttributeStringValue(attribute) {
   }
   return null
 }
+
+/**
+ * Resolves the DOM element type for a JSX element. Components rendered through the
+ * polymorphic prop from `settings['react-x'].polymorphicPropName` resolve to its static value.
+ * @param {import('eslint').Rule.RuleContext} context - ESLint rule context.
+ * @param {import('estree').JSXElement} node - JSX element node.
+ * @returns {string} DOM element type.
+ * @example
+ * resolveDomElementType(context, node) // <Box as="img" /> with polymorphicPropName 'as' => 'img'
+ */
+export function resolveDomElementType(context, node) {
+  const elementName = getJsxElementType(node)
+  if (!elementName) return ''
+  if (elementName === elementName.toLowerCase()) {
+    return elementName
+  }
+  const { polymorphicPropName } = getReactSettings(context)
+  if (!polymorphicPropName) {
+    return elementName
+  }
+  const polymorphicAttribute = getJsxAttribute(context, node)(polymorphicPropName)
+  const staticValue = getStaticJsxAttributeStringValue(polymorphicAttribute)
+  if (typeof staticValue === 'string') {
+    return staticValue
+  }
+  return elementName
+}
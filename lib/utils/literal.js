@@ -2,6 +2,8 @@
  * Helpers for reasoning about literal expressions created inside React components.
  */
 
+import { getUnderlyingExpression } from './ast.js'
+
 /**
  * Returns a descriptive label for inline literal expressions that commonly cause
  * unstable props (objects, arrays, functions, function calls, string concatenations).
@@ -26,3 +28,67 @@ export function literalKind(node) {
       return null
   }
 }
+
+/**
+ * Evaluates expressions that a bundler can read without running code: primitive literals,
+ * template literals without expressions, negative numbers, and arrays or plain objects of those.
+ * TypeScript assertions such as `as const` and `satisfies` are looked through.
+ * @param {import('estree').Node | null | undefined} node - The expression node.
+ * @returns {{ value: unknown } | null} Wrapped static value, or null when the value is dynamic.
+ * @example
+ * getStaticValue(parse("['iad1', 'sfo1'] as const")) // => { value: ['iad1', 'sfo1'] }
+ * getStaticValue(parse('60 * 60')) // => null
+ */
+export function getStaticValue(node) {
+  if (!node) return null
+  const expression = getUnderlyingExpression(node)
+  switch (expression.type) {
+    case 'Literal':
+      return expression.regex ? null : { value: expression.value }
+    case 'TemplateLiteral':
+      return expression.expressions.length === 0
+        ? { value: expression.quasis[0].value.cooked }
+        : null
+    case 'UnaryExpression': {
+      if (expression.operator !== '-') return null
+      const argument = getStaticValue(expression.argument)
+      return argument && typeof argument.value === 'number'
+        ? { value: -argument.value }
+        : null
+    }
+    case 'ArrayExpression': {
+      const values = []
+      for (const element of expression.elements) {
+        const item =
+          element && element.type !== 'SpreadElement'
+            ? getStaticValue(element)
+            : null
+        if (!item) return null
+        values.push(item.value)
+      }
+      return { value: values }
+    }
+    case 'ObjectExpression': {
+      const value = {}
+      for (const property of expression.properties) {
+        if (
+          property.type !== 'Property' ||
+          property.computed ||
+          property.kind !== 'init'
+        ) {
+          return null
+        }
+        const key =
+          property.key.type === 'Identifier'
+            ? property.key.name
+            : String(property.key.value)
+        const item = getStaticValue(property.value)
+        if (!item) return null
+        value[key] = item.value
+      }
+      return { value }
+    }
+    default:
+      return null
+  }
+}
@@ -0,0 +1,304 @@
+/**
+ * Cross-file registry of components that are exported wrapped in `memo`.
+ */
+
+import fs from 'fs'
+import { getRuleFilename, getRuleSourceCode } from './eslint-context.js'
+import {
+  collectImportBindings,
+  getModuleExportName,
+  parseModuleFile,
+  resolveImportPath,
+} from './module-resolution.js'
+import {
+  getImportedName,
+  getMemberPropertyName,
+  getReactImportSources,
+  isReactImportDeclaration,
+} from './react-imports.js'
+
+const MEMO_API_NAME = 'memo'
+const REACT_GLOBAL_NAMESPACE = 'React'
+const DEFAULT_EXPORT_NAME = 'default'
+
+// Absolute file path -> { settingsKey, dependencies, memoExports }, where dependencies maps every
+// file the result was derived from (the module itself included) to its mtime
+const memoExportsCache = new Map()
+
+/**
+ * Reads a file's modification time.
+ * @param {string} filePath - Absolute file path.
+ * @returns {number | null} mtime in milliseconds, or null when the file cannot be read.
+ */
+function getMtime(filePath) {
+  try {
+    return fs.statSync(filePath).mtimeMs
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Checks whether none of the files a cached result was derived from changed since.
+ * @param {Map<string, number>} dependencies - File path -> mtime when analyzed.
+ * @returns {boolean} True when every file still has the recorded mtime.
+ */
+function areDependenciesFresh(dependencies) {
+  for (const [filePath, mtimeMs] of dependencies) {
+    if (getMtime(filePath) !== mtimeMs) return false
+  }
+  return true
+}
+
+/**
+ * Collects the local names that call `memo` in a module (named aliases and namespaces).
+ * @param {import('estree').Program} program - Module AST.
+ * @param {Set<string>} importSources - Module specifiers treated as React.
+ * @returns {{ memoNames: Set<string>, namespaceNames: Set<string> }}
+ */
+function collectMemoCallees(program, importSources) {
+  const memoNames = new Set()
+  const namespaceNames = new Set([REACT_GLOBAL_NAMESPACE])
+  for (const statement of program.body) {
+    if (!isReactImportDeclaration(statement, importSources)) continue
+    for (const specifier of statement.specifiers) {
+      if (specifier.type === 'ImportSpecifier') {
+        if (getImportedName(specifier) === MEMO_API_NAME) {
+          memoNames.add(specifier.local.name)
+        }
+      } else {
+        namespaceNames.add(specifier.local.name)
+      }
+    }
+  }
+  return { memoNames, namespaceNames }
+}
+
+/**
+ * Analyzes a module and returns the export names whose values are memo-wrapped components.
+ * Follows `export ... from`, `export *` and imported-then-exported bindings across files.
+ * @param {import('eslint').Rule.RuleContext} context - ESLint rule context (parser and settings).
+ * @param {string} filePath - Absolute path of the module.
+ * @param {(target: string) => Set<string>} getTargetMemoExports - Memo exports of another module.
+ * @returns {Set<string>} Export names ("default" for the default export).
+ */
+function analyzeMemoExports(context, filePath, getTargetMemoExports) {
+  const program = parseModuleFile(context, filePath)
+  const memoExports = new Set()
+  if (!program) return memoExports
+
+  const { memoNames, namespaceNames } = collectMemoCallees(
+    program,
+    getReactImportSources(context),
+  )
+  const importBindings = collectImportBindings(program)
+  const memoBindings = new Set()
+
+  /**
+   * Checks whether an expression is `memo(...)` or `<namespace>.memo(...)`.
+   * @param {import('estree').Node | null | undefined} node - Expression node.
+   * @returns {boolean} True for a memo call.
+   */
+  function isMemoCall(node) {
+    if (!node || node.type !== 'CallExpression') return false
+    const callee = node.callee
+    if (callee.type === 'Identifier') {
+      return memoNames.has(callee.name)
+    }
+    return (
+      callee.type === 'MemberExpression' &&
+      callee.object.type === 'Identifier' &&
+      namespaceNames.has(callee.object.name) &&
+      getMemberPropertyName(callee) === MEMO_API_NAME
+    )
+  }
+
+  /**
+   * Checks whether a local binding is memo-wrapped, following imports into other files.
+   * @param {string} localName - Local binding name.
+   * @returns {boolean} True when the binding holds a memo component.
+   */
+  function isMemoBinding(localName) {
+    if (memoBindings.has(localName)) return true
+    const importBinding = importBindings.get(localName)
+    if (!importBinding) return false
+    const target = resolveImportPath(filePath, importBinding.source)
+    return Boolean(
+      target && getTargetMemoExports(target).has(importBinding.importedName),
+    )
+  }
+
+  for (const statement of program.body) {
+    const declaration =
+      statement.type === 'ExportNamedDeclaration' ? statement.declaration : statement
+    if (declaration && declaration.type === 'VariableDeclaration') {
+      for (const declarator of declaration.declarations) {
+        if (declarator.id.type === 'Identifier' && isMemoCall(declarator.init)) {
+          memoBindings.add(declarator.id.name)
+        }
+      }
+    }
+    if (
+      statement.type === 'ExpressionStatement' &&
+      statement.expression.type === 'AssignmentExpression' &&
+      statement.expression.left.type === 'Identifier' &&
+      isMemoCall(statement.expression.right)
+    ) {
+      memoBindings.add(statement.expression.left.name)
+    }
+  }
+
+  for (const statement of program.body) {
+    if (statement.type === 'ExportNamedDeclaration') {
+      if (statement.declaration?.type === 'VariableDeclaration') {
+        for (const declarator of statement.declaration.declarations) {
+          if (
+            declarator.id.type === 'Identifier' &&
+            memoBindings.has(declarator.id.name)
+          ) {
+            memoExports.add(declarator.id.name)
+          }
+        }
+        continue
+      }
+      const reExportTarget = statement.source
+        ? resolveImportPath(filePath, statement.source.value)
+        : null
+      const reExported = reExportTarget
+        ? getTargetMemoExports(reExportTarget)
+        : null
+      for (const specifier of statement.specifiers) {
+        const localName = getModuleExportName(specifier.local)
+        const isMemo = statement.source
+          ? Boolean(reExported && reExported.has(localName))
+          : isMemoBinding(localName)
+        if (isMemo) memoExports.add(getModuleExportName(specifier.exported))
+      }
+      continue
+    }
+
+    if (statement.type === 'ExportAllDeclaration' && !statement.exported) {
+      const target = resolveImportPath(filePath, statement.source.value)
+      if (!target) continue
+      for (const name of getTargetMemoExports(target)) {
+        if (name !== DEFAULT_EXPORT_NAME) memoExports.add(name)
+      }
+      continue
+    }
+
+    if (statement.type === 'ExportDefaultDeclaration') {
+      const declaration = statement.declaration
+      if (
+        isMemoCall(declaration) ||
+        (declaration.type === 'Identifier' && isMemoBinding(declaration.name))
+      ) {
+        memoExports.add(DEFAULT_EXPORT_NAME)
+      }
+    }
+  }
+
+  return memoExports
+}
+
+/**
+ * Looks up the memo-wrapped exports of a module together with what the result depends on.
+ * A module already on the resolution path yields no exports and is reported as a cycle target;
+ * results affected by a cycle through another module are incomplete and are not cached.
+ * @param {import('eslint').Rule.RuleContext} context - ESLint rule context.
+ * @param {string} filePath - Absolute path of the module.
+ * @param {string} settingsKey - Cache key of the settings the analysis reads.
+ * @param {Set<string>} seen - Files on the current resolution path.
+ * @returns {{ memoExports: Set<string>, dependencies: Map<string, number>, cycleTargets: Set<string> }}
+ */
+function lookupMemoExports(context, filePath, settingsKey, seen) {
+  if (seen.has(filePath)) {
+    return {
+      memoExports: new Set(),
+      dependencies: new Map(),
+      cycleTargets: new Set([filePath]),
+    }
+  }
+  const cached = memoExportsCache.get(filePath)
+  if (
+    cached &&
+    cached.settingsKey === settingsKey &&
+    areDependenciesFresh(cached.dependencies)
+  ) {
+    return {
+      memoExports: cached.memoExports,
+      dependencies: cached.dependencies,
+      cycleTargets: new Set(),
+    }
+  }
+  const mtimeMs = getMtime(filePath)
+  if (mtimeMs === null) {
+    return {
+      memoExports: new Set(),
+      dependencies: new Map(),
+      cycleTargets: new Set(),
+    }
+  }
+
+  const dependencies = new Map([[filePath, mtimeMs]])
+  const cycleTargets = new Set()
+  seen.add(filePath)
+  const memoExports = analyzeMemoExports(context, filePath, (target) => {
+    const result = lookupMemoExports(context, target, settingsKey, seen)
+    for (const [dependency, dependencyMtimeMs] of result.dependencies) {
+      dependencies.set(dependency, dependencyMtimeMs)
+    }
+    for (const cycleTarget of result.cycleTargets) {
+      cycleTargets.add(cycleTarget)
+    }
+    return result.memoExports
+  })
+  seen.delete(filePath)
+  // A cycle back to this module is complete once this module's analysis finishes
+  cycleTargets.delete(filePath)
+  if (cycleTargets.size === 0) {
+    memoExportsCache.set(filePath, { settingsKey, dependencies, memoExports })
+  }
+  return { memoExports, dependencies, cycleTargets }
+}
+
+/**
+ * Returns the memo-wrapped export names of a module. Results are cached until the module, a
+ * module it imports from, or the React import sources change.
+ * @param {import('eslint').Rule.RuleContext} context - ESLint rule context.
+ * @param {string} filePath - Absolute path of the module.
+ * @returns {Set<string>} Export names ("default" for the default export).
+ * @example
+ * getMemoizedExports(context, '/app/src/ui/Button.tsx') // => Set { "Button", "default" }
+ */
+export function getMemoizedExports(context, filePath) {
+  const settingsKey = JSON.stringify([...getReactImportSources(context)])
+  return lookupMemoExports(context, filePath, settingsKey, new Set())
+    .memoExports
+}
+
+/**
+ * Creates a lookup that tells whether a local JSX component name is imported from another
+ * module as a memo-wrapped component.
+ * @param {import('eslint').Rule.RuleContext} context - ESLint rule context.
+ * @returns {(localName: string) => boolean} Lookup function; results are memoized per name.
+ * @example
+ * const isImportedMemoComponent = createImportedMemoComponentLookup(context)
+ * isImportedMemoComponent('MemoButton') // => true when `MemoButton` is exported via memo()
+ */
+export function createImportedMemoComponentLookup(context) {
+  const filename = getRuleFilename(context)
+  const results = new Map()
+  let importBindings = null
+
+  return (localName) => {
+    if (results.has(localName)) return results.get(localName)
+    importBindings ??= collectImportBindings(getRuleSourceCode(context).ast)
+    const binding = importBindings.get(localName)
+    const target = binding ? resolveImportPath(filename, binding.source) : null
+    const isMemo = Boolean(
+      target && getMemoizedExports(context, target).has(binding.importedName),
+    )
+    results.set(localName, isMemo)
+    return isMemo
+  }
+}
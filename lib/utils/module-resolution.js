@@ -0,0 +1,407 @@
+/**
+ * Helpers for resolving and parsing modules imported by the linted file.
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { getImportedName } from './react-imports.js'
+
+const RESOLVABLE_EXTENSIONS = ['.tsx', '.ts', '.jsx', '.js', '.mjs', '.cjs']
+const TS_SOURCE_EXTENSIONS_FOR_JS = ['.ts', '.tsx']
+const JS_EXTENSION_PATTERN = /\.(?:js|jsx|mjs|cjs)$/
+const INDEX_BASENAME = 'index'
+const TSCONFIG_FILENAMES = ['tsconfig.json', 'jsconfig.json']
+const PATH_WILDCARD = '*'
+const DEFAULT_EXPORT_NAME = 'default'
+const RELATIVE_SPECIFIER_PATTERN = /^\.{1,2}(?:\/|$)/
+const TRAILING_COMMA_PATTERN = /,(\s*[}\]])/g
+const DECLARATION_FILE_PATTERN = /\.d\.[cm]?ts$/
+const NODE_MODULES_DIRECTORY_NAME = 'node_modules'
+const HIDDEN_ENTRY_PREFIX = '.'
+// Type-aware parser options would make parsing a dependency as expensive as linting it.
+const TYPE_AWARE_PARSER_OPTIONS = ['project', 'projectService', 'programs']
+
+// Directory -> nearest tsconfig path mapping (null when none applies)
+const pathMappingCache = new Map()
+// Absolute file path -> { mtimeMs, ast }
+const parsedModuleCache = new Map()
+
+/**
+ * Checks whether a module specifier is relative to the importing file.
+ * @param {string} specifier - Import source such as "./Button" or "react".
+ * @returns {boolean} True for "./" and "../" specifiers.
+ */
+export function isRelativeSpecifier(specifier) {
+  return RELATIVE_SPECIFIER_PATTERN.test(specifier)
+}
+
+/**
+ * Removes comments from JSONC text (tsconfig.json allows them) while leaving strings intact.
+ * @param {string} text - JSON-with-comments source.
+ * @returns {string} Plain JSON text.
+ */
+function stripJsonComments(text) {
+  let result = ''
+  let index = 0
+  let inString = false
+  while (index < text.length) {
+    const char = text[index]
+    const next = text[index + 1]
+    if (inString) {
+      result += char
+      if (char === '\\') {
+        result += next ?? ''
+        index += 2
+        continue
+      }
+      if (char === '"') inString = false
+      index += 1
+      continue
+    }
+    if (char === '"') {
+      inString = true
+      result += char
+      index += 1
+      continue
+    }
+    if (char === '/' && next === '/') {
+      while (index < text.length && text[index] !== '\n') index += 1
+      continue
+    }
+    if (char === '/' && next === '*') {
+      const end = text.indexOf('*/', index + 2)
+      index = end === -1 ? text.length : end + 2
+      continue
+    }
+    result += char
+    index += 1
+  }
+  return result
+}
+
+/**
+ * Reads a tsconfig/jsconfig file, following relative `extends` chains.
+ * @param {string} configPath - Absolute config path.
+ * @param {Set<string>} seen - Config paths already visited to stop cycles.
+ * @returns {{ baseUrl: string | null, paths: Record<string, string[]> | null, pathsBase: string } | null}
+ */
+function readPathMapping(configPath, seen) {
+  if (seen.has(configPath)) return null
+  seen.add(configPath)
+  let config
+  try {
+    const text = stripJsonComments(fs.readFileSync(configPath, 'utf8'))
+    config = JSON.parse(text.replace(TRAILING_COMMA_PATTERN, '$1'))
+  } catch {
+    return null
+  }
+  const configDirectory = path.dirname(configPath)
+  let inherited = null
+  if (typeof config.extends === 'string' && isRelativeSpecifier(config.extends)) {
+    const extendsPath = path.resolve(configDirectory, config.extends)
+    inherited = readPathMapping(
+      extendsPath.endsWith('.json') ? extendsPath : `${extendsPath}.json`,
+      seen,
+    )
+  }
+  const compilerOptions = config.compilerOptions || {}
+  const baseUrl =
+    typeof compilerOptions.baseUrl === 'string'
+      ? path.resolve(configDirectory, compilerOptions.baseUrl)
+      : (inherited?.baseUrl ?? null)
+  const ownPaths =
+    compilerOptions.paths && typeof compilerOptions.paths === 'object'
+      ? compilerOptions.paths
+      : null
+  return {
+    baseUrl,
+    paths: ownPaths ?? inherited?.paths ?? null,
+    // Without baseUrl, TypeScript resolves paths relative to the config that declares them
+    pathsBase: ownPaths ? configDirectory : (inherited?.pathsBase ?? configDirectory),
+  }
+}
+
+/**
+ * Finds the path mapping from the nearest tsconfig.json/jsconfig.json above a directory.
+ * @param {string} directory - Absolute directory of the importing file.
+ * @returns {{ baseUrl: string | null, paths: Record<string, string[]> | null, pathsBase: string } | null}
+ */
+function getPathMapping(directory) {
+  if (pathMappingCache.has(directory)) {
+    return pathMappingCache.get(directory)
+  }
+  let mapping = null
+  for (const filename of TSCONFIG_FILENAMES) {
+    const configPath = path.join(directory, filename)
+    if (fs.existsSync(configPath)) {
+      mapping = readPathMapping(configPath, new Set())
+      break
+    }
+  }
+  if (!mapping) {
+    const parentDirectory = path.dirname(directory)
+    mapping = parentDirectory === directory ? null : getPathMapping(parentDirectory)
+  }
+  pathMappingCache.set(directory, mapping)
+  return mapping
+}
+
+/**
+ * Checks whether a path points to an existing regular file.
+ * @param {string} filePath - Absolute path.
+ * @returns {boolean} True when the file exists.
+ */
+function isFile(filePath) {
+  try {
+    return fs.statSync(filePath).isFile()
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Resolves a path without extension to a source file, trying extensions and index files.
+ * ESM-style TypeScript imports (`./Button.js` pointing at `Button.tsx`) are supported too.
+ * @param {string} basePath - Absolute path as written in the import.
+ * @returns {string | null} Resolved file path or null.
+ */
+function resolveFileCandidate(basePath) {
+  if (isFile(basePath)) return basePath
+  for (const extension of RESOLVABLE_EXTENSIONS) {
+    if (isFile(`${basePath}${extension}`)) return `${basePath}${extension}`
+  }
+  if (JS_EXTENSION_PATTERN.test(basePath)) {
+    const withoutExtension = basePath.replace(JS_EXTENSION_PATTERN, '')
+    for (const extension of TS_SOURCE_EXTENSIONS_FOR_JS) {
+      if (isFile(`${withoutExtension}${extension}`)) {
+        return `${withoutExtension}${extension}`
+      }
+    }
+  }
+  for (const extension of RESOLVABLE_EXTENSIONS) {
+    const indexPath = path.join(basePath, `${INDEX_BASENAME}${extension}`)
+    if (isFile(indexPath)) return indexPath
+  }
+  return null
+}
+
+/**
+ * Resolves a non-relative specifier through tsconfig `paths` (and `baseUrl`).
+ * The pattern with the longest matching prefix wins, mirroring TypeScript.
+ * @param {string} specifier - Import source such as "@/components/Button".
+ * @param {string} directory - Directory of the importing file.
+ * @returns {string | null} Resolved file path or null.
+ */
+function resolvePathAlias(specifier, directory) {
+  const mapping = getPathMapping(directory)
+  if (!mapping) return null
+  const pathsBase = mapping.baseUrl ?? mapping.pathsBase
+
+  let bestMatch = null
+  for (const [pattern, targets] of Object.entries(mapping.paths ?? {})) {
+    if (!Array.isArray(targets)) continue
+    const wildcardIndex = pattern.indexOf(PATH_WILDCARD)
+    if (wildcardIndex === -1) {
+      if (pattern === specifier) {
+        bestMatch = { prefixLength: Infinity, captured: '', targets }
+      }
+      continue
+    }
+    const prefix = pattern.slice(0, wildcardIndex)
+    const suffix = pattern.slice(wildcardIndex + 1)
+    if (
+      specifier.length >= prefix.length + suffix.length &&
+      specifier.startsWith(prefix) &&
+      specifier.endsWith(suffix) &&
+      (!bestMatch || prefix.length > bestMatch.prefixLength)
+    ) {
+      bestMatch = {
+        prefixLength: prefix.length,
+        captured: specifier.slice(prefix.length, specifier.length - suffix.length),
+        targets,
+      }
+    }
+  }
+
+  if (bestMatch) {
+    for (const target of bestMatch.targets) {
+      const substituted = target.replace(PATH_WILDCARD, bestMatch.captured)
+      const resolved = resolveFileCandidate(path.resolve(pathsBase, substituted))
+      if (resolved) return resolved
+    }
+  }
+  if (mapping.baseUrl) {
+    return resolveFileCandidate(path.resolve(mapping.baseUrl, specifier))
+  }
+  return null
+}
+
+/**
+ * Resolves an import specifier to a local source file.
+ * Relative specifiers and tsconfig/jsconfig path aliases are followed; packages are not.
+ * @param {string} fromFilename - Absolute path of the importing file.
+ * @param {string} specifier - Import source as written.
+ * @returns {string | null} Absolute path of the imported source file, or null.
+ * @example
+ * resolveImportPath('/app/src/App.tsx', './Button') // => "/app/src/Button.tsx"
+ * resolveImportPath('/app/src/App.tsx', '@/ui') // => "/app/src/ui/index.ts"
+ */
+export function resolveImportPath(fromFilename, specifier) {
+  if (typeof specifier !== 'string' || !path.isAbsolute(fromFilename)) {
+    return null
+  }
+  const directory = path.dirname(fromFilename)
+  if (isRelativeSpecifier(specifier)) {
+    return resolveFileCandidate(path.resolve(directory, specifier))
+  }
+  return resolvePathAlias(specifier, directory)
+}
+
+/**
+ * Parses another module with the parser configured for the current file.
+ * Results are cached per path and invalidated when the file's mtime changes.
+ * @param {import('eslint').Rule.RuleContext} context - ESLint rule context.
+ * @param {string} filePath - Absolute path of the module to parse.
+ * @returns {import('estree').Program | null} Program node, or null when unreadable or unparsable.
+ */
+export function parseModuleFile(context, filePath) {
+  let stat
+  try {
+    stat = fs.statSync(filePath)
+  } catch {
+    return null
+  }
+  const cached = parsedModuleCache.get(filePath)
+  if (cached && cached.mtimeMs === stat.mtimeMs) {
+    return cached.ast
+  }
+
+  const languageOptions = context.languageOptions || {}
+  const parser = languageOptions.parser
+  let ast = null
+  if (parser) {
+    const parserOptions = {
+      ecmaVersion: languageOptions.ecmaVersion,
+      sourceType: languageOptions.sourceType,
+      ...languageOptions.parserOptions,
+      loc: true,
+      range: true,
+      tokens: true,
+      comment: true,
+      filePath,
+    }
+    for (const option of TYPE_AWARE_PARSER_OPTIONS) {
+      delete parserOptions[option]
+    }
+    try {
+      const text = fs.readFileSync(filePath, 'utf8')
+      ast =
+        typeof parser.parseForESLint === 'function'
+          ? parser.parseForESLint(text, parserOptions).ast
+          : parser.parse(text, parserOptions)
+    } catch {
+      ast = null
+    }
+  }
+
+  parsedModuleCache.set(filePath, { mtimeMs: stat.mtimeMs, ast })
+  return ast
+}
+
+/**
+ * Lists the module sources a module loads at runtime: its imports and re-exports, without
+ * type-only ones.
+ * @param {import('estree').Program} program - Module AST.
+ * @returns {string[]} Import sources as written.
+ * @example
+ * getRuntimeImportSources(parse("import type { User } from './db'\nexport * from './ui'")) // => ["./ui"]
+ */
+export function getRuntimeImportSources(program) {
+  return program.body
+    .filter(
+      (statement) =>
+        (statement.type === 'ImportDeclaration' ||
+          statement.type === 'ExportNamedDeclaration' ||
+          statement.type === 'ExportAllDeclaration') &&
+        statement.source &&
+        statement.importKind !== 'type' &&
+        statement.exportKind !== 'type',
+    )
+    .map((statement) => statement.source.value)
+}
+
+/**
+ * Lists the source files below a directory that imports can resolve to. `node_modules` and
+ * hidden directories such as `.next` are skipped, and so are TypeScript declaration files.
+ * @param {string} directory - Absolute directory.
+ * @returns {string[]} Absolute file paths.
+ */
+export function listSourceFiles(directory) {
+  const files = []
+  const pending = [directory]
+  while (pending.length > 0) {
+    const current = pending.pop()
+    let entries
+    try {
+      entries = fs.readdirSync(current, { withFileTypes: true })
+    } catch {
+      continue
+    }
+    for (const entry of entries) {
+      if (
+        entry.name.startsWith(HIDDEN_ENTRY_PREFIX) ||
+        entry.name === NODE_MODULES_DIRECTORY_NAME
+      ) {
+        continue
+      }
+      const entryPath = path.join(current, entry.name)
+      if (entry.isDirectory()) {
+        pending.push(entryPath)
+      } else if (
+        entry.isFile() &&
+        RESOLVABLE_EXTENSIONS.includes(path.extname(entry.name)) &&
+        !DECLARATION_FILE_PATTERN.test(entry.name)
+      ) {
+        files.push(entryPath)
+      }
+    }
+  }
+  return files
+}
+
+/**
+ * Collects the import bindings of a module so imported names can be followed to their source.
+ * @param {import('estree').Program} program - Module AST.
+ * @returns {Map<string, { source: string, importedName: string }>} Local name -> import origin.
+ * @example
+ * collectImportBindings(parse("import Button from './Button'"))
+ * // => Map { "Button" => { source: "./Button", importedName: "default" } }
+ */
+export function collectImportBindings(program) {
+  const bindings = new Map()
+  for (const statement of program.body) {
+    if (statement.type !== 'ImportDeclaration') continue
+    for (const specifier of statement.specifiers) {
+      if (specifier.type === 'ImportNamespaceSpecifier') continue
+      bindings.set(specifier.local.name, {
+        source: statement.source.value,
+        importedName:
+          specifier.type === 'ImportDefaultSpecifier'
+            ? DEFAULT_EXPORT_NAME
+            : getImportedName(specifier),
+      })
+    }
+  }
+  return bindings
+}
+
+/**
+ * Returns the name of a module export name node (identifier or string literal).
+ * @param {import('estree').Identifier | import('estree').Literal} node - Export name node.
+ * @returns {string} Export name.
+ * @example
+ * getModuleExportName(exportSpecifier.exported) // => "Button"
+ */
+export function getModuleExportName(node) {
+  return node.type === 'Identifier' ? node.name : String(node.value)
+}
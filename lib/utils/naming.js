@@ -2,6 +2,9 @@
  * Helpers for identifier naming conventions.
  */
 
+const MAX_TYPO_DISTANCE = 2
+const MIN_TYPO_CANDIDATE_LENGTH = 5
+
 /**
  * Checks if a string follows PascalCase naming convention.
  * @param {string | null | undefined} name - Name to validate.
@@ -21,3 +24,51 @@ export function isComponentNameLoose(name) {
   if (typeof name !== 'string') return false
   return /^_?[A-Z]/.test(name)
 }
+
+/**
+ * Computes the Levenshtein distance between two strings.
+ * @param {string} a - First string.
+ * @param {string} b - Second string.
+ * @returns {number} Edit distance.
+ */
+function getEditDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index)
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i]
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      )
+    }
+    previous = current
+  }
+  return previous[b.length]
+}
+
+/**
+ * Finds the known name an unknown name was probably meant to be: one that differs only in
+ * case, or the closest one within two edits. Names shorter than five characters are never
+ * treated as typos.
+ * @param {string} name - Unknown name.
+ * @param {Iterable<string>} knownNames - Names to compare against.
+ * @returns {string | null} Intended name, or null when the name is not a near miss.
+ * @example
+ * findMisspelledName('runTime', ['runtime', 'revalidate']) // => "runtime"
+ * findMisspelledName('revalidation', ['runtime', 'revalidate']) // => null
+ */
+export function findMisspelledName(name, knownNames) {
+  if (name.length < MIN_TYPO_CANDIDATE_LENGTH) return null
+  let intended = null
+  let intendedDistance = MAX_TYPO_DISTANCE + 1
+  for (const knownName of knownNames) {
+    if (name.toLowerCase() === knownName.toLowerCase()) return knownName
+    const distance = getEditDistance(name, knownName)
+    if (distance < intendedDistance) {
+      intended = knownName
+      intendedDistance = distance
+    }
+  }
+  return intended
+}
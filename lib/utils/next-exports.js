@@ -0,0 +1,114 @@
+/**
+ * Helpers for the named exports Next.js reads from App Router modules.
+ */
+
+import { getModuleExportName } from './module-resolution.js'
+
+/**
+ * HTTP methods a Route Handler may export.
+ * @type {ReadonlySet<string>}
+ */
+export const ROUTE_HANDLER_METHOD_NAMES = new Set([
+  'GET',
+  'HEAD',
+  'POST',
+  'PUT',
+  'PATCH',
+  'DELETE',
+  'OPTIONS',
+])
+
+/**
+ * Route segment config exports shared by pages, layouts and Route Handlers.
+ * @type {ReadonlySet<string>}
+ */
+export const ROUTE_SEGMENT_CONFIG_NAMES = new Set([
+  'dynamic',
+  'dynamicParams',
+  'revalidate',
+  'fetchCache',
+  'runtime',
+  'preferredRegion',
+  'maxDuration',
+])
+
+const DEFAULT_EXPORT_NAME = 'default'
+const TYPE_ONLY_DECLARATION_TYPES = new Set([
+  'TSTypeAliasDeclaration',
+  'TSInterfaceDeclaration',
+  'TSDeclareFunction',
+  'TSModuleDeclaration',
+])
+
+/**
+ * Lists the runtime exports of a module. Type-only exports are skipped.
+ * `value` is the declaration or initializer when it is declared in the module, the local
+ * identifier for `export { name }`, and null for re-exports from other modules.
+ * @param {import('estree').Program} program - Program node.
+ * @returns {Array<{ name: string, node: import('estree').Node, value: import('estree').Node | null }>}
+ * @example
+ * collectModuleExports(parse('export const runtime = "edge"'))
+ * // => [{ name: "runtime", node: <Identifier runtime>, value: <Literal "edge"> }]
+ */
+export function collectModuleExports(program) {
+  const moduleExports = []
+  for (const statement of program.body) {
+    if (statement.type === 'ExportDefaultDeclaration') {
+      moduleExports.push({
+        name: DEFAULT_EXPORT_NAME,
+        node: statement,
+        value: statement.declaration,
+      })
+      continue
+    }
+    if (statement.type === 'ExportAllDeclaration') {
+      // `export *` has no statically known names; `export * as ns` has one
+      if (statement.exported) {
+        moduleExports.push({
+          name: getModuleExportName(statement.exported),
+          node: statement.exported,
+          value: null,
+        })
+      }
+      continue
+    }
+    if (
+      statement.type !== 'ExportNamedDeclaration' ||
+      statement.exportKind === 'type'
+    ) {
+      continue
+    }
+
+    const declaration = statement.declaration
+    if (declaration) {
+      if (TYPE_ONLY_DECLARATION_TYPES.has(declaration.type)) continue
+      if (declaration.type === 'VariableDeclaration') {
+        for (const declarator of declaration.declarations) {
+          if (declarator.id.type !== 'Identifier') continue
+          moduleExports.push({
+            name: declarator.id.name,
+            node: declarator.id,
+            value: declarator.init,
+          })
+        }
+      } else if (declaration.id) {
+        moduleExports.push({
+          name: declaration.id.name,
+          node: declaration.id,
+          value: declaration,
+        })
+      }
+      continue
+    }
+
+    for (const specifier of statement.specifiers) {
+      if (specifier.exportKind === 'type') continue
+      moduleExports.push({
+        name: getModuleExportName(specifier.exported),
+        node: specifier,
+        value: statement.source ? null : specifier.local,
+      })
+    }
+  }
+  return moduleExports
+}
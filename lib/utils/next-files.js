@@ -0,0 +1,370 @@
+/**
+ * Classifies linted files by the Next.js file convention they implement.
+ * Honors `settings.next.rootDir` (string or list, relative to ESLint's cwd) and
+ * `settings.next.appDir` (relative to each root).
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { getRuleCwd, getRuleFilename } from './eslint-context.js'
+
+export const NEXT_ROUTERS = Object.freeze({
+  APP: 'app',
+  PAGES: 'pages',
+})
+
+export const NEXT_FILE_ROLES = Object.freeze({
+  PAGE: 'page',
+  LAYOUT: 'layout',
+  TEMPLATE: 'template',
+  LOADING: 'loading',
+  ERROR: 'error',
+  GLOBAL_ERROR: 'global-error',
+  NOT_FOUND: 'not-found',
+  GLOBAL_NOT_FOUND: 'global-not-found',
+  FORBIDDEN: 'forbidden',
+  UNAUTHORIZED: 'unauthorized',
+  DEFAULT: 'default',
+  ROUTE: 'route',
+  OPENGRAPH_IMAGE: 'opengraph-image',
+  TWITTER_IMAGE: 'twitter-image',
+  ICON: 'icon',
+  APPLE_ICON: 'apple-icon',
+  SITEMAP: 'sitemap',
+  ROBOTS: 'robots',
+  MANIFEST: 'manifest',
+  MIDDLEWARE: 'middleware',
+  INSTRUMENTATION: 'instrumentation',
+  INSTRUMENTATION_CLIENT: 'instrumentation-client',
+  CUSTOM_APP: '_app',
+  CUSTOM_DOCUMENT: '_document',
+  CUSTOM_ERROR: '_error',
+  API_ROUTE: 'api-route',
+})
+
+const PATH_SEPARATOR_PATTERN = /\\/g
+const SOURCE_FILE_EXTENSIONS = ['tsx', 'ts', 'jsx', 'js', 'mjs', 'cjs']
+const SOURCE_FILE_PATTERN = new RegExp(
+  `^(.+)\\.(?:${SOURCE_FILE_EXTENSIONS.join('|')})$`,
+)
+const APP_DIRECTORY_NAME = 'app'
+const PAGES_DIRECTORY_NAME = 'pages'
+const SRC_DIRECTORY_NAME = 'src'
+const API_DIRECTORY_NAME = 'api'
+const NODE_MODULES_DIRECTORY_NAME = 'node_modules'
+const PRIVATE_FOLDER_PREFIX = '_'
+const NEXT_PACKAGE_NAME = 'next'
+const PACKAGE_JSON_FILENAME = 'package.json'
+const NEXT_CONFIG_FILENAMES = [
+  'next.config.js',
+  'next.config.mjs',
+  'next.config.cjs',
+  'next.config.ts',
+  'next.config.mts',
+]
+const DEPENDENCY_FIELDS = [
+  'dependencies',
+  'devDependencies',
+  'peerDependencies',
+]
+const NO_NEXT_FILE = Object.freeze({
+  router: null,
+  role: null,
+  routerDirectory: null,
+})
+
+const APP_ROUTER_ROLES = new Map(
+  [
+    NEXT_FILE_ROLES.PAGE,
+    NEXT_FILE_ROLES.LAYOUT,
+    NEXT_FILE_ROLES.TEMPLATE,
+    NEXT_FILE_ROLES.LOADING,
+    NEXT_FILE_ROLES.ERROR,
+    NEXT_FILE_ROLES.GLOBAL_ERROR,
+    NEXT_FILE_ROLES.NOT_FOUND,
+    NEXT_FILE_ROLES.GLOBAL_NOT_FOUND,
+    NEXT_FILE_ROLES.FORBIDDEN,
+    NEXT_FILE_ROLES.UNAUTHORIZED,
+    NEXT_FILE_ROLES.DEFAULT,
+    NEXT_FILE_ROLES.ROUTE,
+    NEXT_FILE_ROLES.OPENGRAPH_IMAGE,
+    NEXT_FILE_ROLES.TWITTER_IMAGE,
+    NEXT_FILE_ROLES.ICON,
+    NEXT_FILE_ROLES.APPLE_ICON,
+    NEXT_FILE_ROLES.SITEMAP,
+    NEXT_FILE_ROLES.ROBOTS,
+    NEXT_FILE_ROLES.MANIFEST,
+  ].map((role) => [role, role]),
+)
+const PAGES_ROUTER_SPECIAL_ROLES = new Map([
+  ['_app', NEXT_FILE_ROLES.CUSTOM_APP],
+  ['_document', NEXT_FILE_ROLES.CUSTOM_DOCUMENT],
+  ['_error', NEXT_FILE_ROLES.CUSTOM_ERROR],
+])
+// Project-level files that live next to `app`/`pages` (`proxy` is the Next.js 16 name of middleware)
+const ROOT_FILE_ROLES = new Map([
+  ['middleware', NEXT_FILE_ROLES.MIDDLEWARE],
+  ['proxy', NEXT_FILE_ROLES.MIDDLEWARE],
+  ['instrumentation', NEXT_FILE_ROLES.INSTRUMENTATION],
+  ['instrumentation-client', NEXT_FILE_ROLES.INSTRUMENTATION_CLIENT],
+])
+
+// Directory -> whether it is the root of a Next.js project
+const nextProjectDirectoryCache = new Map()
+
+/**
+ * Normalizes a filename to forward slashes.
+ * @param {string} filename - Filename reported by ESLint.
+ * @returns {string} Filename using `/` separators.
+ */
+export function normalizeFilename(filename) {
+  return filename.replace(PATH_SEPARATOR_PATTERN, '/')
+}
+
+/**
+ * Returns the filename without its source extension, or null for non-source files.
+ * @param {string} baseName - File basename such as "page.tsx".
+ * @returns {string | null} Basename without extension.
+ */
+function getSourceBaseName(baseName) {
+  const match = SOURCE_FILE_PATTERN.exec(baseName)
+  return match ? match[1] : null
+}
+
+/**
+ * Reads `settings.next` and resolves the project roots and router directories. Without
+ * settings, the nearest Next.js project below ESLint's cwd that contains the linted file is a
+ * root too.
+ * @param {import('eslint').Rule.RuleContext} context - ESLint rule context.
+ * @returns {{ roots: string[], appDirectories: string[], pagesDirectories: string[] }}
+ */
+function getNextDirectories(context) {
+  const rawSettings = (context.settings && context.settings.next) || {}
+  const cwd = getRuleCwd(context)
+  const rawRoots = Array.isArray(rawSettings.rootDir)
+    ? rawSettings.rootDir
+    : [rawSettings.rootDir]
+  const configuredRoots = rawRoots.filter(
+    (root) => typeof root === 'string' && root.trim(),
+  )
+  const hasAppDir =
+    typeof rawSettings.appDir === 'string' && rawSettings.appDir.trim() !== ''
+  const roots = (configuredRoots.length > 0 ? configuredRoots : [cwd]).map(
+    (root) => normalizeFilename(path.resolve(cwd, root)),
+  )
+  const filename = getRuleFilename(context)
+  if (configuredRoots.length === 0 && !hasAppDir && path.isAbsolute(filename)) {
+    const projectRoot = findNextProjectRoot(normalizeFilename(filename), roots)
+    if (projectRoot && !roots.includes(projectRoot)) roots.push(projectRoot)
+  }
+  const withSrcVariant = (name) =>
+    roots.flatMap((root) => [
+      `${root}/${name}`,
+      `${root}/${SRC_DIRECTORY_NAME}/${name}`,
+    ])
+
+  return {
+    roots,
+    appDirectories: hasAppDir
+      ? roots.map((root) =>
+          normalizeFilename(path.resolve(root, rawSettings.appDir)),
+        )
+      : withSrcVariant(APP_DIRECTORY_NAME),
+    pagesDirectories: withSrcVariant(PAGES_DIRECTORY_NAME),
+  }
+}
+
+/**
+ * Finds the router directory that contains a file.
+ * @param {string} filename - Normalized absolute filename.
+ * @param {string[]} directories - Candidate router directories.
+ * @returns {string | null} Matching directory or null.
+ */
+function findContainingDirectory(filename, directories) {
+  return (
+    directories.find((directory) => filename.startsWith(`${directory}/`)) ??
+    null
+  )
+}
+
+/**
+ * Checks whether a directory is the root of a Next.js project: it has a `next.config.*` file
+ * or a `package.json` that depends on `next`.
+ * @param {string} directory - Normalized absolute directory.
+ * @returns {boolean} True for a Next.js project root.
+ */
+function isNextProjectDirectory(directory) {
+  if (nextProjectDirectoryCache.has(directory)) {
+    return nextProjectDirectoryCache.get(directory)
+  }
+  let isProjectRoot = NEXT_CONFIG_FILENAMES.some((configFilename) =>
+    fs.existsSync(`${directory}/${configFilename}`),
+  )
+  if (!isProjectRoot) {
+    let manifest = null
+    try {
+      manifest = JSON.parse(
+        fs.readFileSync(`${directory}/${PACKAGE_JSON_FILENAME}`, 'utf8'),
+      )
+    } catch {
+      manifest = null
+    }
+    isProjectRoot = DEPENDENCY_FIELDS.some(
+      (field) =>
+        manifest?.[field] &&
+        typeof manifest[field] === 'object' &&
+        NEXT_PACKAGE_NAME in manifest[field],
+    )
+  }
+  nextProjectDirectoryCache.set(directory, isProjectRoot)
+  return isProjectRoot
+}
+
+/**
+ * Finds the nearest Next.js project root that contains a file, without leaving the given
+ * base directories, e.g. a package of a monorepo linted from the repository root.
+ * @param {string} filename - Normalized absolute filename.
+ * @param {string[]} baseDirectories - Normalized directories the search stays within.
+ * @returns {string | null} Project root directory or null.
+ */
+function findNextProjectRoot(filename, baseDirectories) {
+  const baseDirectory = baseDirectories.find((directory) =>
+    filename.startsWith(`${directory}/`),
+  )
+  if (!baseDirectory) return null
+  const segments = filename.slice(baseDirectory.length + 1).split('/')
+  if (segments.includes(NODE_MODULES_DIRECTORY_NAME)) return null
+  let directory = filename.slice(0, filename.lastIndexOf('/'))
+  while (directory.length >= baseDirectory.length) {
+    if (isNextProjectDirectory(directory)) return directory
+    directory = directory.slice(0, directory.lastIndexOf('/'))
+  }
+  return null
+}
+
+/**
+ * Classifies a file inside a router directory.
+ * @param {string} router - "app" or "pages".
+ * @param {string} routerDirectory - Normalized router directory.
+ * @param {string} filename - Normalized absolute filename.
+ * @returns {string | null} File role or null for colocated modules.
+ */
+function classifyRouterFile(router, routerDirectory, filename) {
+  const relativePath = filename.slice(routerDirectory.length + 1)
+  const segments = relativePath.split('/')
+  const sourceBaseName = getSourceBaseName(segments.pop() || '')
+  if (!sourceBaseName) return null
+  if (router === NEXT_ROUTERS.APP) {
+    // Private `_folder`s opt their files out of routing
+    if (segments.some((segment) => segment.startsWith(PRIVATE_FOLDER_PREFIX))) {
+      return null
+    }
+    return APP_ROUTER_ROLES.get(sourceBaseName) ?? null
+  }
+  if (relativePath.startsWith(`${API_DIRECTORY_NAME}/`)) {
+    return NEXT_FILE_ROLES.API_ROUTE
+  }
+  // Every other module below pages/ is a route in the Pages Router
+  return PAGES_ROUTER_SPECIAL_ROLES.get(sourceBaseName) ?? NEXT_FILE_ROLES.PAGE
+}
+
+/**
+ * Maps the linted file to its Next.js router and file convention.
+ * Without `settings.next`, `app/`, `src/app/`, `pages/` and `src/pages/` below ESLint's cwd and
+ * below the nearest nested Next.js project are used.
+ * @param {import('eslint').Rule.RuleContext} context - ESLint rule context.
+ * @returns {{ router: 'app' | 'pages' | null, role: string | null, routerDirectory: string | null }}
+ * `router` is null outside router directories; `role` is null for modules that are not a
+ * Next.js convention (e.g. components colocated in `app/`).
+ * @example
+ * getNextFileInfo(context) // for /repo/app/blog/page.tsx => { router: "app", role: "page", routerDirectory: "/repo/app" }
+ */
+export function getNextFileInfo(context) {
+  const rawFilename = getRuleFilename(context)
+  if (!path.isAbsolute(rawFilename)) return NO_NEXT_FILE
+  const filename = normalizeFilename(rawFilename)
+  const { roots, appDirectories, pagesDirectories } =
+    getNextDirectories(context)
+
+  const directory = filename.slice(0, filename.lastIndexOf('/'))
+  const rootRole = ROOT_FILE_ROLES.get(
+    getSourceBaseName(filename.slice(directory.length + 1)) ?? '',
+  )
+  if (
+    rootRole &&
+    roots.some(
+      (root) =>
+        directory === root || directory === `${root}/${SRC_DIRECTORY_NAME}`,
+    )
+  ) {
+    return { router: null, role: rootRole, routerDirectory: null }
+  }
+
+  for (const [router, directories] of [
+    [NEXT_ROUTERS.APP, appDirectories],
+    [NEXT_ROUTERS.PAGES, pagesDirectories],
+  ]) {
+    const routerDirectory = findContainingDirectory(filename, directories)
+    if (routerDirectory) {
+      return {
+        router,
+        role: classifyRouterFile(router, routerDirectory, filename),
+        routerDirectory,
+      }
+    }
+  }
+  return NO_NEXT_FILE
+}
+
+/**
+ * Checks whether the linted file belongs to a Next.js project: `settings.next` is configured,
+ * or ESLint's cwd or a directory between it and the file is a Next.js project root.
+ * @param {import('eslint').Rule.RuleContext} context - ESLint rule context.
+ * @returns {boolean} True when Next.js file conventions apply to the file.
+ * @example
+ * isNextProjectFile(context) // for /repo/app/page.tsx with `next` in /repo/package.json => true
+ */
+export function isNextProjectFile(context) {
+  if (context.settings && context.settings.next) return true
+  const rawFilename = getRuleFilename(context)
+  if (!path.isAbsolute(rawFilename)) return false
+  return (
+    findNextProjectRoot(normalizeFilename(rawFilename), [
+      normalizeFilename(getRuleCwd(context)),
+    ]) !== null
+  )
+}
+
+/**
+ * Lists the directories Next.js reads project-level files such as `middleware` from: the
+ * parent of each `app` or `pages` directory that exists on disk.
+ * @param {import('eslint').Rule.RuleContext} context - ESLint rule context.
+ * @returns {string[]} Normalized absolute directories; empty when no router directory exists.
+ * @example
+ * getRootFileDirectories(context) // with only /repo/src/app on disk => ["/repo/src"]
+ */
+export function getRootFileDirectories(context) {
+  const { appDirectories, pagesDirectories } = getNextDirectories(context)
+  const directories = [...appDirectories, ...pagesDirectories]
+    .filter((directory) => fs.existsSync(directory))
+    .map((directory) => directory.slice(0, directory.lastIndexOf('/')))
+  return [...new Set(directories)]
+}
+
+/**
+ * Finds a file implementing another convention in the same directory as the linted file,
+ * e.g. the `page` next to a `route`.
+ * @param {string} filename - Absolute filename of the linted file.
+ * @param {string} role - Convention basename to look for, such as "page".
+ * @returns {string | null} Absolute path of the sibling file, or null.
+ * @example
+ * findSiblingConventionFile('/repo/app/api/route.ts', 'page') // => "/repo/app/api/page.tsx"
+ */
+export function findSiblingConventionFile(filename, role) {
+  const directory = path.dirname(filename)
+  for (const extension of SOURCE_FILE_EXTENSIONS) {
+    const candidate = path.join(directory, `${role}.${extension}`)
+    if (fs.existsSync(candidate)) return candidate
+  }
+  return null
+}
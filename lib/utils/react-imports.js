@@ -0,0 +1,307 @@
+/**
+ * Shared resolution of React API bindings that honors `settings['react-x'].importSource`.
+ */
+
+import { getRuleSourceCode } from './eslint-context.js'
+import { getReactSettings } from './react-settings.js'
+
+const REACT_GLOBAL_NAMESPACE = 'React'
+const REQUIRE_FUNCTION_NAME = 'require'
+const DEFAULT_EXPORT_NAME = 'default'
+
+const TRANSPARENT_EXPRESSION_TYPES = new Set([
+  'TSAsExpression',
+  'TSTypeAssertion',
+  'TypeCastExpression',
+  'TSNonNullExpression',
+  'ParenthesizedExpression',
+])
+
+/**
+ * Removes TS assertions, parentheses and optional chains around an expression.
+ * @param {import('estree').Node | null | undefined} node - Expression to normalize.
+ * @returns {import('estree').Node | null | undefined} The underlying expression.
+ */
+function normalizeExpression(node) {
+  let current = node
+  while (current && TRANSPARENT_EXPRESSION_TYPES.has(current.type)) {
+    current = current.expression
+  }
+  if (current && current.type === 'ChainExpression') {
+    current = current.expression
+  }
+  return current
+}
+
+/**
+ * Reads a static property name from a member expression.
+ * @param {import('estree').MemberExpression} member - Member expression node.
+ * @returns {string | null} Property name or null when it is dynamic.
+ * @example
+ * getMemberPropertyName(parse('React["memo"]')) // => "memo"
+ */
+export function getMemberPropertyName(member) {
+  if (member.computed) {
+    return member.property.type === 'Literal' &&
+      typeof member.property.value === 'string'
+      ? member.property.value
+      : null
+  }
+  return member.property.type === 'Identifier' ? member.property.name : null
+}
+
+/**
+ * Returns the exported name referenced by an import specifier.
+ * @param {import('estree').ImportSpecifier} specifier - Import specifier node.
+ * @returns {string} Imported name, including string-literal module export names.
+ */
+export function getImportedName(specifier) {
+  return specifier.imported.type === 'Identifier'
+    ? specifier.imported.name
+    : String(specifier.imported.value)
+}
+
+/**
+ * Returns every module specifier that should be treated as React.
+ * @param {import('eslint').Rule.RuleContext} context - ESLint rule context.
+ * @returns {Set<string>} Configured import sources plus `react`.
+ */
+export function getReactImportSources(context) {
+  return new Set(getReactSettings(context).importSources)
+}
+
+/**
+ * Checks whether an import declaration loads React (or a configured re-export).
+ * Type-only imports are ignored because they create no runtime bindings.
+ * @param {import('estree').ImportDeclaration} node - Import declaration node.
+ * @param {Set<string>} importSources - Module specifiers treated as React.
+ * @returns {boolean} True when the declaration imports React values.
+ */
+export function isReactImportDeclaration(node, importSources) {
+  return (
+    node.type === 'ImportDeclaration' &&
+    node.source.type === 'Literal' &&
+    importSources.has(node.source.value) &&
+    node.importKind !== 'type'
+  )
+}
+
+/**
+ * Checks whether a node is `require('<react source>')`.
+ * @param {import('estree').Node | null | undefined} node - Node to inspect.
+ * @param {Set<string>} importSources - Module specifiers treated as React.
+ * @returns {boolean} True for a CommonJS require of React.
+ */
+export function isRequireOfReact(node, importSources) {
+  return Boolean(
+    node &&
+    node.type === 'CallExpression' &&
+    node.callee.type === 'Identifier' &&
+    node.callee.name === REQUIRE_FUNCTION_NAME &&
+    node.arguments.length === 1 &&
+    node.arguments[0].type === 'Literal' &&
+    importSources.has(node.arguments[0].value),
+  )
+}
+
+/**
+ * Creates a tracker for local bindings that refer to React APIs.
+ * Import declarations are collected eagerly because they are hoisted; CommonJS requires and
+ * aliases such as `const { memo } = React` must be fed through `trackVariableDeclarator`.
+ * @param {import('eslint').Rule.RuleContext} context - ESLint rule context.
+ * @returns {{
+ *   importSources: Set<string>
+ *   namespaceNames: Set<string>
+ *   trackVariableDeclarator: (node: import('estree').VariableDeclarator) => void
+ *   getLocalNames: (apiName: string) => Set<string>
+ *   isNamespaceMember: (node: import('estree').Node | null | undefined, apiName: string) => boolean
+ *   isApiCallee: (callee: import('estree').Node | null | undefined, apiName: string) => boolean
+ *   isApiCalleeLoose: (callee: import('estree').Node | null | undefined, apiName: string) => boolean
+ * }}
+ * @example
+ * const reactImports = createReactImportTracker(context)
+ * reactImports.isApiCallee(node.callee, 'memo') // => true for memo(), React.memo(), aliases
+ */
+export function createReactImportTracker(context) {
+  const importSources = getReactImportSources(context)
+  const namespaceNames = new Set([REACT_GLOBAL_NAMESPACE])
+  // API name (e.g. "memo") -> local identifiers bound to it
+  const apiLocalNames = new Map()
+  // Local identifiers imported from modules that are not React
+  const foreignImportNames = new Set()
+
+  /**
+   * Returns the local identifiers bound to a React API.
+   * @param {string} apiName - React export name.
+   * @returns {Set<string>} Local names (possibly empty).
+   */
+  function getLocalNames(apiName) {
+    if (!apiLocalNames.has(apiName)) {
+      apiLocalNames.set(apiName, new Set())
+    }
+    return apiLocalNames.get(apiName)
+  }
+
+  /**
+   * Registers bindings from `const { memo, useCallback: cb } = React`.
+   * @param {import('estree').ObjectPattern} pattern - Destructuring pattern.
+   */
+  function registerDestructuring(pattern) {
+    for (const prop of pattern.properties) {
+      if (prop.type !== 'Property' || prop.computed) continue
+      if (prop.key.type !== 'Identifier') continue
+      let local = null
+      if (prop.value.type === 'Identifier') {
+        local = prop.value.name
+      } else if (
+        prop.value.type === 'AssignmentPattern' &&
+        prop.value.left.type === 'Identifier'
+      ) {
+        local = prop.value.left.name
+      }
+      if (local) getLocalNames(prop.key.name).add(local)
+    }
+  }
+
+  /**
+   * Registers bindings from a React import declaration.
+   * @param {import('estree').ImportDeclaration} node - Import declaration node.
+   */
+  function trackImportDeclaration(node) {
+    if (!isReactImportDeclaration(node, importSources)) {
+      for (const specifier of node.specifiers) {
+        foreignImportNames.add(specifier.local.name)
+      }
+      return
+    }
+    for (const specifier of node.specifiers) {
+      if (
+        specifier.type === 'ImportDefaultSpecifier' ||
+        specifier.type === 'ImportNamespaceSpecifier'
+      ) {
+        namespaceNames.add(specifier.local.name)
+      } else if (
+        specifier.type === 'ImportSpecifier' &&
+        specifier.importKind !== 'type'
+      ) {
+        getLocalNames(getImportedName(specifier)).add(specifier.local.name)
+      }
+    }
+  }
+
+  /**
+   * Checks whether a node references the React namespace object.
+   * @param {import('estree').Node | null | undefined} node - Node to inspect.
+   * @returns {boolean} True for namespace identifiers or `require('react')`.
+   */
+  function isNamespaceReference(node) {
+    return Boolean(
+      node &&
+      ((node.type === 'Identifier' && namespaceNames.has(node.name)) ||
+        isRequireOfReact(node, importSources)),
+    )
+  }
+
+  /**
+   * Registers React aliases created through variable declarations, e.g.
+   * `const React = require('react')`, `const { memo } = React` or `const m = React.memo`.
+   * @param {import('estree').VariableDeclarator} node - Variable declarator node.
+   */
+  function trackVariableDeclarator(node) {
+    if (!node.init) return
+    const init = normalizeExpression(node.init)
+    if (!init) return
+
+    if (isNamespaceReference(init)) {
+      if (node.id.type === 'Identifier') {
+        namespaceNames.add(node.id.name)
+      } else if (node.id.type === 'ObjectPattern') {
+        registerDestructuring(node.id)
+      }
+      return
+    }
+
+    if (
+      init.type !== 'MemberExpression' ||
+      !isNamespaceReference(init.object)
+    ) {
+      return
+    }
+    const propertyName = getMemberPropertyName(init)
+    if (!propertyName || node.id.type !== 'Identifier') return
+    if (propertyName === DEFAULT_EXPORT_NAME) {
+      namespaceNames.add(node.id.name)
+      return
+    }
+    getLocalNames(propertyName).add(node.id.name)
+  }
+
+  /**
+   * Checks whether a node is `React.<apiName>` for any known namespace binding.
+   * @param {import('estree').Node | null | undefined} node - Node to inspect.
+   * @param {string} apiName - React export name.
+   * @returns {boolean} True for namespace member access.
+   */
+  function isNamespaceMember(node, apiName) {
+    const target = normalizeExpression(node)
+    return Boolean(
+      target &&
+      target.type === 'MemberExpression' &&
+      target.object.type === 'Identifier' &&
+      namespaceNames.has(target.object.name) &&
+      getMemberPropertyName(target) === apiName,
+    )
+  }
+
+  /**
+   * Checks whether a callee refers to a React API through an alias or the namespace.
+   * @param {import('estree').Node | null | undefined} callee - Callee node.
+   * @param {string} apiName - React export name.
+   * @returns {boolean} True when the callee resolves to the API.
+   */
+  function isApiCallee(callee, apiName) {
+    const target = normalizeExpression(callee)
+    if (!target) return false
+    if (target.type === 'Identifier') {
+      return getLocalNames(apiName).has(target.name)
+    }
+    return isNamespaceMember(target, apiName)
+  }
+
+  /**
+   * Checks whether a callee refers to a React API, also accepting the bare API name when it is
+   * not imported from another module, for code relying on an auto-imported or global React.
+   * @param {import('estree').Node | null | undefined} callee - Callee node.
+   * @param {string} apiName - React export name.
+   * @returns {boolean} True when the callee resolves to the API or is its unbound name.
+   * @example
+   * reactImports.isApiCalleeLoose(parse('useCallback'), 'useCallback') // => true without imports
+   */
+  function isApiCalleeLoose(callee, apiName) {
+    const target = normalizeExpression(callee)
+    if (
+      target?.type === 'Identifier' &&
+      target.name === apiName &&
+      !foreignImportNames.has(apiName)
+    ) {
+      return true
+    }
+    return isApiCallee(target, apiName)
+  }
+
+  for (const statement of getRuleSourceCode(context).ast.body) {
+    if (statement.type === 'ImportDeclaration') {
+      trackImportDeclaration(statement)
+    }
+  }
+
+  return {
+    importSources,
+    namespaceNames,
+    trackVariableDeclarator,
+    getLocalNames,
+    isNamespaceMember,
+    isApiCallee,
+    isApiCalleeLoose,
+  }
+}
@@ -2,30 +2,184 @@
  * Helpers for resolving React-related ESLint settings.
  */
 
+import fs from 'fs'
+import path from 'path'
+import { getRuleCwd, getRuleFilename } from './eslint-context.js'
+
 const DEFAULT_REACT_IMPORT_SOURCE = 'react'
-const DEFAULT_REACT_VERSION = '19.0.0'
+const DETECT_REACT_VERSION = 'detect'
+const FALLBACK_REACT_VERSION = '19.0.0'
+const REACT_PACKAGE_NAME = 'react'
+const PACKAGE_JSON_FILENAME = 'package.json'
+const NODE_MODULES_DIRNAME = 'node_modules'
+const DEPENDENCY_FIELDS = [
+  'dependencies',
+  'devDependencies',
+  'peerDependencies',
+]
+const SEMVER_IN_RANGE_PATTERN = /(\d+)(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?/
 const DEFAULT_POLYMORPHIC_PROP_NAME = 'as'
+const FIRST_IMPORT_SOURCE_INDEX = 0
 const VERSION_SEPARATOR = '.'
 const DECIMAL_RADIX = 10
 const MAJOR_VERSION_INDEX = 0
 
+// Directory -> detected React version (null when nothing was found from that directory upward)
+const detectedVersionCache = new Map()
+
+/**
+ * Reads and parses a JSON file, returning null when it is missing or malformed.
+ * @param {string} filePath - Absolute path to the JSON file.
+ * @returns {Record<string, unknown> | null} Parsed JSON object or null.
+ */
+function readJsonFile(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'))
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Extracts the lowest concrete version from a semver range.
+ * @param {string} range - Dependency range such as "^18.2.0" or "~19".
+ * @returns {string | null} Normalized "major.minor.patch" version, or null for
+ * non-numeric specifiers like "workspace:*", "catalog:" or "latest".
+ * @example
+ * coerceVersion('^18.2.0') // => "18.2.0"
+ * coerceVersion('>=19') // => "19.0.0"
+ */
+export function coerceVersion(range) {
+  if (typeof range !== 'string' || range.includes(':')) return null
+  const match = SEMVER_IN_RANGE_PATTERN.exec(range)
+  if (!match) return null
+  const [, major, minor, patch] = match
+  const toNumericPart = (part) => (part && /^\d+$/.test(part) ? part : '0')
+  return [major, toNumericPart(minor), toNumericPart(patch)].join(
+    VERSION_SEPARATOR,
+  )
+}
+
+/**
+ * Reads the React version installed or declared in a single directory.
+ * The installed `node_modules/react` wins over the range declared in `package.json`,
+ * which keeps pnpm workspaces with per-package React majors accurate.
+ * @param {string} directory - Absolute directory to inspect.
+ * @returns {string | null} Version string or null when the directory has no React information.
+ */
+function readReactVersionInDirectory(directory) {
+  const installedManifest = readJsonFile(
+    path.join(
+      directory,
+      NODE_MODULES_DIRNAME,
+      REACT_PACKAGE_NAME,
+      PACKAGE_JSON_FILENAME,
+    ),
+  )
+  if (installedManifest && typeof installedManifest.version === 'string') {
+    return installedManifest.version
+  }
+
+  const manifest = readJsonFile(path.join(directory, PACKAGE_JSON_FILENAME))
+  if (!manifest) return null
+  for (const field of DEPENDENCY_FIELDS) {
+    const dependencies = manifest[field]
+    if (!dependencies || typeof dependencies !== 'object') continue
+    const version = coerceVersion(dependencies[REACT_PACKAGE_NAME])
+    if (version) return version
+  }
+  return null
+}
+
+/**
+ * Detects the React version for a directory by walking up to the filesystem root.
+ * Results are cached for every directory visited along the way.
+ * @param {string} startDirectory - Absolute directory of the linted file.
+ * @returns {string | null} Detected version or null when React cannot be found.
+ * @example
+ * detectReactVersion('/repo/packages/web/src') // => "18.3.1"
+ */
+export function detectReactVersion(startDirectory) {
+  const visited = []
+  let directory = path.resolve(startDirectory)
+  let version
+
+  while (true) {
+    if (detectedVersionCache.has(directory)) {
+      version = detectedVersionCache.get(directory)
+      break
+    }
+    visited.push(directory)
+    version = readReactVersionInDirectory(directory)
+    if (version) break
+    const parentDirectory = path.dirname(directory)
+    if (parentDirectory === directory) break
+    directory = parentDirectory
+  }
+
+  for (const visitedDirectory of visited) {
+    detectedVersionCache.set(visitedDirectory, version)
+  }
+  return version
+}
+
+/**
+ * Normalizes the `importSource` setting into a de-duplicated list of module names.
+ * @param {unknown} rawImportSource - Raw setting value (string, string[] or undefined).
+ * @returns {string[]} Configured sources in order, followed by `react` when missing.
+ * @example
+ * normalizeImportSources(['@acme/react', 'preact/compat'])
+ * // => ['@acme/react', 'preact/compat', 'react']
+ */
+function normalizeImportSources(rawImportSource) {
+  const candidates = Array.isArray(rawImportSource)
+    ? rawImportSource
+    : [rawImportSource]
+  const importSources = candidates
+    .filter((source) => typeof source === 'string' && source.trim())
+    .map((source) => source.trim())
+  importSources.push(DEFAULT_REACT_IMPORT_SOURCE)
+  return [...new Set(importSources)]
+}
+
+/**
+ * Resolves the directory used as the starting point for version detection.
+ * Virtual filenames such as "<input>" fall back to ESLint's working directory.
+ * @param {import('eslint').Rule.RuleContext} context - ESLint rule context.
+ * @returns {string} Absolute directory.
+ */
+function getDetectionDirectory(context) {
+  const filename = getRuleFilename(context)
+  if (path.isAbsolute(filename)) {
+    return path.dirname(filename)
+  }
+  return getRuleCwd(context)
+}
+
 /**
  * Normalizes React-related settings from ESLint context.
+ * `version` defaults to `"detect"`, which resolves the React version installed for the
+ * linted file and falls back to the latest supported major when none is found.
+ * `importSource` accepts a module name or a list of names (e.g. a design-system re-export and
+ * a compat package); `importSource` is the primary one used when fixes insert imports, and
+ * `importSources` always includes `react` itself.
  * @param {import('eslint').Rule.RuleContext} context - ESLint rule context.
- * @returns {{ version: string, importSource: string, polymorphicPropName: string }}
+ * @returns {{ version: string, importSource: string, importSources: string[], polymorphicPropName: string }}
  */
 export function getReactSettings(context) {
   const rawSettings =
     (context.settings && context.settings['react-x']) || {}
-  const version =
+  const configuredVersion =
     typeof rawSettings.version === 'string' && rawSettings.version.trim()
       ? rawSettings.version
-      : DEFAULT_REACT_VERSION
-  const importSource =
-    typeof rawSettings.importSource === 'string' &&
-    rawSettings.importSource.trim()
-      ? rawSettings.importSource
-      : DEFAULT_REACT_IMPORT_SOURCE
+      : DETECT_REACT_VERSION
+  const version =
+    configuredVersion === DETECT_REACT_VERSION
+      ? (detectReactVersion(getDetectionDirectory(context)) ??
+        FALLBACK_REACT_VERSION)
+      : configuredVersion
+  const importSources = normalizeImportSources(rawSettings.importSource)
+  const importSource = importSources[FIRST_IMPORT_SOURCE_INDEX]
   const polymorphicPropName =
     typeof rawSettings.polymorphicPropName === 'string' &&
     rawSettings.polymorphicPropName.trim()
@@ -35,6 +189,7 @@ export function getReactSettings(context) {
   return {
     version,
     importSource,
+    importSources,
     polymorphicPropName,
   }
 }
@@ -0,0 +1,7 @@
+import React from 'react'
+
+function Card({ style }) {
+  return <div style={style} />
+}
+
+export default React.memo(Card)
@@ -0,0 +1,9 @@
+import { memo } from 'react'
+
+export const MemoButton = memo(function MemoButton({ onClick }) {
+  return <button type="button" onClick={onClick} />
+})
+
+export function PlainButton({ onClick }) {
+  return <button type="button" onClick={onClick} />
+}
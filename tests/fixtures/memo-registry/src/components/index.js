@@ -0,0 +1,2 @@
+export { MemoButton, PlainButton } from './MemoButton'
+export { default as Card } from './Card'
@@ -0,0 +1,6 @@
+import { siteName } from '../../lib/config'
+import { Tracker } from '../ui/Tracker'
+
+export default function Page() {
+  return <Tracker event={siteName} />
+}
@@ -0,0 +1,5 @@
+'use client'
+
+export default function Chart({ data }) {
+  return <svg>{data.length}</svg>
+}
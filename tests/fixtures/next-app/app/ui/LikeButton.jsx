@@ -0,0 +1,9 @@
+'use client'
+
+export function LikeButton({ onLike, children }) {
+  return (
+    <button type="button" onClick={onLike}>
+      {children}
+    </button>
+  )
+}
@@ -0,0 +1,9 @@
+'use client'
+
+import { track } from '../../lib/analytics'
+import { siteName } from '../../lib/config'
+
+export function Tracker({ event }) {
+  track(event)
+  return <span>{siteName}</span>
+}
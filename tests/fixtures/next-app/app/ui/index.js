@@ -0,0 +1,3 @@
+export * from './LikeButton'
+export { default as Chart } from './Chart'
+export { Card } from './Card'
@@ -0,0 +1,7 @@
+'use server'
+
+import { getUser } from './db'
+
+export async function refreshUser(id) {
+  await getUser(id)
+}
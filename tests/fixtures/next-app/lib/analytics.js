@@ -0,0 +1,5 @@
+import { endpoint } from './endpoints'
+
+export function track(event) {
+  return { endpoint, event }
+}
@@ -0,0 +1,2 @@
+/* global process */
+export const siteName = process.env.SITE_NAME
@@ -0,0 +1,2 @@
+/* global process */
+export const endpoint = process.env.ANALYTICS_URL
@@ -0,0 +1,3 @@
+export function formatName(user) {
+  return `#${user.id}`
+}
@@ -0,0 +1,6 @@
+import { getUser } from './db'
+
+export async function getProfile(id) {
+  const user = await getUser(id)
+  return { name: `#${user.id}` }
+}
@@ -0,0 +1,76 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'mocha'
+import { Linter } from 'eslint'
+import plugin from '../../../index.js'
+
+const PRESET_NAMES = [
+  'recommended',
+  'strict',
+  'react19',
+  'performance',
+  'next',
+  'all',
+]
+
+describe('configs/presets', () => {
+  it('exposes every preset on plugin.configs', () => {
+    assert.deepEqual(
+      Object.keys(plugin.configs).sort(),
+      [...PRESET_NAMES].sort(),
+    )
+  })
+
+  it('registers the plugin and only references existing rules', () => {
+    for (const name of PRESET_NAMES) {
+      const config = plugin.configs[name]
+      assert.equal(config.name, `laststance/${name}`)
+      assert.equal(config.plugins.laststance, plugin)
+      for (const ruleId of Object.keys(config.rules)) {
+        const ruleName = ruleId.replace(/^laststance\//, '')
+        assert.ok(plugin.rules[ruleName], `${name} references ${ruleId}`)
+      }
+    }
+  })
+
+  it('enables every rule in the all preset', () => {
+    assert.equal(
+      Object.keys(plugin.configs.all.rules).length,
+      Object.keys(plugin.rules).length,
+    )
+  })
+
+  it('keeps strict a superset of recommended, react19 and performance', () => {
+    const strictRules = plugin.configs.strict.rules
+    for (const name of ['recommended', 'react19', 'performance']) {
+      for (const ruleId of Object.keys(plugin.configs[name].rules)) {
+        assert.equal(strictRules[ruleId], 'error', `${ruleId} in strict`)
+      }
+    }
+  })
+
+  it('marks rules in the recommended preset as recommended', () => {
+    for (const [name, rule] of Object.entries(plugin.rules)) {
+      const inPreset = `laststance/${name}` in plugin.configs.recommended.rules
+      assert.equal(rule.meta.docs.recommended, inPreset, name)
+    }
+  })
+
+  it('lints code through a preset', () => {
+    const linter = new Linter()
+    const messages = linter.verify(
+      'const list = items.map((item) => <li>{item}</li>)',
+      [
+        plugin.configs.recommended,
+        {
+          languageOptions: {
+            parserOptions: { ecmaFeatures: { jsx: true } },
+          },
+        },
+      ],
+    )
+    assert.deepEqual(
+      messages.map((message) => message.ruleId),
+      ['laststance/no-missing-key'],
+    )
+  })
+})
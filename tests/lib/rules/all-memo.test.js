@@ -1,6 +1,13 @@
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
 import { RuleTester } from 'eslint'
 import rule from '../../../lib/rules/all-memo.js'
 
+const nextAppDirectory = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '../../fixtures/next-app',
+)
+
 const ruleTester = new RuleTester({
   languageOptions: {
     ecmaVersion: 2024,
@@ -122,6 +129,31 @@ ruleTester.run('all-memo', rule, {
         export default RootLayout;
       `,
     },
+    // Other Next.js convention files are ignored as well
+    {
+      filename: '/project/src/app/dashboard/loading.jsx',
+      settings: { next: { rootDir: '/project' } },
+      code: `
+        const Loading = () => <p>Loading...</p>;
+        export default Loading;
+      `,
+    },
+    {
+      filename: '/project/web/routes/blog/page.jsx',
+      settings: { next: { rootDir: '/project/web', appDir: 'routes' } },
+      code: `
+        const Page = () => <article />;
+        export default Page;
+      `,
+    },
+    {
+      // A next.config.js marks the fixture as a Next.js project without settings
+      filename: path.join(nextAppDirectory, 'app/blog/page.jsx'),
+      code: `
+        const Page = () => <article />;
+        export default Page;
+      `,
+    },
     // Storybook stories are ignored
     {
       filename: '/components/Button.stories.tsx',
@@ -132,6 +164,34 @@ ruleTester.run('all-memo', rule, {
     },
   ],
   invalid: [
+    // Outside a Next.js project, pages/ holds ordinary components
+    {
+      filename: '/project/pages/Avatar.jsx',
+      code: `
+        const Avatar = () => <img alt="" />;
+        export default Avatar;
+      `,
+      output: `
+        import { memo } from 'react'
+const Avatar = memo(() => <img alt="" />);
+        export default Avatar;
+      `,
+      errors: [{ messageId: 'notMemoized' }],
+    },
+    // Components colocated in the app directory are not Next.js conventions
+    {
+      filename: '/project/app/dashboard/Chart.jsx',
+      code: `
+        const Chart = () => <svg/>;
+        export default Chart;
+      `,
+      output: `
+        import { memo } from 'react'
+const Chart = memo(() => <svg/>);
+        export default Chart;
+      `,
+      errors: [{ messageId: 'notMemoized' }],
+    },
     // Variable arrow component not memoized
     {
       code: `
@@ -270,5 +330,34 @@ const Layout = memo(() => {
       `,
       errors: [{ messageId: 'notMemoized' }, { messageId: 'notMemoized' }],
     },
+    // Memo imported from a configured React re-export is recognized
+    {
+      code: `
+        import { memo as m } from '@acme/react';
+        const Item = () => <div />;
+        const MemoItem = m(() => <div />);
+        export default MemoItem;
+      `,
+      settings: { 'react-x': { importSource: '@acme/react' } },
+      output: `
+        import { memo as m } from '@acme/react';
+        const Item = m(() => <div />);
+        const MemoItem = m(() => <div />);
+        export default MemoItem;
+      `,
+      errors: [{ messageId: 'notMemoized' }],
+    },
+    // The inserted import uses the primary configured import source
+    {
+      code: `
+        export const Hello = () => <div/>;
+      `,
+      settings: { 'react-x': { importSource: ['@acme/react', 'react'] } },
+      output: `
+        import { memo } from '@acme/react'
+export const Hello = memo(() => <div/>);
+      `,
+      errors: [{ messageId: 'notMemoized' }],
+    },
   ],
 })
@@ -220,5 +220,17 @@ ruleTester.run('no-deopt-use-callback', rule, {
         { messageId: 'calledInsideInline' },
       ],
     },
+    // useCallback imported under an alias from a configured React re-export
+    {
+      code: `
+        import { useCallback as useCb } from '@acme/react';
+        function Screen() {
+          const handleClick = useCb(() => {}, []);
+          return <div onClick={handleClick}>hello</div>;
+        }
+      `,
+      settings: { 'react-x': { importSource: '@acme/react' } },
+      errors: [{ messageId: 'passToIntrinsic' }],
+    },
   ],
 })
@@ -90,5 +90,17 @@ ruleTester.run('no-deopt-use-memo', rule, {
       `,
       errors: [{ messageId: 'usedInsideInline' }],
     },
+    // useMemo and createElement through an aliased namespace import
+    {
+      code: `
+        import * as R from '@acme/react';
+        function Screen(props) {
+          const payload = R.useMemo(() => ({ foo: props.foo }), [props.foo]);
+          return R.createElement('section', { data: payload });
+        }
+      `,
+      settings: { 'react-x': { importSource: '@acme/react' } },
+      errors: [{ messageId: 'passToIntrinsic' }],
+    },
   ],
 })
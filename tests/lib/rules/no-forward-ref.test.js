@@ -1,6 +1,14 @@
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
 import { RuleTester } from 'eslint'
+import tsParser from '@typescript-eslint/parser'
 import rule from '../../../lib/rules/no-forward-ref.js'
 
+const react18Filename = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '../../fixtures/react-18-app/src/Button.jsx',
+)
+
 const ruleTester = new RuleTester({
   languageOptions: {
     ecmaVersion: 2024,
@@ -25,6 +33,22 @@ ruleTester.run('no-forward-ref', rule, {
         'react-x': { version: '18.2.0' },
       },
     },
+    {
+      // React 18 is detected from the fixture's package.json
+      code: `
+        const Button = React.forwardRef((props, ref) => {
+          return <button ref={ref} />
+        })
+      `,
+      filename: react18Filename,
+    },
+    {
+      // forwardRef of another library is not React's
+      code: `
+        import * as Motion from 'motion'
+        const Box = Motion.forwardRef((props, ref) => <div ref={ref} />)
+      `,
+    },
   ],
   invalid: [
     {
@@ -33,6 +57,11 @@ ruleTester.run('no-forward-ref', rule, {
           return <button ref={ref} />
         })
       `,
+      output: `
+        const Button = ({ ref, ...props }) => {
+          return <button ref={ref} />
+        }
+      `,
       errors: [{ messageId: 'noForwardRef' }],
     },
     {
@@ -41,6 +70,210 @@ ruleTester.run('no-forward-ref', rule, {
 
         const Button = forwardRef((props, ref) => <button ref={ref} />)
       `,
+      output: `
+        
+        const Button = ({ ref, ...props }) => <button ref={ref} />
+      `,
+      errors: [{ messageId: 'noForwardRef' }],
+    },
+    {
+      code: `
+        import React, { forwardRef } from 'react'
+
+        const Input = memo(
+          forwardRef(function Input({ label, ...rest }, inputRef) {
+            return <input ref={inputRef} aria-label={label} {...rest} />
+          }),
+        )
+      `,
+      output: `
+        import React from 'react'
+
+        const Input = memo(
+          function Input({ label, ref: inputRef, ...rest }) {
+            return <input ref={inputRef} aria-label={label} {...rest} />
+          },
+        )
+      `,
+      errors: [{ messageId: 'noForwardRef' }],
+    },
+    {
+      // The import is removed once every forwardRef call is unwrapped
+      code: `
+        import { forwardRef, useState } from 'react'
+        const Link = forwardRef(({}, ref) => <a ref={ref} />)
+        const Icon = forwardRef((props) => <i {...props} />)
+      `,
+      output: `
+        import { useState } from 'react'
+        const Link = ({ ref }) => <a ref={ref} />
+        const Icon = (props) => <i {...props} />
+      `,
+      errors: [{ messageId: 'noForwardRef' }, { messageId: 'noForwardRef' }],
+    },
+    {
+      // forwardRef(Base) cannot be unwrapped, so the import is kept
+      code: `
+        import { useState, forwardRef } from 'react'
+        const Link = forwardRef(({ href }, ref) => <a ref={ref} href={href} />)
+        const Button = forwardRef(Base)
+      `,
+      output: `
+        import { useState, forwardRef } from 'react'
+        const Link = ({ href, ref }) => <a ref={ref} href={href} />
+        const Button = forwardRef(Base)
+      `,
+      errors: [{ messageId: 'noForwardRef' }, { messageId: 'noForwardRef' }],
+    },
+    {
+      // The ref parameter is already used by a destructured prop
+      code: `
+        const Input = React.forwardRef(({ ref, ...props }, inputRef) => (
+          <input ref={inputRef} {...props} />
+        ))
+      `,
+      output: null,
+      errors: [{ messageId: 'noForwardRef' }],
+    },
+    {
+      // forwardRef imported under an alias from a configured React re-export
+      code: `
+        import { forwardRef as fr } from '@acme/react'
+
+        const Button = fr((props, ref) => <button ref={ref} />)
+      `,
+      output: `
+        
+        const Button = ({ ref, ...props }) => <button ref={ref} />
+      `,
+      settings: { 'react-x': { importSource: '@acme/react' } },
+      errors: [{ messageId: 'noForwardRef' }],
+    },
+    {
+      // A local forwardRef helper is reported but not rewritten
+      code: `
+        function forwardRef(render) {
+          return render
+        }
+        const Button = forwardRef((props, ref) => <button ref={ref} />)
+      `,
+      output: null,
+      errors: [{ messageId: 'noForwardRef' }],
+    },
+  ],
+})
+
+const tsRuleTester = new RuleTester({
+  languageOptions: {
+    parser: tsParser,
+    parserOptions: {
+      ecmaFeatures: {
+        jsx: true,
+      },
+    },
+  },
+})
+
+tsRuleTester.run('no-forward-ref (TypeScript)', rule, {
+  valid: [],
+  invalid: [
+    {
+      // Type arguments become the props annotation
+      code: `
+        import { forwardRef } from 'react'
+        const Input = forwardRef<HTMLInputElement, Props>((props, ref) => <input ref={ref} {...props} />)
+      `,
+      output: `
+        import { type Ref } from 'react'
+        const Input = ({ ref, ...props }: Props & { ref?: Ref<HTMLInputElement> }) => <input ref={ref} {...props} />
+      `,
+      errors: [{ messageId: 'noForwardRef' }],
+    },
+    {
+      // ForwardedRef is replaced by Ref and its import is removed
+      code: `
+        import { forwardRef, type ForwardedRef } from 'react'
+        const Button = forwardRef(function Button(
+          { label }: Props,
+          ref: ForwardedRef<HTMLButtonElement>,
+        ) {
+          return <button ref={ref}>{label}</button>
+        })
+      `,
+      output: `
+        import { type Ref } from 'react'
+        const Button = function Button(
+          { label, ref }: Props & { ref?: Ref<HTMLButtonElement> },
+        ) {
+          return <button ref={ref}>{label}</button>
+        }
+      `,
+      errors: [{ messageId: 'noForwardRef' }],
+    },
+    {
+      // An imported Ref is reused and union props are parenthesized
+      code: `
+        import { forwardRef, type Ref } from 'react'
+        const Box = forwardRef((props: BoxProps | LinkProps, ref: Ref<HTMLDivElement>) => <div ref={ref} />)
+      `,
+      output: `
+        import { type Ref } from 'react'
+        const Box = ({ ref, ...props }: (BoxProps | LinkProps) & { ref?: Ref<HTMLDivElement> }) => <div ref={ref} />
+      `,
+      errors: [{ messageId: 'noForwardRef' }],
+    },
+    {
+      // Ref is added next to a forwardRef import that stays in use
+      code: `
+        import { forwardRef } from 'react'
+        const Panel = forwardRef<HTMLDivElement>((props, ref) => <div ref={ref} />)
+        const Button = forwardRef(Base)
+      `,
+      output: `
+        import { type Ref, forwardRef } from 'react'
+        const Panel = ({ ref, ...props }: { ref?: Ref<HTMLDivElement> }) => <div ref={ref} />
+        const Button = forwardRef(Base)
+      `,
+      errors: [{ messageId: 'noForwardRef' }, { messageId: 'noForwardRef' }],
+    },
+    {
+      // A type-only ForwardedRef import becomes the Ref import
+      code: `
+        import { forwardRef } from 'react'
+        import type { ForwardedRef } from 'react'
+        const Panel = forwardRef((props: PanelProps, ref: ForwardedRef<HTMLDivElement>) => <div ref={ref} />)
+        const Button = forwardRef(Base)
+      `,
+      output: `
+        import { forwardRef } from 'react'
+        import type { Ref } from 'react'
+        const Panel = ({ ref, ...props }: PanelProps & { ref?: Ref<HTMLDivElement> }) => <div ref={ref} />
+        const Button = forwardRef(Base)
+      `,
+      errors: [{ messageId: 'noForwardRef' }, { messageId: 'noForwardRef' }],
+    },
+    {
+      // Adjacent specifiers are removed together
+      code: `
+        import { useId, forwardRef, type ForwardedRef, type Ref } from 'react'
+        const Field = forwardRef((props: FieldProps, ref: ForwardedRef<HTMLInputElement>) => <input id={useId()} ref={ref} />)
+      `,
+      output: `
+        import { useId, type Ref } from 'react'
+        const Field = ({ ref, ...props }: FieldProps & { ref?: Ref<HTMLInputElement> }) => <input id={useId()} ref={ref} />
+      `,
+      errors: [{ messageId: 'noForwardRef' }],
+    },
+    {
+      // React.forwardRef keeps using the namespace for Ref
+      code: `
+        import * as React from 'react'
+        const Input = React.forwardRef<HTMLInputElement, React.ComponentProps<'input'>>((props, ref) => <input ref={ref} {...props} />)
+      `,
+      output: `
+        import * as React from 'react'
+        const Input = ({ ref, ...props }: React.ComponentProps<'input'> & { ref?: React.Ref<HTMLInputElement> }) => <input ref={ref} {...props} />
+      `,
       errors: [{ messageId: 'noForwardRef' }],
     },
   ],
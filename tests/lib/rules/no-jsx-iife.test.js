@@ -89,7 +89,23 @@ ruleTester.run('no-jsx-iife', rule, {
           return <div>{(() => 'x')()}</div>;
         }
       `,
-      errors: [{ messageId: 'noJsxIife' }],
+      errors: [
+        {
+          messageId: 'noJsxIife',
+          suggestions: [
+            {
+              messageId: 'extractToVariable',
+              data: { name: 'content' },
+              output: `
+        function Component() {
+          const content = 'x';
+          return <div>{content}</div>;
+        }
+      `,
+            },
+          ],
+        },
+      ],
     },
     {
       code: `
@@ -97,7 +113,23 @@ ruleTester.run('no-jsx-iife', rule, {
           return <div>{(function () { return 'x'; })()}</div>;
         }
       `,
-      errors: [{ messageId: 'noJsxIife' }],
+      errors: [
+        {
+          messageId: 'noJsxIife',
+          suggestions: [
+            {
+              messageId: 'extractToVariable',
+              data: { name: 'content' },
+              output: `
+        function Component() {
+          const content = 'x';
+          return <div>{content}</div>;
+        }
+      `,
+            },
+          ],
+        },
+      ],
     },
     {
       code: `
@@ -105,7 +137,23 @@ ruleTester.run('no-jsx-iife', rule, {
           return <Button label={(() => 'x')()} />;
         }
       `,
-      errors: [{ messageId: 'noJsxIife' }],
+      errors: [
+        {
+          messageId: 'noJsxIife',
+          suggestions: [
+            {
+              messageId: 'extractToVariable',
+              data: { name: 'label' },
+              output: `
+        function Component() {
+          const label = 'x';
+          return <Button label={label} />;
+        }
+      `,
+            },
+          ],
+        },
+      ],
     },
     {
       code: `
@@ -113,7 +161,23 @@ ruleTester.run('no-jsx-iife', rule, {
           return <input value={(function () { return 'x'; })()} />;
         }
       `,
-      errors: [{ messageId: 'noJsxIife' }],
+      errors: [
+        {
+          messageId: 'noJsxIife',
+          suggestions: [
+            {
+              messageId: 'extractToVariable',
+              data: { name: 'value' },
+              output: `
+        function Component() {
+          const value = 'x';
+          return <input value={value} />;
+        }
+      `,
+            },
+          ],
+        },
+      ],
     },
     {
       code: `
@@ -121,7 +185,23 @@ ruleTester.run('no-jsx-iife', rule, {
           return <div>{(() => 'x')?.()}</div>;
         }
       `,
-      errors: [{ messageId: 'noJsxIife' }],
+      errors: [
+        {
+          messageId: 'noJsxIife',
+          suggestions: [
+            {
+              messageId: 'extractToVariable',
+              data: { name: 'content' },
+              output: `
+        function Component() {
+          const content = 'x';
+          return <div>{content}</div>;
+        }
+      `,
+            },
+          ],
+        },
+      ],
     },
     {
       code: `
@@ -129,7 +209,23 @@ ruleTester.run('no-jsx-iife', rule, {
           return <Button label={(function () { return 'x'; })?.()} />;
         }
       `,
-      errors: [{ messageId: 'noJsxIife' }],
+      errors: [
+        {
+          messageId: 'noJsxIife',
+          suggestions: [
+            {
+              messageId: 'extractToVariable',
+              data: { name: 'label' },
+              output: `
+        function Component() {
+          const label = 'x';
+          return <Button label={label} />;
+        }
+      `,
+            },
+          ],
+        },
+      ],
     },
     {
       code: `
@@ -140,7 +236,220 @@ ruleTester.run('no-jsx-iife', rule, {
           return <Inner />;
         }
       `,
-      errors: [{ messageId: 'noJsxIife' }],
+      errors: [
+        {
+          messageId: 'noJsxIife',
+          suggestions: [
+            {
+              messageId: 'extractToVariable',
+              data: { name: 'content' },
+              output: `
+        function Outer() {
+          function Inner() {
+            const content = 'nested';
+            return <div>{content}</div>;
+          }
+          return <Inner />;
+        }
+      `,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: `
+        function Summary({ items }) {
+          const content = 'Total';
+          return (
+            <div>
+              {content}
+              {(() => {
+                // Sum the line items
+                const total = items.reduce((sum, item) => sum + item.price, 0);
+                return (
+                  <strong>
+                    {total}
+                  </strong>
+                );
+              })()}
+            </div>
+          );
+        }
+      `,
+      errors: [
+        {
+          messageId: 'noJsxIife',
+          suggestions: [
+            {
+              messageId: 'extractToVariable',
+              data: { name: 'content2' },
+              output: `
+        function Summary({ items }) {
+          const content = 'Total';
+          // Sum the line items
+          const total = items.reduce((sum, item) => sum + item.price, 0);
+          const content2 = (
+            <strong>
+              {total}
+            </strong>
+          );
+          return (
+            <div>
+              {content}
+              {content2}
+            </div>
+          );
+        }
+      `,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: `
+        function UserCard({ user, loading }) {
+          return (
+            <section>
+              {(() => {
+                if (loading) return <Spinner />
+                if (!user) return null
+                return <Profile user={user} />
+              })()}
+            </section>
+          )
+        }
+      `,
+      errors: [
+        {
+          messageId: 'noJsxIife',
+          suggestions: [
+            {
+              messageId: 'extractToComponentWithProps',
+              data: { name: 'UserCardContent', props: "'loading', 'user'" },
+              output: `
+        function UserCardContent({ loading, user }) {
+          if (loading) return <Spinner />
+          if (!user) return null
+          return <Profile user={user} />
+        }
+
+        function UserCard({ user, loading }) {
+          return (
+            <section>
+              <UserCardContent loading={loading} user={user} />
+            </section>
+          )
+        }
+      `,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: `
+        export const Task = ({ done }) => (
+          <Item
+            icon={(() => {
+              if (done) {
+                return <Check />
+              }
+              return <Clock />
+            })()}
+          />
+        )
+      `,
+      errors: [
+        {
+          messageId: 'noJsxIife',
+          suggestions: [
+            {
+              messageId: 'extractToComponentWithProps',
+              data: { name: 'TaskIcon', props: "'done'" },
+              output: `
+        function TaskIcon({ done }) {
+          if (done) {
+            return <Check />
+          }
+          return <Clock />
+        }
+
+        export const Task = ({ done }) => (
+          <Item
+            icon={<TaskIcon done={done} />}
+          />
+        )
+      `,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      // Values of a map callback cannot be computed before the return
+      code: `
+        function List({ items }) {
+          return (
+            <ul>
+              {items.map((item) => (
+                <li key={item.id}>
+                  {(() => {
+                    if (item.done) return <s>{item.name}</s>
+                    return item.name
+                  })()}
+                </li>
+              ))}
+            </ul>
+          )
+        }
+      `,
+      errors: [
+        {
+          messageId: 'noJsxIife',
+          suggestions: [
+            {
+              messageId: 'extractToComponentWithProps',
+              data: { name: 'ListContent', props: "'item'" },
+              output: `
+        function ListContent({ item }) {
+          if (item.done) return <s>{item.name}</s>
+          return item.name
+        }
+
+        function List({ items }) {
+          return (
+            <ul>
+              {items.map((item) => (
+                <li key={item.id}>
+                  <ListContent item={item} />
+                </li>
+              ))}
+            </ul>
+          )
+        }
+      `,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: `
+        function Panel({ open, label }) {
+          return <div>{open && <span>{(() => label.trim())()}</span>}</div>
+        }
+      `,
+      errors: [{ messageId: 'noJsxIife', suggestions: [] }],
+    },
+    {
+      code: `
+        function Price({ value }) {
+          return <span>{((amount) => amount.toFixed(2))(value)}</span>
+        }
+      `,
+      errors: [{ messageId: 'noJsxIife', suggestions: [] }],
     },
   ],
 })
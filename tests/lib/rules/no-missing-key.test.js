@@ -27,6 +27,14 @@ ruleTester.run('no-missing-key', rule, {
     {
       code: 'Children.toArray(items.map((item) => <Item />))',
     },
+    // Children imported under an alias from a configured React re-export
+    {
+      code: `
+        import { Children as C } from '@acme/react';
+        C.toArray(items.map((item) => <Item />));
+      `,
+      settings: { 'react-x': { importSource: '@acme/react' } },
+    },
   ],
   invalid: [
     {
@@ -45,5 +53,13 @@ ruleTester.run('no-missing-key', rule, {
       code: '[<></>]',
       errors: [{ messageId: 'unexpectedFragmentSyntax' }],
     },
+    // Children.toArray from another module does not suppress the check
+    {
+      code: `
+        import { Children } from './collections';
+        Children.toArray(items.map((item) => <Item />));
+      `,
+      errors: [{ messageId: 'missingKey' }],
+    },
   ],
 })
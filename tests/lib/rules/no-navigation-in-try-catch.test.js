@@ -0,0 +1,205 @@
+import { RuleTester } from 'eslint'
+import rule from '../../../lib/rules/no-navigation-in-try-catch.js'
+
+const ruleTester = new RuleTester({
+  languageOptions: {
+    ecmaVersion: 2024,
+    sourceType: 'module',
+  },
+})
+
+ruleTester.run('no-navigation-in-try-catch', rule, {
+  valid: [
+    {
+      code: `
+        import { redirect } from 'next/navigation'
+        export async function save(formData) {
+          try {
+            await db.save(formData)
+          } catch (error) {
+            return { message: 'Failed to save' }
+          }
+          redirect('/posts')
+        }
+      `,
+    },
+    {
+      // Rethrowing catch clauses let the navigation error through
+      code: `
+        import { notFound, unstable_rethrow } from 'next/navigation'
+        export async function load(id) {
+          try {
+            const post = await db.find(id)
+            if (!post) notFound()
+            return post
+          } catch (error) {
+            unstable_rethrow(error)
+            console.error(error)
+          }
+        }
+        export async function loadOrThrow(id) {
+          try {
+            notFound()
+          } catch (error) {
+            if (error instanceof DatabaseError) return null
+            throw error
+          }
+        }
+      `,
+    },
+    {
+      code: `
+        import { redirect } from 'next/navigation'
+        try {
+          queue.push(() => redirect('/later'))
+        } catch {}
+        try {
+          redirect('/home')
+        } finally {
+          release()
+        }
+      `,
+    },
+    {
+      // Only helpers imported from next/navigation are tracked
+      code: `
+        import { redirect } from './routing'
+        try {
+          redirect('/home')
+        } catch {}
+      `,
+    },
+  ],
+  invalid: [
+    {
+      code: `import { redirect } from 'next/navigation'
+export async function save(formData) {
+  try {
+    await db.save(formData)
+    redirect('/posts')
+  } catch (error) {
+    console.error(error)
+  }
+}
+`,
+      errors: [
+        {
+          messageId: 'navigationInTryCatch',
+          data: { name: 'redirect' },
+          suggestions: [
+            {
+              messageId: 'moveAfterTryStatement',
+              data: { name: 'redirect' },
+              output: `import { redirect } from 'next/navigation'
+export async function save(formData) {
+  try {
+    await db.save(formData)
+  } catch (error) {
+    console.error(error)
+  }
+  redirect('/posts')
+}
+`,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      // The moved call keeps the tab indentation of the try statement
+      code: `import { redirect } from 'next/navigation'
+export async function save(formData) {
+\ttry {
+\t\tawait db.save(formData)
+\t\tredirect(
+\t\t\t'/posts',
+\t\t)
+\t} catch (error) {
+\t\tconsole.error(error)
+\t}
+}
+`,
+      errors: [
+        {
+          messageId: 'navigationInTryCatch',
+          data: { name: 'redirect' },
+          suggestions: [
+            {
+              messageId: 'moveAfterTryStatement',
+              data: { name: 'redirect' },
+              output: `import { redirect } from 'next/navigation'
+export async function save(formData) {
+\ttry {
+\t\tawait db.save(formData)
+\t} catch (error) {
+\t\tconsole.error(error)
+\t}
+\tredirect(
+\t\t'/posts',
+\t)
+}
+`,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      // No suggestion when the call depends on bindings of the try block or is not its last statement
+      code: `
+        import * as navigation from 'next/navigation'
+        export default async function Page({ params }) {
+          try {
+            const post = await db.find((await params).id)
+            if (!post) navigation.notFound()
+            return navigation.permanentRedirect(post.url)
+          } catch {
+            return null
+          }
+        }
+      `,
+      errors: [
+        {
+          messageId: 'navigationInTryCatch',
+          data: { name: 'notFound' },
+          suggestions: [],
+        },
+        {
+          messageId: 'navigationInTryCatch',
+          data: { name: 'permanentRedirect' },
+          suggestions: [],
+        },
+      ],
+    },
+    {
+      code: `
+        import { forbidden as deny, unauthorized } from 'next/navigation'
+        try {
+          try {
+            deny()
+          } catch (error) {
+            throw error
+          }
+        } catch (error) {
+          report(error)
+        }
+        try {
+          unauthorized()
+          audit()
+        } catch {}
+      `,
+      errors: [
+        {
+          messageId: 'navigationInTryCatch',
+          data: { name: 'forbidden' },
+          suggestions: [],
+        },
+        {
+          messageId: 'navigationInTryCatch',
+          data: { name: 'unauthorized' },
+          suggestions: [],
+        },
+      ],
+    },
+  ],
+})
@@ -47,7 +47,26 @@ ruleTester.run('no-nested-component-definitions', rule, {
           return <Child />
         }
       `,
-      errors: [{ messageId: 'noNestedComponentDefinitions' }],
+      errors: [
+        {
+          messageId: 'noNestedComponentDefinitions',
+          suggestions: [
+            {
+              messageId: 'hoistComponent',
+              data: { name: 'Child' },
+              output: `
+        function Child() {
+          return <div />
+        }
+
+        function Parent() {
+          return <Child />
+        }
+      `,
+            },
+          ],
+        },
+      ],
     },
     {
       code: `
@@ -56,7 +75,24 @@ ruleTester.run('no-nested-component-definitions', rule, {
           return <Child />
         }
       `,
-      errors: [{ messageId: 'noNestedComponentDefinitions' }],
+      errors: [
+        {
+          messageId: 'noNestedComponentDefinitions',
+          suggestions: [
+            {
+              messageId: 'hoistComponent',
+              data: { name: 'Child' },
+              output: `
+        const Child = () => <div />
+
+        function Parent() {
+          return <Child />
+        }
+      `,
+            },
+          ],
+        },
+      ],
     },
     {
       code: `
@@ -69,7 +105,260 @@ ruleTester.run('no-nested-component-definitions', rule, {
           }
         }
       `,
-      errors: [{ messageId: 'noNestedComponentDefinitions' }],
+      errors: [
+        {
+          messageId: 'noNestedComponentDefinitions',
+          suggestions: [
+            {
+              messageId: 'hoistComponent',
+              data: { name: 'Child' },
+              output: `
+        function Child() {
+          return <div />
+        }
+
+        class Parent extends React.Component {
+          render() {
+            return <Child />
+          }
+        }
+      `,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: `
+        import { useState } from 'react'
+
+        export function Counter() {
+          const [count, setCount] = useState(0)
+          const Display = () => (
+            <button onClick={() => setCount(count + 1)}>{count}</button>
+          )
+          return <Display />
+        }
+      `,
+      errors: [
+        {
+          messageId: 'noNestedComponentDefinitions',
+          suggestions: [
+            {
+              messageId: 'hoistComponentWithProps',
+              data: { name: 'Display', props: "'setCount', 'count'" },
+              output: `
+        import { useState } from 'react'
+
+        const Display = ({ setCount, count }) => (
+          <button onClick={() => setCount(count + 1)}>{count}</button>
+        )
+
+        export function Counter() {
+          const [count, setCount] = useState(0)
+          return <Display setCount={setCount} count={count} />
+        }
+      `,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: `
+        import { memo } from 'react'
+
+        function List({ items, prefix }) {
+          // Renders a single row
+          const Row = memo(({ item, label = prefix }) => (
+            <li>
+              {label}
+              {item}
+            </li>
+          ))
+          return (
+            <ul>
+              {items.map((item) => (
+                <Row key={item} item={item} />
+              ))}
+            </ul>
+          )
+        }
+      `,
+      errors: [
+        {
+          messageId: 'noNestedComponentDefinitions',
+          suggestions: [
+            {
+              messageId: 'hoistComponentWithProps',
+              data: { name: 'Row', props: "'prefix'" },
+              output: `
+        import { memo } from 'react'
+
+        // Renders a single row
+        const Row = memo(({ prefix, item, label = prefix }) => (
+          <li>
+            {label}
+            {item}
+          </li>
+        ))
+
+        function List({ items, prefix }) {
+          return (
+            <ul>
+              {items.map((item) => (
+                <Row key={item} item={item} prefix={prefix} />
+              ))}
+            </ul>
+          )
+        }
+      `,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: `
+        function Dialog({ title }) {
+          function Header(props) {
+            return <h2 {...props}>{title}</h2>
+          }
+          const Footer = props => <footer>{title}{props.children}</footer>
+          return (
+            <>
+              <Header />
+              <Footer>Close</Footer>
+            </>
+          )
+        }
+      `,
+      errors: [
+        {
+          messageId: 'noNestedComponentDefinitions',
+          suggestions: [
+            {
+              messageId: 'hoistComponentWithProps',
+              data: { name: 'Header', props: "'title'" },
+              output: `
+        function Header({ title, ...props }) {
+          return <h2 {...props}>{title}</h2>
+        }
+
+        function Dialog({ title }) {
+          const Footer = props => <footer>{title}{props.children}</footer>
+          return (
+            <>
+              <Header title={title} />
+              <Footer>Close</Footer>
+            </>
+          )
+        }
+      `,
+            },
+          ],
+        },
+        {
+          messageId: 'noNestedComponentDefinitions',
+          suggestions: [
+            {
+              messageId: 'hoistComponentWithProps',
+              data: { name: 'Footer', props: "'title'" },
+              output: `
+        const Footer = ({ title, ...props }) => <footer>{title}{props.children}</footer>
+
+        function Dialog({ title }) {
+          function Header(props) {
+            return <h2 {...props}>{title}</h2>
+          }
+          return (
+            <>
+              <Header />
+              <Footer title={title}>Close</Footer>
+            </>
+          )
+        }
+      `,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      // Captured values cannot be passed when the component is not rendered as JSX
+      code: `
+        function List({ items, prefix }) {
+          const Row = (item) => <li>{prefix}{item}</li>
+          return <ul>{items.map(Row)}</ul>
+        }
+      `,
+      errors: [{ messageId: 'noNestedComponentDefinitions', suggestions: [] }],
+    },
+    {
+      code: `
+        function Counter() {
+          let renders = 0
+          const Display = () => {
+            renders += 1
+            return <span>{renders}</span>
+          }
+          return <Display />
+        }
+      `,
+      errors: [{ messageId: 'noNestedComponentDefinitions', suggestions: [] }],
+    },
+    {
+      // A module-level Item already exists
+      code: `
+        const Item = () => <li />
+
+        function List() {
+          const Item = () => <li className="item" />
+          return <Item />
+        }
+      `,
+      errors: [{ messageId: 'noNestedComponentDefinitions', suggestions: [] }],
+    },
+    {
+      code: `
+        function List({ items }) {
+          const Row = useCallback(() => <li>{items.length}</li>, [items])
+          return <Row />
+        }
+      `,
+      errors: [{ messageId: 'noNestedComponentDefinitions', suggestions: [] }],
+    },
+    {
+      // memo through an aliased namespace import
+      code: `
+        import * as R from '@acme/react'
+
+        function List() {
+          const Item = R.memo(() => <li />)
+          return <Item />
+        }
+      `,
+      settings: { 'react-x': { importSource: '@acme/react' } },
+      errors: [
+        {
+          messageId: 'noNestedComponentDefinitions',
+          suggestions: [
+            {
+              messageId: 'hoistComponent',
+              data: { name: 'Item' },
+              output: `
+        import * as R from '@acme/react'
+
+        const Item = R.memo(() => <li />)
+
+        function List() {
+          return <Item />
+        }
+      `,
+            },
+          ],
+        },
+      ],
     },
   ],
 })
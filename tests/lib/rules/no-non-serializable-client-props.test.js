@@ -0,0 +1,191 @@
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { RuleTester } from 'eslint'
+import rule from '../../../lib/rules/no-non-serializable-client-props.js'
+
+const pageFilename = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '../../fixtures/next-app/app/shop/page.jsx',
+)
+
+const ruleTester = new RuleTester({
+  languageOptions: {
+    ecmaVersion: 2024,
+    sourceType: 'module',
+    parserOptions: {
+      ecmaFeatures: {
+        jsx: true,
+      },
+    },
+  },
+  settings: { 'react-x': { version: '19.0.0' } },
+})
+
+ruleTester.run('no-non-serializable-client-props', rule, {
+  valid: [
+    {
+      code: `
+        import { LikeButton } from '../ui/LikeButton'
+        import Chart from '../ui/Chart'
+        import { saveLike } from './actions'
+        const points = [1, 2, 3]
+        export default async function Page() {
+          async function like() {
+            'use server'
+          }
+          return (
+            <>
+              <LikeButton onLike={like} label={'Like'} meta={{ id: 1, tags: ['a'] }}>
+                <span>Like</span>
+              </LikeButton>
+              <LikeButton onLike={saveLike} onShare={saveLike.bind(null, 1)} />
+              <Chart data={points} updatedAt={new Date()} key={Symbol.for('chart')} />
+            </>
+          )
+        }
+      `,
+      filename: pageFilename,
+    },
+    {
+      // Server Components and DOM elements may receive anything
+      code: `
+        import { Card } from '../ui'
+        export default function Page() {
+          return (
+            <Card title="Shop" render={() => null}>
+              <button type="button" onClick={() => {}} />
+            </Card>
+          )
+        }
+      `,
+      filename: pageFilename,
+    },
+    {
+      // Client Components rendering Client Components are not a boundary
+      code: `
+        'use client'
+        import { LikeButton } from '../ui/LikeButton'
+        export function Likes() {
+          return <LikeButton onLike={() => {}} />
+        }
+      `,
+      filename: pageFilename,
+    },
+    {
+      // Files outside the app directory are ignored
+      code: `
+        import { LikeButton } from '../next-app/app/ui/LikeButton'
+        export const Likes = () => <LikeButton onLike={() => {}} />
+      `,
+      filename: path.join(pageFilename, '../../../../shared/Likes.jsx'),
+    },
+  ],
+  invalid: [
+    {
+      code: `
+        import { LikeButton, Chart } from '../ui'
+        class Cart {}
+        function track() {}
+        const handlers = { onLike: () => {} }
+        export default function Page() {
+          return (
+            <>
+              <LikeButton onLike={() => {}} cart={new Cart()} tracker={track} />
+              <LikeButton {...handlers} pattern={/like/} id={Symbol('like')} />
+              <Chart data={[1, { format() {} }]} model={Cart} />
+              <LikeButton>{(count) => count}</LikeButton>
+            </>
+          )
+        }
+      `,
+      filename: pageFilename,
+      errors: [
+        {
+          messageId: 'nonSerializableProp',
+          data: {
+            name: 'onLike',
+            description: 'a function',
+            component: 'LikeButton',
+          },
+        },
+        {
+          messageId: 'nonSerializableProp',
+          data: {
+            name: 'cart',
+            description: 'a Cart instance',
+            component: 'LikeButton',
+          },
+        },
+        {
+          messageId: 'nonSerializableProp',
+          data: {
+            name: 'tracker',
+            description: 'a function',
+            component: 'LikeButton',
+          },
+        },
+        {
+          messageId: 'nonSerializableProp',
+          data: {
+            name: '...',
+            description: 'a function',
+            component: 'LikeButton',
+          },
+        },
+        {
+          messageId: 'nonSerializableProp',
+          data: {
+            name: 'pattern',
+            description: 'a regular expression',
+            component: 'LikeButton',
+          },
+        },
+        {
+          messageId: 'nonSerializableProp',
+          data: {
+            name: 'id',
+            description: 'a symbol',
+            component: 'LikeButton',
+          },
+        },
+        {
+          messageId: 'nonSerializableProp',
+          data: { name: 'data', description: 'a function', component: 'Chart' },
+        },
+        {
+          messageId: 'nonSerializableProp',
+          data: { name: 'model', description: 'a class', component: 'Chart' },
+        },
+        {
+          messageId: 'nonSerializableProp',
+          data: {
+            name: 'children',
+            description: 'a function',
+            component: 'LikeButton',
+          },
+        },
+      ],
+    },
+    {
+      // React 18 cannot serialize Date, Map or Set
+      code: `
+        import Chart from '../ui/Chart'
+        export default function Page() {
+          return <Chart updatedAt={new Date()} />
+        }
+      `,
+      filename: pageFilename,
+      settings: { 'react-x': { version: '18.3.1' } },
+      errors: [
+        {
+          messageId: 'nonSerializableProp',
+          data: {
+            name: 'updatedAt',
+            description: 'a Date instance',
+            component: 'Chart',
+          },
+        },
+      ],
+    },
+  ],
+})
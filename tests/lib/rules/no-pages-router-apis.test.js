@@ -0,0 +1,242 @@
+import { RuleTester } from 'eslint'
+import rule from '../../../lib/rules/no-pages-router-apis.js'
+
+const ruleTester = new RuleTester({
+  languageOptions: {
+    ecmaVersion: 2024,
+    sourceType: 'module',
+    parserOptions: {
+      ecmaFeatures: {
+        jsx: true,
+      },
+    },
+  },
+  settings: { next: { rootDir: '/project' } },
+})
+
+const pageFilename = '/project/app/blog/page.jsx'
+const componentFilename = '/project/src/app/blog/BackButton.jsx'
+const routerAlternative =
+  "use the hooks from 'next/navigation' (useRouter, usePathname, useSearchParams)"
+const fetchAlternative = 'fetch data directly in an async Server Component'
+
+ruleTester.run('no-pages-router-apis', rule, {
+  valid: [
+    {
+      code: `
+        'use client'
+        import { useRouter, usePathname } from 'next/navigation'
+        export function BackButton() {
+          const router = useRouter()
+          return <button type="button" onClick={() => router.back()}>{usePathname()}</button>
+        }
+      `,
+      filename: componentFilename,
+    },
+    {
+      code: `
+        export const metadata = { title: 'Blog' }
+        export async function generateStaticParams() {
+          return []
+        }
+        export default async function Page() {
+          return null
+        }
+      `,
+      filename: pageFilename,
+    },
+    {
+      // The Pages Router itself is not checked
+      code: `
+        import Head from 'next/head'
+        import { useRouter } from 'next/router'
+        export async function getServerSideProps() {
+          return { props: {} }
+        }
+      `,
+      filename: '/project/pages/blog.jsx',
+      settings: { next: { rootDir: '/project' } },
+    },
+  ],
+  invalid: [
+    {
+      code: `'use client'
+import { useRouter } from 'next/router'
+export function BackButton() {
+  const router = useRouter()
+  const { push } = useRouter()
+  useRouter().prefetch('/')
+  const goHome = () => {
+    push(\`/\`)
+  }
+  return <button type="button" onClick={() => router.replace('/back')} onDoubleClick={goHome}>Back</button>
+}
+`,
+      filename: componentFilename,
+      output: `'use client'
+import { useRouter } from 'next/navigation'
+export function BackButton() {
+  const router = useRouter()
+  const { push } = useRouter()
+  useRouter().prefetch('/')
+  const goHome = () => {
+    push(\`/\`)
+  }
+  return <button type="button" onClick={() => router.replace('/back')} onDoubleClick={goHome}>Back</button>
+}
+`,
+      errors: [
+        {
+          messageId: 'pagesRouterModule',
+          data: { source: 'next/router', alternative: routerAlternative },
+        },
+      ],
+    },
+    {
+      // The App Router's push does not accept a URL object
+      code: `
+        import { useRouter } from 'next/router'
+        export function Link() {
+          const router = useRouter()
+          return <a onClick={() => router.push({ pathname: '/blog' })}>Blog</a>
+        }
+      `,
+      filename: componentFilename,
+      output: null,
+      errors: [{ messageId: 'pagesRouterModule' }],
+    },
+    {
+      // The `as` path and options arguments have no App Router equivalent
+      code: `
+        import { useRouter } from 'next/router'
+        export function Link() {
+          const { replace } = useRouter()
+          return (
+            <a onClick={() => replace('/post/[id]', '/post/1', { shallow: true })}>
+              Post
+            </a>
+          )
+        }
+      `,
+      filename: componentFilename,
+      output: null,
+      errors: [{ messageId: 'pagesRouterModule' }],
+    },
+    {
+      // The App Router's push does not return a promise
+      code: `
+        import { useRouter } from 'next/router'
+        export function Link() {
+          const router = useRouter()
+          const open = () => {
+            router.push('/blog').then(() => window.scrollTo(0, 0))
+          }
+          return <a onClick={open}>Blog</a>
+        }
+      `,
+      filename: componentFilename,
+      output: null,
+      errors: [{ messageId: 'pagesRouterModule' }],
+    },
+    {
+      // The result of push is used
+      code: `
+        import { useRouter } from 'next/router'
+        export function Link() {
+          const { push } = useRouter()
+          return <a onClick={() => canLeave() && push('/blog')}>Blog</a>
+        }
+      `,
+      filename: componentFilename,
+      output: null,
+      errors: [{ messageId: 'pagesRouterModule' }],
+    },
+    {
+      // The App Router's router has no `query` or `pathname`
+      code: `
+        import { useRouter } from 'next/router'
+        export function Title() {
+          const router = useRouter()
+          return <h1>{router.query.slug}</h1>
+        }
+      `,
+      filename: componentFilename,
+      output: null,
+      errors: [{ messageId: 'pagesRouterModule' }],
+    },
+    {
+      code: `
+        import Router, { withRouter } from 'next/router'
+        import Head from 'next/head'
+        import { Html } from 'next/document'
+      `,
+      filename: pageFilename,
+      output: null,
+      errors: [
+        {
+          messageId: 'pagesRouterModule',
+          data: { source: 'next/router', alternative: routerAlternative },
+        },
+        {
+          messageId: 'pagesRouterModule',
+          data: {
+            source: 'next/head',
+            alternative:
+              'export `metadata` or `generateMetadata` from a page or layout',
+          },
+        },
+        {
+          messageId: 'pagesRouterModule',
+          data: {
+            source: 'next/document',
+            alternative: 'render <html> and <body> in the root layout',
+          },
+        },
+      ],
+    },
+    {
+      code: `
+        export async function getStaticProps() {
+          return { props: {} }
+        }
+        export const getStaticPaths = async () => ({ paths: [], fallback: false })
+        export { getServerSideProps } from '../lib/data'
+        export default function Page() {
+          return null
+        }
+        Page.getInitialProps = async () => ({})
+        class Legacy {
+          static async getInitialProps() {
+            return {}
+          }
+        }
+      `,
+      filename: pageFilename,
+      errors: [
+        {
+          messageId: 'pagesDataFunction',
+          data: { name: 'getStaticProps', alternative: fetchAlternative },
+        },
+        {
+          messageId: 'pagesDataFunction',
+          data: {
+            name: 'getStaticPaths',
+            alternative: 'export `generateStaticParams` instead',
+          },
+        },
+        {
+          messageId: 'pagesDataFunction',
+          data: { name: 'getServerSideProps', alternative: fetchAlternative },
+        },
+        {
+          messageId: 'pagesDataFunction',
+          data: { name: 'getInitialProps', alternative: fetchAlternative },
+        },
+        {
+          messageId: 'pagesDataFunction',
+          data: { name: 'getInitialProps', alternative: fetchAlternative },
+        },
+      ],
+    },
+  ],
+})
@@ -0,0 +1,177 @@
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { RuleTester } from 'eslint'
+import rule from '../../../lib/rules/no-server-only-in-client.js'
+
+const clientFilename = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '../../fixtures/next-app/app/ui/Profile.jsx',
+)
+
+/**
+ * Resolves a module of the Next.js fixture app.
+ * @param {string} relativePath - Path relative to the fixture root.
+ * @returns {string} Absolute path.
+ */
+const fixturePath = (relativePath) =>
+  path.join(
+    path.dirname(fileURLToPath(import.meta.url)),
+    '../../fixtures/next-app',
+    relativePath,
+  )
+
+const ruleTester = new RuleTester({
+  languageOptions: {
+    ecmaVersion: 2024,
+    sourceType: 'module',
+    parserOptions: {
+      ecmaFeatures: {
+        jsx: true,
+      },
+    },
+  },
+})
+
+ruleTester.run('no-server-only-in-client', rule, {
+  valid: [
+    {
+      code: `
+        'use client'
+        import { formatName } from '../../lib/format'
+        const apiUrl = process.env.NEXT_PUBLIC_API_URL
+        const isDev = process.env.NODE_ENV !== 'production'
+        export const label = formatName({ id: 1 })
+      `,
+      filename: clientFilename,
+    },
+    {
+      code: `
+        'use client'
+        const release = process.env.VERCEL_GIT_COMMIT_SHA
+      `,
+      filename: clientFilename,
+      options: [{ allow: ['VERCEL_GIT_COMMIT_SHA'] }],
+    },
+    {
+      // Server Actions stay on the server; the client only receives references to them
+      code: `
+        'use client'
+        import { refreshUser } from '../../lib/actions'
+      `,
+      filename: clientFilename,
+    },
+    {
+      // Server Components may read any variable and import server-only modules
+      code: `
+        import 'server-only'
+        import { getUser } from '../../lib/db'
+        const secret = process.env.DATABASE_URL
+      `,
+      filename: clientFilename,
+    },
+    {
+      // Imported by a Client Component and by a page, so it also runs on the server
+      code: 'export const siteName = process.env.SITE_NAME',
+      filename: fixturePath('lib/config.js'),
+    },
+    {
+      // Only imported by a 'use server' module
+      code: `
+        import 'server-only'
+        export const connectionString = process.env.DATABASE_URL
+      `,
+      filename: fixturePath('lib/db.js'),
+    },
+    {
+      // Modules that nothing imports are entry points such as scripts
+      code: 'export const token = process.env.GITHUB_TOKEN',
+      filename: fixturePath('lib/format.js'),
+    },
+    {
+      code: `
+        export const endpoint = process.env.NEXT_PUBLIC_ANALYTICS_URL
+        export const isDev = process.env.NODE_ENV !== 'production'
+      `,
+      filename: fixturePath('lib/endpoints.js'),
+    },
+  ],
+  invalid: [
+    {
+      code: `
+        'use client'
+        const secret = process.env.STRIPE_SECRET_KEY
+        const { DATABASE_URL, NEXT_PUBLIC_SITE_NAME } = process.env
+        const token = process.env['API_TOKEN']
+      `,
+      filename: clientFilename,
+      errors: [
+        { messageId: 'serverEnvVar', data: { name: 'STRIPE_SECRET_KEY' } },
+        { messageId: 'serverEnvVar', data: { name: 'DATABASE_URL' } },
+        { messageId: 'serverEnvVar', data: { name: 'API_TOKEN' } },
+      ],
+    },
+    {
+      code: `
+        'use client'
+        import 'server-only'
+        import { getUser } from '../../lib/db'
+      `,
+      filename: clientFilename,
+      errors: [
+        { messageId: 'serverOnlyImport', data: { source: 'server-only' } },
+        { messageId: 'serverOnlyImport', data: { source: '../../lib/db' } },
+      ],
+    },
+    {
+      code: `
+        'use client'
+        import * as serverOnly from 'server-only'
+        export * from '../../lib/db'
+      `,
+      filename: clientFilename,
+      errors: [
+        { messageId: 'serverOnlyImport', data: { source: 'server-only' } },
+        { messageId: 'serverOnlyImport', data: { source: '../../lib/db' } },
+      ],
+    },
+    {
+      // Modules imported by a Client Component are bundled for the client with their imports
+      code: `
+        'use client'
+        import { getProfile } from '../../lib/users'
+      `,
+      filename: clientFilename,
+      errors: [
+        {
+          messageId: 'serverOnlyDependency',
+          data: { source: '../../lib/users', dependency: '../../lib/db.js' },
+        },
+      ],
+    },
+    {
+      // Modules only imported from Client Components, directly or through other modules,
+      // are bundled for the browser too
+      code: `
+        import { endpoint } from './endpoints'
+        const { ANALYTICS_KEY } = process.env
+      `,
+      filename: fixturePath('lib/analytics.js'),
+      errors: [
+        {
+          messageId: 'serverEnvVarInClientModule',
+          data: { name: 'ANALYTICS_KEY', importer: '../app/ui/Tracker.jsx' },
+        },
+      ],
+    },
+    {
+      code: 'export const endpoint = process.env.ANALYTICS_URL',
+      filename: fixturePath('lib/endpoints.js'),
+      errors: [
+        {
+          messageId: 'serverEnvVarInClientModule',
+          data: { name: 'ANALYTICS_URL', importer: '../app/ui/Tracker.jsx' },
+        },
+      ],
+    },
+  ],
+})
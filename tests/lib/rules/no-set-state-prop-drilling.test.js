@@ -292,5 +292,24 @@ ruleTester.run('no-set-state-prop-drilling', rule, {
       options: [{ depth: 2 }],
       errors: [{ messageId: 'noPropDrillSetter' }],
     },
+    // useState through an aliased namespace import from a configured React re-export
+    {
+      code: `
+        import * as R from '@acme/react';
+        function Parent() {
+          const [count, setCount] = R.useState(0);
+          return <Child onClick={setCount} />;
+        }
+        function Child({ onClick }) {
+          return <Grandchild onClick={onClick} />;
+        }
+        function Grandchild({ onClick }) {
+          return <button onClick={onClick}>Click</button>;
+        }
+      `,
+      settings: { 'react-x': { importSource: '@acme/react' } },
+      options: [{ depth: 1 }],
+      errors: [{ messageId: 'noPropDrillSetter' }],
+    },
   ],
 })
@@ -0,0 +1,192 @@
+import { RuleTester } from 'eslint'
+import rule from '../../../lib/rules/no-sync-params-access.js'
+
+const ruleTester = new RuleTester({
+  languageOptions: {
+    ecmaVersion: 2024,
+    sourceType: 'module',
+    parserOptions: {
+      ecmaFeatures: {
+        jsx: true,
+      },
+    },
+  },
+  settings: { next: { rootDir: '/project' } },
+})
+
+const pageFilename = '/project/app/blog/[slug]/page.jsx'
+const layoutFilename = '/project/src/app/shop/[category]/layout.jsx'
+const routeFilename = '/project/app/api/posts/[id]/route.js'
+
+ruleTester.run('no-sync-params-access', rule, {
+  valid: [
+    {
+      code: `
+        export default async function Page({ params, searchParams }) {
+          const { slug } = await params
+          const query = (await searchParams).q
+          return <h1>{slug}{query}</h1>
+        }
+      `,
+      filename: pageFilename,
+    },
+    {
+      code: `
+        'use client'
+        import { use } from 'react'
+        export default function Page({ params }) {
+          const { slug } = use(params)
+          return <h1>{slug}</h1>
+        }
+      `,
+      filename: pageFilename,
+    },
+    {
+      // Passing the Promise along or chaining on it is fine
+      code: `
+        export default function Layout({ children, params }) {
+          params.then(track)
+          return <Shell params={params}>{children}</Shell>
+        }
+      `,
+      filename: layoutFilename,
+    },
+    {
+      // generateStaticParams receives plain objects
+      code: `
+        export async function generateStaticParams({ params }) {
+          return getProducts(params.category)
+        }
+      `,
+      filename: layoutFilename,
+    },
+    {
+      code: `
+        export async function GET(request, { params }) {
+          const { id } = await params
+          return Response.json({ id })
+        }
+      `,
+      filename: routeFilename,
+    },
+    {
+      // Regular components outside App Router conventions are ignored
+      code: `
+        export default function PostCard({ params }) {
+          return <p>{params.slug}</p>
+        }
+      `,
+      filename: '/project/app/blog/PostCard.jsx',
+    },
+  ],
+  invalid: [
+    {
+      code: `
+        export default function Page({ params }) {
+          return <h1>{params.slug}</h1>
+        }
+      `,
+      filename: pageFilename,
+      output: `
+        export default async function Page({ params }) {
+          return <h1>{(await params).slug}</h1>
+        }
+      `,
+      errors: [{ messageId: 'syncParamsAccess', data: { name: 'params' } }],
+    },
+    {
+      code: `
+        const Page = async (props) => {
+          const query = props.searchParams.q
+          return <p>{query}</p>
+        }
+        export default Page
+      `,
+      filename: pageFilename,
+      output: `
+        const Page = async (props) => {
+          const query = (await props.searchParams).q
+          return <p>{query}</p>
+        }
+        export default Page
+      `,
+      errors: [
+        { messageId: 'syncParamsAccess', data: { name: 'searchParams' } },
+      ],
+    },
+    {
+      code: `
+        export async function generateMetadata({ params: routeParams }) {
+          return { title: routeParams['category'] }
+        }
+      `,
+      filename: layoutFilename,
+      output: `
+        export async function generateMetadata({ params: routeParams }) {
+          return { title: (await routeParams)['category'] }
+        }
+      `,
+      errors: [{ messageId: 'syncParamsAccess', data: { name: 'params' } }],
+    },
+    {
+      code: `
+        export async function DELETE(request, context) {
+          await db.post.delete(context.params.id)
+          return new Response(null, { status: 204 })
+        }
+      `,
+      filename: routeFilename,
+      output: `
+        export async function DELETE(request, context) {
+          await db.post.delete((await context.params).id)
+          return new Response(null, { status: 204 })
+        }
+      `,
+      errors: [{ messageId: 'syncParamsAccess', data: { name: 'params' } }],
+    },
+    {
+      // Destructuring cannot be awaited in place, so these are reported without a fix
+      code: `
+        export default function Page({ params: { slug } }) {
+          return <h1>{slug}</h1>
+        }
+        export function generateMetadata(props) {
+          const { params } = props
+          const { slug } = params
+          return { title: slug }
+        }
+      `,
+      filename: pageFilename,
+      output: null,
+      errors: [
+        { messageId: 'syncParamsAccess', data: { name: 'params' } },
+        { messageId: 'syncParamsAccess', data: { name: 'params' } },
+      ],
+    },
+    {
+      // Reads inside nested callbacks or Client Components cannot be awaited by the fix
+      code: `
+        export default function Page({ params }) {
+          const render = () => params.slug
+          return <h1>{render()}</h1>
+        }
+      `,
+      filename: pageFilename,
+      output: null,
+      errors: [{ messageId: 'syncParamsAccess', data: { name: 'params' } }],
+    },
+    {
+      code: `
+        'use client'
+        export default function Page({ searchParams }) {
+          return <p>{searchParams.q}</p>
+        }
+      `,
+      filename: pageFilename,
+      output: null,
+      errors: [
+        { messageId: 'syncParamsAccess', data: { name: 'searchParams' } },
+      ],
+    },
+  ],
+})
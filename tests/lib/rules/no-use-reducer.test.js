@@ -102,6 +102,16 @@ ruleTester.run('no-use-reducer', rule, {
         }
       `,
     },
+
+    // Valid: namespace from a module that is not a configured React source
+    {
+      code: `
+        import * as Store from '@acme/store';
+        function Component() {
+          return Store.useReducer((state) => state, 0);
+        }
+      `,
+    },
   ],
 
   invalid: [
@@ -334,5 +344,30 @@ ruleTester.run('no-use-reducer', rule, {
         },
       ],
     },
+    // Invalid: aliased import from a configured React re-export
+    {
+      code: `
+        import { useReducer as useStore } from '@acme/react';
+        function Component() {
+          return useStore((state) => state, 0);
+        }
+      `,
+      settings: { 'react-x': { importSource: '@acme/react' } },
+      errors: [{ messageId: 'noUseReducer' }, { messageId: 'noUseReducer' }],
+    },
+
+    // Invalid: namespace import from one of several configured sources
+    {
+      code: `
+        import * as Compat from 'preact/compat';
+        function Component() {
+          return Compat.useReducer((state) => state, 0);
+        }
+      `,
+      settings: {
+        'react-x': { importSource: ['@acme/react', 'preact/compat'] },
+      },
+      errors: [{ messageId: 'noUseReducer' }],
+    },
   ],
 })
@@ -0,0 +1,105 @@
+import { RuleTester } from 'eslint'
+import rule from '../../../lib/rules/prefer-next-image.js'
+
+const ruleTester = new RuleTester({
+  languageOptions: {
+    ecmaVersion: 2024,
+    sourceType: 'module',
+    parserOptions: {
+      ecmaFeatures: {
+        jsx: true,
+      },
+    },
+  },
+})
+
+ruleTester.run('prefer-next-image', rule, {
+  valid: [
+    {
+      code: `
+        import Image from 'next/image'
+        const Avatar = () => <Image src="/me.png" alt="" width={64} height={64} />
+      `,
+    },
+    {
+      code: `
+        const Hero = () => (
+          <picture>
+            <source srcSet="/hero-wide.avif" media="(min-width: 800px)" />
+            <img src="/hero.png" alt="" />
+          </picture>
+        )
+      `,
+    },
+    {
+      code: '<Box as="img" src="/a.png" />',
+      settings: { 'react-x': { polymorphicPropName: 'component' } },
+    },
+    {
+      code: '<Box as="div" />',
+      settings: { 'react-x': { polymorphicPropName: 'as' } },
+    },
+  ],
+  invalid: [
+    {
+      code: `
+import { cn } from './cn'
+const Avatar = () => <img className={cn()} src="/me.png" alt="" width={64} height="64" />`,
+      errors: [
+        {
+          messageId: 'preferNextImage',
+          suggestions: [
+            {
+              messageId: 'replaceWithImage',
+              data: { name: 'Image' },
+              output: `
+import { cn } from './cn'
+import Image from 'next/image'
+const Avatar = () => <Image className={cn()} src="/me.png" alt="" width={64} height="64" />`,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: `
+import NextImage from 'next/image'
+const Logo = () => <img src="/logo.svg" alt="Logo" width={120} height={40}></img>`,
+      errors: [
+        {
+          messageId: 'preferNextImage',
+          suggestions: [
+            {
+              messageId: 'replaceWithImage',
+              data: { name: 'NextImage' },
+              output: `
+import NextImage from 'next/image'
+const Logo = () => <NextImage src="/logo.svg" alt="Logo" width={120} height={40}></NextImage>`,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      // Image requires a size, so there is nothing to carry over
+      code: 'const Photo = ({ src }) => <img src={src} alt="" />',
+      errors: [{ messageId: 'preferNextImage', suggestions: [] }],
+    },
+    {
+      code: 'const Photo = ({ size }) => <img src="/a.png" alt="" width={size} height={size} />',
+      errors: [{ messageId: 'preferNextImage', suggestions: [] }],
+    },
+    {
+      code: `
+        import { Image } from './icons'
+        const Photo = () => <img src="/a.png" alt="" width={10} height={10} />
+      `,
+      errors: [{ messageId: 'preferNextImage', suggestions: [] }],
+    },
+    {
+      code: '<Box as="img" src="/a.png" alt="" width={10} height={10} />',
+      settings: { 'react-x': { polymorphicPropName: 'as' } },
+      errors: [{ messageId: 'preferNextImage', suggestions: [] }],
+    },
+  ],
+})
@@ -0,0 +1,182 @@
+import { RuleTester } from 'eslint'
+import rule from '../../../lib/rules/prefer-next-link.js'
+
+const ruleTester = new RuleTester({
+  languageOptions: {
+    ecmaVersion: 2024,
+    sourceType: 'module',
+    parserOptions: {
+      ecmaFeatures: {
+        jsx: true,
+      },
+    },
+  },
+})
+
+ruleTester.run('prefer-next-link', rule, {
+  valid: [
+    {
+      code: `
+        import Link from 'next/link'
+        const Nav = () => <Link href="/dashboard">Dashboard</Link>
+      `,
+    },
+    {
+      code: `
+        const Footer = () => (
+          <footer>
+            <a href="https://nextjs.org">Next.js</a>
+            <a href="//cdn.example.com/docs">Docs</a>
+            <a href="#top">Top</a>
+            <a href="mailto:team@example.com">Mail</a>
+            <a href={url}>Dynamic</a>
+          </footer>
+        )
+      `,
+    },
+    {
+      code: `
+        const Downloads = () => (
+          <>
+            <a href="/reports/2024.pdf">Report</a>
+            <a href="/feed.xml?format=rss">Feed</a>
+            <a href="/export" download>Export</a>
+            <a href="/api/export?format=csv">CSV</a>
+            <a href="/api">API</a>
+          </>
+        )
+      `,
+    },
+    {
+      code: `
+        import Link from 'next/link'
+        const Nav = () => (
+          <Link href="/about" passHref>
+            <a href="/about">About</a>
+          </Link>
+        )
+      `,
+    },
+    {
+      code: '<Box as="a" href="/about" />',
+      settings: { 'react-x': { polymorphicPropName: 'component' } },
+    },
+    {
+      // Only static href attributes written on the element are checked
+      code: `
+        const props = { href: '/settings' }
+        const Nav = () => <a {...props}>Settings</a>
+      `,
+    },
+  ],
+  invalid: [
+    {
+      code: `'use client'
+const Nav = () => <a href="/dashboard?tab=usage" className="nav">Dashboard</a>`,
+      errors: [
+        {
+          messageId: 'preferNextLink',
+          data: { href: '/dashboard?tab=usage' },
+          suggestions: [
+            {
+              messageId: 'replaceWithLink',
+              data: { name: 'Link' },
+              output: `'use client'
+import Link from 'next/link'
+const Nav = () => <Link href="/dashboard?tab=usage" className="nav">Dashboard</Link>`,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: `
+import NextLink from 'next/link'
+const Nav = () => <a href="/">Home</a>`,
+      errors: [
+        {
+          messageId: 'preferNextLink',
+          data: { href: '/' },
+          suggestions: [
+            {
+              messageId: 'replaceWithLink',
+              data: { name: 'NextLink' },
+              output: `
+import NextLink from 'next/link'
+const Nav = () => <NextLink href="/">Home</NextLink>`,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: `const Nav = () => (
+  <nav>
+    <a href="/blog">Blog</a>
+    <a href="/about">About</a>
+  </nav>
+)`,
+      errors: [
+        {
+          messageId: 'preferNextLink',
+          data: { href: '/blog' },
+          suggestions: [
+            {
+              messageId: 'replaceWithLink',
+              output: `import Link from 'next/link'
+const Nav = () => (
+  <nav>
+    <Link href="/blog">Blog</Link>
+    <a href="/about">About</a>
+  </nav>
+)`,
+            },
+          ],
+        },
+        {
+          messageId: 'preferNextLink',
+          data: { href: '/about' },
+          suggestions: [
+            {
+              messageId: 'replaceWithLink',
+              output: `import Link from 'next/link'
+const Nav = () => (
+  <nav>
+    <a href="/blog">Blog</a>
+    <Link href="/about">About</Link>
+  </nav>
+)`,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      // Anchors that ask for browser navigation are reported without a suggestion
+      code: `
+        const Nav = () => (
+          <nav>
+            <a href="/help" target="_blank">Help</a>
+            <a href="/legacy" rel="noopener external">Legacy</a>
+          </nav>
+        )
+      `,
+      errors: [
+        { messageId: 'preferNextLink', suggestions: [] },
+        { messageId: 'preferNextLink', suggestions: [] },
+      ],
+    },
+    {
+      code: `
+        const Link = ({ children }) => <span>{children}</span>
+        const Nav = () => <a href="/about">About</a>
+      `,
+      errors: [{ messageId: 'preferNextLink', suggestions: [] }],
+    },
+    {
+      code: '<Box as="a" href="/about">About</Box>',
+      settings: { 'react-x': { polymorphicPropName: 'as' } },
+      errors: [{ messageId: 'preferNextLink', suggestions: [] }],
+    },
+  ],
+})
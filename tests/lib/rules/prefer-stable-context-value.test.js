@@ -83,28 +83,28 @@ ruleTester.run('prefer-stable-context-value', rule, {
         const Ctx = React.createContext(null);
         const App = () => <Ctx.Provider value={{ a: 1 }}><div/></Ctx.Provider>;
       `,
-      errors: [{ messageId: 'preferStable' }],
+      errors: [{ messageId: 'preferStable', suggestions: [] }],
     },
     {
       code: `
         const Ctx = React.createContext(null);
         const App = () => <Ctx.Provider value={[1,2]}><div/></Ctx.Provider>;
       `,
-      errors: [{ messageId: 'preferStable' }],
+      errors: [{ messageId: 'preferStable', suggestions: [] }],
     },
     {
       code: `
         const Ctx = React.createContext(null);
         const App = () => <Ctx.Provider value={() => {}}><div/></Ctx.Provider>;
       `,
-      errors: [{ messageId: 'preferStable' }],
+      errors: [{ messageId: 'preferStable', suggestions: [] }],
     },
     {
       code: `
         const Ctx = React.createContext(null);
         const App = () => <Ctx.Provider value={function build() { return {}; }}><div/></Ctx.Provider>;
       `,
-      errors: [{ messageId: 'preferStable' }],
+      errors: [{ messageId: 'preferStable', suggestions: [] }],
     },
     {
       code: `
@@ -114,7 +114,26 @@ ruleTester.run('prefer-stable-context-value', rule, {
           return <Ctx.Provider value={{ ...base, theme: 'dark' }}><div/></Ctx.Provider>;
         }
       `,
-      errors: [{ messageId: 'preferStable' }],
+      errors: [
+        {
+          messageId: 'preferStable',
+          suggestions: [
+            {
+              messageId: 'extractToUseMemo',
+              data: { name: 'contextValue', dependencies: '' },
+              output: `
+        import { useMemo } from 'react'
+const base = { lang: 'en' };
+        const Ctx = React.createContext(null);
+        function App() {
+          const contextValue = useMemo(() => ({ ...base, theme: 'dark' }), []);
+          return <Ctx.Provider value={contextValue}><div/></Ctx.Provider>;
+        }
+      `,
+            },
+          ],
+        },
+      ],
     },
     {
       code: `
@@ -131,8 +150,54 @@ ruleTester.run('prefer-stable-context-value', rule, {
         }
       `,
       errors: [
-        { messageId: 'preferStable' },
-        { messageId: 'preferStable' },
+        {
+          messageId: 'preferStable',
+          suggestions: [
+            {
+              messageId: 'extractToUseMemo',
+              data: { name: 'contextValue', dependencies: '' },
+              output: `
+        import { useMemo } from 'react'
+const ThemeCtx = React.createContext(null);
+        const LocaleCtx = React.createContext(null);
+        function Shell() {
+          const contextValue = useMemo(() => ({ palette: 'blue' }), []);
+          return (
+            <ThemeCtx.Provider value={contextValue}>
+              <LocaleCtx.Provider value={['en', 'US']}>
+                <div />
+              </LocaleCtx.Provider>
+            </ThemeCtx.Provider>
+          );
+        }
+      `,
+            },
+          ],
+        },
+        {
+          messageId: 'preferStable',
+          suggestions: [
+            {
+              messageId: 'extractToUseMemo',
+              data: { name: 'contextValue', dependencies: '' },
+              output: `
+        import { useMemo } from 'react'
+const ThemeCtx = React.createContext(null);
+        const LocaleCtx = React.createContext(null);
+        function Shell() {
+          const contextValue = useMemo(() => ['en', 'US'], []);
+          return (
+            <ThemeCtx.Provider value={{ palette: 'blue' }}>
+              <LocaleCtx.Provider value={contextValue}>
+                <div />
+              </LocaleCtx.Provider>
+            </ThemeCtx.Provider>
+          );
+        }
+      `,
+            },
+          ],
+        },
       ],
     },
     {
@@ -142,7 +207,54 @@ ruleTester.run('prefer-stable-context-value', rule, {
           return <ConfigCtx.Provider value={() => ({ retries: 1 })}><div/></ConfigCtx.Provider>;
         }
       `,
-      errors: [{ messageId: 'preferStable' }],
+      errors: [
+        {
+          messageId: 'preferStable',
+          suggestions: [
+            {
+              messageId: 'extractToUseCallback',
+              data: { name: 'contextValue', dependencies: '' },
+              output: `
+        import { useCallback } from 'react'
+const ConfigCtx = React.createContext(null);
+        function App() {
+          const contextValue = useCallback(() => ({ retries: 1 }), []);
+          return <ConfigCtx.Provider value={contextValue}><div/></ConfigCtx.Provider>;
+        }
+      `,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      // useState setters are stable, so only the state is a dependency
+      code: `
+import { createContext, useState } from 'react'
+const UserContext = createContext(null)
+export function UserProvider({ children }) {
+  const [user, setUser] = useState(null)
+  return <UserContext.Provider value={{ user, setUser }}>{children}</UserContext.Provider>
+}`,
+      errors: [
+        {
+          messageId: 'preferStable',
+          suggestions: [
+            {
+              messageId: 'extractToUseMemo',
+              data: { name: 'contextValue', dependencies: 'user' },
+              output: `
+import { useMemo, createContext, useState } from 'react'
+const UserContext = createContext(null)
+export function UserProvider({ children }) {
+  const [user, setUser] = useState(null)
+  const contextValue = useMemo(() => ({ user, setUser }), [user])
+  return <UserContext.Provider value={contextValue}>{children}</UserContext.Provider>
+}`,
+            },
+          ],
+        },
+      ],
     },
   ],
 })
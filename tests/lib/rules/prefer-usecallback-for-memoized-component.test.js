@@ -1,6 +1,13 @@
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
 import { RuleTester } from 'eslint'
 import rule from '../../../lib/rules/prefer-usecallback-for-memoized-component.js'
 
+const crossFileFilename = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '../../fixtures/memo-registry/src/App.jsx',
+)
+
 const ruleTester = new RuleTester({
   languageOptions: {
     ecmaVersion: 2024,
@@ -104,6 +111,35 @@ ruleTester.run('prefer-usecallback-for-memoized-component', rule, {
         }
       `,
     },
+    {
+      code: `
+        import { memo } from '@acme/utils';
+        const MemoItem = memo(() => null);
+        function Parent() {
+          return <MemoItem onHover={() => {}} />;
+        }
+      `,
+    },
+    {
+      code: `
+        import { PlainButton } from './components/MemoButton';
+        function Parent() {
+          return <PlainButton onClick={() => {}} />;
+        }
+      `,
+      filename: crossFileFilename,
+      options: [{ followImports: true }],
+    },
+    {
+      // Imported components are only followed when the option is enabled
+      code: `
+        import { MemoButton } from './components/MemoButton';
+        function Parent() {
+          return <MemoButton onClick={() => {}} />;
+        }
+      `,
+      filename: crossFileFilename,
+    },
   ],
   invalid: [
     {
@@ -114,7 +150,25 @@ ruleTester.run('prefer-usecallback-for-memoized-component', rule, {
           return <MemoItem onClick={() => console.log('click')} />;
         }
       `,
-      errors: [{ messageId: 'inlineFunction' }],
+      errors: [
+        {
+          messageId: 'inlineFunction',
+          suggestions: [
+            {
+              messageId: 'extractToUseCallback',
+              data: { name: 'handleClick', dependencies: '' },
+              output: `
+        import { useCallback, memo } from 'react';
+        const MemoItem = memo(() => null);
+        function Parent() {
+          const handleClick = useCallback(() => console.log('click'), []);
+          return <MemoItem onClick={handleClick} />;
+        }
+      `,
+            },
+          ],
+        },
+      ],
     },
     {
       code: `
@@ -125,7 +179,25 @@ ruleTester.run('prefer-usecallback-for-memoized-component', rule, {
           return <MemoItem onClick={handle} />;
         }
       `,
-      errors: [{ messageId: 'unstableReference' }],
+      errors: [
+        {
+          messageId: 'unstableReference',
+          suggestions: [
+            {
+              messageId: 'wrapInUseCallback',
+              data: { functionName: 'handle', dependencies: '' },
+              output: `
+        import { useCallback, memo } from 'react';
+        const MemoItem = memo(() => null);
+        function Parent() {
+          const handle = useCallback(function handle() {}, []);
+          return <MemoItem onClick={handle} />;
+        }
+      `,
+            },
+          ],
+        },
+      ],
     },
     {
       code: `
@@ -136,7 +208,25 @@ ruleTester.run('prefer-usecallback-for-memoized-component', rule, {
           return <MemoItem onClick={handle} />;
         }
       `,
-      errors: [{ messageId: 'unstableReference' }],
+      errors: [
+        {
+          messageId: 'unstableReference',
+          suggestions: [
+            {
+              messageId: 'wrapInUseCallback',
+              data: { functionName: 'handle', dependencies: '' },
+              output: `
+        import { useCallback, memo } from 'react';
+        const MemoItem = memo(() => null);
+        function Parent() {
+          const handle = useCallback(() => {}, []);
+          return <MemoItem onClick={handle} />;
+        }
+      `,
+            },
+          ],
+        },
+      ],
     },
     {
       code: `
@@ -146,7 +236,25 @@ ruleTester.run('prefer-usecallback-for-memoized-component', rule, {
           return React.createElement(MemoItem, { onClick: () => console.log('inline') });
         }
       `,
-      errors: [{ messageId: 'inlineFunction' }],
+      errors: [
+        {
+          messageId: 'inlineFunction',
+          suggestions: [
+            {
+              messageId: 'extractToUseCallback',
+              data: { name: 'handleClick', dependencies: '' },
+              output: `
+        import * as React from 'react';
+        const MemoItem = React.memo(() => null);
+        function Parent() {
+          const handleClick = React.useCallback(() => console.log('inline'), []);
+          return React.createElement(MemoItem, { onClick: handleClick });
+        }
+      `,
+            },
+          ],
+        },
+      ],
     },
     {
       code: `
@@ -158,7 +266,26 @@ ruleTester.run('prefer-usecallback-for-memoized-component', rule, {
           return <MemoItem onClick={handle} />;
         }
       `,
-      errors: [{ messageId: 'unstableReference' }],
+      errors: [
+        {
+          messageId: 'unstableReference',
+          suggestions: [
+            {
+              messageId: 'wrapInUseCallback',
+              data: { functionName: 'handle', dependencies: '' },
+              output: `
+        import React from 'react';
+        const memoize = React.memo;
+        const MemoItem = memoize(() => null);
+        function Parent() {
+          const handle = React.useCallback(() => {}, []);
+          return <MemoItem onClick={handle} />;
+        }
+      `,
+            },
+          ],
+        },
+      ],
     },
     {
       code: `
@@ -168,7 +295,25 @@ ruleTester.run('prefer-usecallback-for-memoized-component', rule, {
           return <MemoItem onHover={() => {}} />;
         }
       `,
-      errors: [{ messageId: 'inlineFunction' }],
+      errors: [
+        {
+          messageId: 'inlineFunction',
+          suggestions: [
+            {
+              messageId: 'extractToUseCallback',
+              data: { name: 'handleHover', dependencies: '' },
+              output: `
+        import { useCallback, memo as memoize } from 'react';
+        const MemoItem = memoize(() => null);
+        function Parent() {
+          const handleHover = useCallback(() => {}, []);
+          return <MemoItem onHover={handleHover} />;
+        }
+      `,
+            },
+          ],
+        },
+      ],
     },
     {
       code: `
@@ -180,7 +325,26 @@ ruleTester.run('prefer-usecallback-for-memoized-component', rule, {
           return <MemoItem onClick={handle} />;
         }
       `,
-      errors: [{ messageId: 'unstableReference' }],
+      errors: [
+        {
+          messageId: 'unstableReference',
+          suggestions: [
+            {
+              messageId: 'wrapInUseCallback',
+              data: { functionName: 'handle', dependencies: '' },
+              output: `
+        import { useCallback, memo } from 'react';
+        let MemoItem;
+        MemoItem = memo(() => null);
+        function Parent() {
+          const handle = useCallback(() => {}, []);
+          return <MemoItem onClick={handle} />;
+        }
+      `,
+            },
+          ],
+        },
+      ],
     },
     {
       code: `
@@ -191,7 +355,171 @@ ruleTester.run('prefer-usecallback-for-memoized-component', rule, {
           return React.createElement(MemoItem, { onClick: handle });
         }
       `,
-      errors: [{ messageId: 'unstableReference' }],
+      errors: [
+        {
+          messageId: 'unstableReference',
+          suggestions: [
+            {
+              messageId: 'wrapInUseCallback',
+              data: { functionName: 'handle', dependencies: '' },
+              output: `
+        const React = require('react');
+        const MemoItem = React.memo(() => null);
+        function Parent() {
+          const handle = React.useCallback(() => {}, []);
+          return React.createElement(MemoItem, { onClick: handle });
+        }
+      `,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: `
+        import { memo as memoize } from '@acme/react';
+        const MemoItem = memoize(() => null);
+        function Parent() {
+          return <MemoItem onHover={() => {}} />;
+        }
+      `,
+      settings: { 'react-x': { importSource: '@acme/react' } },
+      errors: [
+        {
+          messageId: 'inlineFunction',
+          suggestions: [
+            {
+              messageId: 'extractToUseCallback',
+              data: { name: 'handleHover', dependencies: '' },
+              output: `
+        import { useCallback, memo as memoize } from '@acme/react';
+        const MemoItem = memoize(() => null);
+        function Parent() {
+          const handleHover = useCallback(() => {}, []);
+          return <MemoItem onHover={handleHover} />;
+        }
+      `,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: `
+        const Compat = require('preact/compat');
+        const { memo } = Compat;
+        const MemoItem = memo(() => null);
+        function Parent() {
+          return Compat.createElement(MemoItem, { onClick: () => {} });
+        }
+      `,
+      settings: { 'react-x': { importSource: ['preact/compat'] } },
+      errors: [
+        {
+          messageId: 'inlineFunction',
+          suggestions: [
+            {
+              messageId: 'extractToUseCallback',
+              data: { name: 'handleClick', dependencies: '' },
+              output: `
+        const Compat = require('preact/compat');
+        const { memo } = Compat;
+        const MemoItem = memo(() => null);
+        function Parent() {
+          const handleClick = Compat.useCallback(() => {}, []);
+          return Compat.createElement(MemoItem, { onClick: handleClick });
+        }
+      `,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: `
+        import { MemoButton } from './components/MemoButton';
+        function Parent() {
+          return <MemoButton onClick={() => {}} />;
+        }
+      `,
+      filename: crossFileFilename,
+      options: [{ followImports: true }],
+      errors: [
+        {
+          messageId: 'inlineFunction',
+          suggestions: [
+            {
+              messageId: 'extractToUseCallback',
+              data: { name: 'handleClick', dependencies: '' },
+              output: `
+        import { MemoButton } from './components/MemoButton';
+import { useCallback } from 'react'
+        function Parent() {
+          const handleClick = useCallback(() => {}, []);
+          return <MemoButton onClick={handleClick} />;
+        }
+      `,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: `
+        import { MemoButton as Button } from '@/components';
+        function Parent() {
+          const handle = () => {};
+          return <Button onClick={handle} />;
+        }
+      `,
+      filename: crossFileFilename,
+      options: [{ followImports: true }],
+      errors: [
+        {
+          messageId: 'unstableReference',
+          suggestions: [
+            {
+              messageId: 'wrapInUseCallback',
+              data: { functionName: 'handle', dependencies: '' },
+              output: `
+        import { MemoButton as Button } from '@/components';
+import { useCallback } from 'react'
+        function Parent() {
+          const handle = useCallback(() => {}, []);
+          return <Button onClick={handle} />;
+        }
+      `,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      // Hooks are declared in components defined inside memo() as well
+      code: `
+import { memo } from 'react'
+const MemoRow = memo(() => null)
+const List = memo(({ id, onSelect }) => {
+  return <MemoRow onSelect={() => onSelect(id)} />
+})`,
+      errors: [
+        {
+          messageId: 'inlineFunction',
+          suggestions: [
+            {
+              messageId: 'extractToUseCallback',
+              data: { name: 'handleSelect', dependencies: 'onSelect, id' },
+              output: `
+import { useCallback, memo } from 'react'
+const MemoRow = memo(() => null)
+const List = memo(({ id, onSelect }) => {
+  const handleSelect = useCallback(() => onSelect(id), [onSelect, id])
+  return <MemoRow onSelect={handleSelect} />
+})`,
+            },
+          ],
+        },
+      ],
     },
   ],
 })
@@ -75,7 +75,25 @@ ruleTester.run('prefer-usecallback-might-work', rule, {
           return <Button onClick={() => console.log('click')} />;
         }
       `,
-      errors: [{ messageId: 'inlineFunction' }],
+      errors: [
+        {
+          messageId: 'inlineFunction',
+          suggestions: [
+            {
+              messageId: 'extractToUseCallback',
+              data: { name: 'handleClick', dependencies: '' },
+              output: `
+        import { useCallback } from 'react'
+const Button = ({ onClick }) => <button onClick={onClick} />;
+        function Screen() {
+          const handleClick = useCallback(() => console.log('click'), []);
+          return <Button onClick={handleClick} />;
+        }
+      `,
+            },
+          ],
+        },
+      ],
     },
     {
       code: `
@@ -85,7 +103,25 @@ ruleTester.run('prefer-usecallback-might-work', rule, {
           return <Button onClick={handle} />;
         }
       `,
-      errors: [{ messageId: 'unstableReference' }],
+      errors: [
+        {
+          messageId: 'unstableReference',
+          suggestions: [
+            {
+              messageId: 'wrapInUseCallback',
+              data: { functionName: 'handle', dependencies: '' },
+              output: `
+        import { useCallback } from 'react'
+const Button = ({ onClick }) => <button onClick={onClick} />;
+        function Screen() {
+          const handle = useCallback(function handle() {}, []);
+          return <Button onClick={handle} />;
+        }
+      `,
+            },
+          ],
+        },
+      ],
     },
     {
       code: `
@@ -96,7 +132,25 @@ ruleTester.run('prefer-usecallback-might-work', rule, {
           return React.createElement(Button, { onClick: handle });
         }
       `,
-      errors: [{ messageId: 'unstableReference' }],
+      errors: [
+        {
+          messageId: 'unstableReference',
+          suggestions: [
+            {
+              messageId: 'wrapInUseCallback',
+              data: { functionName: 'handle', dependencies: '' },
+              output: `
+        import React from 'react';
+        const Button = ({ onClick }) => <button onClick={onClick} />;
+        function Screen() {
+          const handle = React.useCallback(() => {}, []);
+          return React.createElement(Button, { onClick: handle });
+        }
+      `,
+            },
+          ],
+        },
+      ],
     },
     {
       code: `
@@ -108,7 +162,176 @@ ruleTester.run('prefer-usecallback-might-work', rule, {
           return <Wrapper onClick={handle} />;
         }
       `,
-      errors: [{ messageId: 'unstableReference' }],
+      errors: [
+        {
+          messageId: 'unstableReference',
+          suggestions: [
+            {
+              messageId: 'wrapInUseCallback',
+              data: { functionName: 'handle', dependencies: '' },
+              output: `
+        import { useCallback, memo } from 'react';
+        const Button = ({ onClick }) => <button onClick={onClick} />;
+        const Wrapper = memo(Button);
+        function Screen() {
+          const handle = useCallback(() => {}, []);
+          return <Wrapper onClick={handle} />;
+        }
+      `,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      // State setters and refs are stable, so they are left out of the dependencies
+      code: `
+import { useRef, useState } from 'react'
+function Counter({ id, onSave }) {
+  const [count, setCount] = useState(0)
+  const inputRef = useRef(null)
+  return <Button onClick={() => { setCount(count + 1); onSave(id, inputRef.current) }} />
+}`,
+      errors: [
+        {
+          messageId: 'inlineFunction',
+          suggestions: [
+            {
+              messageId: 'extractToUseCallback',
+              data: { name: 'handleClick', dependencies: 'count, onSave, id' },
+              output: `
+import { useCallback, useRef, useState } from 'react'
+function Counter({ id, onSave }) {
+  const [count, setCount] = useState(0)
+  const inputRef = useRef(null)
+  const handleClick = useCallback(() => { setCount(count + 1); onSave(id, inputRef.current) }, [count, onSave, id])
+  return <Button onClick={handleClick} />
+}`,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      // Hooks called through a namespace from a configured import source are recognized too
+      code: `
+import * as R from '@acme/react'
+function Counter({ onSave }) {
+  const [count, setCount] = R.useState(0)
+  const inputRef = R.useRef(null)
+  return <Button onClick={() => { setCount(count + 1); onSave(inputRef.current) }} />
+}`,
+      settings: { 'react-x': { importSource: '@acme/react' } },
+      errors: [
+        {
+          messageId: 'inlineFunction',
+          suggestions: [
+            {
+              messageId: 'extractToUseCallback',
+              data: { name: 'handleClick', dependencies: 'count, onSave' },
+              output: `
+import * as R from '@acme/react'
+function Counter({ onSave }) {
+  const [count, setCount] = R.useState(0)
+  const inputRef = R.useRef(null)
+  const handleClick = R.useCallback(() => { setCount(count + 1); onSave(inputRef.current) }, [count, onSave])
+  return <Button onClick={handleClick} />
+}`,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      // A useState from another module does not return a stable setter
+      code: `
+import { useState } from './store'
+function Counter() {
+  const [count, setCount] = useState(0)
+  return <Button onClick={() => setCount(count + 1)} />
+}`,
+      errors: [
+        {
+          messageId: 'inlineFunction',
+          suggestions: [
+            {
+              messageId: 'extractToUseCallback',
+              data: { name: 'handleClick', dependencies: 'setCount, count' },
+              output: `
+import { useState } from './store'
+import { useCallback } from 'react'
+function Counter() {
+  const [count, setCount] = useState(0)
+  const handleClick = useCallback(() => setCount(count + 1), [setCount, count])
+  return <Button onClick={handleClick} />
+}`,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: `
+import { useCallback as useStableCallback } from 'react'
+const Search = ({ query, search }) => {
+  const handleChange = query.trim()
+  return <Input value={query} onChange={(event) => search(event.target.value, handleChange)} renderIcon={() => <Icon />} />
+}`,
+      errors: [
+        {
+          messageId: 'inlineFunction',
+          suggestions: [
+            {
+              messageId: 'extractToUseCallback',
+              data: {
+                name: 'handleChange2',
+                dependencies: 'search, handleChange',
+              },
+              output: `
+import { useCallback as useStableCallback } from 'react'
+const Search = ({ query, search }) => {
+  const handleChange = query.trim()
+  const handleChange2 = useStableCallback((event) => search(event.target.value, handleChange), [search, handleChange])
+  return <Input value={query} onChange={handleChange2} renderIcon={() => <Icon />} />
+}`,
+            },
+          ],
+        },
+        {
+          messageId: 'inlineFunction',
+          suggestions: [
+            {
+              messageId: 'extractToUseCallback',
+              data: { name: 'renderIcon', dependencies: '' },
+              output: `
+import { useCallback as useStableCallback } from 'react'
+const Search = ({ query, search }) => {
+  const handleChange = query.trim()
+  const renderIcon = useStableCallback(() => <Icon />, [])
+  return <Input value={query} onChange={(event) => search(event.target.value, handleChange)} renderIcon={renderIcon} />
+}`,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      // Hooks cannot be declared after an early return or inside a callback
+      code: `
+        function List({ items, select }) {
+          if (!items) return null;
+          return items.map((item) => <Row key={item.id} onClick={() => select(item)} />);
+        }
+        function Form({ save }) {
+          let handleSubmit = () => save();
+          if (!save) handleSubmit = null;
+          return <Fields onSubmit={handleSubmit} />;
+        }
+      `,
+      errors: [
+        { messageId: 'inlineFunction', suggestions: [] },
+        { messageId: 'unstableReference', suggestions: [] },
+      ],
     },
   ],
 })
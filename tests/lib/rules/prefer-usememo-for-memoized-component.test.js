@@ -1,6 +1,13 @@
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
 import { RuleTester } from 'eslint'
 import rule from '../../../lib/rules/prefer-usememo-for-memoized-component.js'
 
+const crossFileFilename = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '../../fixtures/memo-registry/src/App.jsx',
+)
+
 const ruleTester = new RuleTester({
   languageOptions: {
     ecmaVersion: 2024,
@@ -54,6 +61,16 @@ ruleTester.run('prefer-usememo-for-memoized-component', rule, {
         }
       `,
     },
+    {
+      code: `
+        import { PlainButton } from '@/components';
+        function Screen() {
+          return <PlainButton options={{ size: 'lg' }} />;
+        }
+      `,
+      filename: crossFileFilename,
+      options: [{ followImports: true }],
+    },
   ],
   invalid: [
     {
@@ -64,7 +81,25 @@ ruleTester.run('prefer-usememo-for-memoized-component', rule, {
           return <MemoList data={{ foo: 'bar' }} />;
         }
       `,
-      errors: [{ messageId: 'inlineValue' }],
+      errors: [
+        {
+          messageId: 'inlineValue',
+          suggestions: [
+            {
+              messageId: 'extractToUseMemo',
+              data: { name: 'data', dependencies: '' },
+              output: `
+        import { useMemo, memo } from 'react';
+        const MemoList = memo(() => null);
+        function Screen() {
+          const data = useMemo(() => ({ foo: 'bar' }), []);
+          return <MemoList data={data} />;
+        }
+      `,
+            },
+          ],
+        },
+      ],
     },
     {
       code: `
@@ -75,7 +110,25 @@ ruleTester.run('prefer-usememo-for-memoized-component', rule, {
           return <MemoList data={value} />;
         }
       `,
-      errors: [{ messageId: 'unstableReference' }],
+      errors: [
+        {
+          messageId: 'unstableReference',
+          suggestions: [
+            {
+              messageId: 'wrapInUseMemo',
+              data: { valueName: 'value', dependencies: '' },
+              output: `
+        import { useMemo, memo } from 'react';
+        const MemoList = memo(() => null);
+        function Screen() {
+          const value = useMemo(() => ({ foo: 'bar' }), []);
+          return <MemoList data={value} />;
+        }
+      `,
+            },
+          ],
+        },
+      ],
     },
     {
       code: `
@@ -86,7 +139,25 @@ ruleTester.run('prefer-usememo-for-memoized-component', rule, {
           return React.createElement(MemoList, { options });
         }
       `,
-      errors: [{ messageId: 'unstableReference' }],
+      errors: [
+        {
+          messageId: 'unstableReference',
+          suggestions: [
+            {
+              messageId: 'wrapInUseMemo',
+              data: { valueName: 'options', dependencies: 'props' },
+              output: `
+        import React, { memo } from 'react';
+        const MemoList = memo(() => null);
+        function Screen(props) {
+          const options = React.useMemo(() => ({ foo: props.foo }), [props]);
+          return React.createElement(MemoList, { options });
+        }
+      `,
+            },
+          ],
+        },
+      ],
     },
     {
       code: `
@@ -96,7 +167,84 @@ ruleTester.run('prefer-usememo-for-memoized-component', rule, {
           return <MemoList config={[1, 2, 3]} />;
         }
       `,
-      errors: [{ messageId: 'inlineValue' }],
+      errors: [
+        {
+          messageId: 'inlineValue',
+          suggestions: [
+            {
+              messageId: 'extractToUseMemo',
+              data: { name: 'config', dependencies: '' },
+              output: `
+        import { useMemo, memo } from 'react';
+        const MemoList = memo(() => null);
+        function Screen() {
+          const config = useMemo(() => [1, 2, 3], []);
+          return <MemoList config={config} />;
+        }
+      `,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: `
+        import { Card } from '@/components';
+        function Screen() {
+          return <Card style={{ color: 'red' }} />;
+        }
+      `,
+      filename: crossFileFilename,
+      options: [{ followImports: true }],
+      errors: [
+        {
+          messageId: 'inlineValue',
+          suggestions: [
+            {
+              messageId: 'extractToUseMemo',
+              data: { name: 'style', dependencies: '' },
+              output: `
+        import { Card } from '@/components';
+import { useMemo } from 'react'
+        function Screen() {
+          const style = useMemo(() => ({ color: 'red' }), []);
+          return <Card style={style} />;
+        }
+      `,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: `
+        import Card from './components/Card';
+        function Screen() {
+          const style = { color: 'red' };
+          return <Card style={style} />;
+        }
+      `,
+      filename: crossFileFilename,
+      options: [{ followImports: true }],
+      errors: [
+        {
+          messageId: 'unstableReference',
+          suggestions: [
+            {
+              messageId: 'wrapInUseMemo',
+              data: { valueName: 'style', dependencies: '' },
+              output: `
+        import Card from './components/Card';
+import { useMemo } from 'react'
+        function Screen() {
+          const style = useMemo(() => ({ color: 'red' }), []);
+          return <Card style={style} />;
+        }
+      `,
+            },
+          ],
+        },
+      ],
     },
   ],
 })
@@ -52,7 +52,25 @@ ruleTester.run('prefer-usememo-might-work', rule, {
           return <Panel style={{ color: 'red' }} />;
         }
       `,
-      errors: [{ messageId: 'inlineValue' }],
+      errors: [
+        {
+          messageId: 'inlineValue',
+          suggestions: [
+            {
+              messageId: 'extractToUseMemo',
+              data: { name: 'style', dependencies: '' },
+              output: `
+        import { useMemo } from 'react'
+const Panel = ({ style }) => <section style={style} />;
+        function Screen() {
+          const style = useMemo(() => ({ color: 'red' }), []);
+          return <Panel style={style} />;
+        }
+      `,
+            },
+          ],
+        },
+      ],
     },
     {
       code: `
@@ -62,7 +80,25 @@ ruleTester.run('prefer-usememo-might-work', rule, {
           return <Panel style={style} />;
         }
       `,
-      errors: [{ messageId: 'unstableReference' }],
+      errors: [
+        {
+          messageId: 'unstableReference',
+          suggestions: [
+            {
+              messageId: 'wrapInUseMemo',
+              data: { valueName: 'style', dependencies: '' },
+              output: `
+        import { useMemo } from 'react'
+const Panel = ({ style }) => <section style={style} />;
+        function Screen() {
+          const style = useMemo(() => ({ color: 'red' }), []);
+          return <Panel style={style} />;
+        }
+      `,
+            },
+          ],
+        },
+      ],
     },
     {
       code: `
@@ -73,7 +109,97 @@ ruleTester.run('prefer-usememo-might-work', rule, {
           return createElement(Card, { options });
         }
       `,
-      errors: [{ messageId: 'unstableReference' }],
+      errors: [
+        {
+          messageId: 'unstableReference',
+          suggestions: [
+            {
+              messageId: 'wrapInUseMemo',
+              data: { valueName: 'options', dependencies: '' },
+              output: `
+        import { useMemo, createElement } from 'react';
+        const Card = ({ options }) => null;
+        function Screen() {
+          const options = useMemo(() => ({ size: 'lg' }), []);
+          return createElement(Card, { options });
+        }
+      `,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: `
+        import { createElement as h } from '@acme/react';
+        const Card = ({ options }) => null;
+        function Screen() {
+          const options = { size: 'lg' };
+          return h(Card, { options });
+        }
+      `,
+      settings: { 'react-x': { importSource: '@acme/react' } },
+      errors: [
+        {
+          messageId: 'unstableReference',
+          suggestions: [
+            {
+              messageId: 'wrapInUseMemo',
+              data: { valueName: 'options', dependencies: '' },
+              output: `
+        import { useMemo, createElement as h } from '@acme/react';
+        const Card = ({ options }) => null;
+        function Screen() {
+          const options = useMemo(() => ({ size: 'lg' }), []);
+          return h(Card, { options });
+        }
+      `,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: `
+import React from 'react'
+function Table({ rows, sortKey, summary }) {
+  const columns = ['name', sortKey]
+  return <Grid columns={columns} rows={[...rows, summary]} />
+}`,
+      errors: [
+        {
+          messageId: 'unstableReference',
+          suggestions: [
+            {
+              messageId: 'wrapInUseMemo',
+              data: { valueName: 'columns', dependencies: 'sortKey' },
+              output: `
+import React from 'react'
+function Table({ rows, sortKey, summary }) {
+  const columns = React.useMemo(() => ['name', sortKey], [sortKey])
+  return <Grid columns={columns} rows={[...rows, summary]} />
+}`,
+            },
+          ],
+        },
+        {
+          messageId: 'inlineValue',
+          suggestions: [
+            {
+              // "rows" is taken by the prop, so the binding gets a suffix
+              messageId: 'extractToUseMemo',
+              data: { name: 'rows2', dependencies: 'rows, summary' },
+              output: `
+import React from 'react'
+function Table({ rows, sortKey, summary }) {
+  const columns = ['name', sortKey]
+  const rows2 = React.useMemo(() => [...rows, summary], [rows, summary])
+  return <Grid columns={columns} rows={rows2} />
+}`,
+            },
+          ],
+        },
+      ],
     },
   ],
 })
@@ -0,0 +1,209 @@
+import { RuleTester } from 'eslint'
+import rule from '../../../lib/rules/require-use-client-directive.js'
+
+const ruleTester = new RuleTester({
+  languageOptions: {
+    ecmaVersion: 2024,
+    sourceType: 'module',
+    parserOptions: {
+      ecmaFeatures: {
+        jsx: true,
+      },
+    },
+  },
+  settings: { next: { rootDir: '/project' } },
+})
+
+const appPageFilename = '/project/app/dashboard/page.jsx'
+const srcAppFilename = '/project/src/app/counter/Counter.jsx'
+
+ruleTester.run('require-use-client-directive', rule, {
+  valid: [
+    {
+      code: `
+        'use client'
+        import { useState } from 'react'
+        export default function Counter() {
+          const [count, setCount] = useState(0)
+          return <button onClick={() => setCount(count + 1)}>{count}</button>
+        }
+      `,
+      filename: appPageFilename,
+    },
+    {
+      // Directives may follow other prologue directives
+      code: `
+        'use strict'
+        'use client'
+        import { useEffect } from 'react'
+        export function Tracker() {
+          useEffect(() => {}, [])
+          return null
+        }
+      `,
+      filename: appPageFilename,
+    },
+    {
+      // Files outside the app directory are not Server Components by default
+      code: `
+        import { useState } from 'react'
+        export function Counter() {
+          const [count] = useState(0)
+          return <span>{count}</span>
+        }
+      `,
+      filename: '/project/src/components/Counter.jsx',
+    },
+    {
+      // Server Components may render async data and pass Server Actions to custom components
+      code: `
+        import { deleteTodo } from './actions'
+        export default async function Page() {
+          const todos = await getTodos()
+          return <TodoList todos={todos} onDelete={deleteTodo} />
+        }
+      `,
+      filename: appPageFilename,
+    },
+    {
+      // 'use server' modules are checked by the server actions rule
+      code: `
+        'use server'
+        export async function save() {
+          useState()
+        }
+      `,
+      filename: '/project/app/actions.js',
+    },
+    {
+      // String handlers are plain attributes, not functions
+      code: 'export default function Page() { return <div onClick="noop" /> }',
+      filename: appPageFilename,
+    },
+    {
+      code: `
+        import { useState } from 'react'
+        export const Counter = () => useState(0)
+      `,
+      filename: '<input>',
+    },
+  ],
+  invalid: [
+    {
+      code: `import { useState } from 'react'
+export default function Page() {
+  const [open, setOpen] = useState(false)
+  return <div>{String(open)}</div>
+}
+`,
+      filename: appPageFilename,
+      errors: [
+        {
+          messageId: 'clientOnlyHook',
+          data: { name: 'useState' },
+          suggestions: [
+            {
+              messageId: 'addUseClientDirective',
+              output: `'use client'
+
+import { useState } from 'react'
+export default function Page() {
+  const [open, setOpen] = useState(false)
+  return <div>{String(open)}</div>
+}
+`,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: `export default function Page() {
+  return <button type="button" onClick={() => alert('hi')}>Hi</button>
+}
+`,
+      filename: srcAppFilename,
+      errors: [
+        {
+          messageId: 'clientOnlyEventHandler',
+          data: { name: 'onClick' },
+          suggestions: [
+            {
+              messageId: 'addUseClientDirective',
+              output: `'use client'
+
+export default function Page() {
+  return <button type="button" onClick={() => alert('hi')}>Hi</button>
+}
+`,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      // Namespace calls, aliases and `useRef` are all client-only
+      code: `import * as R from 'react'
+import { useRef as useBox } from 'react'
+export function Widget() {
+  R.useEffect(() => {}, [])
+  const ref = useBox(null)
+  return <input ref={ref} onChange={() => {}} />
+}
+`,
+      filename: appPageFilename,
+      errors: [
+        { messageId: 'clientOnlyHook', data: { name: 'useEffect' } },
+        { messageId: 'clientOnlyHook', data: { name: 'useRef' } },
+        { messageId: 'clientOnlyEventHandler', data: { name: 'onChange' } },
+      ].map((error) => ({
+        ...error,
+        suggestions: [
+          {
+            messageId: 'addUseClientDirective',
+            output: `'use client'
+
+import * as R from 'react'
+import { useRef as useBox } from 'react'
+export function Widget() {
+  R.useEffect(() => {}, [])
+  const ref = useBox(null)
+  return <input ref={ref} onChange={() => {}} />
+}
+`,
+          },
+        ],
+      })),
+    },
+    {
+      // Hooks from configured import sources are resolved as well
+      code: `import { useReducer } from '@acme/react'
+export function List() {
+  const [state] = useReducer((s) => s, [])
+  return <ul>{state.length}</ul>
+}
+`,
+      filename: appPageFilename,
+      settings: { 'react-x': { importSource: '@acme/react' } },
+      errors: [
+        {
+          messageId: 'clientOnlyHook',
+          data: { name: 'useReducer' },
+          suggestions: [
+            {
+              messageId: 'addUseClientDirective',
+              output: `'use client'
+
+import { useReducer } from '@acme/react'
+export function List() {
+  const [state] = useReducer((s) => s, [])
+  return <ul>{state.length}</ul>
+}
+`,
+            },
+          ],
+        },
+      ],
+    },
+  ],
+})
@@ -0,0 +1,141 @@
+import { RuleTester } from 'eslint'
+import rule from '../../../lib/rules/valid-error-boundary-file.js'
+
+const ruleTester = new RuleTester({
+  languageOptions: {
+    ecmaVersion: 2024,
+    sourceType: 'module',
+    parserOptions: {
+      ecmaFeatures: {
+        jsx: true,
+      },
+    },
+  },
+  settings: { next: { rootDir: '/project' } },
+})
+
+const errorFilename = '/project/app/dashboard/error.jsx'
+const globalErrorFilename = '/project/src/app/global-error.jsx'
+
+ruleTester.run('valid-error-boundary-file', rule, {
+  valid: [
+    {
+      code: `
+        'use client'
+        export default function Error({ error, reset }) {
+          return (
+            <div>
+              <p>{error.message}</p>
+              <button type="button" onClick={() => reset()}>Retry</button>
+            </div>
+          )
+        }
+      `,
+      filename: errorFilename,
+    },
+    {
+      code: `
+        'use client'
+        const GlobalError = ({ error }) => (
+          <html lang="en">
+            <body>
+              <h2>{error.digest}</h2>
+            </body>
+          </html>
+        )
+        export default GlobalError
+      `,
+      filename: globalErrorFilename,
+    },
+    {
+      // Wrapped components cannot be inspected
+      code: `
+        'use client'
+        import { withBoundary } from './boundary'
+        export default withBoundary(Fallback)
+      `,
+      filename: errorFilename,
+    },
+    {
+      // Other files are ignored
+      code: `
+        export default function ErrorMessage({ message }) {
+          return <p>{message}</p>
+        }
+      `,
+      filename: '/project/app/dashboard/ErrorMessage.jsx',
+    },
+  ],
+  invalid: [
+    {
+      code: `export default function Error({ error, reset }) {
+  return <button type="button" onClick={reset}>{error.message}</button>
+}
+`,
+      filename: errorFilename,
+      output: `'use client'
+
+export default function Error({ error, reset }) {
+  return <button type="button" onClick={reset}>{error.message}</button>
+}
+`,
+      errors: [{ messageId: 'missingUseClient', data: { role: 'error' } }],
+    },
+    {
+      code: `
+        'use client'
+        export default async function Error({ error, retry }) {
+          return <p>{error.message}</p>
+        }
+      `,
+      filename: errorFilename,
+      errors: [
+        { messageId: 'invalidDefaultExport', data: { role: 'error' } },
+        { messageId: 'unknownErrorBoundaryProp', data: { name: 'retry' } },
+      ],
+    },
+    {
+      code: `
+        'use client'
+        export function Error() {
+          return <p>Something went wrong</p>
+        }
+      `,
+      filename: errorFilename,
+      errors: [{ messageId: 'missingDefaultExport', data: { role: 'error' } }],
+    },
+    {
+      code: `
+        'use client'
+        export default { title: 'Error' }
+      `,
+      filename: errorFilename,
+      errors: [{ messageId: 'invalidDefaultExport', data: { role: 'error' } }],
+    },
+    {
+      code: `
+        'use client'
+        export default function GlobalError({ reset }) {
+          return <main><button type="button" onClick={reset}>Retry</button></main>
+        }
+      `,
+      filename: globalErrorFilename,
+      errors: [
+        { messageId: 'missingDocumentElement', data: { element: 'html' } },
+        { messageId: 'missingDocumentElement', data: { element: 'body' } },
+      ],
+    },
+    {
+      code: `
+        'use client'
+        export default function GlobalError() {
+          return <html><main /></html>
+        }
+      `,
+      filename: globalErrorFilename,
+      errors: [
+        { messageId: 'missingDocumentElement', data: { element: 'body' } },
+      ],
+    },
+  ],
+})
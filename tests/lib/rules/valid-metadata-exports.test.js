@@ -0,0 +1,151 @@
+import { RuleTester } from 'eslint'
+import rule from '../../../lib/rules/valid-metadata-exports.js'
+
+const ruleTester = new RuleTester({
+  languageOptions: {
+    ecmaVersion: 2024,
+    sourceType: 'module',
+  },
+  settings: { next: { rootDir: '/project' } },
+})
+
+const pageFilename = '/project/app/blog/[slug]/page.js'
+const layoutFilename = '/project/app/layout.js'
+
+ruleTester.run('valid-metadata-exports', rule, {
+  valid: [
+    {
+      code: `
+        export const metadata = {
+          metadataBase: new URL('https://acme.com'),
+          title: { default: 'Acme', template: '%s | Acme' },
+          description: 'The Acme store',
+          openGraph: { images: ['/og.png'] },
+          twitter: { card: 'summary_large_image' },
+          robots: { index: true },
+          icons: { icon: '/icon.png' },
+          alternates: { canonical: '/' },
+          'other': { 'fb:app_id': '123' },
+          ...sharedMetadata,
+        }
+      `,
+      filename: layoutFilename,
+    },
+    {
+      code: `
+        export async function generateMetadata({ params }) {
+          const { slug } = await params
+          return { title: slug }
+        }
+      `,
+      filename: pageFilename,
+    },
+    {
+      code: `
+        export const generateMetadata = ({ params }) =>
+          getPost(params).then((post) => ({ title: post.title }))
+        export function generateStaticParams() {
+          return []
+        }
+      `,
+      filename: pageFilename,
+    },
+    {
+      code: `
+        export function generateMetadata() {
+          return Promise.resolve({ title: 'Blog' })
+        }
+      `,
+      filename: pageFilename,
+    },
+    {
+      // Only pages and layouts are checked
+      code: `
+        'use client'
+        export const metadata = { titel: 'Blog' }
+      `,
+      filename: '/project/app/blog/PostList.js',
+    },
+    {
+      code: "export const metadata = { title: 'Blog' }",
+      filename: '/project/pages/blog.js',
+    },
+  ],
+  invalid: [
+    {
+      code: `
+        export const metadata = { title: 'Blog' }
+        export async function generateMetadata() {
+          return { title: 'Blog' }
+        }
+      `,
+      filename: pageFilename,
+      errors: [{ messageId: 'conflictingMetadataExports', line: 3 }],
+    },
+    {
+      code: `
+        'use client'
+        export const metadata = { title: 'Blog' }
+        export { generateMetadata } from './metadata'
+      `,
+      filename: pageFilename,
+      errors: [
+        { messageId: 'clientModuleMetadata', data: { name: 'metadata' } },
+        {
+          messageId: 'clientModuleMetadata',
+          data: { name: 'generateMetadata' },
+        },
+      ],
+    },
+    {
+      code: `
+        export function generateMetadata({ params }) {
+          return { title: params.slug }
+        }
+      `,
+      filename: pageFilename,
+      errors: [{ messageId: 'syncGenerateMetadata' }],
+    },
+    {
+      code: `
+        export const generateMetadata = () => ({ title: 'Blog' })
+      `,
+      filename: pageFilename,
+      errors: [{ messageId: 'syncGenerateMetadata' }],
+    },
+    {
+      code: `
+        export function generateMetadata({ params }) {
+          if (!params.slug) return
+          return fetchMetadata(params.slug)
+        }
+      `,
+      filename: pageFilename,
+      errors: [{ messageId: 'syncGenerateMetadata' }],
+    },
+    {
+      code: `
+        export const metadata = {
+          title: 'Acme',
+          openGraf: { images: ['/og.png'] },
+          Description: 'The Acme store',
+          themeColor: '#000',
+          seo: true,
+        }
+      `,
+      filename: layoutFilename,
+      errors: [
+        {
+          messageId: 'misspelledMetadataKey',
+          data: { key: 'openGraf', intended: 'openGraph' },
+        },
+        {
+          messageId: 'misspelledMetadataKey',
+          data: { key: 'Description', intended: 'description' },
+        },
+        { messageId: 'viewportKeyInMetadata', data: { key: 'themeColor' } },
+        { messageId: 'unknownMetadataKey', data: { key: 'seo' } },
+      ],
+    },
+  ],
+})
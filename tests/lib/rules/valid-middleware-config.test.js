@@ -0,0 +1,245 @@
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { RuleTester } from 'eslint'
+import rule from '../../../lib/rules/valid-middleware-config.js'
+
+const fixtureRootDirectory = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '../../fixtures/next-app',
+)
+const fixtureSettings = { next: { rootDir: fixtureRootDirectory } }
+
+const ruleTester = new RuleTester({
+  languageOptions: {
+    ecmaVersion: 2024,
+    sourceType: 'module',
+  },
+})
+
+const middlewareFilename = '/project/middleware.js'
+const settings = { next: { rootDir: '/project' } }
+
+ruleTester.run('valid-middleware-config', rule, {
+  valid: [
+    {
+      code: `
+        export function middleware(request) {
+          return NextResponse.next()
+        }
+        export const config = {
+          matcher: [
+            '/((?!api|_next/static|_next/image|favicon.ico).*)',
+            '/dashboard/:path*',
+            '/about/:slug{-:locale}?',
+            {
+              source: '/api/:path*',
+              locale: false,
+              has: [{ type: 'header', key: 'Authorization' }],
+              missing: [{ type: 'cookie', key: 'session' }],
+            },
+          ],
+        }
+      `,
+      filename: middlewareFilename,
+      settings,
+    },
+    {
+      code: `
+        export default function proxy(request) {}
+        export const config = { matcher: '/blog/(\\\\d+)' }
+      `,
+      filename: '/project/src/proxy.ts',
+      settings,
+    },
+    {
+      code: `
+        export function proxy(request) {}
+      `,
+      filename: '/project/proxy.js',
+      settings,
+    },
+    {
+      code: `
+        export function middleware(request) {}
+        export const config = { matcher: '/dashboard/:path*' }
+      `,
+      filename: `${fixtureRootDirectory}/middleware.js`,
+      settings: fixtureSettings,
+    },
+    {
+      // Not a Next.js middleware file
+      code: 'export const config = { matcher: getMatcher() }',
+      filename: '/project/lib/server/middleware.js',
+      settings,
+    },
+    {
+      code: 'export function withAuth(handler) {}',
+      filename: `${fixtureRootDirectory}/app/blog/middleware.js`,
+      settings: fixtureSettings,
+    },
+  ],
+  invalid: [
+    {
+      code: `
+        export function handler(request) {}
+      `,
+      filename: middlewareFilename,
+      settings,
+      errors: [
+        { messageId: 'missingMiddlewareExport', data: { name: 'middleware' } },
+      ],
+    },
+    {
+      code: `
+        export function middleware() {}
+        export const config = { matcher: ['/about', ...protectedPaths] }
+      `,
+      filename: middlewareFilename,
+      settings,
+      errors: [{ messageId: 'nonLiteralMatcher' }],
+    },
+    {
+      code: `
+        export function middleware() {}
+        const sharedConfig = { matcher: '/about' }
+        export const config = sharedConfig
+      `,
+      filename: middlewareFilename,
+      settings,
+      errors: [{ messageId: 'nonLiteralMatcher' }],
+    },
+    {
+      code: `
+        export function middleware() {}
+        export const config = {
+          matcher: [42, { path: '/about' }, { source: '/a', regexp: '.*' }],
+        }
+      `,
+      filename: middlewareFilename,
+      settings,
+      errors: [
+        { messageId: 'invalidMatcher' },
+        { messageId: 'invalidMatcher' },
+        { messageId: 'invalidMatcher' },
+      ],
+    },
+    {
+      code: `
+        export function middleware() {}
+        export const config = {
+          matcher: [
+            'dashboard/:path*',
+            '/((?!api).*',
+            '/blog/:',
+            '/(?:blog)',
+            '/shop/((\\\\d+))',
+            '/docs/([)',
+            '/en{-:locale',
+          ],
+        }
+      `,
+      filename: middlewareFilename,
+      settings,
+      errors: [
+        {
+          messageId: 'malformedMatcher',
+          data: {
+            source: 'dashboard/:path*',
+            reason: "it must start with '/'",
+          },
+        },
+        {
+          messageId: 'malformedMatcher',
+          data: {
+            source: '/((?!api).*',
+            reason: 'its parentheses are unbalanced',
+          },
+        },
+        {
+          messageId: 'malformedMatcher',
+          data: {
+            source: '/blog/:',
+            reason: "':' must be followed by a parameter name",
+          },
+        },
+        {
+          messageId: 'malformedMatcher',
+          data: {
+            source: '/(?:blog)',
+            reason: "a pattern group cannot start with '?'",
+          },
+        },
+        {
+          messageId: 'malformedMatcher',
+          data: {
+            source: '/shop/((\\d+))',
+            reason: 'capturing groups are not allowed inside a pattern group',
+          },
+        },
+        {
+          messageId: 'malformedMatcher',
+          data: {
+            source: '/docs/([)',
+            reason: "'([)' is not a valid regular expression",
+          },
+        },
+        {
+          messageId: 'malformedMatcher',
+          data: { source: '/en{-:locale', reason: 'its braces are unbalanced' },
+        },
+      ],
+    },
+    {
+      code: `
+        export function middleware() {}
+        export const config = { matcher: ['/:path*', '/((?!api).*)'] }
+      `,
+      filename: middlewareFilename,
+      settings,
+      errors: [
+        {
+          messageId: 'missingStaticAssetsExclusion',
+          data: { source: '/:path*', name: 'middleware' },
+        },
+        {
+          messageId: 'missingStaticAssetsExclusion',
+          data: { source: '/((?!api).*)', name: 'middleware' },
+        },
+      ],
+    },
+    {
+      // The fixture project has app/ at its root, so src/middleware.js is never loaded
+      code: 'export function middleware() {}',
+      filename: `${fixtureRootDirectory}/src/middleware.js`,
+      settings: fixtureSettings,
+      errors: [
+        {
+          messageId: 'misplacedMiddleware',
+          data: { name: 'middleware', directory: './tests/fixtures/next-app/' },
+        },
+      ],
+    },
+    {
+      code: `
+        export function middleware() {}
+        export const config = { matcher: '/dashboard/:path*' }
+      `,
+      filename: `${fixtureRootDirectory}/app/middleware.js`,
+      settings: fixtureSettings,
+      errors: [
+        {
+          messageId: 'misplacedMiddleware',
+          data: { name: 'middleware', directory: './tests/fixtures/next-app/' },
+        },
+      ],
+    },
+    {
+      // Without settings, the nearest Next.js project below the cwd is the root
+      code: 'export const config = { matcher: "/about" }',
+      filename: `${fixtureRootDirectory}/middleware.js`,
+      errors: [
+        { messageId: 'missingMiddlewareExport', data: { name: 'middleware' } },
+      ],
+    },
+  ],
+})
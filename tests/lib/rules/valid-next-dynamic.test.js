@@ -0,0 +1,89 @@
+import { RuleTester } from 'eslint'
+import rule from '../../../lib/rules/valid-next-dynamic.js'
+
+const ruleTester = new RuleTester({
+  languageOptions: {
+    ecmaVersion: 2024,
+    sourceType: 'module',
+    parserOptions: {
+      ecmaFeatures: {
+        jsx: true,
+      },
+    },
+  },
+  settings: { next: { rootDir: '/project' } },
+})
+
+const serverFilename = '/project/app/dashboard/page.jsx'
+
+ruleTester.run('valid-next-dynamic', rule, {
+  valid: [
+    {
+      code: `
+        import dynamic from 'next/dynamic'
+        const Chart = dynamic(() => import('./Chart'))
+        const Map = dynamic(() => import('../ui/map').then((mod) => mod.Map), {
+          loading: () => <p>Loading...</p>,
+        })
+        const Editor = dynamic(async () => {
+          return import(\`./Editor\`)
+        })
+      `,
+      filename: serverFilename,
+    },
+    {
+      code: `
+        'use client'
+        import dynamic from 'next/dynamic'
+        const Chart = dynamic(() => import('./Chart'), { ssr: false })
+      `,
+      filename: serverFilename,
+    },
+    {
+      // Pages Router components render on the client too
+      code: `
+        import dynamic from 'next/dynamic'
+        const Chart = dynamic(() => import('../components/Chart'), { ssr: false })
+      `,
+      filename: '/project/pages/index.jsx',
+      settings: { next: { rootDir: '/project' } },
+    },
+  ],
+  invalid: [
+    {
+      code: `
+        import dynamic from 'next/dynamic'
+        const Chart = dynamic(() => import('./Chart'), { ssr: false })
+      `,
+      filename: serverFilename,
+      errors: [
+        {
+          messageId: 'ssrFalseInServerComponent',
+          data: { name: 'dynamic' },
+        },
+      ],
+    },
+    {
+      code: `
+        import load from 'next/dynamic'
+        const path = './Chart'
+        const options = { ssr: false }
+        const Chart = load(() => import(path), options)
+        const Map = load(import('./Map'))
+        const Editor = load(() => {
+          console.log('loading')
+          return import('./Editor')
+        })
+        const Empty = load()
+      `,
+      filename: '/project/src/components/Widgets.jsx',
+      errors: [
+        { messageId: 'invalidLoader', data: { name: 'load' } },
+        { messageId: 'nonLiteralOptions', data: { name: 'load' } },
+        { messageId: 'invalidLoader', data: { name: 'load' } },
+        { messageId: 'invalidLoader', data: { name: 'load' } },
+        { messageId: 'invalidLoader', data: { name: 'load' } },
+      ],
+    },
+  ],
+})
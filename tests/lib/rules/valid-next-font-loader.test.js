@@ -0,0 +1,108 @@
+import { RuleTester } from 'eslint'
+import rule from '../../../lib/rules/valid-next-font-loader.js'
+
+const ruleTester = new RuleTester({
+  languageOptions: {
+    ecmaVersion: 2024,
+    sourceType: 'module',
+    parserOptions: {
+      ecmaFeatures: {
+        jsx: true,
+      },
+    },
+  },
+})
+
+ruleTester.run('valid-next-font-loader', rule, {
+  valid: [
+    {
+      code: `
+        import { Inter, Roboto_Mono as RobotoMono } from 'next/font/google'
+        import localFont from 'next/font/local'
+        const inter = Inter({ subsets: ['latin'], display: 'swap' })
+        export const robotoMono = RobotoMono({
+          subsets: ['latin'],
+          weight: ['400', '700'],
+          variable: '--font-mono',
+        })
+        const brand = localFont({
+          src: [{ path: './brand-regular.woff2', weight: '400' }],
+        })
+        export default function RootLayout({ children }) {
+          return <html className={inter.className}><body>{children}</body></html>
+        }
+      `,
+    },
+    {
+      code: `
+        import { Noto_Sans_JP } from 'next/font/google'
+        const noto = Noto_Sans_JP({ weight: '400', preload: false })
+      `,
+    },
+    {
+      // Other imports named like fonts are ignored
+      code: `
+        import { Inter } from './fonts'
+        export function Title() {
+          return Inter({})
+        }
+      `,
+    },
+  ],
+  invalid: [
+    {
+      code: `
+        import { Inter } from 'next/font/google'
+        import localFont from 'next/font/local'
+        export default function RootLayout({ children }) {
+          const inter = Inter({ subsets: ['latin'] })
+          const brand = localFont({ src: './brand.woff2' })
+          return <html className={inter.className}><body>{children}</body></html>
+        }
+      `,
+      errors: [
+        { messageId: 'loaderInFunction', data: { name: 'Inter' } },
+        { messageId: 'loaderInFunction', data: { name: 'localFont' } },
+      ],
+    },
+    {
+      code: `
+        import { Inter, Lora } from 'next/font/google'
+        let inter = Inter({ subsets: ['latin'] })
+        export const fonts = { lora: Lora({ subsets: ['latin'] }) }
+      `,
+      errors: [
+        { messageId: 'loaderNotAssignedToConst', data: { name: 'Inter' } },
+        { messageId: 'loaderNotAssignedToConst', data: { name: 'Lora' } },
+      ],
+    },
+    {
+      code: `
+        import { Inter, Lora } from 'next/font/google'
+        import brandFont from '@next/font/local'
+        const subsets = ['latin']
+        const inter = Inter({ subsets })
+        const lora = Lora({ subsets: ['latin'], weight: String(400) })
+        const brand = brandFont(options)
+        const fallback = brandFont()
+      `,
+      errors: [
+        { messageId: 'nonLiteralOptions', data: { name: 'Inter' } },
+        { messageId: 'nonLiteralOptions', data: { name: 'Lora' } },
+        { messageId: 'nonLiteralOptions', data: { name: 'brandFont' } },
+        { messageId: 'nonLiteralOptions', data: { name: 'brandFont' } },
+      ],
+    },
+    {
+      code: `
+        import { Inter, Lora } from 'next/font/google'
+        const inter = Inter({ display: 'swap' })
+        const lora = Lora()
+      `,
+      errors: [
+        { messageId: 'missingSubsets', data: { name: 'Inter' } },
+        { messageId: 'missingSubsets', data: { name: 'Lora' } },
+      ],
+    },
+  ],
+})
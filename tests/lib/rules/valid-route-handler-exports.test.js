@@ -0,0 +1,130 @@
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { RuleTester } from 'eslint'
+import rule from '../../../lib/rules/valid-route-handler-exports.js'
+
+const fixtureRootDirectory = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '../../fixtures/next-app',
+)
+const fixtureAppDirectory = path.join(fixtureRootDirectory, 'app')
+const fixtureSettings = { next: { rootDir: fixtureRootDirectory } }
+
+const ruleTester = new RuleTester({
+  languageOptions: {
+    ecmaVersion: 2024,
+    sourceType: 'module',
+  },
+  settings: { next: { rootDir: '/project' } },
+})
+
+const routeFilename = '/project/app/api/posts/route.js'
+
+ruleTester.run('valid-route-handler-exports', rule, {
+  valid: [
+    {
+      code: `
+        export const runtime = 'edge'
+        export const revalidate = 60
+        export async function GET(request) {
+          return Response.json({ ok: true })
+        }
+        export const POST = async (request) => new Response(null, { status: 201 })
+        async function remove() {}
+        export { remove as DELETE }
+        export async function generateStaticParams() {
+          return []
+        }
+      `,
+      filename: routeFilename,
+    },
+    {
+      // Re-exported handlers are checked by name only
+      code: "export { GET, HEAD } from '../shared/handlers'",
+      filename: routeFilename,
+    },
+    {
+      // A route alone in its segment
+      code: 'export async function GET() {}',
+      filename: path.join(fixtureAppDirectory, 'api/health/route.js'),
+      settings: fixtureSettings,
+    },
+    {
+      // Pages without a sibling route are fine, and their exports are not checked
+      code: `
+        export const metadata = { title: 'Home' }
+        export default function Page() {
+          return null
+        }
+      `,
+      filename: '/project/app/page.js',
+    },
+    {
+      // Files outside the app directory are ignored
+      code: 'export default function handler(req, res) {}',
+      filename: '/project/pages/api/posts.js',
+      settings: { next: { rootDir: '/project' } },
+    },
+  ],
+  invalid: [
+    {
+      code: `
+        export async function get() {}
+        export const handler = async () => {}
+        export default async function POST() {}
+      `,
+      filename: routeFilename,
+      errors: [
+        {
+          messageId: 'lowercaseMethod',
+          data: { name: 'get', method: 'GET' },
+        },
+        {
+          messageId: 'invalidExport',
+          data: {
+            name: 'handler',
+            methods: 'GET, HEAD, POST, PUT, PATCH, DELETE, OPTIONS',
+          },
+        },
+        { messageId: 'defaultExport' },
+      ],
+    },
+    {
+      code: `
+        const config = { api: { bodyParser: false } }
+        export { config }
+      `,
+      filename: routeFilename,
+      errors: [
+        {
+          messageId: 'invalidExport',
+          data: {
+            name: 'config',
+            methods: 'GET, HEAD, POST, PUT, PATCH, DELETE, OPTIONS',
+          },
+        },
+      ],
+    },
+    {
+      // Reported from both files of a conflicting segment
+      code: 'export async function GET() {}',
+      filename: path.join(fixtureAppDirectory, 'blog/route.js'),
+      settings: fixtureSettings,
+      errors: [
+        { messageId: 'conflictingSegmentFile', data: { file: 'page.jsx' } },
+      ],
+    },
+    {
+      code: `
+        export default function Page() {
+          return null
+        }
+      `,
+      filename: path.join(fixtureAppDirectory, 'blog/page.jsx'),
+      settings: fixtureSettings,
+      errors: [
+        { messageId: 'conflictingSegmentFile', data: { file: 'route.js' } },
+      ],
+    },
+  ],
+})
@@ -0,0 +1,164 @@
+import { RuleTester } from 'eslint'
+import rule from '../../../lib/rules/valid-route-segment-config.js'
+
+const ruleTester = new RuleTester({
+  languageOptions: {
+    ecmaVersion: 2024,
+    sourceType: 'module',
+  },
+  settings: { next: { rootDir: '/project' } },
+})
+
+const pageFilename = '/project/app/blog/page.js'
+const routeFilename = '/project/app/api/posts/route.js'
+
+ruleTester.run('valid-route-segment-config', rule, {
+  valid: [
+    {
+      code: `
+        export const dynamic = 'force-static'
+        export const dynamicParams = false
+        export const revalidate = 3600
+        export const fetchCache = 'default-no-store'
+        export const runtime = 'nodejs'
+        export const preferredRegion = ['iad1', 'hnd1']
+        export const maxDuration = 30
+        export default function Page() {
+          return null
+        }
+      `,
+      filename: pageFilename,
+    },
+    {
+      code: `
+        export const revalidate = false
+        export const preferredRegion = 'home'
+        export async function GET() {}
+      `,
+      filename: routeFilename,
+    },
+    {
+      code: 'export const revalidate = 0',
+      filename: '/project/src/app/layout.js',
+    },
+    {
+      // Names that are not near misses of a config option are left alone
+      code: `
+        export const metadata = { title: 'Blog' }
+        export async function generateStaticParams() {
+          return []
+        }
+      `,
+      filename: pageFilename,
+    },
+    {
+      // Only pages, layouts and Route Handlers are checked
+      code: "export const dynamic = 'sometimes'",
+      filename: '/project/app/blog/components/config.js',
+    },
+  ],
+  invalid: [
+    {
+      code: `
+        export const dynamic = 'force-dynmaic'
+        export const runtime = 'experimental-edge'
+        export const fetchCache = 'no-store'
+        export const dynamicParams = 'true'
+      `,
+      filename: pageFilename,
+      errors: [
+        {
+          messageId: 'invalidValue',
+          data: {
+            name: 'dynamic',
+            expected: "'auto' | 'force-dynamic' | 'error' | 'force-static'",
+          },
+        },
+        {
+          messageId: 'invalidValue',
+          data: { name: 'runtime', expected: "'nodejs' | 'edge'" },
+        },
+        { messageId: 'invalidValue' },
+        {
+          messageId: 'invalidValue',
+          data: { name: 'dynamicParams', expected: 'true | false' },
+        },
+      ],
+    },
+    {
+      code: `
+        export const revalidate = -1
+        export const maxDuration = '60'
+        export const preferredRegion = []
+      `,
+      filename: routeFilename,
+      errors: [
+        {
+          messageId: 'invalidValue',
+          data: {
+            name: 'revalidate',
+            expected: 'false | a non-negative number of seconds',
+          },
+        },
+        {
+          messageId: 'invalidValue',
+          data: {
+            name: 'maxDuration',
+            expected: 'a non-negative number of seconds',
+          },
+        },
+        { messageId: 'invalidValue' },
+      ],
+    },
+    {
+      code: `
+        const ONE_HOUR = 60 * 60
+        export const revalidate = ONE_HOUR
+        export let runtime = 'edge'
+        export const dynamic = \`force-\${'static'}\`
+        const fetchCache = 'force-cache'
+        export { fetchCache }
+      `,
+      filename: pageFilename,
+      errors: [
+        { messageId: 'nonStaticValue', data: { name: 'revalidate' } },
+        { messageId: 'nonStaticValue', data: { name: 'runtime' } },
+        { messageId: 'nonStaticValue', data: { name: 'dynamic' } },
+        { messageId: 'nonStaticValue', data: { name: 'fetchCache' } },
+      ],
+    },
+    {
+      code: `
+        'use client'
+        export const dynamic = 'force-dynamic'
+        export default function Layout({ children }) {
+          return children
+        }
+      `,
+      filename: '/project/app/dashboard/layout.js',
+      errors: [{ messageId: 'clientModuleConfig', data: { name: 'dynamic' } }],
+    },
+    {
+      code: `
+        export const revalidat = 60
+        export const runTime = 'edge'
+        export const maxduration = 10
+      `,
+      filename: pageFilename,
+      errors: [
+        {
+          messageId: 'misspelledConfig',
+          data: { name: 'revalidat', intended: 'revalidate' },
+        },
+        {
+          messageId: 'misspelledConfig',
+          data: { name: 'runTime', intended: 'runtime' },
+        },
+        {
+          messageId: 'misspelledConfig',
+          data: { name: 'maxduration', intended: 'maxDuration' },
+        },
+      ],
+    },
+  ],
+})
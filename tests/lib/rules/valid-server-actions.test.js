@@ -0,0 +1,166 @@
+import { RuleTester } from 'eslint'
+import rule from '../../../lib/rules/valid-server-actions.js'
+
+const ruleTester = new RuleTester({
+  languageOptions: {
+    ecmaVersion: 2024,
+    sourceType: 'module',
+    parserOptions: {
+      ecmaFeatures: {
+        jsx: true,
+      },
+    },
+  },
+})
+
+ruleTester.run('valid-server-actions', rule, {
+  valid: [
+    {
+      code: `
+        'use server'
+        export async function createTodo(formData) {
+          await db.todo.create({ title: formData.get('title') })
+        }
+        export const deleteTodo = async (id) => {
+          await db.todo.delete(id)
+        }
+        export default async function updateTodo() {}
+      `,
+    },
+    {
+      // Local bindings exported by name are followed to their declaration
+      code: `
+        'use server'
+        async function archive() {}
+        const restore = async function () {}
+        export { archive, restore as undo }
+      `,
+    },
+    {
+      // Wrapped actions and re-exports cannot be verified statically
+      code: `
+        'use server'
+        export const save = withAuth(async () => {})
+        export { publish } from './publish'
+        import { remove } from './remove'
+        export { remove }
+      `,
+    },
+    {
+      // Without the directive, modules may export anything
+      code: `
+        export const LIMIT = 10
+        export function format() {}
+      `,
+    },
+    {
+      code: `
+        export default async function Page() {
+          const user = await getUser()
+          async function rename(formData) {
+            'use server'
+            await db.user.update(user.id, formData.get('name'))
+          }
+          return <form action={rename} />
+        }
+      `,
+    },
+    {
+      // Locally declared window-like names are not browser globals
+      code: `
+        export default async function Page({ document }) {
+          const action = async () => {
+            'use server'
+            await save(document)
+          }
+          return <form action={action} />
+        }
+      `,
+    },
+  ],
+  invalid: [
+    {
+      code: `
+        'use server'
+        export function createTodo() {}
+        export const deleteTodo = () => {}
+        export default () => {}
+      `,
+      errors: [
+        { messageId: 'nonAsyncExport', data: { name: 'createTodo' } },
+        { messageId: 'nonAsyncExport', data: { name: 'deleteTodo' } },
+        { messageId: 'nonAsyncExport', data: { name: 'default' } },
+      ],
+    },
+    {
+      code: `
+        'use server'
+        export const MAX_TODOS = 100
+        export class TodoService {}
+        const config = { retries: 3 }
+        export { config }
+        export let pending
+        export default { createTodo }
+      `,
+      errors: [
+        { messageId: 'nonFunctionExport', data: { name: 'MAX_TODOS' } },
+        { messageId: 'nonFunctionExport', data: { name: 'TodoService' } },
+        { messageId: 'nonFunctionExport', data: { name: 'config' } },
+        { messageId: 'nonFunctionExport', data: { name: 'pending' } },
+        { messageId: 'nonFunctionExport', data: { name: 'default' } },
+      ],
+    },
+    {
+      code: `
+        'use server'
+        function helper() {}
+        export { helper as run }
+      `,
+      errors: [{ messageId: 'nonAsyncExport', data: { name: 'run' } }],
+    },
+    {
+      code: `
+        export default function Page() {
+          function save() {
+            'use server'
+          }
+          return <form action={save} />
+        }
+      `,
+      errors: [{ messageId: 'nonAsyncInlineAction' }],
+    },
+    {
+      code: `
+        'use client'
+        export function Form() {
+          async function save() {
+            'use server'
+          }
+          return <form action={save} />
+        }
+      `,
+      errors: [{ messageId: 'inlineActionInClientModule' }],
+    },
+    {
+      code: `
+        import { useState, useRef } from 'react'
+        export function Editor() {
+          const [draft, setDraft] = useState('')
+          const inputRef = useRef(null)
+          async function save() {
+            'use server'
+            await db.save(draft, inputRef.current, window.location.href)
+            setDraft('')
+          }
+          return <form action={save} />
+        }
+      `,
+      errors: [
+        { messageId: 'clientValueInAction', data: { name: 'draft' } },
+        { messageId: 'clientValueInAction', data: { name: 'inputRef' } },
+        { messageId: 'clientValueInAction', data: { name: 'window' } },
+        { messageId: 'clientValueInAction', data: { name: 'setDraft' } },
+      ],
+    },
+  ],
+})
@@ -1,6 +1,7 @@
 import assert from 'node:assert/strict'
 import { describe, it } from 'mocha'
 import {
+  getClientOnlyHookName,
   isHookCallee,
   isUseCallbackCallee,
   isUseMemoCallee,
@@ -33,4 +34,17 @@ describe('utils/hooks', () => {
     assert.equal(isUseReducerCallee(makeMember('useReducer')), true)
     assert.equal(isUseCallbackCallee({ type: 'Identifier', name: 'useMemo' }), false)
   })
+
+  it('resolves client-only hooks by name or through the import tracker', () => {
+    const reactImports = {
+      isApiCallee: (callee, apiName) =>
+        callee.type === 'MemberExpression' && callee.property.name === apiName,
+    }
+    assert.equal(
+      getClientOnlyHookName({ type: 'Identifier', name: 'useFormStatus' }, reactImports),
+      'useFormStatus',
+    )
+    assert.equal(getClientOnlyHookName(makeMember('useRef'), reactImports), 'useRef')
+    assert.equal(getClientOnlyHookName(makeMember('useMemo'), reactImports), null)
+  })
 })
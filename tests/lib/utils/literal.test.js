@@ -1,6 +1,6 @@
 import assert from 'node:assert/strict'
 import { describe, it } from 'mocha'
-import { literalKind } from '../../../lib/utils/literal.js'
+import { getStaticValue, literalKind } from '../../../lib/utils/literal.js'
 
 describe('utils/literal', () => {
   it('classifies inline literal expressions', () => {
@@ -17,9 +17,58 @@ describe('utils/literal', () => {
 
   it('returns null for unsupported expressions', () => {
     assert.equal(literalKind({ type: 'Identifier', name: 'foo' }), null)
+    assert.equal(literalKind({ type: 'BinaryExpression', operator: '-' }), null)
+  })
+
+  it('evaluates statically analyzable values', () => {
+    const literal = (value) => ({ type: 'Literal', value })
+    assert.deepEqual(getStaticValue(literal('edge')), { value: 'edge' })
+    assert.deepEqual(
+      getStaticValue({
+        type: 'UnaryExpression',
+        operator: '-',
+        argument: literal(1),
+      }),
+      { value: -1 },
+    )
+    assert.deepEqual(
+      getStaticValue({
+        type: 'TSAsExpression',
+        expression: {
+          type: 'ArrayExpression',
+          elements: [literal('iad1'), literal('sfo1')],
+        },
+      }),
+      { value: ['iad1', 'sfo1'] },
+    )
+    assert.deepEqual(
+      getStaticValue({
+        type: 'ObjectExpression',
+        properties: [
+          {
+            type: 'Property',
+            kind: 'init',
+            computed: false,
+            key: { type: 'Identifier', name: 'title' },
+            value: literal('Home'),
+          },
+        ],
+      }),
+      { value: { title: 'Home' } },
+    )
+  })
+
+  it('returns null for dynamic values', () => {
+    assert.equal(getStaticValue({ type: 'Identifier', name: 'ONE_HOUR' }), null)
     assert.equal(
-      literalKind({ type: 'BinaryExpression', operator: '-' }),
+      getStaticValue({
+        type: 'BinaryExpression',
+        operator: '*',
+        left: { type: 'Literal', value: 60 },
+        right: { type: 'Literal', value: 60 },
+      }),
       null,
     )
+    assert.equal(getStaticValue(null), null)
   })
 })
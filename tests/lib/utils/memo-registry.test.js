@@ -0,0 +1,121 @@
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { Linter } from 'eslint'
+import { after, before, describe, it } from 'mocha'
+import { getMemoizedExports } from '../../../lib/utils/memo-registry.js'
+
+/**
+ * Writes a source file and moves its mtime forward, so rewrites within the same
+ * millisecond still count as changes.
+ * @param {string} filePath - Absolute file path.
+ * @param {string} text - File contents.
+ */
+function writeSource(filePath, text) {
+  const previous = fs.existsSync(filePath) ? fs.statSync(filePath).mtime : null
+  fs.writeFileSync(filePath, text)
+  if (previous) {
+    const next = new Date(previous.getTime() + 1000)
+    fs.utimesSync(filePath, next, next)
+  }
+}
+
+/**
+ * Runs getMemoizedExports with the context of a real lint run.
+ * @param {string} filePath - Absolute path of the module to analyze.
+ * @param {Record<string, unknown>} [settings] - Shared settings.
+ * @returns {string[]} Sorted export names.
+ */
+function lintMemoExports(filePath, settings = {}) {
+  let memoExports = null
+  const linter = new Linter({ cwd: path.dirname(filePath) })
+  linter.verify(
+    '',
+    {
+      files: ['**/*.js'],
+      plugins: {
+        probe: {
+          rules: {
+            memoExports: {
+              create(context) {
+                memoExports = getMemoizedExports(context, filePath)
+                return {}
+              },
+            },
+          },
+        },
+      },
+      rules: { 'probe/memoExports': 'error' },
+      settings: { 'react-x': { version: '19.0.0' }, ...settings },
+    },
+    path.join(path.dirname(filePath), 'probe.js'),
+  )
+  return [...memoExports].sort()
+}
+
+describe('utils/memo-registry', () => {
+  let root
+
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'memo-registry-'))
+  })
+
+  after(() => {
+    fs.rmSync(root, { recursive: true, force: true })
+  })
+
+  it('re-analyzes a barrel when a re-exported module changes', () => {
+    const directory = path.join(root, 'barrel')
+    fs.mkdirSync(directory)
+    writeSource(
+      path.join(directory, 'Button.js'),
+      "import { memo } from 'react'\nexport const Button = memo(() => null)\n",
+    )
+    writeSource(
+      path.join(directory, 'index.js'),
+      "export * from './Button.js'\n",
+    )
+    assert.deepEqual(lintMemoExports(path.join(directory, 'index.js')), [
+      'Button',
+    ])
+
+    writeSource(
+      path.join(directory, 'Button.js'),
+      'export const Button = () => null\n',
+    )
+    assert.deepEqual(lintMemoExports(path.join(directory, 'index.js')), [])
+  })
+
+  it('re-analyzes a module when the React import sources change', () => {
+    const directory = path.join(root, 'settings')
+    fs.mkdirSync(directory)
+    const filePath = path.join(directory, 'Card.js')
+    writeSource(
+      filePath,
+      "import { memo } from '@acme/react'\nexport const Card = memo(() => null)\n",
+    )
+    assert.deepEqual(lintMemoExports(filePath), [])
+    assert.deepEqual(
+      lintMemoExports(filePath, {
+        'react-x': { version: '19.0.0', importSource: '@acme/react' },
+      }),
+      ['Card'],
+    )
+  })
+
+  it('does not cache results cut short by a re-export cycle', () => {
+    const directory = path.join(root, 'cycle')
+    fs.mkdirSync(directory)
+    writeSource(
+      path.join(directory, 'a.js'),
+      "import { memo } from 'react'\nexport * from './b.js'\nexport const A = memo(() => null)\n",
+    )
+    writeSource(
+      path.join(directory, 'b.js'),
+      "import { memo } from 'react'\nexport * from './a.js'\nexport const B = memo(() => null)\n",
+    )
+    assert.deepEqual(lintMemoExports(path.join(directory, 'a.js')), ['A', 'B'])
+    assert.deepEqual(lintMemoExports(path.join(directory, 'b.js')), ['A', 'B'])
+  })
+})
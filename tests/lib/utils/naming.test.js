@@ -1,6 +1,9 @@
 import assert from 'node:assert/strict'
 import { describe, it } from 'mocha'
-import { isPascalCase } from '../../../lib/utils/naming.js'
+import {
+  findMisspelledName,
+  isPascalCase,
+} from '../../../lib/utils/naming.js'
 
 describe('utils/naming', () => {
   it('validates PascalCase strings', () => {
@@ -10,4 +13,13 @@ describe('utils/naming', () => {
     assert.equal(isPascalCase(''), false)
     assert.equal(isPascalCase(null), false)
   })
+
+  it('finds the known name a typo was meant to be', () => {
+    const knownNames = ['title', 'openGraph', 'robots']
+    assert.equal(findMisspelledName('openGraf', knownNames), 'openGraph')
+    assert.equal(findMisspelledName('ROBOTS', knownNames), 'robots')
+    assert.equal(findMisspelledName('titel', knownNames), 'title')
+    assert.equal(findMisspelledName('keywords', knownNames), null)
+    assert.equal(findMisspelledName('tite', knownNames), null)
+  })
 })
@@ -0,0 +1,304 @@
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { after, before, describe, it } from 'mocha'
+import {
+  NEXT_FILE_ROLES,
+  NEXT_ROUTERS,
+  getNextFileInfo,
+  getRootFileDirectories,
+  isNextProjectFile,
+} from '../../../lib/utils/next-files.js'
+
+const fixtureRootDirectory = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '../../fixtures/next-app',
+)
+
+/**
+ * Converts a path to forward slashes, as the classifier reports directories.
+ * @param {string} filePath - Absolute path.
+ * @returns {string} Path using `/` separators.
+ */
+const normalizePath = (filePath) => filePath.replace(/\\/g, '/')
+
+/**
+ * Writes a file, creating parent directories as needed.
+ * @param {string} filePath - Absolute file path.
+ * @param {string} text - File contents.
+ */
+function writeFile(filePath, text) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true })
+  fs.writeFileSync(filePath, text)
+}
+
+/**
+ * Builds the subset of a rule context the classifier reads.
+ * @param {string} filename - Linted filename.
+ * @param {object} [settings] - ESLint shared settings.
+ * @returns {object} Fake rule context.
+ */
+const makeContext = (filename, settings = {}) => ({
+  filename,
+  cwd: '/repo',
+  settings,
+})
+
+describe('utils/next-files', () => {
+  let workspaceRoot
+
+  before(() => {
+    // Monorepo with two Next.js apps and a component library
+    workspaceRoot = normalizePath(
+      fs.mkdtempSync(path.join(os.tmpdir(), 'next-files-')),
+    )
+    writeFile(`${workspaceRoot}/package.json`, '{ "private": true }')
+    writeFile(
+      `${workspaceRoot}/apps/web/package.json`,
+      '{ "dependencies": { "next": "^15.0.0" } }',
+    )
+    writeFile(`${workspaceRoot}/apps/docs/next.config.mjs`, 'export default {}')
+    writeFile(
+      `${workspaceRoot}/packages/ui/package.json`,
+      '{ "dependencies": { "react": "^19.0.0" } }',
+    )
+  })
+
+  after(() => {
+    fs.rmSync(workspaceRoot, { recursive: true, force: true })
+  })
+
+  it('classifies App Router conventions below app/ and src/app/', () => {
+    assert.deepEqual(
+      getNextFileInfo(makeContext('/repo/app/blog/[slug]/page.tsx')),
+      {
+        router: NEXT_ROUTERS.APP,
+        role: NEXT_FILE_ROLES.PAGE,
+        routerDirectory: '/repo/app',
+      },
+    )
+    assert.equal(
+      getNextFileInfo(makeContext('/repo/src/app/global-error.jsx')).role,
+      NEXT_FILE_ROLES.GLOBAL_ERROR,
+    )
+    assert.equal(
+      getNextFileInfo(makeContext('/repo/app/(shop)/opengraph-image.tsx')).role,
+      NEXT_FILE_ROLES.OPENGRAPH_IMAGE,
+    )
+    assert.equal(
+      getNextFileInfo(makeContext('/repo/app/api/users/route.ts')).role,
+      NEXT_FILE_ROLES.ROUTE,
+    )
+  })
+
+  it('keeps colocated modules in the router without a role', () => {
+    assert.deepEqual(
+      getNextFileInfo(makeContext('/repo/app/blog/PostCard.tsx')),
+      {
+        router: NEXT_ROUTERS.APP,
+        role: null,
+        routerDirectory: '/repo/app',
+      },
+    )
+  })
+
+  it('classifies Pages Router files', () => {
+    assert.equal(
+      getNextFileInfo(makeContext('/repo/pages/_app.tsx')).role,
+      NEXT_FILE_ROLES.CUSTOM_APP,
+    )
+    assert.equal(
+      getNextFileInfo(makeContext('/repo/src/pages/api/login.ts')).role,
+      NEXT_FILE_ROLES.API_ROUTE,
+    )
+    assert.deepEqual(getNextFileInfo(makeContext('/repo/pages/about.jsx')), {
+      router: NEXT_ROUTERS.PAGES,
+      role: NEXT_FILE_ROLES.PAGE,
+      routerDirectory: '/repo/pages',
+    })
+  })
+
+  it('recognizes project-level files only at the root or in src/', () => {
+    assert.equal(
+      getNextFileInfo(makeContext('/repo/middleware.ts')).role,
+      NEXT_FILE_ROLES.MIDDLEWARE,
+    )
+    assert.equal(
+      getNextFileInfo(makeContext('/repo/src/instrumentation.ts')).role,
+      NEXT_FILE_ROLES.INSTRUMENTATION,
+    )
+    assert.equal(
+      getNextFileInfo(makeContext('/repo/lib/middleware.ts')).role,
+      null,
+    )
+  })
+
+  it('recognizes Next.js projects nested below the cwd', () => {
+    const context = (filename) => ({
+      filename: `${workspaceRoot}/${filename}`,
+      cwd: workspaceRoot,
+      settings: {},
+    })
+    assert.deepEqual(getNextFileInfo(context('apps/web/app/layout.tsx')), {
+      router: NEXT_ROUTERS.APP,
+      role: NEXT_FILE_ROLES.LAYOUT,
+      routerDirectory: `${workspaceRoot}/apps/web/app`,
+    })
+    assert.equal(
+      getNextFileInfo(context('apps/docs/src/app/page.mdx.tsx')).router,
+      NEXT_ROUTERS.APP,
+    )
+    assert.equal(
+      getNextFileInfo(context('apps/web/pages/about.tsx')).router,
+      NEXT_ROUTERS.PAGES,
+    )
+    assert.equal(
+      getNextFileInfo(context('apps/web/middleware.ts')).role,
+      NEXT_FILE_ROLES.MIDDLEWARE,
+    )
+    assert.equal(
+      getNextFileInfo(context('apps/docs/src/proxy.ts')).role,
+      NEXT_FILE_ROLES.MIDDLEWARE,
+    )
+    assert.equal(
+      getNextFileInfo(context('packages/ui/middleware.ts')).role,
+      null,
+    )
+    // A nested app/ folder of a package that does not use Next.js
+    assert.equal(
+      getNextFileInfo(context('packages/ui/src/app/page.tsx')).router,
+      null,
+    )
+    // An app/ folder deeper inside a Next.js project is not its router
+    assert.equal(
+      getNextFileInfo(context('apps/web/src/components/app/page.tsx')).router,
+      null,
+    )
+    // pages/ is never guessed: component folders often use that name
+    assert.equal(
+      getNextFileInfo(context('apps/web/components/pages/Home.tsx')).router,
+      null,
+    )
+    assert.equal(
+      getNextFileInfo(context('apps/web/node_modules/pkg/app/page.js')).router,
+      null,
+    )
+  })
+
+  it('only guesses below the cwd', () => {
+    // A repository mounted at /app, as with a Docker WORKDIR
+    const dockerContext = (filename) => ({
+      filename,
+      cwd: '/app',
+      settings: {},
+    })
+    assert.equal(
+      getNextFileInfo(dockerContext('/app/components/Header.tsx')).router,
+      null,
+    )
+    assert.equal(
+      getNextFileInfo(dockerContext('/app/src/lib/page.ts')).router,
+      null,
+    )
+    assert.equal(
+      getNextFileInfo(dockerContext('/app/app/page.tsx')).role,
+      NEXT_FILE_ROLES.PAGE,
+    )
+    assert.equal(
+      getNextFileInfo(makeContext(`${workspaceRoot}/apps/web/app/page.tsx`))
+        .router,
+      null,
+    )
+    assert.equal(getNextFileInfo(makeContext('<input>')).router, null)
+  })
+
+  it('tells files of Next.js projects apart', () => {
+    const context = (filename, settings = {}) => ({
+      filename: `${workspaceRoot}/${filename}`,
+      cwd: workspaceRoot,
+      settings,
+    })
+    assert.equal(isNextProjectFile(context('apps/web/app/page.tsx')), true)
+    assert.equal(isNextProjectFile(context('apps/docs/pages/index.tsx')), true)
+    assert.equal(
+      isNextProjectFile(context('packages/ui/pages/Home.tsx')),
+      false,
+    )
+    assert.equal(
+      isNextProjectFile(
+        context('packages/ui/pages/Home.tsx', { next: { rootDir: '.' } }),
+      ),
+      true,
+    )
+    // Files outside the cwd are never guessed to be part of a project
+    assert.equal(
+      isNextProjectFile(makeContext(`${workspaceRoot}/apps/web/app/page.tsx`)),
+      false,
+    )
+    assert.equal(isNextProjectFile(makeContext('<input>')), false)
+  })
+
+  it('excludes private folders from routing', () => {
+    assert.deepEqual(
+      getNextFileInfo(makeContext('/repo/app/blog/_components/page.tsx')),
+      {
+        router: NEXT_ROUTERS.APP,
+        role: null,
+        routerDirectory: '/repo/app',
+      },
+    )
+    assert.equal(
+      getNextFileInfo(makeContext('/repo/app/_lib/route.ts')).role,
+      null,
+    )
+  })
+
+  it('honors settings.next.rootDir and appDir', () => {
+    const settings = {
+      next: { rootDir: ['apps/web', 'apps/docs'], appDir: 'routes' },
+    }
+    assert.deepEqual(
+      getNextFileInfo(
+        makeContext('/repo/apps/docs/routes/guide/page.mdx.tsx', settings),
+      ),
+      {
+        router: NEXT_ROUTERS.APP,
+        role: null,
+        routerDirectory: '/repo/apps/docs/routes',
+      },
+    )
+    assert.equal(
+      getNextFileInfo(
+        makeContext('/repo/apps/web/routes/template.tsx', settings),
+      ).role,
+      NEXT_FILE_ROLES.TEMPLATE,
+    )
+    assert.equal(
+      getNextFileInfo(makeContext('/repo/apps/web/middleware.ts', settings))
+        .role,
+      NEXT_FILE_ROLES.MIDDLEWARE,
+    )
+    // Once configured, unrelated app directories are no longer guessed
+    assert.equal(
+      getNextFileInfo(makeContext('/repo/packages/ui/app/page.tsx', settings))
+        .router,
+      null,
+    )
+  })
+
+  it('finds the directories next to existing router directories', () => {
+    const settings = { next: { rootDir: fixtureRootDirectory } }
+    assert.deepEqual(
+      getRootFileDirectories(
+        makeContext(`${fixtureRootDirectory}/middleware.js`, settings),
+      ),
+      [fixtureRootDirectory.replace(/\\/g, '/')],
+    )
+    assert.deepEqual(
+      getRootFileDirectories(makeContext('/repo/middleware.ts')),
+      [],
+    )
+  })
+})
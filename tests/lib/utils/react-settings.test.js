@@ -0,0 +1,129 @@
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { after, before, describe, it } from 'mocha'
+import {
+  coerceVersion,
+  detectReactVersion,
+  getReactSettings,
+  isVersionAtLeastMajor,
+} from '../../../lib/utils/react-settings.js'
+
+/**
+ * Writes a JSON file, creating parent directories as needed.
+ * @param {string} filePath - Absolute file path.
+ * @param {unknown} value - JSON-serializable value.
+ */
+function writeJson(filePath, value) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true })
+  fs.writeFileSync(filePath, JSON.stringify(value))
+}
+
+describe('utils/react-settings', () => {
+  let workspaceRoot
+
+  before(() => {
+    // pnpm-style monorepo where each package resolves its own React major
+    workspaceRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'react-settings-'))
+    writeJson(path.join(workspaceRoot, 'package.json'), { private: true })
+    writeJson(
+      path.join(
+        workspaceRoot,
+        'packages/legacy/node_modules/react/package.json',
+      ),
+      { name: 'react', version: '18.3.1' },
+    )
+    writeJson(path.join(workspaceRoot, 'packages/legacy/package.json'), {
+      dependencies: { react: '^19.0.0' },
+    })
+    writeJson(
+      path.join(
+        workspaceRoot,
+        'packages/modern/node_modules/react/package.json',
+      ),
+      { name: 'react', version: '19.1.0' },
+    )
+    writeJson(path.join(workspaceRoot, 'packages/declared/package.json'), {
+      peerDependencies: { react: '~17.0.2' },
+    })
+  })
+
+  after(() => {
+    fs.rmSync(workspaceRoot, { recursive: true, force: true })
+  })
+
+  it('coerces dependency ranges to concrete versions', () => {
+    assert.equal(coerceVersion('^18.2.0'), '18.2.0')
+    assert.equal(coerceVersion('>=19'), '19.0.0')
+    assert.equal(coerceVersion('18.x'), '18.0.0')
+    assert.equal(coerceVersion('workspace:*'), null)
+    assert.equal(coerceVersion('latest'), null)
+  })
+
+  it('prefers the installed package over the declared range', () => {
+    assert.equal(
+      detectReactVersion(path.join(workspaceRoot, 'packages/legacy/src')),
+      '18.3.1',
+    )
+    assert.equal(
+      detectReactVersion(path.join(workspaceRoot, 'packages/modern/src/app')),
+      '19.1.0',
+    )
+  })
+
+  it('falls back to the range declared in package.json', () => {
+    assert.equal(
+      detectReactVersion(path.join(workspaceRoot, 'packages/declared')),
+      '17.0.2',
+    )
+  })
+
+  it('detects the version for the linted file by default', () => {
+    const { version } = getReactSettings({
+      filename: path.join(workspaceRoot, 'packages/legacy/src/Button.jsx'),
+      settings: {},
+    })
+    assert.equal(version, '18.3.1')
+    assert.equal(isVersionAtLeastMajor(version, 19), false)
+  })
+
+  it('keeps an explicitly configured version', () => {
+    const { version } = getReactSettings({
+      filename: path.join(workspaceRoot, 'packages/legacy/src/Button.jsx'),
+      settings: { 'react-x': { version: '19.0.0' } },
+    })
+    assert.equal(version, '19.0.0')
+  })
+
+  it('falls back to React 19 when nothing can be detected', () => {
+    const { version } = getReactSettings({
+      filename: path.join(workspaceRoot, 'src/Button.jsx'),
+      settings: { 'react-x': { version: 'detect' } },
+    })
+    assert.equal(version, '19.0.0')
+  })
+
+  it('normalizes one or many import sources and always includes react', () => {
+    const single = getReactSettings({
+      filename: '<input>',
+      settings: {
+        'react-x': { version: '19.0.0', importSource: '@acme/react' },
+      },
+    })
+    assert.equal(single.importSource, '@acme/react')
+    assert.deepEqual(single.importSources, ['@acme/react', 'react'])
+
+    const multiple = getReactSettings({
+      filename: '<input>',
+      settings: {
+        'react-x': {
+          version: '19.0.0',
+          importSource: ['preact/compat', ' ', 'react', 'preact/compat'],
+        },
+      },
+    })
+    assert.equal(multiple.importSource, 'preact/compat')
+    assert.deepEqual(multiple.importSources, ['preact/compat', 'react'])
+  })
+})
@@ -3,7 +3,9 @@ import plugin, {
   type LaststanceRuleModules,
   type LaststanceRuleName,
   type LaststanceConfigName,
+  type LaststancePresetName,
 } from '@laststance/react-next-eslint-plugin'
+import type { Linter } from 'eslint'
 
 // Assert the plugin satisfies the exported helper type
 const typedPlugin: LaststancePlugin = plugin
@@ -15,7 +17,17 @@ const allRules: LaststanceRuleModules = plugin.rules
 const exampleRuleName: LaststanceRuleName = 'no-jsx-without-return'
 const exampleConfigName: LaststanceConfigName = 'laststance/no-jsx-without-return'
 
+// Presets are plain flat-config objects
+const recommendedConfig: Linter.Config = plugin.configs.recommended
+const presetName: LaststancePresetName = 'react19'
+const flatConfig: Linter.Config[] = [
+  recommendedConfig,
+  plugin.configs[presetName],
+  plugin.configs.performance,
+]
+
 // Touch the references so the compiler checks them
 void typedPlugin.meta?.name
 void allRules[exampleRuleName]
 void exampleConfigName
+void flatConfig